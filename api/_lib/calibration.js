@@ -0,0 +1,296 @@
+import { getSignalIdsForDate, readSignalTelemetryBatch, readSignalOutcomes } from "./telemetry.js";
+import { getConfidenceModel } from "./confidenceProfiles.js";
+
+/**
+ * Calibration Module - Overall Score vs Observed Outcomes
+ *
+ * Checks the confidence engine's `overall` score against reality: for every
+ * telemetered signal with an outcome (outcome:v1:{signalId}), a hit is a
+ * positive signed return at the horizon. Per confidence model version and
+ * profile (their `overall` scales differ) and per horizon, it fits
+ * - a reliability curve: overall in 10-point bins vs observed hit rate
+ * - an isotonic mapping overall -> probability of a hit (pool adjacent
+ *   violators over the bins, each block shrunk toward the base rate by
+ *   SHRINKAGE_WEIGHT pseudo-samples, then kept non-decreasing)
+ *
+ * Fits are stored at calibration:v1:{modelVersion}:{profile}. A horizon with
+ * fewer than MIN_CALIBRATION_SAMPLES outcomes has no mapping.
+ */
+
+export const CALIBRATION_HORIZONS = ['1', '3', '5'];
+export const DEFAULT_CALIBRATION_DAYS = 90; // Telemetry logs live 90 days
+export const MIN_CALIBRATION_SAMPLES = 30;
+
+const BIN_WIDTH = 10;
+const SHRINKAGE_WEIGHT = 5;
+const CALIBRATION_TTL_DAYS = 30;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Round to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get date N days before a given date
+ * @param {string} dateStr - Base date YYYY-MM-DD
+ * @param {number} daysBack - Days to go back
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateMinusDays(dateStr, daysBack) {
+  const d = new Date(dateStr);
+  d.setUTCDate(d.getUTCDate() - daysBack);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Build the KV key of a stored fit
+ * @param {number} modelVersion
+ * @param {string} profile
+ * @returns {string}
+ */
+function buildCalibrationKey(modelVersion, profile) {
+  return `calibration:v1:${modelVersion}:${profile}`;
+}
+
+/**
+ * Collect (overall, signed return) samples from telemetry and outcomes
+ * Only directional signals count, as in the signal summary.
+ * @param {object} params
+ * @param {object} params.kv - KV client
+ * @param {string} params.endDate - Last signal date, YYYY-MM-DD
+ * @param {number} params.days - Days back to read
+ * @returns {Promise<object>} - { ["{modelVersion}:{profile}"]: [{ overall, signedReturnPct: { [horizon]: number|null } }] }
+ */
+export async function collectCalibrationSamples({ kv, endDate, days }) {
+  const groups = {};
+  const seen = new Set();
+
+  for (let i = 0; i < days; i++) {
+    // A signal served again on a later day is indexed on both days
+    const signalIds = (await getSignalIdsForDate({ kv, dateStr: getDateMinusDays(endDate, i) }))
+      .filter(signalId => !seen.has(signalId));
+    signalIds.forEach(signalId => seen.add(signalId));
+
+    // The day's logs, then the outcomes of its directional ones, in one batch each
+    const logs = await readSignalTelemetryBatch({ kv, signalIds });
+    const directional = signalIds
+      .map((signalId, j) => ({ signalId, log: logs[j] }))
+      .filter(({ log }) => log && log.direction && log.direction !== 'NONE' && typeof log.overall === 'number');
+    const outcomes = await readSignalOutcomes({ kv, signalIds: directional.map(({ signalId }) => signalId) });
+
+    for (let j = 0; j < directional.length; j++) {
+      const { log } = directional[j];
+      const outcome = outcomes[j];
+      if (!outcome?.ok) continue;
+
+      // Logs from before profiles were scored with the version's default
+      const modelVersion = log.modelVersion ?? 1;
+      const profile = log.confidenceProfile || getConfidenceModel(modelVersion)?.defaultProfile || 'balanced';
+      const group = `${modelVersion}:${profile}`;
+      if (!groups[group]) groups[group] = [];
+      groups[group].push({ overall: log.overall, signedReturnPct: outcome.signedReturnPct || {} });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Bin samples by overall score
+ * @param {Array<{ overall: number, hit: boolean, signedReturnPct: number }>} points
+ * @returns {Array<object>} - [{ fromOverall, toOverall, n, hits, meanOverall, hitRate, avgSignedReturnPct }], ascending
+ */
+function binPoints(points) {
+  const bins = new Map();
+
+  for (const point of points) {
+    const from = Math.min(100 - BIN_WIDTH, Math.floor(point.overall / BIN_WIDTH) * BIN_WIDTH);
+    if (!bins.has(from)) bins.set(from, { fromOverall: from, toOverall: from + BIN_WIDTH, n: 0, hits: 0, sumOverall: 0, sumReturn: 0 });
+    const bin = bins.get(from);
+    bin.n++;
+    if (point.hit) bin.hits++;
+    bin.sumOverall += point.overall;
+    bin.sumReturn += point.signedReturnPct;
+  }
+
+  return [...bins.values()]
+    .sort((a, b) => a.fromOverall - b.fromOverall)
+    .map(bin => ({
+      fromOverall: bin.fromOverall,
+      toOverall: bin.toOverall,
+      n: bin.n,
+      hits: bin.hits,
+      meanOverall: Math.round((bin.sumOverall / bin.n) * 10) / 10,
+      hitRate: round2(bin.hits / bin.n),
+      avgSignedReturnPct: round2(bin.sumReturn / bin.n)
+    }));
+}
+
+/**
+ * Isotonic (non-decreasing) fit of hit rate over overall bins by pool
+ * adjacent violators, with each pooled block shrunk toward the base rate
+ * @param {Array<object>} bins - From binPoints, ascending
+ * @param {number} baseRate - Hit rate of all samples
+ * @returns {Array<object>} - [{ fromOverall, toOverall, n, probability }], ascending
+ */
+export function fitIsotonic(bins, baseRate) {
+  const blocks = [];
+
+  for (const bin of bins) {
+    blocks.push({ fromOverall: bin.fromOverall, toOverall: bin.toOverall, n: bin.n, hits: bin.hits });
+
+    // Pool while the previous block's rate is not below the last one's
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.hits / prev.n < last.hits / last.n) break;
+      blocks.splice(-2, 2, {
+        fromOverall: prev.fromOverall,
+        toOverall: last.toOverall,
+        n: prev.n + last.n,
+        hits: prev.hits + last.hits
+      });
+    }
+  }
+
+  // Shrinkage can reorder small blocks, so keep the result non-decreasing
+  let floor = 0;
+  return blocks.map(block => {
+    const shrunk = (block.hits + SHRINKAGE_WEIGHT * baseRate) / (block.n + SHRINKAGE_WEIGHT);
+    floor = Math.max(floor, shrunk);
+    return {
+      fromOverall: block.fromOverall,
+      toOverall: block.toOverall,
+      n: block.n,
+      probability: round2(floor)
+    };
+  });
+}
+
+/**
+ * Look up the calibrated probability for an overall score
+ * @param {Array<object>} mapping - From fitIsotonic
+ * @param {number} overall
+ * @returns {number|null}
+ */
+export function lookupProbability(mapping, overall) {
+  if (!mapping || mapping.length === 0 || typeof overall !== 'number') return null;
+
+  // Step function: the last block starting at or below the score
+  let match = mapping[0];
+  for (const block of mapping) {
+    if (block.fromOverall <= overall) match = block;
+  }
+  return match.probability;
+}
+
+/**
+ * Fit one horizon
+ * @param {Array<object>} samples - From collectCalibrationSamples
+ * @param {string} horizon - "1", "3" or "5"
+ * @returns {object} - { samples, baseRate, reliability, mapping, brierScore, brierBaseRate }
+ *   mapping is null below MIN_CALIBRATION_SAMPLES
+ */
+export function fitHorizon(samples, horizon) {
+  const points = samples
+    .filter(sample => typeof sample.signedReturnPct[horizon] === 'number')
+    .map(sample => ({
+      overall: sample.overall,
+      hit: sample.signedReturnPct[horizon] > 0,
+      signedReturnPct: sample.signedReturnPct[horizon]
+    }));
+
+  if (points.length === 0) {
+    return { samples: 0, baseRate: null, reliability: [], mapping: null, brierScore: null, brierBaseRate: null };
+  }
+
+  const baseRate = points.filter(point => point.hit).length / points.length;
+  const reliability = binPoints(points);
+
+  if (points.length < MIN_CALIBRATION_SAMPLES) {
+    return { samples: points.length, baseRate: round2(baseRate), reliability, mapping: null, brierScore: null, brierBaseRate: null };
+  }
+
+  const mapping = fitIsotonic(reliability, baseRate);
+
+  // In-sample Brier score of the mapping vs always predicting the base rate
+  const brier = predict => points.reduce((sum, point) => sum + (predict(point) - (point.hit ? 1 : 0)) ** 2, 0) / points.length;
+
+  return {
+    samples: points.length,
+    baseRate: round2(baseRate),
+    reliability: reliability.map(bin => ({ ...bin, probability: lookupProbability(mapping, bin.meanOverall) })),
+    mapping,
+    brierScore: Math.round(brier(point => lookupProbability(mapping, point.overall)) * 1000) / 1000,
+    brierBaseRate: Math.round(brier(() => baseRate) * 1000) / 1000
+  };
+}
+
+/**
+ * Fit and store calibration for every model version / profile with outcomes
+ * @param {object} params
+ * @param {object} params.kv - KV client
+ * @param {string} params.endDate - Last signal date, YYYY-MM-DD
+ * @param {number} [params.days] - Days back to read
+ * @returns {Promise<Array<object>>} - Stored fits
+ */
+export async function runCalibration({ kv, endDate, days = DEFAULT_CALIBRATION_DAYS }) {
+  const groups = await collectCalibrationSamples({ kv, endDate, days });
+  const fittedAt = new Date().toISOString();
+  const fits = [];
+
+  for (const [group, samples] of Object.entries(groups)) {
+    const [version, profile] = group.split(':');
+    const modelVersion = Number(version);
+    const fit = {
+      modelVersion,
+      profile,
+      fittedAt,
+      window: { endDate, days },
+      horizons: Object.fromEntries(CALIBRATION_HORIZONS.map(horizon => [horizon, fitHorizon(samples, horizon)]))
+    };
+
+    await kv.set(buildCalibrationKey(modelVersion, profile), fit, { ex: CALIBRATION_TTL_DAYS * SECONDS_PER_DAY });
+    fits.push(fit);
+  }
+
+  return fits;
+}
+
+/**
+ * Read a stored fit
+ * @param {object} params
+ * @param {object} params.kv - KV client
+ * @param {number} params.modelVersion
+ * @param {string} params.profile
+ * @returns {Promise<object|null>}
+ */
+export async function getCalibration({ kv, modelVersion, profile }) {
+  try {
+    return (await kv.get(buildCalibrationKey(modelVersion, profile))) || null;
+  } catch (error) {
+    console.warn('Calibration read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Calibrated probability of a positive return at a horizon
+ * @param {object|null} calibration - Stored fit
+ * @param {number} overall
+ * @param {string} [horizon]
+ * @returns {{ horizon: string, probability: number, samples: number, fittedAt: string }|null}
+ *   null when there is no fit or too few samples
+ */
+export function calibrateOverall(calibration, overall, horizon = '3') {
+  const fit = calibration?.horizons?.[horizon];
+  const probability = lookupProbability(fit?.mapping, overall);
+  if (probability === null) return null;
+
+  return { horizon, probability, samples: fit.samples, fittedAt: calibration.fittedAt };
+}
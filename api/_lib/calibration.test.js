@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { kv } = await import("./storage.js");
+const {
+  calibrateOverall,
+  collectCalibrationSamples,
+  fitHorizon,
+  fitIsotonic,
+  getCalibration,
+  lookupProbability,
+  runCalibration,
+  MIN_CALIBRATION_SAMPLES
+} = await import("./calibration.js");
+
+/**
+ * Bin shaped like binPoints output
+ * @param {number} fromOverall
+ * @param {number} n
+ * @param {number} hits
+ * @returns {object}
+ */
+function bin(fromOverall, n, hits) {
+  return { fromOverall, toOverall: fromOverall + 10, n, hits };
+}
+
+test("isotonic fit keeps ordered bins and shrinks them toward the base rate", () => {
+  const mapping = fitIsotonic([bin(30, 10, 2), bin(50, 10, 5), bin(70, 10, 8)], 0.5);
+  assert.deepEqual(mapping.map(block => block.probability), [0.3, 0.5, 0.7]);
+  assert.deepEqual(mapping.map(block => block.n), [10, 10, 10]);
+});
+
+test("isotonic fit pools adjacent violators", () => {
+  const mapping = fitIsotonic([bin(40, 10, 6), bin(50, 10, 4), bin(60, 10, 9)], 19 / 30);
+  assert.equal(mapping.length, 2);
+  assert.deepEqual(mapping[0], { fromOverall: 40, toOverall: 60, n: 20, probability: 0.53 });
+  assert.equal(mapping[1].fromOverall, 60);
+});
+
+test("isotonic fit stays non-decreasing when shrinkage reorders blocks", () => {
+  // One miss shrinks far up toward the base rate, past the larger block above it
+  const mapping = fitIsotonic([bin(20, 1, 0), bin(40, 100, 10), bin(60, 100, 90)], 100 / 201);
+  assert.deepEqual(mapping.map(block => block.probability), [0.41, 0.41, 0.88]);
+});
+
+test("lookup is a step function over the mapping", () => {
+  const mapping = [
+    { fromOverall: 30, toOverall: 50, n: 20, probability: 0.4 },
+    { fromOverall: 50, toOverall: 80, n: 20, probability: 0.6 }
+  ];
+  assert.equal(lookupProbability(mapping, 10), 0.4);
+  assert.equal(lookupProbability(mapping, 49), 0.4);
+  assert.equal(lookupProbability(mapping, 50), 0.6);
+  assert.equal(lookupProbability(mapping, 99), 0.6);
+  assert.equal(lookupProbability([], 50), null);
+  assert.equal(lookupProbability(mapping, null), null);
+});
+
+test("a horizon below the minimum sample count has no mapping", () => {
+  const samples = Array.from({ length: MIN_CALIBRATION_SAMPLES - 1 }, (_, i) => ({ overall: 50, signedReturnPct: { 3: i % 2 ? 1 : -1 } }));
+  const fit = fitHorizon(samples, "3");
+  assert.equal(fit.samples, MIN_CALIBRATION_SAMPLES - 1);
+  assert.equal(fit.mapping, null);
+  assert.equal(fit.reliability.length, 1);
+
+  assert.equal(fitHorizon(samples, "5").samples, 0);
+});
+
+test("a fitted horizon beats the base rate when scores carry signal", () => {
+  const samples = Array.from({ length: 60 }, (_, i) => {
+    const overall = 30 + (i % 6) * 10;
+    return { overall, signedReturnPct: { 3: i % 10 < overall / 10 - 2 ? 1 : -1 } };
+  });
+  const fit = fitHorizon(samples, "3");
+  assert.equal(fit.samples, 60);
+  assert.ok(fit.mapping.length > 1);
+  assert.ok(fit.brierScore < fit.brierBaseRate);
+
+  const probabilities = fit.mapping.map(block => block.probability);
+  assert.deepEqual(probabilities, [...probabilities].sort((a, b) => a - b));
+});
+
+test("runCalibration fits each version and profile from telemetry and outcomes", async () => {
+  const endDate = "2024-09-20";
+  const directions = ["LONG", "SHORT"];
+
+  for (let i = 0; i < 40; i++) {
+    const signalId = `1:evt-${i}:SPY`;
+    const date = i < 20 ? endDate : "2024-09-19";
+    await kv.set(`tslog:v1:${signalId}`, {
+      signalId,
+      modelVersion: 1,
+      overall: 40 + (i % 4) * 10,
+      direction: directions[i % 2]
+    });
+    await kv.zadd(`tsidx:v1:signals:${date}`, { score: i, member: signalId });
+    await kv.set(`outcome:v1:${signalId}`, { ok: true, signedReturnPct: { 1: null, 3: i % 3 ? 0.5 : -0.5, 5: 1 } });
+  }
+
+  // Served again the next day: indexed twice, counted once
+  await kv.zadd(`tsidx:v1:signals:${endDate}`, { score: 99, member: "1:evt-25:SPY" });
+
+  // Not directional, no outcome, or a failed outcome: skipped
+  await kv.set("tslog:v1:1:flat:SPY", { signalId: "1:flat:SPY", modelVersion: 1, overall: 50, direction: "NONE" });
+  await kv.set("outcome:v1:1:flat:SPY", { ok: true, signedReturnPct: { 3: 1 } });
+  await kv.set("tslog:v1:1:pending:SPY", { signalId: "1:pending:SPY", modelVersion: 1, overall: 50, direction: "LONG" });
+  await kv.set("tslog:v1:1:failed:SPY", { signalId: "1:failed:SPY", modelVersion: 1, overall: 50, direction: "LONG" });
+  await kv.set("outcome:v1:1:failed:SPY", { ok: false });
+  await kv.zadd(`tsidx:v1:signals:${endDate}`,
+    { score: 100, member: "1:flat:SPY" },
+    { score: 101, member: "1:pending:SPY" },
+    { score: 102, member: "1:failed:SPY" },
+    { score: 103, member: "1:missing:SPY" }
+  );
+
+  // A non-default profile is its own group
+  await kv.set("tslog:v1:1:evt-0:SPY:aggressive", { signalId: "1:evt-0:SPY:aggressive", modelVersion: 1, confidenceProfile: "aggressive", overall: 60, direction: "LONG" });
+  await kv.set("outcome:v1:1:evt-0:SPY:aggressive", { ok: true, signedReturnPct: { 3: 1 } });
+  await kv.zadd(`tsidx:v1:signals:${endDate}`, { score: 104, member: "1:evt-0:SPY:aggressive" });
+
+  const groups = await collectCalibrationSamples({ kv, endDate, days: 2 });
+  assert.deepEqual(Object.keys(groups).sort(), ["1:aggressive", "1:balanced"]);
+  assert.equal(groups["1:balanced"].length, 40);
+  assert.equal(groups["1:aggressive"].length, 1);
+
+  const fits = await runCalibration({ kv, endDate, days: 2 });
+  const balanced = fits.find(fit => fit.profile === "balanced");
+  assert.equal(balanced.horizons["3"].samples, 40);
+  assert.equal(balanced.horizons["1"].samples, 0);
+  assert.equal(fits.find(fit => fit.profile === "aggressive").horizons["3"].mapping, null);
+
+  const stored = await getCalibration({ kv, modelVersion: 1, profile: "balanced" });
+  assert.deepEqual(stored, balanced);
+
+  const calibrated = calibrateOverall(stored, 55);
+  assert.equal(calibrated.horizon, "3");
+  assert.equal(calibrated.samples, 40);
+  assert.equal(calibrated.probability, lookupProbability(balanced.horizons["3"].mapping, 55));
+  assert.equal(calibrateOverall(stored, 55, "1"), null);
+  assert.equal(calibrateOverall(null, 55), null);
+});
@@ -1,12 +1,46 @@
+import { resolveConfidenceModelVersion, resolveShadowConfidenceProfile, getConfidenceProfile } from "./confidenceProfiles.js";
+
 /**
  * Confidence Engine - Phase 3.3
  *
  * Computes component scores (0-100), overall confidence, grades, and notes
  * for trade signals. All scoring is deterministic and explainable.
+ *
+ * Notes and explain bullets are language-neutral messages ({ code, params });
+ * the UI renders each code through src/i18n/translations.js.
+ *
+ * Weights, grade cutoffs, AVOID/WAIT thresholds and sizing come from a
+ * confidence profile (see confidenceProfiles.js); functions that take a
+ * profile default to the current model version's default profile.
  */
 
-// Model version for cache key versioning
-export const CONFIDENCE_MODEL_VERSION = parseInt(process.env.CONFIDENCE_MODEL_VERSION || '1', 10);
+// Model version: selects the parameter set and versions cache keys
+export const CONFIDENCE_MODEL_VERSION = resolveConfidenceModelVersion(process.env.CONFIDENCE_MODEL_VERSION);
+
+// Challenger scored silently next to production (null when not configured)
+export const SHADOW_CONFIDENCE_PROFILE = resolveShadowConfidenceProfile(
+  process.env.CONFIDENCE_SHADOW_MODEL_VERSION,
+  process.env.CONFIDENCE_SHADOW_PROFILE,
+  CONFIDENCE_MODEL_VERSION
+);
+
+/**
+ * Default profile of the current model version
+ * @returns {object}
+ */
+function defaultProfile() {
+  return getConfidenceProfile(CONFIDENCE_MODEL_VERSION);
+}
+
+/**
+ * Build a note/explain message
+ * @param {string} code - Translation key
+ * @param {object} [params] - Values for the {placeholders} in the text
+ * @returns {{ code: string, params: object }}
+ */
+function message(code, params = {}) {
+  return { code, params };
+}
 
 /**
  * Clamp a value between 0 and 1
@@ -25,25 +59,29 @@ function clamp(value, min, max) {
 /**
  * Compute Echo Edge score (E) from echoContext stats
  * @param {object|null} echoContext - Echo context with stats
- * @returns {{ score: number, notes: string[], echoUsed: boolean }}
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }>, echoUsed: boolean }}
  */
 export function computeEchoEdge(echoContext) {
   const notes = [];
 
   if (!echoContext || !echoContext.stats) {
-    notes.push('Echo edge verisi mevcut değil');
+    notes.push(message('noteEchoUnavailable'));
     return { score: 50, notes, echoUsed: false };
   }
 
-  const { accuracy, correlation, avgEchoMove, sampleSize } = echoContext.stats;
+  const { accuracy, correlation, avgEchoMove, sampleSize, accuracyCI, correlationCI, likelyNoise, edgeVsRandom } = echoContext.stats;
 
   // Accuracy score: 0.5 -> 0, 0.8 -> 100
+  // Uses the Wilson lower bound when available so 7/8 is not scored as 88%
   // accuracy is stored as percentage (0-100), convert to decimal
-  const accDecimal = (accuracy ?? 50) / 100;
+  const accDecimal = (accuracyCI?.lower ?? accuracy ?? 50) / 100;
   const accScore = clamp01((accDecimal - 0.5) / 0.3) * 100;
 
   // Correlation score: abs(corr) / 0.6 * 100
-  const corrValue = correlation ?? 0;
+  // Uses the CI bound closest to zero (0 when the interval spans zero)
+  const corrValue = correlationCI
+    ? (correlationCI.lower > 0 ? correlationCI.lower : correlationCI.upper < 0 ? correlationCI.upper : 0)
+    : (correlation ?? 0);
   const corrScore = clamp01(Math.abs(corrValue) / 0.6) * 100;
 
   // Sample score: (sampleSize - 10) / 40 * 100
@@ -57,15 +95,23 @@ export function computeEchoEdge(echoContext) {
   // Weighted average: 0.45*acc + 0.25*corr + 0.2*sample + 0.1*move
   let score = 0.45 * accScore + 0.25 * corrScore + 0.2 * sampleScore + 0.1 * moveScore;
 
+  if (accuracyCI) {
+    notes.push(message('noteEchoAccuracyLowerBound', { lower: accuracyCI.lower, accuracy: accuracy ?? 'N/A' }));
+  }
+
+  if (likelyNoise) {
+    notes.push(message('noteEchoLikelyNoise', { p: edgeVsRandom?.pValue ?? 'N/A' }));
+  }
+
   // Apply penalties for small sample size
   if (sampleValue < 20 && sampleValue >= 10) {
     const penalty = 8;
     score = Math.max(0, score - penalty);
-    notes.push(`Echo örneklemi=${sampleValue} → -${penalty} ceza`);
+    notes.push(message('noteEchoSmallSample', { n: sampleValue, penalty }));
   } else if (sampleValue < 10) {
     const penalty = 15;
     score = Math.max(0, score - penalty);
-    notes.push(`Echo örneklemi=${sampleValue} (çok küçük) → -${penalty} ceza`);
+    notes.push(message('noteEchoTinySample', { n: sampleValue, penalty }));
   }
 
   return { score: Math.round(score), notes, echoUsed: true };
@@ -74,7 +120,7 @@ export function computeEchoEdge(echoContext) {
 /**
  * Compute Event Clarity score (C) from LLM output
  * @param {object} llmOutput - LLM response with ambiguity and hedged fields
- * @returns {{ score: number, notes: string[] }}
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }> }}
  */
 export function computeEventClarity(llmOutput) {
   const notes = [];
@@ -86,11 +132,11 @@ export function computeEventClarity(llmOutput) {
   if (hedged) {
     const penalty = 10;
     score = Math.max(0, score - penalty);
-    notes.push('LLM belirsiz dil kullandı → -10 ceza');
+    notes.push(message('noteHedgedLanguage', { penalty }));
   }
 
   if (ambiguity >= 0.6) {
-    notes.push('Olay analizinde yüksek belirsizlik tespit edildi');
+    notes.push(message('noteHighAmbiguity'));
   }
 
   return { score: Math.round(score), notes };
@@ -99,13 +145,13 @@ export function computeEventClarity(llmOutput) {
 /**
  * Compute Regime/Volatility score (R) from market stats
  * @param {object|null} marketStats - Market stats with atrPct
- * @returns {{ score: number, notes: string[], marketStatsUsed: boolean }}
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }>, marketStatsUsed: boolean }}
  */
 export function computeRegimeVol(marketStats) {
   const notes = [];
 
   if (!marketStats || marketStats.atrPct === undefined) {
-    notes.push('Piyasa istatistikleri mevcut değil');
+    notes.push(message('noteMarketStatsUnavailable'));
     return { score: 60, notes, marketStatsUsed: false };
   }
 
@@ -115,7 +161,7 @@ export function computeRegimeVol(marketStats) {
   const score = 100 - clamp01((atrPct - 2) / 6) * 100;
 
   if (atrPct >= 5) {
-    notes.push(`ATR% yüksek (${atrPct.toFixed(1)}%) → pozisyon küçültüldü`);
+    notes.push(message('noteHighAtr', { atrPct: atrPct.toFixed(1) }));
   }
 
   return { score: Math.round(score), notes, marketStatsUsed: true };
@@ -124,13 +170,13 @@ export function computeRegimeVol(marketStats) {
 /**
  * Compute Gap Risk score (G) from market stats
  * @param {object|null} marketStats - Market stats with gapPct
- * @returns {{ score: number, notes: string[] }}
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }> }}
  */
 export function computeGapRisk(marketStats) {
   const notes = [];
 
   if (!marketStats || marketStats.gapPct === undefined) {
-    notes.push('Gap verisi mevcut değil');
+    notes.push(message('noteGapUnavailable'));
     return { score: 65, notes };
   }
 
@@ -140,16 +186,63 @@ export function computeGapRisk(marketStats) {
   const score = 100 - clamp01((gapPct - 1) / 6) * 100;
 
   if (gapPct >= 3) {
-    notes.push(`Büyük gap tespit edildi (${gapPct.toFixed(1)}%) → risk arttı`);
+    notes.push(message('noteLargeGap', { gapPct: gapPct.toFixed(1) }));
   }
 
   return { score: Math.round(score), notes };
 }
 
+/**
+ * Compute Market Regime score (M) from the market-wide regime
+ * Scored for the trade's direction: an uptrend and risk-on breadth help a
+ * LONG and hurt a SHORT; high market volatility hurts both.
+ * @param {object|null} marketRegime - From getMarketRegime: { volPercentile, trend, breadth, riskState }
+ * @param {string} [direction] - 'LONG' | 'SHORT' | 'NONE'
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }>, marketRegimeUsed: boolean }}
+ */
+export function computeMarketRegime(marketRegime, direction) {
+  const notes = [];
+
+  if (!marketRegime) {
+    notes.push(message('noteMarketRegimeUnavailable'));
+    return { score: 60, notes, marketRegimeUsed: false };
+  }
+
+  const { volPercentile, trend, breadth, riskState } = marketRegime;
+  const isShort = direction === 'SHORT';
+
+  // Volatility: 0th percentile => 100, 100th => 0 (60 when unknown)
+  const volScore = volPercentile === null || volPercentile === undefined ? 60 : 100 - volPercentile;
+
+  // Trend: with the trade 100, mixed 60, against 20
+  const trendWith = isShort ? 'downtrend' : 'uptrend';
+  const trendAgainst = isShort ? 'uptrend' : 'downtrend';
+  const trendScore = trend === trendWith ? 100 : trend === trendAgainst ? 20 : 60;
+
+  // Breadth: share of risk-on readings, flipped for shorts
+  const riskScore = breadth === null || breadth === undefined ? 60 : (isShort ? 1 - breadth : breadth) * 100;
+
+  const score = 0.4 * volScore + 0.3 * trendScore + 0.3 * riskScore;
+
+  if (volPercentile !== null && volPercentile !== undefined && volPercentile >= 80) {
+    notes.push(message('noteMarketHighVol', { percentile: volPercentile }));
+  }
+
+  if (trend === trendAgainst) {
+    notes.push(message(isShort ? 'noteMarketUptrendAgainstShort' : 'noteMarketDowntrendAgainstLong'));
+  }
+
+  if (riskState === (isShort ? 'risk_on' : 'risk_off')) {
+    notes.push(message(isShort ? 'noteMarketRiskOnAgainstShort' : 'noteMarketRiskOffAgainstLong'));
+  }
+
+  return { score: Math.round(score), notes, marketRegimeUsed: true };
+}
+
 /**
  * Compute Freshness score (F) from event metadata
  * @param {object} event - Event object with publishedAt and analysis
- * @returns {{ score: number, notes: string[] }}
+ * @returns {{ score: number, notes: Array<{ code: string, params: object }> }}
  */
 export function computeFreshness(event) {
   const notes = [];
@@ -175,45 +268,53 @@ export function computeFreshness(event) {
     if (hoursSincePublished > 24) {
       const penalty = Math.min(20, Math.floor((hoursSincePublished - 24) / 12) * 5);
       score = Math.max(30, score - penalty);
-      notes.push(`Haber ${Math.round(hoursSincePublished)} saat eski → -${penalty} tazelik cezası`);
+      notes.push(message('noteStaleNews', { hours: Math.round(hoursSincePublished), penalty }));
     }
   }
 
   return { score: Math.round(score), notes };
 }
 
+/**
+ * Whether a profile gives the market regime component (M) any weight
+ * @param {object} profile - Confidence profile
+ * @returns {boolean}
+ */
+export function weighsMarketRegime(profile) {
+  return (profile.weights.withEcho.M ?? 0) > 0 || (profile.weights.withoutEcho.M ?? 0) > 0;
+}
+
 /**
  * Compute overall confidence score and grade
- * @param {object} components - { echoEdge, eventClarity, regimeVol, gapRisk, freshness }
+ * Profiles without a market regime weight (M) ignore that component.
+ * @param {object} components - { echoEdge, eventClarity, regimeVol, gapRisk, freshness, marketRegime }
  * @param {boolean} echoUsed - Whether echo context was available
+ * @param {object} [profile] - Confidence profile
  * @returns {{ overall: number, grade: string }}
  */
-export function computeOverallConfidence(components, echoUsed) {
-  const { echoEdge, eventClarity, regimeVol, gapRisk, freshness } = components;
+export function computeOverallConfidence(components, echoUsed, profile = defaultProfile()) {
+  const { echoEdge, eventClarity, regimeVol, gapRisk, freshness, marketRegime } = components;
 
   // Weights depend on whether echoContext exists
-  let weights;
-  if (echoUsed) {
-    weights = { E: 0.40, C: 0.20, R: 0.15, G: 0.15, F: 0.10 };
-  } else {
-    weights = { E: 0.15, C: 0.30, R: 0.20, G: 0.20, F: 0.15 };
-  }
+  const weights = echoUsed ? profile.weights.withEcho : profile.weights.withoutEcho;
 
   const overall = Math.round(
     weights.E * echoEdge +
     weights.C * eventClarity +
     weights.R * regimeVol +
     weights.G * gapRisk +
-    weights.F * freshness
+    weights.F * freshness +
+    (weights.M ?? 0) * (marketRegime ?? 0)
   );
 
   // Determine grade
+  const cutoffs = profile.grades;
   let grade;
-  if (overall >= 85) {
+  if (overall >= cutoffs.A) {
     grade = 'A';
-  } else if (overall >= 70) {
+  } else if (overall >= cutoffs.B) {
     grade = 'B';
-  } else if (overall >= 55) {
+  } else if (overall >= cutoffs.C) {
     grade = 'C';
   } else {
     grade = 'D';
@@ -224,18 +325,19 @@ export function computeOverallConfidence(components, echoUsed) {
 
 /**
  * Evaluate AVOID/WAIT rules based on components and context
- * @param {object} params - { components, overall, echoContext, llmOutput, marketStats }
- * @returns {{ signal: string, avoidCode: string|null, explain: string[] }}
+ * @param {object} params - { components, overall, echoContext, llmOutput, marketStats, profile }
+ * @returns {{ signal: string, avoidCode: string|null, explain: Array<{ code: string, params: object }> }}
  */
 export function evaluateSignalRules(params) {
-  const { components, overall, echoContext, llmOutput, marketStats } = params;
+  const { components, overall, echoContext, llmOutput, marketStats, profile = defaultProfile() } = params;
+  const rules = profile.rules;
   const explain = [];
   let avoidCode = null;
 
   // Rule 1: Overall score too low
-  if (overall < 55) {
-    explain.push(`Genel güven (${overall}%) eşik altında`);
-    explain.push('Birden fazla zayıf bileşen puanı');
+  if (overall < rules.minOverall) {
+    explain.push(message('explainLowConfidence', { overall }));
+    explain.push(message('explainWeakComponents'));
     avoidCode = 'AVOID_LOW_CONFIDENCE';
     return { signal: 'AVOID', avoidCode, explain };
   }
@@ -245,16 +347,16 @@ export function evaluateSignalRules(params) {
     const { sampleSize, accuracy } = echoContext.stats;
     const accDecimal = (accuracy ?? 0) / 100;
 
-    if (sampleSize && sampleSize < 10) {
-      explain.push(`Echo örneklem sayısı çok düşük (n=${sampleSize})`);
-      explain.push('Güvenilir sinyal için yetersiz tarihsel veri');
+    if (sampleSize && sampleSize < rules.minEchoSample) {
+      explain.push(message('explainEchoSampleTooSmall', { n: sampleSize }));
+      explain.push(message('explainInsufficientHistory'));
       avoidCode = 'AVOID_NO_EDGE';
       return { signal: 'AVOID', avoidCode, explain };
     }
 
-    if (accDecimal < 0.55) {
-      explain.push(`Echo doğruluğu çok düşük (${accuracy}%)`);
-      explain.push('Tarihsel örüntü güvenilir değil');
+    if (accDecimal < rules.minEchoAccuracy) {
+      explain.push(message('explainEchoAccuracyLow', { accuracy }));
+      explain.push(message('explainPatternUnreliable'));
       avoidCode = 'AVOID_NO_EDGE';
       return { signal: 'AVOID', avoidCode, explain };
     }
@@ -270,10 +372,10 @@ export function evaluateSignalRules(params) {
       const echoEdge = components.echoEdge;
       const eventClarity = components.eventClarity;
 
-      if (echoEdge > 75 && eventClarity > 75) {
-        explain.push('Echo örüntüsü olay analiziyle çelişiyor');
-        explain.push(`Echo ${echoDirection}, analiz ${llmDirection} öneriyor`);
-        explain.push('Her iki tarafta güçlü kanaat - pozisyon kaçınılmalı');
+      if (echoEdge > rules.conflictEchoEdge && eventClarity > rules.conflictClarity) {
+        explain.push(message('explainEchoConflict'));
+        explain.push(message('explainConflictDirections', { echo: echoDirection, llm: llmDirection }));
+        explain.push(message('explainStrongConviction'));
         avoidCode = 'AVOID_CONFLICT';
         return { signal: 'AVOID', avoidCode, explain };
       }
@@ -281,39 +383,39 @@ export function evaluateSignalRules(params) {
   }
 
   // Rule 4: High volatility
-  if (components.regimeVol < 35) {
-    explain.push(`Volatilite çok yüksek (rejim puanı: ${components.regimeVol})`);
-    explain.push('Piyasa koşulları pozisyon için uygun değil');
+  if (components.regimeVol < rules.minRegimeVol) {
+    explain.push(message('explainTooVolatile', { score: components.regimeVol }));
+    explain.push(message('explainMarketUnsuitable'));
     avoidCode = 'AVOID_TOO_VOLATILE';
     return { signal: 'AVOID', avoidCode, explain };
   }
 
   // Rule 5: High gap risk
-  if (components.gapRisk < 35) {
-    explain.push(`Gap riski çok yüksek (puan: ${components.gapRisk})`);
-    explain.push('Son fiyat gapleri aşırı gece riski gösteriyor');
+  if (components.gapRisk < rules.minGapRisk) {
+    explain.push(message('explainGapRiskHigh', { score: components.gapRisk }));
+    explain.push(message('explainOvernightRisk'));
     avoidCode = 'AVOID_GAP_RISK';
     return { signal: 'AVOID', avoidCode, explain };
   }
 
   // WAIT rules
   // Rule 6: Marginal confidence with wait level available
-  if (overall >= 55 && overall < 70) {
+  if (overall >= rules.minOverall && overall < rules.waitBelowOverall) {
     const entryType = llmOutput?.entry?.type;
     const entryLevel = llmOutput?.entry?.level;
 
     if (entryType === 'wait' || (entryLevel && entryLevel > 0)) {
-      explain.push(`Marjinal güven (${overall}%) - daha iyi giriş bekle`);
-      explain.push(`Hedef giriş seviyesi: ${entryLevel || 'geri çekilme'}`);
+      explain.push(message('explainMarginalConfidence', { overall }));
+      explain.push(entryLevel ? message('explainTargetEntryLevel', { level: entryLevel }) : message('explainTargetEntryPullback'));
       avoidCode = 'WAIT_FOR_LEVEL';
       return { signal: 'WAIT', avoidCode, explain };
     }
   }
 
   // Rule 7: Poor gap risk but strong thesis
-  if (components.gapRisk < 50 && components.eventClarity > 70) {
-    explain.push('Güçlü tez ama yüksek gap riski');
-    explain.push('Giriş için fiyatın dengelenmesini bekle');
+  if (components.gapRisk < rules.waitGapRisk && components.eventClarity > rules.waitClarity) {
+    explain.push(message('explainStrongThesisGapRisk'));
+    explain.push(message('explainWaitForStability'));
     avoidCode = 'WAIT_FOR_LEVEL';
     return { signal: 'WAIT', avoidCode, explain };
   }
@@ -324,19 +426,19 @@ export function evaluateSignalRules(params) {
 
 /**
  * Compute position sizing hint
- * @param {object} params - { overall, grade, llmOutput, marketStats }
+ * @param {object} params - { overall, grade, llmOutput, marketStats, signal, profile }
  * @returns {object} sizingHint
  */
 export function computeSizingHint(params) {
-  const { overall, grade, llmOutput, marketStats, signal } = params;
+  const { overall, grade, llmOutput, marketStats, signal, profile = defaultProfile() } = params;
   const notes = [];
 
   // Risk per trade based on grade
-  const riskByGrade = { A: 1.0, B: 0.5, C: 0.25, D: 0 };
+  const riskByGrade = profile.sizing.riskByGrade;
   let riskPerTradePct = riskByGrade[grade] ?? 0.25;
 
   // Max position (retail safe)
-  const maxPositionPct = 15;
+  const maxPositionPct = profile.sizing.maxPositionPct;
 
   // Compute stop distance
   let stopDistancePct = null;
@@ -352,13 +454,13 @@ export function computeSizingHint(params) {
   // Fallback to ATR%
   if (!stopDistancePct && marketStats?.atrPct) {
     stopDistancePct = marketStats.atrPct * 1.0; // 1x ATR as stop
-    notes.push('Stop mesafesi ATR bazlı');
+    notes.push(message('noteStopFromAtr'));
   }
 
   // Default fallback
   if (!stopDistancePct) {
     stopDistancePct = 3.0; // Conservative default
-    notes.push('Stop mesafesi varsayılan (fiyat seviyesi yok)');
+    notes.push(message('noteStopDefault'));
   }
 
   // Compute suggested position size
@@ -371,7 +473,7 @@ export function computeSizingHint(params) {
     suggestedPositionPct = clamp((riskPerTradePct / stopDistancePct) * 10, 1, maxPositionPct);
   } else {
     suggestedPositionPct = 3; // Default conservative size
-    notes.push('Pozisyon büyüklüğü varsayılan');
+    notes.push(message('notePositionDefault'));
   }
 
   return {
@@ -384,39 +486,18 @@ export function computeSizingHint(params) {
 }
 
 /**
- * Main function to build full confidence breakdown
- * @param {object} params - { event, echoContext, llmOutput, marketStats }
- * @returns {object} Full confidence object with components, overall, grade, notes, sizing, signal
+ * Turn component scores into the final signal: overall and grade, AVOID/WAIT
+ * rules, the model direction when no rule fires, and sizing. Shared by
+ * buildConfidenceBreakdown and the telemetry replay, which rescores stored
+ * components under another profile.
+ * @param {object} params - { components, echoUsed, echoContext, llmOutput, marketStats, profile }
+ * @returns {{ signal: string, overall: number, grade: string, avoidCode: string|null, explain: Array<{ code: string, params: object }>, sizingHint: object }}
  */
-export function buildConfidenceBreakdown(params) {
-  const { event, echoContext, llmOutput, marketStats } = params;
-
-  // Compute all component scores
-  const echoResult = computeEchoEdge(echoContext);
-  const clarityResult = computeEventClarity(llmOutput);
-  const regimeResult = computeRegimeVol(marketStats);
-  const gapResult = computeGapRisk(marketStats);
-  const freshnessResult = computeFreshness(event);
-
-  const components = {
-    echoEdge: echoResult.score,
-    eventClarity: clarityResult.score,
-    regimeVol: regimeResult.score,
-    gapRisk: gapResult.score,
-    freshness: freshnessResult.score
-  };
-
-  // Collect all notes
-  const notes = [
-    ...echoResult.notes,
-    ...clarityResult.notes,
-    ...regimeResult.notes,
-    ...gapResult.notes,
-    ...freshnessResult.notes
-  ];
+export function decideSignal(params) {
+  const { components, echoUsed, echoContext, llmOutput, marketStats, profile = defaultProfile() } = params;
 
   // Compute overall and grade
-  const { overall, grade } = computeOverallConfidence(components, echoResult.echoUsed);
+  const { overall, grade } = computeOverallConfidence(components, echoUsed, profile);
 
   // Evaluate signal rules (AVOID/WAIT)
   const signalRules = evaluateSignalRules({
@@ -424,7 +505,8 @@ export function buildConfidenceBreakdown(params) {
     overall,
     echoContext,
     llmOutput,
-    marketStats
+    marketStats,
+    profile
   });
 
   // Determine final signal
@@ -438,7 +520,7 @@ export function buildConfidenceBreakdown(params) {
       finalSignal = 'SELL';
     } else {
       finalSignal = 'AVOID';
-      signalRules.explain.push('LLM NONE yönü döndürdü');
+      signalRules.explain.push(message('explainNoDirection'));
       signalRules.avoidCode = 'AVOID_NO_DIRECTION';
     }
   }
@@ -449,8 +531,71 @@ export function buildConfidenceBreakdown(params) {
     grade,
     llmOutput,
     marketStats,
-    signal: finalSignal
+    signal: finalSignal,
+    profile
+  });
+
+  return {
+    signal: finalSignal,
+    overall,
+    grade,
+    avoidCode: signalRules.avoidCode,
+    explain: signalRules.explain,
+    sizingHint
+  };
+}
+
+/**
+ * Main function to build full confidence breakdown
+ * @param {object} params - { event, echoContext, llmOutput, marketStats, marketRegime, profile }
+ *   marketRegime is the market-wide regime (getMarketRegime), profile
+ *   defaults to the model version's default profile
+ * @returns {object} Full confidence object with components, overall, grade, notes, sizing, signal
+ */
+export function buildConfidenceBreakdown(params) {
+  const { event, echoContext, llmOutput, marketStats, marketRegime, profile = defaultProfile() } = params;
+
+  // Compute all component scores
+  const echoResult = computeEchoEdge(echoContext);
+  const clarityResult = computeEventClarity(llmOutput);
+  const regimeResult = computeRegimeVol(marketStats);
+  const gapResult = computeGapRisk(marketStats);
+  const freshnessResult = computeFreshness(event);
+  const marketRegimeResult = computeMarketRegime(marketRegime, llmOutput?.direction);
+
+  const components = {
+    echoEdge: echoResult.score,
+    eventClarity: clarityResult.score,
+    regimeVol: regimeResult.score,
+    gapRisk: gapResult.score,
+    freshness: freshnessResult.score,
+    marketRegime: marketRegimeResult.score
+  };
+
+  // A market regime the profile gives no weight (v1) did not move the score, so it gets no notes
+  const weights = echoResult.echoUsed ? profile.weights.withEcho : profile.weights.withoutEcho;
+  const marketRegimeWeighted = (weights.M ?? 0) > 0;
+
+  // Collect all notes
+  const notes = [
+    ...echoResult.notes,
+    ...clarityResult.notes,
+    ...regimeResult.notes,
+    ...gapResult.notes,
+    ...freshnessResult.notes,
+    ...(marketRegimeWeighted ? marketRegimeResult.notes : [])
+  ];
+
+  // Overall, grade, AVOID/WAIT rules, final signal and sizing
+  const decision = decideSignal({
+    components,
+    echoUsed: echoResult.echoUsed,
+    echoContext,
+    llmOutput,
+    marketStats,
+    profile
   });
+  const { overall, grade, sizingHint } = decision;
 
   // Add sizing notes to main notes
   if (sizingHint.notes.length > 0) {
@@ -458,7 +603,7 @@ export function buildConfidenceBreakdown(params) {
   }
 
   return {
-    signal: finalSignal,
+    signal: decision.signal,
     confidence: {
       overall,
       grade,
@@ -471,12 +616,14 @@ export function buildConfidenceBreakdown(params) {
       stopDistancePct: sizingHint.stopDistancePct,
       caps: sizingHint.caps
     },
-    explain: signalRules.explain,
+    explain: decision.explain,
     meta: {
-      modelVersion: CONFIDENCE_MODEL_VERSION,
+      modelVersion: profile.modelVersion,
+      profile: profile.name,
       echoUsed: echoResult.echoUsed,
       marketStatsUsed: regimeResult.marketStatsUsed,
-      avoidCode: signalRules.avoidCode
+      marketRegimeUsed: marketRegimeResult.marketRegimeUsed,
+      avoidCode: decision.avoidCode
     }
   };
 }
@@ -0,0 +1,249 @@
+// Static ES import ensures Vercel bundler includes the JSON file
+import confidenceProfilesData from '../../src/data/confidence-profiles.json' with { type: 'json' };
+import { validateModelOutput, formatValidationErrors } from './modelOutput.js';
+
+/**
+ * Confidence Profiles Module
+ *
+ * The confidence engine's parameters (component weights, grade cutoffs,
+ * AVOID/WAIT thresholds and sizing) live in src/data/confidence-profiles.json
+ * as named profiles (conservative, balanced, aggressive), grouped by
+ * confidence model version. The file's `productionVersion` is the version in
+ * production, CONFIDENCE_MODEL_VERSION overrides it; a version number always
+ * means one concrete parameter set. Like prompts, a version is never edited
+ * in place, a change is a new version, and adding one does not promote it.
+ *
+ * Profiles are validated when the module loads. An invalid profile is left
+ * out with a warning; a version without a valid default profile is left out
+ * entirely.
+ */
+
+const WEIGHTS_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    E: { type: 'number', required: true, min: 0, max: 1 },
+    C: { type: 'number', required: true, min: 0, max: 1 },
+    R: { type: 'number', required: true, min: 0, max: 1 },
+    G: { type: 'number', required: true, min: 0, max: 1 },
+    F: { type: 'number', required: true, min: 0, max: 1 },
+    M: { type: 'number', min: 0, max: 1 } // Market regime; versions before it leave it out
+  }
+};
+
+const SCORE = { type: 'number', required: true, min: 0, max: 100 };
+const RISK_PCT = { type: 'number', required: true, min: 0, max: 5 };
+
+/**
+ * Schema of one profile (see modelOutput.js for the node format)
+ */
+export const CONFIDENCE_PROFILE_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    description: { type: 'string' },
+    weights: {
+      type: 'object',
+      required: true,
+      fields: { withEcho: WEIGHTS_SCHEMA, withoutEcho: WEIGHTS_SCHEMA }
+    },
+    grades: {
+      type: 'object',
+      required: true,
+      fields: { A: SCORE, B: SCORE, C: SCORE }
+    },
+    rules: {
+      type: 'object',
+      required: true,
+      fields: {
+        minOverall: SCORE,          // AVOID_LOW_CONFIDENCE below this overall
+        minEchoSample: { type: 'number', required: true, min: 0, max: 1000 }, // AVOID_NO_EDGE below this echo sample
+        minEchoAccuracy: { type: 'number', required: true, min: 0, max: 1 },  // AVOID_NO_EDGE below this echo accuracy
+        conflictEchoEdge: SCORE,    // AVOID_CONFLICT when echo and model disagree above both of these
+        conflictClarity: SCORE,
+        minRegimeVol: SCORE,        // AVOID_TOO_VOLATILE below this
+        minGapRisk: SCORE,          // AVOID_GAP_RISK below this
+        waitBelowOverall: SCORE,    // WAIT_FOR_LEVEL below this overall when an entry level or wait is given
+        waitGapRisk: SCORE,         // WAIT_FOR_LEVEL below this gap score...
+        waitClarity: SCORE          // ...when clarity is above this
+      }
+    },
+    sizing: {
+      type: 'object',
+      required: true,
+      fields: {
+        riskByGrade: {
+          type: 'object',
+          required: true,
+          fields: { A: RISK_PCT, B: RISK_PCT, C: RISK_PCT, D: RISK_PCT }
+        },
+        maxPositionPct: { type: 'number', required: true, min: 1, max: 100 }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a profile: schema, then weights summing to 1 and descending grade cutoffs
+ * @param {object} profile - Raw profile entry
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function validateConfidenceProfile(profile) {
+  const errors = validateModelOutput(CONFIDENCE_PROFILE_SCHEMA, profile);
+  if (errors.length > 0) return errors;
+
+  for (const key of ['withEcho', 'withoutEcho']) {
+    const sum = Object.values(profile.weights[key]).reduce((total, weight) => total + weight, 0);
+    if (Math.abs(sum - 1) > 0.001) {
+      errors.push({ path: `weights.${key}`, message: `must sum to 1 (got ${Math.round(sum * 1000) / 1000})` });
+    }
+  }
+
+  const { A, B, C } = profile.grades;
+  if (!(A > B && B > C)) {
+    errors.push({ path: 'grades', message: `cutoffs must descend A > B > C (got ${A}/${B}/${C})` });
+  }
+
+  if (profile.rules.waitBelowOverall < profile.rules.minOverall) {
+    errors.push({ path: 'rules.waitBelowOverall', message: 'must not be below rules.minOverall' });
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a registry version entry, keeping only valid profiles
+ * @param {string} version
+ * @param {object} entry - Raw { description, defaultProfile, profiles }
+ * @returns {object|null} - { version, description, defaultProfile, profiles }, or null without a valid default
+ */
+function resolveModelVersion(version, entry) {
+  const profiles = {};
+
+  for (const [name, profile] of Object.entries(entry.profiles || {})) {
+    const errors = validateConfidenceProfile(profile);
+    if (errors.length > 0) {
+      console.warn(`Ignoring confidence profile ${name} (model v${version}): ${formatValidationErrors(errors)}`);
+      continue;
+    }
+    profiles[name] = {
+      name,
+      modelVersion: Number(version),
+      description: profile.description || '',
+      weights: profile.weights,
+      grades: profile.grades,
+      rules: profile.rules,
+      sizing: profile.sizing
+    };
+  }
+
+  if (!profiles[entry.defaultProfile]) {
+    console.warn(`Ignoring confidence model v${version}: default profile "${entry.defaultProfile}" is missing or invalid`);
+    return null;
+  }
+
+  return {
+    version: Number(version),
+    description: entry.description || '',
+    defaultProfile: entry.defaultProfile,
+    profiles
+  };
+}
+
+// Validated versions, built once per cold start
+const MODEL_VERSIONS = new Map(
+  Object.entries(confidenceProfilesData.modelVersions || {})
+    .map(([version, entry]) => [Number(version), resolveModelVersion(version, entry)])
+    .filter(([, model]) => model)
+);
+
+/**
+ * Version the registry names as production
+ * @returns {number}
+ */
+function getRegistryProductionVersion() {
+  const version = Number(confidenceProfilesData.productionVersion);
+  if (!MODEL_VERSIONS.has(version)) {
+    throw new Error(`Confidence productionVersion "${confidenceProfilesData.productionVersion}" is not a valid version in src/data/confidence-profiles.json`);
+  }
+  return version;
+}
+
+/**
+ * Pick the confidence model version from an env value, falling back to the
+ * registry's production version when it is unset or not registered
+ * @param {string|undefined} value - e.g. process.env.CONFIDENCE_MODEL_VERSION
+ * @returns {number}
+ */
+export function resolveConfidenceModelVersion(value) {
+  const production = getRegistryProductionVersion();
+
+  if (value === undefined || value === '') return production;
+
+  const version = parseInt(value, 10);
+  if (!MODEL_VERSIONS.has(version)) {
+    console.warn(`Ignoring CONFIDENCE_MODEL_VERSION="${value}": not a registered version (${[...MODEL_VERSIONS.keys()].join(', ')})`);
+    return production;
+  }
+  return version;
+}
+
+/**
+ * Pick the shadow (challenger) profile from env values
+ * The challenger must be another registered version than production, so its
+ * signalIds and telemetry never collide with production's.
+ * @param {string|undefined} versionValue - e.g. process.env.CONFIDENCE_SHADOW_MODEL_VERSION
+ * @param {string|undefined} profileValue - e.g. process.env.CONFIDENCE_SHADOW_PROFILE; the version's default when unset
+ * @param {number} productionVersion
+ * @returns {object|null} - Profile, or null when unset or invalid
+ */
+export function resolveShadowConfidenceProfile(versionValue, profileValue, productionVersion) {
+  if (versionValue === undefined || versionValue === '') return null;
+
+  const version = parseInt(versionValue, 10);
+  if (!MODEL_VERSIONS.has(version)) {
+    console.warn(`Ignoring CONFIDENCE_SHADOW_MODEL_VERSION="${versionValue}": not a registered version (${[...MODEL_VERSIONS.keys()].join(', ')})`);
+    return null;
+  }
+  if (version === productionVersion) {
+    console.warn(`Ignoring CONFIDENCE_SHADOW_MODEL_VERSION="${versionValue}": same as the production version`);
+    return null;
+  }
+
+  const profile = getConfidenceProfile(version, profileValue || undefined);
+  if (!profile) {
+    console.warn(`Ignoring CONFIDENCE_SHADOW_PROFILE="${profileValue}": not a v${version} profile (${listConfidenceProfiles(version).join(', ')})`);
+    return null;
+  }
+  return profile;
+}
+
+/**
+ * Get a confidence model version
+ * @param {number} version
+ * @returns {object|null} - { version, description, defaultProfile, profiles: { [name]: profile } }
+ */
+export function getConfidenceModel(version) {
+  return MODEL_VERSIONS.get(Number(version)) || null;
+}
+
+/**
+ * Get a profile of a confidence model version
+ * @param {number} version
+ * @param {string} [name] - Profile name; the version's default when omitted
+ * @returns {object|null} - { name, modelVersion, description, weights, grades, rules, sizing }
+ */
+export function getConfidenceProfile(version, name) {
+  const model = getConfidenceModel(version);
+  if (!model) return null;
+  return model.profiles[name || model.defaultProfile] || null;
+}
+
+/**
+ * Profile names of a confidence model version
+ * @param {number} version
+ * @returns {Array<string>}
+ */
+export function listConfidenceProfiles(version) {
+  return Object.keys(getConfidenceModel(version)?.profiles || {});
+}
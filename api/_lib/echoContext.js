@@ -1,17 +1,30 @@
 // Static ES import ensures Vercel bundler includes the JSON file
 import patternHistoryData from '../_data/pattern-history.json' with { type: 'json' };
+import { getRegisteredPairs, getRegisteredBaskets } from './pairRegistry.js';
 
 /**
- * Canonical pairs with their constituent tickers
+ * Canonical pairs with their constituent tickers, built from the pair registry
  * Each pair has a trigger and echo ticker
  */
-export const CANONICAL_PAIRS = {
-  AMD_NVDA: { tickers: ['AMD', 'NVDA'], trigger: 'AMD', echo: 'NVDA' },
-  JPM_BAC: { tickers: ['JPM', 'BAC'], trigger: 'JPM', echo: 'BAC' },
-  TSLA_F: { tickers: ['TSLA', 'F'], trigger: 'TSLA', echo: 'F' },
-  AAPL_MSFT: { tickers: ['AAPL', 'MSFT'], trigger: 'AAPL', echo: 'MSFT' },
-  XOM_CVX: { tickers: ['XOM', 'CVX'], trigger: 'XOM', echo: 'CVX' }
-};
+export const CANONICAL_PAIRS = Object.fromEntries(
+  getRegisteredPairs().map(pair => [
+    pair.id,
+    { tickers: pair.tickers, trigger: pair.trigger, echo: pair.echo, sector: pair.sector }
+  ])
+);
+
+/**
+ * Canonical basket patterns (one trigger → several echo legs) from the pair registry
+ */
+export const CANONICAL_BASKETS = Object.fromEntries(
+  getRegisteredBaskets().map(basket => [
+    basket.id,
+    { tickers: basket.tickers, trigger: basket.trigger, echoes: basket.echoes, sector: basket.sector }
+  ])
+);
+
+// Minimum abnormal-return samples before they replace the raw price stats
+const MIN_ABNORMAL_SAMPLE = 4;
 
 /**
  * Load pattern history data
@@ -48,6 +61,28 @@ export function extractEventTickers(event) {
   return tickers;
 }
 
+/**
+ * Pick the price stats to score with: market-adjusted (abnormal) stats when the
+ * pattern history has enough of them, otherwise the raw stats
+ * @param {object} priceStats - Raw price echo stats
+ * @param {object|null} marketAdjusted - { horizon, market, sector, raw, abnormal } from pattern history
+ * @returns {object} - Stats with a `basis` of "abnormal" or "raw"
+ */
+export function resolvePriceStats(priceStats, marketAdjusted) {
+  const abnormal = marketAdjusted?.abnormal;
+
+  if ((abnormal?.sampleSize ?? 0) >= MIN_ABNORMAL_SAMPLE) {
+    // Abnormal horizon stats carry their own CIs and permutation test
+    return {
+      ...priceStats,
+      ...abnormal,
+      basis: 'abnormal'
+    };
+  }
+
+  return { ...priceStats, basis: 'raw' };
+}
+
 /**
  * Find matching canonical pair from event tickers
  * @param {Set<string>} eventTickers - Set of tickers from the event
@@ -63,7 +98,8 @@ export function findMatchingPair(eventTickers, patternHistory) {
 
     if (hasMatch && patternHistory[pairId]) {
       const pairData = patternHistory[pairId];
-      const priceStats = pairData.priceEcho?.stats || {};
+      const marketAdjusted = pairData.priceEcho?.marketAdjusted || null;
+      const priceStats = resolvePriceStats(pairData.priceEcho?.stats || {}, marketAdjusted);
       const fundamentalStats = pairData.fundamentalEcho?.stats || {};
 
       matches.push({
@@ -72,6 +108,7 @@ export function findMatchingPair(eventTickers, patternHistory) {
         echo: pairConfig.echo,
         priceStats,
         fundamentalStats,
+        marketAdjusted,
         // For sorting: use accuracy first, then sampleSize
         accuracy: priceStats.accuracy ?? 0,
         sampleSize: priceStats.sampleSize ?? 0
@@ -94,6 +131,59 @@ export function findMatchingPair(eventTickers, patternHistory) {
   return matches[0];
 }
 
+/**
+ * Find matching basket pattern from event tickers
+ * @param {Set<string>} eventTickers - Set of tickers from the event
+ * @param {object} patternHistory - Pattern history data
+ * @returns {object|null} - { basketId, trigger, echoes, legs, basketStats } or null if no match
+ */
+export function findMatchingBasket(eventTickers, patternHistory) {
+  const matches = [];
+
+  for (const [basketId, basketConfig] of Object.entries(CANONICAL_BASKETS)) {
+    const hasMatch = basketConfig.tickers.some(t => eventTickers.has(t));
+    const basketData = patternHistory[basketId];
+
+    if (hasMatch && basketData?.type === 'basket') {
+      const basketStats = resolvePriceStats(basketData.basket?.stats || {}, basketData.basket?.marketAdjusted);
+      const legs = basketConfig.echoes.map(echo => {
+        const legData = basketData.legs?.[echo];
+        return {
+          echo,
+          priceStats: resolvePriceStats(legData?.priceEcho?.stats || {}, legData?.priceEcho?.marketAdjusted),
+          fundamentalStats: legData?.fundamentalEcho?.stats || {},
+          marketAdjusted: legData?.priceEcho?.marketAdjusted || null
+        };
+      });
+
+      matches.push({
+        basketId,
+        trigger: basketConfig.trigger,
+        echoes: basketConfig.echoes,
+        legs,
+        basketStats,
+        marketAdjusted: basketData.basket?.marketAdjusted || null,
+        accuracy: basketStats.accuracy ?? 0,
+        sampleSize: basketStats.sampleSize ?? 0
+      });
+    }
+  }
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // Sort by accuracy (desc), then sampleSize (desc)
+  matches.sort((a, b) => {
+    if (b.accuracy !== a.accuracy) {
+      return b.accuracy - a.accuracy;
+    }
+    return b.sampleSize - a.sampleSize;
+  });
+
+  return matches[0];
+}
+
 /**
  * Determine alignment based on event sector direction for the matched pair
  * @param {object} event - The major event object
@@ -206,16 +296,119 @@ export function generateContextNote(trigger, echo, alignment, priceStats, fundam
     note += `. Limited sample (n=${sampleSize})`;
   }
 
+  if (priceStats.likelyNoise) {
+    note += '. Hit rate not distinguishable from random pairings';
+  }
+
   return note;
 }
 
+/**
+ * Build the basket part of an echo context
+ * Each leg gets its own alignment; the basket alignment follows the majority of legs
+ * @param {object} event - The major event object
+ * @param {object} basketMatch - Result of findMatchingBasket
+ * @returns {object} - { basketId, trigger, echoes, alignment, legs, stats, note }
+ */
+export function buildBasketContext(event, basketMatch) {
+  const legs = basketMatch.legs.map(leg => ({
+    echo: leg.echo,
+    alignment: determineAlignment(event, basketMatch.trigger, leg.echo),
+    stats: {
+      accuracy: leg.priceStats.accuracy ?? undefined,
+      correlation: leg.priceStats.correlation ?? null,
+      avgEchoMove: leg.priceStats.avgEchoMove ?? null,
+      sampleSize: leg.priceStats.sampleSize ?? undefined,
+      basis: leg.priceStats.basis,
+      accuracyCI: leg.priceStats.accuracyCI ?? null,
+      likelyNoise: leg.priceStats.likelyNoise ?? null
+    }
+  }));
+
+  const tailwinds = legs.filter(leg => leg.alignment === 'tailwind').length;
+  const headwinds = legs.filter(leg => leg.alignment === 'headwind').length;
+  const alignment = tailwinds > headwinds ? 'tailwind' : headwinds > tailwinds ? 'headwind' : 'neutral';
+
+  const stats = {
+    accuracy: basketMatch.basketStats.accuracy ?? undefined,
+    correlation: basketMatch.basketStats.correlation ?? null,
+    avgEchoMove: basketMatch.basketStats.avgEchoMove ?? null,
+    sampleSize: basketMatch.basketStats.sampleSize ?? undefined,
+    legCount: basketMatch.basketStats.legCount ?? legs.length,
+    basis: basketMatch.basketStats.basis,
+    accuracyCI: basketMatch.basketStats.accuracyCI ?? null,
+    edgeVsRandom: basketMatch.basketStats.edgeVsRandom ?? null,
+    likelyNoise: basketMatch.basketStats.likelyNoise ?? null,
+    raw: basketMatch.marketAdjusted?.raw || null,
+    abnormal: basketMatch.marketAdjusted?.abnormal || null
+  };
+
+  const basketLabel = basketMatch.echoes.join('/');
+  let note = (stats.accuracy ?? 0) >= 70
+    ? `${basketMatch.trigger} earnings historically move the ${basketLabel} basket with ${stats.accuracy}% accuracy`
+    : `${basketMatch.trigger} → ${basketLabel} basket shows a mixed historical echo`;
+
+  if ((stats.sampleSize ?? 0) < 6) {
+    note += `. Limited sample (n=${stats.sampleSize ?? 0})`;
+  }
+
+  if (stats.likelyNoise) {
+    note += '. Not distinguishable from random pairings';
+  }
+
+  return {
+    basketId: basketMatch.basketId,
+    trigger: basketMatch.trigger,
+    echoes: basketMatch.echoes,
+    alignment,
+    legs,
+    stats,
+    note
+  };
+}
+
+/**
+ * Pick the strongest basket leg as a pair-style match
+ * Used when the event only touches a basket, so the confidence engine still
+ * sees single-echo stats
+ * @param {object} basketMatch - Result of findMatchingBasket
+ * @returns {object|null} - Same shape as findMatchingPair
+ */
+function bestBasketLeg(basketMatch) {
+  const legs = basketMatch.legs
+    .filter(leg => (leg.priceStats.sampleSize ?? 0) > 0)
+    .sort((a, b) => {
+      const accuracyDiff = (b.priceStats.accuracy ?? 0) - (a.priceStats.accuracy ?? 0);
+      if (accuracyDiff !== 0) return accuracyDiff;
+      return (b.priceStats.sampleSize ?? 0) - (a.priceStats.sampleSize ?? 0);
+    });
+
+  if (legs.length === 0) {
+    return null;
+  }
+
+  const leg = legs[0];
+  return {
+    pairId: `${basketMatch.basketId}:${leg.echo}`,
+    trigger: basketMatch.trigger,
+    echo: leg.echo,
+    priceStats: leg.priceStats,
+    fundamentalStats: leg.fundamentalStats,
+    marketAdjusted: leg.marketAdjusted,
+    accuracy: leg.priceStats.accuracy ?? 0,
+    sampleSize: leg.priceStats.sampleSize ?? 0
+  };
+}
+
 /**
  * Build echo context for a trade signal if applicable
  * @param {object} event - The major event object
  * @param {number} baseConfidence - Base confidence from GPT
+ * @param {object} [options]
+ * @param {string} [options.symbol] - Match patterns for this ticker only instead of every event ticker
  * @returns {object|null} - echoContext object or null if no match
  */
-export function buildEchoContext(event, baseConfidence) {
+export function buildEchoContext(event, baseConfidence, { symbol } = {}) {
   // Load pattern history data
   const patternHistory = loadPatternHistory();
 
@@ -224,8 +417,8 @@ export function buildEchoContext(event, baseConfidence) {
     return null;
   }
 
-  // Extract tickers from event
-  const eventTickers = extractEventTickers(event);
+  // Extract tickers from event (or the one ticker a per-symbol signal is for)
+  const eventTickers = symbol ? new Set([String(symbol).toUpperCase()]) : extractEventTickers(event);
 
   if (eventTickers.size === 0) {
     console.log('No tickers found in event, skipping echo context');
@@ -234,15 +427,17 @@ export function buildEchoContext(event, baseConfidence) {
 
   console.log('Event tickers:', Array.from(eventTickers));
 
-  // Find matching pair
-  const match = findMatchingPair(eventTickers, patternHistory);
+  // Find matching pair and basket; a basket leg stands in when no pair matches
+  const basketMatch = findMatchingBasket(eventTickers, patternHistory);
+  const match = findMatchingPair(eventTickers, patternHistory) ||
+    (basketMatch ? bestBasketLeg(basketMatch) : null);
 
   if (!match) {
     console.log('No matching canonical pair found');
     return null;
   }
 
-  console.log(`Found matching pair: ${match.pairId}`);
+  console.log(`Found matching pair: ${match.pairId}${basketMatch ? ` (basket ${basketMatch.basketId})` : ''}`);
 
   // Determine alignment
   const alignment = determineAlignment(event, match.trigger, match.echo);
@@ -264,7 +459,7 @@ export function buildEchoContext(event, baseConfidence) {
   );
 
   // Build echoContext object
-  return {
+  const echoContext = {
     pairId: match.pairId,
     trigger: match.trigger,
     echo: match.echo,
@@ -275,9 +470,26 @@ export function buildEchoContext(event, baseConfidence) {
       avgEchoMove: match.priceStats.avgEchoMove ?? null,
       sampleSize: match.priceStats.sampleSize ?? undefined,
       directionAgreement: match.fundamentalStats.directionAgreement ?? undefined,
-      avgGapDays: match.fundamentalStats.avgGapDays ?? null
+      avgGapDays: match.fundamentalStats.avgGapDays ?? null,
+      // Uncertainty: Wilson CI on accuracy, bootstrap CI / permutation p on correlation,
+      // and the permutation "edge vs random" test
+      accuracyCI: match.priceStats.accuracyCI ?? null,
+      correlationCI: match.priceStats.correlationCI ?? null,
+      correlationPValue: match.priceStats.correlationPValue ?? null,
+      edgeVsRandom: match.priceStats.edgeVsRandom ?? null,
+      likelyNoise: match.priceStats.likelyNoise ?? null,
+      // Raw and market-adjusted price stats side by side; basis says which one scored
+      basis: match.priceStats.basis,
+      raw: match.marketAdjusted?.raw || null,
+      abnormal: match.marketAdjusted?.abnormal || null
     },
     note,
     calibratedConfidence
   };
+
+  if (basketMatch) {
+    echoContext.basket = buildBasketContext(event, basketMatch);
+  }
+
+  return echoContext;
 }
@@ -0,0 +1,327 @@
+import { kv } from "./storage.js";
+
+/**
+ * Event Archive Module
+ *
+ * Long-term archive of every stored major event, its analysis and the
+ * signals generated for it. The live store (majorEventStore.js) prunes by
+ * retention policy; archived records have no TTL, so telemetry and trade
+ * signals can still resolve old eventIds.
+ *
+ * Keys:
+ * - mevtarc:v1:{id}                Archived event record
+ * - mevtarc:v1:signals:{id}        Signals generated for the event (kept apart
+ *                                  so re-archiving a story update never drops one)
+ * - mevtarcidx:v1                  ZSET of all archived ids, scored by event time (epoch ms)
+ * - mevtarcidx:v1:{facet}:{value}  ZSET per facet value (term, sector, ticker,
+ *                                  category, direction), same scores
+ *
+ * Facet sets only generate candidates; every query re-checks the loaded
+ * records, so a facet entry that went stale after a story update (e.g. the
+ * category changed) never produces a wrong result.
+ */
+
+const RECORD_KEY_PREFIX = "mevtarc:v1:";
+const SIGNALS_KEY_PREFIX = "mevtarc:v1:signals:";
+const INDEX_KEY = "mevtarcidx:v1";
+const MAX_SCAN = 1000; // Max candidate records loaded per query
+const MGET_BATCH_SIZE = 100;
+const MAX_TERMS_PER_EVENT = 200;
+const MAX_SIGNALS_PER_EVENT = 50;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'after', 'over',
+  'says', 'said', 'amid', 'into', 'are', 'was', 'were', 'been', 'its',
+  'has', 'have', 'will', 'than', 'about', 'could', 'would', 'their', 'which'
+]);
+
+/**
+ * Normalize text into searchable terms (lower-case, light plural stem)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenizeSearchText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Normalize a facet value for use in a key
+ * @param {string} value
+ * @returns {string}
+ */
+function facetValue(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Key of a facet index set
+ * @param {string} facet - term | sector | ticker | category | direction
+ * @param {string} value
+ * @returns {string}
+ */
+function facetKey(facet, value) {
+  return `${INDEX_KEY}:${facet}:${facetValue(value)}`;
+}
+
+/**
+ * Event time used for date-range queries (when the story broke)
+ * @param {object} event
+ * @returns {number} Epoch ms
+ */
+function eventTime(event) {
+  const time = new Date(event.publishedAt || event.storedAt || 0).getTime();
+  return Number.isFinite(time) ? time : Date.now();
+}
+
+/**
+ * Searchable text of an event: headlines, body and analysis summary
+ * @param {object} event
+ * @returns {string}
+ */
+function searchableText(event) {
+  return [
+    event.headline,
+    event.latestHeadline,
+    event.body,
+    event.analysis?.summary,
+    ...(event.timeline || []).map(entry => entry.headline)
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Facet values of an event
+ * @param {object} event
+ * @returns {Array<[string, string]>} [facet, value] pairs
+ */
+function eventFacets(event) {
+  const sectors = event.analysis?.sectors || [];
+  const terms = [...new Set(tokenizeSearchText(searchableText(event)))].slice(0, MAX_TERMS_PER_EVENT);
+
+  return [
+    ...terms.map(term => ['term', term]),
+    ...sectors.filter(s => s.name).map(s => ['sector', s.name]),
+    ...sectors.flatMap(s => s.exampleTickers || []).map(ticker => ['ticker', ticker]),
+    ...sectors.filter(s => s.direction).map(s => ['direction', s.direction]),
+    ...(event.analysis?.importanceCategory ? [['category', event.analysis.importanceCategory]] : [])
+  ];
+}
+
+/**
+ * Archive (or re-archive) an event
+ * @param {object} event - Stored event with an id
+ * @returns {Promise<boolean>}
+ */
+export async function archiveEvent(event) {
+  if (!event?.id) return false;
+
+  try {
+    const score = eventTime(event);
+
+    // One round trip for the record and its index and facet entries (up to ~200)
+    const pipeline = kv.pipeline();
+    pipeline.set(`${RECORD_KEY_PREFIX}${event.id}`, { ...event, archivedAt: new Date().toISOString() });
+    pipeline.zadd(INDEX_KEY, { score, member: event.id });
+    for (const [facet, value] of eventFacets(event)) {
+      pipeline.zadd(facetKey(facet, value), { score, member: event.id });
+    }
+    await pipeline.exec();
+    return true;
+  } catch (error) {
+    console.error(`Failed to archive event ${event.id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Get an archived event by id
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getArchivedEvent(id) {
+  if (!id) return null;
+  return (await kv.get(`${RECORD_KEY_PREFIX}${id}`)) || null;
+}
+
+/**
+ * Record generated trade signals against an archived event, in one write so
+ * the per-ticker signals of a request don't overwrite each other
+ * @param {string} eventId
+ * @param {Array<object>} summaries - [{ signalId, ts, symbol, signal, direction, overall, grade, modelVersion, profile, promptVersion }]
+ * @returns {Promise<boolean>}
+ */
+export async function recordArchivedSignals(eventId, summaries) {
+  if (summaries.length === 0) return true;
+  try {
+    const key = `${SIGNALS_KEY_PREFIX}${eventId}`;
+    const ids = new Set(summaries.map(s => s.signalId));
+    const signals = [
+      ...((await kv.get(key)) || []).filter(s => !ids.has(s.signalId)),
+      ...summaries
+    ].slice(-MAX_SIGNALS_PER_EVENT);
+
+    await kv.set(key, signals);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to record signals for archived event ${eventId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Signals recorded for a set of archived events
+ * @param {Array<string>} eventIds
+ * @returns {Promise<Array<Array<object>>>} One list per id, in order
+ */
+export async function getArchivedSignals(eventIds) {
+  if (eventIds.length === 0) return [];
+  const lists = await kv.mget(...eventIds.map(id => `${SIGNALS_KEY_PREFIX}${id}`));
+  return lists.map(list => list || []);
+}
+
+/**
+ * Check a loaded record against the query exactly
+ * @param {object} event
+ * @param {object} query - Normalized query
+ * @returns {boolean}
+ */
+function matchesQuery(event, query) {
+  const analysis = event.analysis || {};
+  const sectors = analysis.sectors || [];
+
+  if (query.terms.length > 0) {
+    const terms = new Set(tokenizeSearchText(searchableText(event)));
+    if (!query.terms.every(term => terms.has(term))) return false;
+  }
+  // Category and direction compare as their facet keys do, so every facet candidate can match
+  if (query.category && facetValue(analysis.importanceCategory || '') !== facetValue(query.category)) return false;
+  if (query.minScore > 0 && (analysis.importanceScore || 0) < query.minScore) return false;
+  if (query.ticker && !sectors.some(s => (s.exampleTickers || []).some(t => String(t).toUpperCase() === query.ticker))) {
+    return false;
+  }
+
+  // Sector and direction apply to the same sector when both are given
+  if (query.sector || query.direction) {
+    const hit = sectors.some(s =>
+      (!query.sector || facetValue(s.name || '') === facetValue(query.sector))
+      && (!query.direction || facetValue(s.direction || '') === facetValue(query.direction))
+    );
+    if (!hit) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Count facet values across matched events
+ * @param {Array<object>} events
+ * @returns {{ category: object, sector: object, direction: object, ticker: object }}
+ */
+function countFacets(events) {
+  const facets = { category: {}, sector: {}, direction: {}, ticker: {} };
+  const bump = (facet, value) => {
+    if (value) facets[facet][value] = (facets[facet][value] || 0) + 1;
+  };
+
+  for (const event of events) {
+    const sectors = event.analysis?.sectors || [];
+    bump('category', event.analysis?.importanceCategory);
+    new Set(sectors.map(s => s.name)).forEach(name => bump('sector', name));
+    new Set(sectors.map(s => s.direction)).forEach(direction => bump('direction', direction));
+    new Set(sectors.flatMap(s => s.exampleTickers || []).map(t => String(t).toUpperCase())).forEach(t => bump('ticker', t));
+  }
+
+  return facets;
+}
+
+/**
+ * Search the archive
+ *
+ * @param {object} [params]
+ * @param {string} [params.q] - Free text; every term must match
+ * @param {string} [params.from] - Inclusive start date (YYYY-MM-DD or ISO)
+ * @param {string} [params.to] - Inclusive end date (YYYY-MM-DD or ISO)
+ * @param {string} [params.category] - importanceCategory
+ * @param {string} [params.sector] - Sector name
+ * @param {string} [params.direction] - bullish | bearish | neutral | unclear
+ * @param {string} [params.ticker] - Example ticker
+ * @param {number} [params.minScore] - Minimum importanceScore
+ * @param {number} [params.limit] - Page size (default 20)
+ * @param {number} [params.offset] - Results to skip
+ * @param {boolean} [params.includeSignals] - Attach recorded signals to each returned event
+ * @returns {Promise<{ events: Array<object>, total: number, truncated: boolean, facets: object }>}
+ *   Newest first; `truncated` means more than MAX_SCAN candidates matched the indexes
+ */
+export async function searchArchive({
+  q = '',
+  from = null,
+  to = null,
+  category = null,
+  sector = null,
+  direction = null,
+  ticker = null,
+  minScore = 0,
+  limit = 20,
+  offset = 0,
+  includeSignals = false
+} = {}) {
+  const query = {
+    terms: [...new Set(tokenizeSearchText(q))],
+    category,
+    sector,
+    direction,
+    ticker: ticker ? String(ticker).toUpperCase() : null,
+    minScore
+  };
+
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  // A bare date includes the whole day
+  const toMs = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 - 1 : 0) : Infinity;
+  const min = Number.isFinite(fromMs) ? fromMs : "-inf";
+  const max = Number.isFinite(toMs) ? toMs : "+inf";
+
+  // Candidate ids: intersection of the facet sets named in the query
+  const keys = [
+    ...query.terms.map(term => facetKey('term', term)),
+    ...(category ? [facetKey('category', category)] : []),
+    ...(sector ? [facetKey('sector', sector)] : []),
+    ...(direction ? [facetKey('direction', direction)] : []),
+    ...(query.ticker ? [facetKey('ticker', query.ticker)] : [])
+  ];
+  if (keys.length === 0) keys.push(INDEX_KEY);
+
+  let candidates = null;
+  for (const key of keys) {
+    const ids = (await kv.zrange(key, max, min, { byScore: true, rev: true }) || []).map(String);
+    const idSet = new Set(ids);
+    candidates = candidates === null ? ids : candidates.filter(id => idSet.has(id));
+    if (candidates.length === 0) break;
+  }
+
+  const truncated = candidates.length > MAX_SCAN;
+  const scanIds = candidates.slice(0, MAX_SCAN);
+  const records = [];
+  for (let i = 0; i < scanIds.length; i += MGET_BATCH_SIZE) {
+    const batch = scanIds.slice(i, i + MGET_BATCH_SIZE);
+    records.push(...await kv.mget(...batch.map(id => `${RECORD_KEY_PREFIX}${id}`)));
+  }
+
+  const matched = records.filter(event => event && matchesQuery(event, query));
+
+  let events = matched.slice(offset, offset + limit);
+  if (includeSignals) {
+    const signals = await getArchivedSignals(events.map(event => event.id));
+    events = events.map((event, i) => ({ ...event, signals: signals[i] }));
+  }
+
+  return {
+    events,
+    total: matched.length,
+    truncated,
+    facets: countFacets(matched)
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Feed Parser Module
+ *
+ * Minimal RSS 2.0 / Atom parser for news feeds. Only pulls the fields the
+ * news pipeline needs (title, link, summary, date, id), so no XML
+ * dependency is required.
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode XML entities (named and numeric)
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Turn raw element content into plain text (CDATA, entities, inline HTML)
+ * @param {string|null} raw
+ * @returns {string|null}
+ */
+function toPlainText(raw) {
+  if (raw === null || raw === undefined) return null;
+
+  const text = decodeEntities(
+    raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  )
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text || null;
+}
+
+/**
+ * Read the inner content of the first matching child element
+ * @param {string} block - XML of one item/entry
+ * @param {Array<string>} tags - Candidate tag names, first match wins
+ * @returns {string|null}
+ */
+function readTag(block, tags) {
+  for (const tag of tags) {
+    const escaped = tag.replace(':', '\\:');
+    const match = block.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, 'i'));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Read an Atom link href, preferring rel="alternate"
+ * @param {string} block - XML of one entry
+ * @returns {string|null}
+ */
+function readAtomLink(block) {
+  const links = [...block.matchAll(/<link\b([^>]*?)\/?>/gi)].map(match => match[1]);
+  const hrefOf = attrs => attrs.match(/href\s*=\s*["']([^"']+)["']/i)?.[1] || null;
+
+  const alternate = links.find(attrs => !/rel\s*=/i.test(attrs) || /rel\s*=\s*["']alternate["']/i.test(attrs));
+  return hrefOf(alternate || links[0] || '');
+}
+
+/**
+ * Parse a date string into ISO format
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const time = Date.parse(value.trim());
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into plain feed entries
+ * @param {string} xml - Feed XML
+ * @returns {Array<{id: string|null, title: string|null, link: string|null, summary: string|null, publishedAt: string|null}>}
+ */
+export function parseFeed(xml) {
+  if (!xml || typeof xml !== 'string') return [];
+
+  const isAtom = /<feed\b[^>]*>/i.test(xml) && !/<rss\b/i.test(xml);
+  const blockPattern = isAtom ? /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi : /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+
+  return [...xml.matchAll(blockPattern)].map(([, block]) => {
+    const link = isAtom
+      ? readAtomLink(block)
+      : toPlainText(readTag(block, ['link'])) || readAtomLink(block);
+
+    return {
+      id: toPlainText(readTag(block, isAtom ? ['id'] : ['guid'])),
+      title: toPlainText(readTag(block, ['title'])),
+      link,
+      summary: toPlainText(readTag(block, isAtom ? ['summary', 'content'] : ['description', 'content:encoded'])),
+      publishedAt: toISODate(
+        toPlainText(readTag(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date']))
+      )
+    };
+  });
+}
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFeed } from "./feedParser.js";
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Central bank news</title>
+    <link>https://bank.example/</link>
+    <item>
+      <title><![CDATA[Rates <b>held</b> at 4.5%]]></title>
+      <link>https://bank.example/news/1</link>
+      <guid isPermaLink="false">news-1</guid>
+      <description>Inflation &amp; growth: &quot;balanced&quot; &#8212; &#x2019;risks&#x2019;</description>
+      <pubDate>Wed, 18 Sep 2024 18:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Balance sheet update</title>
+      <link>https://bank.example/news/2</link>
+      <dc:date>2024-09-19T09:30:00+02:00</dc:date>
+    </item>
+    <item>
+      <title>Undated notice</title>
+      <pubDate>not a date</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Statistics releases</title>
+  <link href="https://stats.example/" rel="alternate"/>
+  <entry>
+    <id>tag:stats.example,2024:1</id>
+    <title type="html">Banking statistics for &lt;em&gt;Q2&lt;/em&gt;</title>
+    <link rel="enclosure" href="https://stats.example/files/q2.pdf"/>
+    <link rel="alternate" type="text/html" href="https://stats.example/releases/q2"/>
+    <summary><![CDATA[<p>Capital ratios rose.</p>]]></summary>
+    <published>2024-09-18T10:00:00Z</published>
+    <updated>2024-09-19T10:00:00Z</updated>
+  </entry>
+  <entry>
+    <id>tag:stats.example,2024:2</id>
+    <title>Payments data</title>
+    <link href="https://stats.example/releases/payments"/>
+    <content type="html">Card payments &amp; transfers</content>
+    <updated>2024-09-20T08:15:00+01:00</updated>
+  </entry>
+</feed>`;
+
+test("RSS and Atom documents yield one entry per item or entry", () => {
+  assert.equal(parseFeed(RSS).length, 3);
+  assert.equal(parseFeed(ATOM).length, 2);
+  assert.deepEqual(parseFeed(""), []);
+  assert.deepEqual(parseFeed(null), []);
+});
+
+test("CDATA, inline HTML and entities are decoded to plain text", () => {
+  const [first] = parseFeed(RSS);
+  assert.equal(first.title, "Rates held at 4.5%");
+  assert.equal(first.summary, "Inflation & growth: \"balanced\" — ’risks’");
+  assert.equal(first.id, "news-1");
+  assert.equal(first.link, "https://bank.example/news/1");
+
+  const [entry] = parseFeed(ATOM);
+  assert.equal(entry.title, "Banking statistics for Q2");
+  assert.equal(entry.summary, "Capital ratios rose.");
+});
+
+test("Atom links prefer rel=\"alternate\", or a link without rel", () => {
+  const [first, second] = parseFeed(ATOM);
+  assert.equal(first.link, "https://stats.example/releases/q2");
+  assert.equal(second.link, "https://stats.example/releases/payments");
+  assert.equal(second.summary, "Card payments & transfers");
+});
+
+test("dates are normalized to ISO, null when missing or unparseable", () => {
+  const rss = parseFeed(RSS);
+  assert.equal(rss[0].publishedAt, "2024-09-18T18:00:00.000Z");
+  assert.equal(rss[1].publishedAt, "2024-09-19T07:30:00.000Z");
+  assert.equal(rss[2].publishedAt, null);
+  assert.equal(rss[2].link, null);
+
+  const atom = parseFeed(ATOM);
+  assert.equal(atom[0].publishedAt, "2024-09-18T10:00:00.000Z");
+  assert.equal(atom[1].publishedAt, "2024-09-20T07:15:00.000Z");
+});
@@ -0,0 +1,268 @@
+import OpenAI from "openai";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { assertLLMBudget, recordLLMUsage } from "./llmUsage.js";
+
+/**
+ * LLM Provider Module
+ *
+ * One chat-completion interface in front of every model source, so news
+ * analysis and trade signals can run against OpenAI, a local model or stored
+ * responses without code changes.
+ *
+ * Selected with LLM_PROVIDER:
+ * - openai            (default) OpenAI API, needs OPENAI_API_KEY
+ * - openai-compatible Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio,
+ *                     llama.cpp server) at LLM_BASE_URL; LLM_API_KEY is optional
+ * - replay            Stored responses from LLM_FIXTURE_DIR, keyed by prompt
+ *                     hash; no API key or network
+ *
+ * LLM_MODEL overrides the model (default gpt-5.1). With LLM_RECORD=1 every
+ * response from a live provider is also written to LLM_FIXTURE_DIR, so a run
+ * against the real model can be replayed later.
+ *
+ * Fixtures are {hash}.json files holding the request messages and the raw
+ * response text. The hash covers the messages and response format but not
+ * the model, so fixtures survive a model switch; a changed prompt is a miss.
+ *
+ * Calls to live providers count against the shared dollar budget and are
+ * recorded per endpoint and model (see llmUsage.js); replayed calls are free.
+ */
+
+const DEFAULT_PROVIDER = "openai";
+const DEFAULT_MODEL = "gpt-5.1";
+const DEFAULT_FIXTURE_DIR = path.join("api", "_data", "fixtures", "llm");
+
+export const LLM_NOT_CONFIGURED_MESSAGE =
+  "LLM provider is not configured. Set OPENAI_API_KEY, LLM_PROVIDER=openai-compatible with LLM_BASE_URL, or LLM_PROVIDER=replay for offline runs.";
+
+/**
+ * Model used for completions
+ * @returns {string}
+ */
+export function getLLMModel() {
+  return String(process.env.LLM_MODEL || DEFAULT_MODEL).trim();
+}
+
+/**
+ * Folder holding replay fixtures
+ * @returns {string} Absolute path
+ */
+export function getFixtureDir() {
+  return path.resolve(process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+}
+
+/**
+ * Hash identifying a prompt (model-independent)
+ * @param {Array<{ role: string, content: string }>} messages
+ * @param {string} [responseFormat] - "json" or "text"
+ * @returns {string} sha256 hex
+ */
+export function hashPrompt(messages, responseFormat = "json") {
+  const canonical = JSON.stringify({
+    responseFormat,
+    messages: messages.map(({ role, content }) => ({ role, content }))
+  });
+  return createHash("sha256").update(canonical).digest("hex");
+}
+
+/**
+ * Path of the fixture file for a prompt hash
+ * @param {string} hash
+ * @returns {string}
+ */
+function fixturePath(hash) {
+  return path.join(getFixtureDir(), `${hash}.json`);
+}
+
+/**
+ * Call an OpenAI chat completions endpoint
+ * @param {OpenAI} client
+ * @param {object} request - { model, messages, responseFormat }
+ * @returns {Promise<{ content: string|null, model: string, usage: object|null }>}
+ */
+async function createOpenAICompletion(client, { model, messages, responseFormat }) {
+  const completion = await client.chat.completions.create({
+    model,
+    ...(responseFormat === "json" ? { response_format: { type: "json_object" } } : {}),
+    messages
+  });
+
+  return {
+    content: completion.choices?.[0]?.message?.content ?? null,
+    model: completion.model || model,
+    usage: completion.usage || null
+  };
+}
+
+/**
+ * OpenAI API provider
+ */
+const openaiProvider = {
+  name: "openai",
+  live: true,
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async complete(request) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error("OPENAI_API_KEY is not configured");
+    }
+    return createOpenAICompletion(new OpenAI({ apiKey }), request);
+  }
+};
+
+/**
+ * OpenAI-compatible endpoint provider (local or self-hosted models)
+ */
+const openaiCompatibleProvider = {
+  name: "openai-compatible",
+  live: true,
+
+  isConfigured() {
+    return Boolean(process.env.LLM_BASE_URL);
+  },
+
+  async complete(request) {
+    const baseURL = process.env.LLM_BASE_URL;
+    if (!baseURL) {
+      throw new Error("LLM_BASE_URL is not configured");
+    }
+    // The SDK requires a key; local servers usually ignore it
+    const client = new OpenAI({ baseURL, apiKey: process.env.LLM_API_KEY || "not-needed" });
+    return createOpenAICompletion(client, request);
+  }
+};
+
+/**
+ * Replay provider serving recorded responses by prompt hash
+ */
+const replayProvider = {
+  name: "replay",
+  live: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete({ messages, responseFormat }) {
+    const hash = hashPrompt(messages, responseFormat);
+    let fixture;
+    try {
+      fixture = JSON.parse(await readFile(fixturePath(hash), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`No LLM fixture for prompt ${hash} in ${getFixtureDir()} (record one with LLM_RECORD=1)`);
+      }
+      throw new Error(`Invalid LLM fixture ${hash}: ${error.message}`);
+    }
+
+    return {
+      content: fixture.response ?? null,
+      model: fixture.model || "replay",
+      usage: fixture.usage || null
+    };
+  }
+};
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  "openai-compatible": openaiCompatibleProvider,
+  replay: replayProvider
+};
+
+/**
+ * Get the configured LLM provider
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER env (or openai)
+ * @returns {object} Provider with { name, live, isConfigured(), complete() }
+ */
+export function getLLMProvider(name = process.env.LLM_PROVIDER) {
+  const key = String(name || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = PROVIDERS[key];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  return provider;
+}
+
+/**
+ * Whether the configured provider can be used
+ * @returns {boolean}
+ */
+export function isLLMConfigured() {
+  try {
+    return getLLMProvider().isConfigured();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write a response as a replay fixture
+ * @param {string} hash
+ * @param {object} request - { messages, responseFormat }
+ * @param {object} result - Provider result
+ * @param {string} providerName
+ */
+async function recordFixture(hash, { messages, responseFormat }, result, providerName) {
+  try {
+    await mkdir(getFixtureDir(), { recursive: true });
+    await writeFile(fixturePath(hash), JSON.stringify({
+      hash,
+      provider: providerName,
+      model: result.model,
+      recordedAt: new Date().toISOString(),
+      responseFormat,
+      messages,
+      response: result.content,
+      usage: result.usage
+    }, null, 2) + "\n");
+  } catch (error) {
+    console.warn(`Failed to record LLM fixture ${hash}:`, error.message);
+  }
+}
+
+/**
+ * Run a chat completion on the configured provider
+ *
+ * @param {object} request
+ * @param {Array<{ role: string, content: string }>} request.messages
+ * @param {string} [request.responseFormat] - "json" (default) or "text"
+ * @param {string} [request.model] - Defaults to getLLMModel()
+ * @param {string} [request.endpoint] - Calling endpoint, for usage accounting
+ * @param {object} [provider] - Provider override (defaults to getLLMProvider())
+ * @returns {Promise<{ content: string, model: string, provider: string, promptHash: string, usage: object|null, costUsd: number }>}
+ *   Throws on provider errors and empty responses, and with code
+ *   LLM_BUDGET_EXCEEDED when the daily or monthly budget is spent
+ */
+export async function completeChat({ messages, responseFormat = "json", model = getLLMModel(), endpoint = "unknown" }, provider = getLLMProvider()) {
+  const request = { messages, responseFormat, model };
+  const promptHash = hashPrompt(messages, responseFormat);
+
+  if (provider.live) {
+    await assertLLMBudget();
+  }
+
+  const result = await provider.complete(request);
+
+  // Count the call before checking the content: an empty answer is still billed
+  const costUsd = provider.live
+    ? (await recordLLMUsage({ endpoint, provider: provider.name, model: result.model, usage: result.usage, promptHash })).costUsd
+    : 0;
+
+  if (!result.content) {
+    throw new Error("Empty response from model");
+  }
+
+  if (provider.live && process.env.LLM_RECORD === "1") {
+    await recordFixture(promptHash, request, result, provider.name);
+  }
+
+  return { ...result, provider: provider.name, promptHash, costUsd };
+}
@@ -0,0 +1,93 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const fixtureDir = mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+process.env.STORAGE_BACKEND = "memory";
+process.env.LLM_FIXTURE_DIR = fixtureDir;
+
+const { completeChat, getLLMProvider, hashPrompt, isLLMConfigured } = await import("./llmProviders.js");
+
+const MESSAGES = [
+  { role: "system", content: "You are a test analyst." },
+  { role: "user", content: "{\"headline\":\"Rates held\"}" }
+];
+
+after(() => {
+  rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+test("prompt hashes cover messages and response format, not extra fields", () => {
+  const hash = hashPrompt(MESSAGES);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(hashPrompt(MESSAGES.map(message => ({ ...message, name: "ignored" }))), hash);
+  assert.notEqual(hashPrompt(MESSAGES, "text"), hash);
+  assert.notEqual(hashPrompt([MESSAGES[0], { role: "user", content: "{}" }]), hash);
+});
+
+test("replay serves a stored fixture for free", async () => {
+  const hash = hashPrompt(MESSAGES);
+  writeFileSync(path.join(fixtureDir, `${hash}.json`), JSON.stringify({
+    hash,
+    model: "gpt-test",
+    messages: MESSAGES,
+    response: "{\"ok\":true}",
+    usage: { prompt_tokens: 10, completion_tokens: 2 }
+  }));
+
+  const result = await completeChat({ messages: MESSAGES, endpoint: "test" }, getLLMProvider("replay"));
+  assert.equal(result.content, "{\"ok\":true}");
+  assert.equal(result.model, "gpt-test");
+  assert.equal(result.provider, "replay");
+  assert.equal(result.promptHash, hash);
+  assert.equal(result.costUsd, 0);
+});
+
+test("a missing or unreadable fixture is an error naming the prompt hash", async () => {
+  const messages = [{ role: "user", content: "never recorded" }];
+  const hash = hashPrompt(messages);
+  await assert.rejects(completeChat({ messages }, getLLMProvider("replay")), new RegExp(`No LLM fixture for prompt ${hash}`));
+
+  writeFileSync(path.join(fixtureDir, `${hash}.json`), "{ not json");
+  await assert.rejects(completeChat({ messages }, getLLMProvider("replay")), new RegExp(`Invalid LLM fixture ${hash}`));
+});
+
+test("an empty recorded response is rejected", async () => {
+  const messages = [{ role: "user", content: "empty" }];
+  writeFileSync(path.join(fixtureDir, `${hashPrompt(messages)}.json`), JSON.stringify({ response: "" }));
+  await assert.rejects(completeChat({ messages }, getLLMProvider("replay")), /Empty response from model/);
+});
+
+test("LLM_RECORD=1 writes live responses as fixtures replay can serve", async () => {
+  const messages = [{ role: "user", content: "record me" }];
+  const liveProvider = {
+    name: "fake-live",
+    live: true,
+    isConfigured: () => true,
+    complete: async () => ({ content: "{\"recorded\":true}", model: "gpt-5.1", usage: null })
+  };
+
+  process.env.LLM_RECORD = "1";
+  try {
+    await completeChat({ messages, endpoint: "test" }, liveProvider);
+  } finally {
+    delete process.env.LLM_RECORD;
+  }
+
+  const replayed = await completeChat({ messages }, getLLMProvider("replay"));
+  assert.equal(replayed.content, "{\"recorded\":true}");
+  assert.equal(replayed.model, "gpt-5.1");
+});
+
+test("provider selection", () => {
+  assert.equal(getLLMProvider("REPLAY").name, "replay");
+  assert.throws(() => getLLMProvider("nope"), /Unknown LLM_PROVIDER "nope"/);
+
+  process.env.LLM_PROVIDER = "replay";
+  assert.equal(isLLMConfigured(), true);
+  process.env.LLM_PROVIDER = "nope";
+  assert.equal(isLLMConfigured(), false);
+  delete process.env.LLM_PROVIDER;
+});
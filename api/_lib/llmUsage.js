@@ -0,0 +1,301 @@
+import { kv } from "./storage.js";
+import llmPricing from "../../src/data/llm-pricing.json" with { type: "json" };
+
+/**
+ * LLM Usage Module
+ *
+ * Token and cost accounting for every live model call, and the dollar budget
+ * shared by all endpoints. completeChat records each call here and refuses
+ * new calls once a budget is spent.
+ *
+ * Storage:
+ * - llm:usage:day:{YYYY-MM-DD} / llm:usage:month:{YYYY-MM}: hashes with
+ *   atomic counters "{endpoint|model}:{name}:{calls|promptTokens|completionTokens|costMicros}"
+ * - llm:calls: capped list of recent calls, newest first
+ *
+ * Costs are kept in integer micro-dollars so concurrent HINCRBYs add up exactly.
+ * Prices per 1M tokens come from src/data/llm-pricing.json (longest model
+ * prefix wins); LLM_PRICE_INPUT_PER_1M / LLM_PRICE_OUTPUT_PER_1M override them,
+ * e.g. for a self-hosted model. Unpriced models are counted at $0.
+ *
+ * Budgets (unset or 0 = no limit):
+ * - LLM_DAILY_BUDGET_USD: UTC day
+ * - LLM_MONTHLY_BUDGET_USD: UTC calendar month
+ */
+
+export const LLM_BUDGET_EXCEEDED = "LLM_BUDGET_EXCEEDED";
+
+const CALLS_KEY = "llm:calls";
+const CALLS_LIMIT = 500;
+const CALLS_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const DAY_TTL_SECONDS = 40 * 24 * 60 * 60; // Covers a month of daily history
+const MONTH_TTL_SECONDS = 400 * 24 * 60 * 60; // ~13 months
+const MICROS_PER_USD = 1000000;
+const USAGE_METRICS = ["calls", "promptTokens", "completionTokens", "costMicros"];
+
+/**
+ * UTC day key part
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayString(date = new Date()) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Usage hash key for a UTC day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function dayUsageKey(day) {
+  return `llm:usage:day:${day}`;
+}
+
+/**
+ * Usage hash key for a UTC month
+ * @param {string} month - YYYY-MM
+ * @returns {string}
+ */
+function monthUsageKey(month) {
+  return `llm:usage:month:${month}`;
+}
+
+/**
+ * Read a dollar budget from env
+ * @param {string} name
+ * @returns {number|null} null when unset or not positive
+ */
+function readBudgetEnv(name) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Price of a model per 1M tokens
+ * @param {string} model
+ * @returns {{ input: number, output: number, priced: boolean }}
+ */
+export function getModelPrice(model) {
+  const inputOverride = Number(process.env.LLM_PRICE_INPUT_PER_1M);
+  const outputOverride = Number(process.env.LLM_PRICE_OUTPUT_PER_1M);
+  if (process.env.LLM_PRICE_INPUT_PER_1M && process.env.LLM_PRICE_OUTPUT_PER_1M
+    && Number.isFinite(inputOverride) && Number.isFinite(outputOverride)) {
+    return { input: inputOverride, output: outputOverride, priced: true };
+  }
+
+  // Dated snapshots ("gpt-5.1-2025-11-13") match their base model
+  const name = String(model || "").toLowerCase();
+  const match = Object.keys(llmPricing.models)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!match) {
+    return { input: 0, output: 0, priced: false };
+  }
+  return { ...llmPricing.models[match], priced: true };
+}
+
+/**
+ * Estimate the cost of one call
+ * @param {string} model
+ * @param {object|null} usage - OpenAI usage ({ prompt_tokens, completion_tokens })
+ * @returns {{ promptTokens: number, completionTokens: number, costUsd: number, priced: boolean }}
+ */
+export function estimateLLMCost(model, usage) {
+  const promptTokens = Number(usage?.prompt_tokens) || 0;
+  const completionTokens = Number(usage?.completion_tokens) || 0;
+  const price = getModelPrice(model);
+  const costMicros = Math.round(promptTokens * price.input + completionTokens * price.output);
+
+  return {
+    promptTokens,
+    completionTokens,
+    costUsd: costMicros / MICROS_PER_USD,
+    priced: price.priced
+  };
+}
+
+/**
+ * Record one model call against the day and month counters
+ *
+ * @param {object} call
+ * @param {string} call.endpoint - Calling endpoint (e.g. "news-watchdog")
+ * @param {string} call.provider - LLM provider name
+ * @param {string} call.model - Model that answered
+ * @param {object|null} call.usage - Provider usage object
+ * @param {string} [call.promptHash]
+ * @returns {Promise<object>} The call entry ({ ts, endpoint, model, promptTokens, completionTokens, costUsd, ... })
+ */
+export async function recordLLMUsage({ endpoint, provider, model, usage, promptHash = null }) {
+  const cost = estimateLLMCost(model, usage);
+  const now = new Date();
+  const day = toDayString(now);
+  const entry = {
+    ts: now.toISOString(),
+    endpoint,
+    provider,
+    model,
+    promptTokens: cost.promptTokens,
+    completionTokens: cost.completionTokens,
+    costUsd: cost.costUsd,
+    priced: cost.priced,
+    promptHash
+  };
+
+  const increments = {
+    calls: 1,
+    promptTokens: cost.promptTokens,
+    completionTokens: cost.completionTokens,
+    costMicros: Math.round(cost.costUsd * MICROS_PER_USD)
+  };
+
+  try {
+    const keys = [
+      [dayUsageKey(day), DAY_TTL_SECONDS],
+      [monthUsageKey(day.slice(0, 7)), MONTH_TTL_SECONDS]
+    ];
+
+    // Counters, TTLs and the call log go out in one round trip
+    const pipeline = kv.pipeline();
+    for (const [key, ttl] of keys) {
+      for (const scope of [`endpoint:${endpoint}`, `model:${model}`]) {
+        for (const metric of USAGE_METRICS) {
+          pipeline.hincrby(key, `${scope}:${metric}`, increments[metric]);
+        }
+      }
+      pipeline.expire(key, ttl);
+    }
+
+    // Prepend (newest first), trim to limit and refresh TTL
+    pipeline.lpush(CALLS_KEY, entry);
+    pipeline.ltrim(CALLS_KEY, 0, CALLS_LIMIT - 1);
+    pipeline.expire(CALLS_KEY, CALLS_TTL_SECONDS);
+    await pipeline.exec();
+  } catch (error) {
+    console.warn("Failed to record LLM usage:", error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Turn a usage hash into totals plus per-endpoint and per-model breakdowns
+ * @param {object|null} hash
+ * @returns {{ calls: number, promptTokens: number, completionTokens: number, costUsd: number, byEndpoint: object, byModel: object }}
+ */
+function summarizeUsage(hash) {
+  const emptyCounts = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, costMicros: 0 });
+  const totals = emptyCounts();
+  const groups = { endpoint: {}, model: {} };
+
+  for (const [field, value] of Object.entries(hash || {})) {
+    // Model names can contain ":" (e.g. Ollama tags), so split on the first and last
+    const typeEnd = field.indexOf(":");
+    const metricStart = field.lastIndexOf(":");
+    if (typeEnd === -1 || metricStart <= typeEnd) continue;
+
+    const type = field.slice(0, typeEnd);
+    const name = field.slice(typeEnd + 1, metricStart);
+    const metric = field.slice(metricStart + 1);
+    if (!groups[type] || !USAGE_METRICS.includes(metric)) continue;
+
+    if (!groups[type][name]) groups[type][name] = emptyCounts();
+    groups[type][name][metric] += Number(value) || 0;
+    // Every call has exactly one endpoint, so endpoint counters sum to the total
+    if (type === "endpoint") totals[metric] += Number(value) || 0;
+  }
+
+  const withDollars = ({ costMicros, ...counts }) => ({ ...counts, costUsd: costMicros / MICROS_PER_USD });
+  const byCost = group => Object.fromEntries(
+    Object.entries(group)
+      .map(([name, counts]) => [name, withDollars(counts)])
+      .sort(([, a], [, b]) => b.costUsd - a.costUsd)
+  );
+
+  return {
+    ...withDollars(totals),
+    byEndpoint: byCost(groups.endpoint),
+    byModel: byCost(groups.model)
+  };
+}
+
+/**
+ * Usage for one UTC day
+ * @param {string} [day] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<object>} See summarizeUsage
+ */
+export async function getDailyLLMUsage(day = toDayString()) {
+  return summarizeUsage(await kv.hgetall(dayUsageKey(day)));
+}
+
+/**
+ * Usage for one UTC month
+ * @param {string} [month] - YYYY-MM, defaults to this month
+ * @returns {Promise<object>} See summarizeUsage
+ */
+export async function getMonthlyLLMUsage(month = toDayString().slice(0, 7)) {
+  return summarizeUsage(await kv.hgetall(monthUsageKey(month)));
+}
+
+/**
+ * Most recent model calls
+ * @param {number} limit
+ * @returns {Promise<Array<object>>}
+ */
+export async function getRecentLLMCalls(limit = 50) {
+  return kv.lrange(CALLS_KEY, 0, limit - 1);
+}
+
+/**
+ * Spend against the daily and monthly budgets
+ * @returns {Promise<{ exceeded: boolean, reason: string|null, daily: object, monthly: object }>}
+ *   daily/monthly are { budgetUsd, spentUsd }; budgetUsd is null when unlimited
+ */
+export async function getLLMBudgetStatus() {
+  const dailyBudget = readBudgetEnv("LLM_DAILY_BUDGET_USD");
+  const monthlyBudget = readBudgetEnv("LLM_MONTHLY_BUDGET_USD");
+
+  const [daily, monthly] = await Promise.all([
+    dailyBudget ? getDailyLLMUsage() : null,
+    monthlyBudget ? getMonthlyLLMUsage() : null
+  ]);
+
+  const status = {
+    exceeded: false,
+    reason: null,
+    daily: { budgetUsd: dailyBudget, spentUsd: daily?.costUsd ?? null },
+    monthly: { budgetUsd: monthlyBudget, spentUsd: monthly?.costUsd ?? null }
+  };
+
+  if (dailyBudget && daily.costUsd >= dailyBudget) {
+    status.exceeded = true;
+    status.reason = `Daily LLM budget reached ($${daily.costUsd.toFixed(2)} of $${dailyBudget.toFixed(2)})`;
+  } else if (monthlyBudget && monthly.costUsd >= monthlyBudget) {
+    status.exceeded = true;
+    status.reason = `Monthly LLM budget reached ($${monthly.costUsd.toFixed(2)} of $${monthlyBudget.toFixed(2)})`;
+  }
+
+  return status;
+}
+
+/**
+ * Throw if a budget is spent
+ * Storage errors are logged and let the call through.
+ * @returns {Promise<void>} Throws an Error with code LLM_BUDGET_EXCEEDED
+ */
+export async function assertLLMBudget() {
+  let status;
+  try {
+    status = await getLLMBudgetStatus();
+  } catch (error) {
+    console.warn("LLM budget check failed, allowing call:", error.message);
+    return;
+  }
+
+  if (status.exceeded) {
+    const error = new Error(status.reason);
+    error.code = LLM_BUDGET_EXCEEDED;
+    error.budget = status;
+    throw error;
+  }
+}
@@ -0,0 +1,356 @@
+import { kv } from "./storage.js";
+import { archiveEvent } from "./eventArchive.js";
+
+/**
+ * Major Event Store
+ *
+ * Single storage module for major events. Each event is its own KV record
+ * and a ZSET indexes the ids by time, so writers never read-modify-write a
+ * shared array (the cron and `?force=1` used to drop each other's events).
+ *
+ * Keys:
+ * - mevt:v1:{id}  Event record (TTL = retention age)
+ * - mevtidx:v1    ZSET of event ids scored by last update time (epoch ms),
+ *                 so developing stories sort with fresh events
+ *
+ * Retention is a policy applied after every write instead of a fixed slice:
+ * - MAJOR_EVENTS_RETENTION_DAYS (default 30): events not updated for this
+ *   long are pruned
+ * - MAJOR_EVENTS_MAX_COUNT (default 1000): oldest events beyond this are pruned
+ *
+ * Events from the legacy `major_events` array are migrated on first access.
+ * Every write is also copied to the archive (eventArchive.js), which keeps
+ * events after retention prunes them here.
+ */
+
+const EVENT_KEY_PREFIX = "mevt:v1:";
+const INDEX_KEY = "mevtidx:v1";
+const LEGACY_EVENTS_KEY = "major_events";
+const LEGACY_MIGRATED_KEY = "mevtidx:v1:migrated";
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_COUNT = 1000;
+const INDEX_BATCH_SIZE = 50;
+
+let legacyMigrationChecked = false;
+
+/**
+ * Read a positive integer from an env var
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Current retention policy
+ * @returns {{ maxAgeDays: number, maxCount: number }}
+ */
+export function getRetentionPolicy() {
+  return {
+    maxAgeDays: readPositiveInt("MAJOR_EVENTS_RETENTION_DAYS", DEFAULT_RETENTION_DAYS),
+    maxCount: readPositiveInt("MAJOR_EVENTS_MAX_COUNT", DEFAULT_MAX_COUNT)
+  };
+}
+
+/**
+ * KV key of an event record
+ * @param {string} id
+ * @returns {string}
+ */
+function eventKey(id) {
+  return `${EVENT_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Index score of an event: its last update time
+ * @param {object} event
+ * @returns {number} Epoch ms
+ */
+function eventScore(event) {
+  const time = new Date(event.updatedAt || event.storedAt || event.publishedAt || 0).getTime();
+  return Number.isFinite(time) ? time : Date.now();
+}
+
+/**
+ * Write an event record and its index entry (no retention pass), and copy
+ * it to the long-term archive
+ * @param {object} event - Event with id and storedAt
+ */
+async function writeEvent(event) {
+  const { maxAgeDays } = getRetentionPolicy();
+  await kv.set(eventKey(event.id), event, { ex: maxAgeDays * SECONDS_PER_DAY });
+  await kv.zadd(INDEX_KEY, { score: eventScore(event), member: event.id });
+  await archiveEvent(event);
+}
+
+/**
+ * Move events from the legacy `major_events` array into per-event records.
+ * Runs once per deployment; the SETNX marker keeps concurrent instances from
+ * migrating twice, and is released if the migration fails so a later call
+ * retries it (the legacy array is only deleted once every event is written).
+ */
+async function migrateLegacyEvents() {
+  if (legacyMigrationChecked) return;
+  legacyMigrationChecked = true;
+
+  let claimed = false;
+  try {
+    claimed = await kv.setnx(LEGACY_MIGRATED_KEY, new Date().toISOString());
+    if (!claimed) return;
+
+    const legacy = await kv.get(LEGACY_EVENTS_KEY);
+    if (!Array.isArray(legacy) || legacy.length === 0) return;
+
+    for (const event of legacy) {
+      if (!event?.id) continue;
+      await writeEvent({ ...event, storedAt: event.storedAt || new Date().toISOString() });
+    }
+    await kv.del(LEGACY_EVENTS_KEY);
+    console.log(`Migrated ${legacy.length} major events from ${LEGACY_EVENTS_KEY}`);
+
+    await applyRetention();
+  } catch (error) {
+    console.error('Legacy major events migration failed:', error);
+    if (claimed) {
+      legacyMigrationChecked = false;
+      try {
+        await kv.del(LEGACY_MIGRATED_KEY);
+      } catch (releaseError) {
+        console.error('Failed to release legacy migration marker:', releaseError);
+      }
+    }
+  }
+}
+
+/**
+ * Remove index entries and records for the given ids
+ * @param {Array<string>} ids
+ */
+async function removeEvents(ids) {
+  if (ids.length === 0) return;
+  await kv.zrem(INDEX_KEY, ...ids);
+  await kv.del(...ids.map(eventKey));
+}
+
+/**
+ * Prune events outside the retention policy
+ * @param {object} [policy] - Defaults to getRetentionPolicy()
+ * @returns {Promise<{ prunedByAge: number, prunedByCount: number }>}
+ */
+export async function applyRetention(policy = getRetentionPolicy()) {
+  const cutoffMs = Date.now() - policy.maxAgeDays * SECONDS_PER_DAY * 1000;
+
+  const expiredIds = await kv.zrange(INDEX_KEY, "-inf", `(${cutoffMs}`, { byScore: true }) || [];
+  await removeEvents(expiredIds);
+
+  let overflowIds = [];
+  const total = await kv.zcard(INDEX_KEY);
+  if (total > policy.maxCount) {
+    // Ascending rank = oldest first
+    overflowIds = await kv.zrange(INDEX_KEY, 0, total - policy.maxCount - 1) || [];
+    await removeEvents(overflowIds);
+  }
+
+  if (expiredIds.length > 0 || overflowIds.length > 0) {
+    console.log(`Major event retention: pruned ${expiredIds.length} older than ${policy.maxAgeDays}d, ${overflowIds.length} over max ${policy.maxCount}`);
+  }
+
+  return { prunedByAge: expiredIds.length, prunedByCount: overflowIds.length };
+}
+
+/**
+ * Store a new major event (or overwrite one with the same id)
+ * @param {object} event - Event with an id
+ * @returns {Promise<object|null>} Stored record, or null on failure
+ */
+export async function saveMajorEvent(event) {
+  if (!event?.id) {
+    console.error('Failed to store major event: missing id');
+    return null;
+  }
+
+  try {
+    await migrateLegacyEvents();
+
+    const record = { ...event, storedAt: event.storedAt || new Date().toISOString() };
+    await writeEvent(record);
+    await applyRetention();
+    return record;
+  } catch (error) {
+    console.error('Failed to store major event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a single major event by id
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getMajorEvent(id) {
+  if (!id) return null;
+  await migrateLegacyEvents();
+  return (await kv.get(eventKey(id))) || null;
+}
+
+/**
+ * Update a stored event. Only this event's record is rewritten, so updates to
+ * different events never conflict.
+ * @param {string} id
+ * @param {function(object): object} updater - Returns the new event
+ * @returns {Promise<object|null>} Updated event, or null if missing or the write failed
+ */
+export async function updateMajorEvent(id, updater) {
+  try {
+    const event = await getMajorEvent(id);
+    if (!event) return null;
+
+    const updated = { ...updater(event), id: event.id, storedAt: event.storedAt };
+    await writeEvent(updated);
+    return updated;
+  } catch (error) {
+    console.error(`Failed to update major event ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Encode a pagination cursor (score and id of the last returned event)
+ * @param {number} score
+ * @param {string} id
+ * @returns {string}
+ */
+function encodeCursor(score, id) {
+  return Buffer.from(JSON.stringify([score, id])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor
+ * @returns {{ score: number, id: string }|null} null for a malformed cursor
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [score, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isFinite(score) && typeof id === 'string' ? { score, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the next batch of index entries, newest first, after a position
+ * @param {{ score: number, id: string }|null} after
+ * @param {number} minScore - Stop below this score
+ * @returns {Promise<{ entries: Array<{ id: string, score: number }>, exhausted: boolean }>}
+ *   exhausted when the index has nothing past this batch
+ */
+async function readIndexBatch(after, minScore) {
+  const max = after ? after.score : "+inf";
+  const min = Number.isFinite(minScore) ? minScore : "-inf";
+  const raw = await kv.zrange(INDEX_KEY, max, min, {
+    byScore: true,
+    rev: true,
+    withScores: true,
+    offset: 0,
+    count: INDEX_BATCH_SIZE
+  }) || [];
+
+  const entries = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    entries.push({ id: String(raw[i]), score: Number(raw[i + 1]) });
+  }
+
+  // Same-score members come in descending id order; skip the ones already returned.
+  // A short read means the end of the index, however many entries the skip leaves.
+  return {
+    entries: after
+      ? entries.filter(entry => entry.score < after.score || entry.id < after.id)
+      : entries,
+    exhausted: entries.length < INDEX_BATCH_SIZE
+  };
+}
+
+/**
+ * List major events, newest update first, with cursor pagination
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Page size (default 20)
+ * @param {string} [options.cursor] - nextCursor from a previous page
+ * @param {string} [options.category] - importanceCategory filter
+ * @param {number} [options.minScore] - Minimum importanceScore
+ * @param {number} [options.sinceMs] - Only events updated at or after this time (epoch ms)
+ * @returns {Promise<{ events: Array<object>, nextCursor: string|null }>}
+ */
+export async function listMajorEvents({ limit = 20, cursor = null, category = null, minScore = 0, sinceMs = null } = {}) {
+  await migrateLegacyEvents();
+
+  const events = [];
+  const staleIds = [];
+  let after = cursor ? decodeCursor(cursor) : null;
+  let exhausted = false;
+
+  while (events.length < limit && !exhausted) {
+    const { entries: batch, exhausted: indexExhausted } = await readIndexBatch(after, sinceMs);
+    if (batch.length === 0) {
+      exhausted = true;
+      break;
+    }
+
+    const records = await kv.mget(...batch.map(entry => eventKey(entry.id)));
+
+    for (let i = 0; i < batch.length; i++) {
+      after = batch[i];
+      const event = records[i];
+
+      if (!event) {
+        staleIds.push(batch[i].id); // Record expired before the index was pruned
+        continue;
+      }
+      if (category && event.analysis?.importanceCategory !== category) continue;
+      if (minScore > 0 && (event.analysis?.importanceScore || 0) < minScore) continue;
+
+      events.push(event);
+      if (events.length === limit) break;
+    }
+
+    if (indexExhausted && events.length < limit) {
+      exhausted = true;
+    }
+  }
+
+  if (staleIds.length > 0) {
+    await kv.zrem(INDEX_KEY, ...staleIds);
+  }
+
+  return {
+    events,
+    nextCursor: !exhausted && after ? encodeCursor(after.score, after.id) : null
+  };
+}
+
+/**
+ * Number of indexed events
+ * @returns {Promise<number>}
+ */
+export async function countMajorEvents() {
+  await migrateLegacyEvents();
+  return (await kv.zcard(INDEX_KEY)) || 0;
+}
+
+/**
+ * Delete every stored event, the index and the legacy array (debug reset)
+ * @returns {Promise<number>} Number of events removed
+ */
+export async function clearMajorEvents() {
+  const ids = await kv.zrange(INDEX_KEY, 0, -1) || [];
+  if (ids.length > 0) {
+    await kv.del(...ids.map(id => eventKey(String(id))));
+  }
+  await kv.del(INDEX_KEY, LEGACY_EVENTS_KEY);
+  return ids.length;
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { saveMajorEvent, listMajorEvents } = await import("./majorEventStore.js");
+
+const EVENT_COUNT = 130;
+const now = Date.now();
+
+for (let i = 0; i < EVENT_COUNT; i++) {
+  await saveMajorEvent({
+    id: `evt-${String(i).padStart(3, "0")}`,
+    updatedAt: new Date(now - i * 60 * 1000).toISOString(),
+    analysis: {
+      importanceCategory: i % 10 === 0 ? "macro" : "company",
+      importanceScore: i % 2 === 0 ? 80 : 40
+    }
+  });
+}
+
+/**
+ * Follow nextCursor until the last page
+ * @param {object} options - listMajorEvents options without cursor
+ * @returns {Promise<Array<string>>} Event ids in page order
+ */
+async function collectPages(options) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await listMajorEvents({ ...options, cursor });
+    ids.push(...page.events.map(event => event.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+test("unfiltered paging returns every event once, newest first", async () => {
+  const ids = await collectPages({ limit: 20 });
+  assert.equal(ids.length, EVENT_COUNT);
+  assert.equal(new Set(ids).size, EVENT_COUNT);
+  assert.deepEqual(ids, [...ids].sort());
+});
+
+test("paging with a category filter reaches past short filtered batches", async () => {
+  const ids = await collectPages({ limit: 5, category: "macro" });
+  assert.equal(ids.length, EVENT_COUNT / 10);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test("paging with a minScore filter returns every matching event", async () => {
+  const ids = await collectPages({ limit: 20, minScore: 60 });
+  assert.equal(ids.length, EVENT_COUNT / 2);
+  assert.equal(new Set(ids).size, ids.length);
+});
@@ -1,74 +1,17 @@
+import { fetchRecentBars, getPriceProvider } from './priceProviders.js';
+
 /**
  * Market Data Cache Module
  *
- * Provides KV-cached Tiingo daily bars for outcome computation.
- * Cache key: mkt:v1:tiingo:daily:{symbol}:{YYYY-MM-DD}
+ * Provides KV-cached daily bars for outcome computation, fetched from the
+ * provider selected by PRICE_PROVIDER (see priceProviders.js).
+ * Cache key: mkt:v1:{provider}:daily:{symbol}:{YYYY-MM-DD}
  * TTL: 7 days
  */
 
-const TIINGO_BASE_URL = 'https://api.tiingo.com/tiingo/daily';
 const CACHE_TTL_DAYS = 7;
 const SECONDS_PER_DAY = 24 * 60 * 60;
 
-/**
- * Fetch daily bars from Tiingo API
- * @param {string} symbol - Ticker symbol
- * @param {number} days - Number of trading days to fetch
- * @returns {Promise<Array>} Array of { date, open, high, low, close }
- */
-async function fetchTiingoBars(symbol, days = 20) {
-  const apiKey = process.env.TIINGO_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('TIINGO_API_KEY not configured');
-  }
-
-  // Calculate date range with buffer for weekends/holidays
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days - 15); // Extra buffer
-
-  const startStr = startDate.toISOString().split('T')[0];
-  const endStr = endDate.toISOString().split('T')[0];
-
-  const url = `${TIINGO_BASE_URL}/${symbol.toUpperCase()}/prices?startDate=${startStr}&endDate=${endStr}&token=${apiKey}`;
-
-  const response = await fetch(url, {
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (response.status === 404) {
-    throw new Error(`Symbol ${symbol} not found`);
-  }
-
-  if (response.status === 429) {
-    throw new Error('Tiingo rate limit exceeded');
-  }
-
-  if (!response.ok) {
-    throw new Error(`Tiingo HTTP ${response.status}`);
-  }
-
-  const data = await response.json();
-
-  if (!Array.isArray(data) || data.length === 0) {
-    throw new Error(`No data for ${symbol}`);
-  }
-
-  // Sort by date ascending and normalize shape
-  const sorted = data.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  return sorted.map(bar => ({
-    date: bar.date.split('T')[0], // Normalize to YYYY-MM-DD
-    open: bar.open,
-    high: bar.high,
-    low: bar.low,
-    close: bar.close
-  }));
-}
-
 /**
  * Extract date string from ISO timestamp
  * @param {string} tsISO - ISO timestamp
@@ -80,12 +23,14 @@ function extractDateFromISO(tsISO) {
 
 /**
  * Build cache key for daily bars
+ * Keyed by provider so fixture or file bars never shadow live ones
+ * @param {string} providerName - Price provider name
  * @param {string} symbol - Ticker symbol
  * @param {string} dateStr - Reference date YYYY-MM-DD
  * @returns {string} Cache key
  */
-function buildCacheKey(symbol, dateStr) {
-  return `mkt:v1:tiingo:daily:${symbol.toUpperCase()}:${dateStr}`;
+function buildCacheKey(providerName, symbol, dateStr) {
+  return `mkt:v1:${providerName}:daily:${symbol.toUpperCase()}:${dateStr}`;
 }
 
 /**
@@ -102,8 +47,9 @@ export async function getDailyBarsCached({ kv, symbol, tsISO }) {
     throw new Error('Symbol is required');
   }
 
+  const provider = getPriceProvider();
   const dateStr = extractDateFromISO(tsISO);
-  const cacheKey = buildCacheKey(symbol, dateStr);
+  const cacheKey = buildCacheKey(provider.name, symbol, dateStr);
 
   // Try cache first
   if (kv) {
@@ -118,8 +64,8 @@ export async function getDailyBarsCached({ kv, symbol, tsISO }) {
     }
   }
 
-  // Fetch from Tiingo
-  const bars = await fetchTiingoBars(symbol, 20);
+  // Fetch from the configured provider (extra buffer for weekends/holidays)
+  const bars = await fetchRecentBars(symbol, 20, 15, provider);
 
   // Store in cache
   if (kv && bars.length > 0) {
@@ -1,71 +1,47 @@
+import { fetchRecentBars, getPriceProvider } from './priceProviders.js';
+import { getSymbolInfo } from './symbolMaster.js';
+
 /**
  * Market Stats Module - Phase 3.3
  *
- * Fetches historical price data and computes ATR%, gap risk, and other
- * volatility metrics used by the confidence engine.
+ * Fetches historical price data from the configured price provider and
+ * computes ATR%, gap risk, and other volatility metrics used by the
+ * confidence engine, plus the market-wide regime (SPY/QQQ/TLT) shared by
+ * every signal.
  */
 
-const TIINGO_BASE_URL = 'https://api.tiingo.com/tiingo/daily';
+// Market regime inputs: broad market, growth and long bonds
+const REGIME_MARKET = 'SPY';
+const REGIME_GROWTH = 'QQQ';
+const REGIME_BONDS = 'TLT';
+const REGIME_HISTORY_DAYS = 365;
+const REGIME_VOL_WINDOW = 20;        // Trading days of returns per realized vol reading
+const REGIME_RETURN_WINDOW = 20;     // Trading days for the risk-on/off return comparisons
+const REGIME_MIN_VOL_READINGS = 60;  // Realized vol readings needed for a percentile
+const REGIME_CACHE_MS = 60 * 60 * 1000; // Daily inputs, so one fetch an hour per instance is enough
+
+let regimeCache = null;
 
 /**
- * Fetch historical daily bars from Tiingo
+ * Fetch recent daily bars from the configured price provider
  * @param {string} symbol - Ticker symbol
  * @param {number} days - Number of days of history (default 30)
  * @returns {Promise<Array|null>} - Array of OHLC bars or null on error
  */
-async function fetchTiingoHistory(symbol, days = 30) {
-  const apiKey = process.env.TIINGO_API_KEY;
+async function fetchPriceHistory(symbol, days = 30) {
+  const provider = getPriceProvider();
 
-  if (!apiKey) {
-    console.warn('TIINGO_API_KEY not configured, market stats unavailable');
+  if (!provider.isConfigured()) {
+    console.warn(`Price provider "${provider.name}" not configured, market stats unavailable`);
     return null;
   }
 
   try {
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days - 10); // Extra buffer for weekends/holidays
-
-    const startStr = startDate.toISOString().split('T')[0];
-    const endStr = endDate.toISOString().split('T')[0];
-
-    const url = `${TIINGO_BASE_URL}/${symbol.toUpperCase()}/prices?startDate=${startStr}&endDate=${endStr}&token=${apiKey}`;
-
-    const response = await fetch(url, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (response.status === 404) {
-      console.warn(`Tiingo: Symbol ${symbol} not found`);
-      return null;
-    }
-
-    if (response.status === 429) {
-      console.warn('Tiingo: Rate limit exceeded');
-      return null;
-    }
-
-    if (!response.ok) {
-      console.warn(`Tiingo: HTTP ${response.status} for ${symbol}`);
-      return null;
-    }
-
-    const data = await response.json();
-
-    if (!Array.isArray(data) || data.length === 0) {
-      console.warn(`Tiingo: No data for ${symbol}`);
-      return null;
-    }
-
-    // Sort by date ascending and take last N days
-    const sorted = data.sort((a, b) => new Date(a.date) - new Date(b.date));
-    return sorted.slice(-days);
-
+    // Extra buffer for weekends/holidays, then take last N days
+    const bars = await fetchRecentBars(symbol, days, 10, provider);
+    return bars.slice(-days);
   } catch (error) {
-    console.error('Tiingo fetch error:', error.message);
+    console.warn(`Price history unavailable for ${symbol} (${provider.name}):`, error.message);
     return null;
   }
 }
@@ -146,6 +122,8 @@ function computeGapPct(bars) {
 
 /**
  * Get the most representative ticker from event for market stats
+ * Prefers the most liquid names in the symbol master (tier 1): ETFs first,
+ * then single stocks, sector by sector
  * @param {object} event - Event object with analysis.sectors
  * @returns {string|null} - Ticker symbol or null
  */
@@ -154,27 +132,14 @@ export function getRepresentativeTicker(event) {
     return null;
   }
 
-  // Try to find a major ETF or liquid ticker
-  const majorETFs = ['SPY', 'QQQ', 'XLE', 'XLF', 'XLK', 'XLV', 'XLI', 'XLU', 'XLP', 'XLY', 'GLD', 'TLT'];
-  const majorStocks = ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'JPM', 'XOM', 'CVX'];
-
   for (const sector of event.analysis.sectors) {
-    const tickers = sector.exampleTickers || [];
-
-    // Prefer ETFs
-    for (const ticker of tickers) {
-      const upper = String(ticker).toUpperCase();
-      if (majorETFs.includes(upper)) {
-        return upper;
-      }
-    }
+    const known = (sector.exampleTickers || []).map(ticker => getSymbolInfo(ticker)).filter(Boolean);
+    const liquid = known.filter(info => info.liquidityTier === 1);
 
-    // Then major stocks
-    for (const ticker of tickers) {
-      const upper = String(ticker).toUpperCase();
-      if (majorStocks.includes(upper)) {
-        return upper;
-      }
+    // Prefer ETFs, then major stocks
+    const pick = liquid.find(info => info.etf) || liquid.find(info => !info.etf);
+    if (pick) {
+      return pick.symbol;
     }
   }
 
@@ -198,7 +163,7 @@ export async function getMarketStats(symbol) {
     return null;
   }
 
-  const bars = await fetchTiingoHistory(symbol, 30);
+  const bars = await fetchPriceHistory(symbol, 30);
 
   if (!bars || bars.length < 15) {
     console.warn(`Insufficient price history for ${symbol}`);
@@ -230,6 +195,35 @@ export async function getMarketStats(symbol) {
   };
 }
 
+/**
+ * Get market stats for one symbol
+ * Falls back gracefully if data unavailable
+ * @param {string|null} symbol - Ticker symbol
+ * @returns {Promise<object>} - Market stats object (possibly with defaults)
+ */
+export async function getMarketStatsForSymbol(symbol) {
+  const fallback = {
+    symbol: symbol || null,
+    currentPrice: null,
+    atr: null,
+    atrPct: null,
+    gapPct: null,
+    fallback: true
+  };
+
+  if (!symbol) {
+    return fallback;
+  }
+
+  try {
+    const stats = await getMarketStats(symbol);
+    return stats ? { ...stats, fallback: false } : fallback;
+  } catch (error) {
+    console.error(`Error fetching market stats for ${symbol}:`, error.message);
+    return fallback;
+  }
+}
+
 /**
  * Get market stats for an event, using representative ticker
  * Falls back gracefully if data unavailable
@@ -241,42 +235,169 @@ export async function getMarketStatsForEvent(event) {
 
   if (!ticker) {
     console.warn('No representative ticker for event');
-    return {
-      symbol: null,
-      currentPrice: null,
-      atr: null,
-      atrPct: null,
-      gapPct: null,
-      fallback: true
-    };
   }
 
-  try {
-    const stats = await getMarketStats(ticker);
+  return getMarketStatsForSymbol(ticker);
+}
 
-    if (stats) {
-      return { ...stats, fallback: false };
-    }
+/**
+ * Simple moving average of the last N closes
+ * @param {Array} bars - Array of OHLC bars
+ * @param {number} period
+ * @returns {number|null}
+ */
+function computeSMA(bars, period) {
+  if (!bars || bars.length < period) {
+    return null;
+  }
+  return bars.slice(-period).reduce((sum, bar) => sum + bar.close, 0) / period;
+}
 
-    // Fallback with defaults
-    return {
-      symbol: ticker,
-      currentPrice: null,
-      atr: null,
-      atrPct: null,
-      gapPct: null,
-      fallback: true
-    };
+/**
+ * Close-to-close return over the last N bars, in percent
+ * @param {Array} bars - Array of OHLC bars
+ * @param {number} period
+ * @returns {number|null}
+ */
+function computeReturnPct(bars, period) {
+  if (!bars || bars.length < period + 1) {
+    return null;
+  }
+  const base = bars[bars.length - 1 - period].close;
+  return base ? (bars[bars.length - 1].close / base - 1) * 100 : null;
+}
+
+/**
+ * Percentile of the latest 20-day realized volatility within the history
+ * @param {Array} bars - Array of OHLC bars
+ * @returns {{ realizedVolPct: number, volPercentile: number }|null} - Annualized vol and its 0-100 percentile
+ */
+function computeVolPercentile(bars) {
+  if (!bars || bars.length < REGIME_VOL_WINDOW + REGIME_MIN_VOL_READINGS) {
+    return null;
+  }
+
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+
+  const vols = [];
+  for (let end = REGIME_VOL_WINDOW; end <= returns.length; end++) {
+    const window = returns.slice(end - REGIME_VOL_WINDOW, end);
+    const mean = window.reduce((sum, r) => sum + r, 0) / window.length;
+    const variance = window.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (window.length - 1);
+    vols.push(Math.sqrt(variance * 252) * 100);
+  }
 
+  const latest = vols[vols.length - 1];
+  const below = vols.filter(vol => vol < latest).length;
+
+  return {
+    realizedVolPct: Math.round(latest * 10) / 10,
+    volPercentile: Math.round((below / (vols.length - 1)) * 100)
+  };
+}
+
+/**
+ * Trend of one index from its 20/50-day moving averages
+ * @param {Array} bars - Array of OHLC bars
+ * @returns {'uptrend'|'downtrend'|'mixed'|null}
+ */
+function computeTrend(bars) {
+  const sma20 = computeSMA(bars, 20);
+  const sma50 = computeSMA(bars, 50);
+  if (sma20 === null || sma50 === null) {
+    return null;
+  }
+
+  const close = bars[bars.length - 1].close;
+  if (close > sma50 && sma20 > sma50) return 'uptrend';
+  if (close < sma50 && sma20 < sma50) return 'downtrend';
+  return 'mixed';
+}
+
+/**
+ * Compute the market-wide regime from SPY, QQQ and TLT bars
+ * - volPercentile: SPY 20-day realized vol vs the past year (0 calm - 100 stressed)
+ * - trend: "uptrend"/"downtrend" when SPY and QQQ agree, else "mixed"
+ * - breadth: share of risk-on readings (SPY and QQQ above their 50-day
+ *   average, QQQ beating SPY and SPY beating TLT over 20 days), with
+ *   riskState "risk_on" (>= 0.75), "risk_off" (<= 0.25) or "neutral"
+ * Any part whose bars are missing is null.
+ * @param {object} bars - { SPY, QQQ, TLT } arrays of OHLC bars (or null)
+ * @returns {object|null} - { volPercentile, realizedVolPct, trend, breadth, riskState, asOf }, null without SPY bars
+ */
+export function summarizeMarketRegime(bars) {
+  const market = bars[REGIME_MARKET];
+  if (!market || market.length < 2) {
+    return null;
+  }
+
+  const vol = computeVolPercentile(market);
+
+  const marketTrend = computeTrend(market);
+  const growthTrend = computeTrend(bars[REGIME_GROWTH]);
+  let trend = null;
+  if (marketTrend && growthTrend) {
+    trend = marketTrend === growthTrend ? marketTrend : 'mixed';
+  } else if (marketTrend) {
+    trend = marketTrend;
+  }
+
+  const readings = [];
+  const marketSma50 = computeSMA(market, 50);
+  const growthSma50 = computeSMA(bars[REGIME_GROWTH], 50);
+  const marketReturn = computeReturnPct(market, REGIME_RETURN_WINDOW);
+  const growthReturn = computeReturnPct(bars[REGIME_GROWTH], REGIME_RETURN_WINDOW);
+  const bondReturn = computeReturnPct(bars[REGIME_BONDS], REGIME_RETURN_WINDOW);
+
+  if (marketSma50 !== null) readings.push(market[market.length - 1].close > marketSma50);
+  if (growthSma50 !== null) readings.push(bars[REGIME_GROWTH][bars[REGIME_GROWTH].length - 1].close > growthSma50);
+  if (growthReturn !== null && marketReturn !== null) readings.push(growthReturn > marketReturn);
+  if (marketReturn !== null && bondReturn !== null) readings.push(marketReturn > bondReturn);
+
+  // At least three of the four readings for a breadth call
+  let breadth = null;
+  let riskState = null;
+  if (readings.length >= 3) {
+    breadth = Math.round((readings.filter(Boolean).length / readings.length) * 100) / 100;
+    riskState = breadth >= 0.75 ? 'risk_on' : breadth <= 0.25 ? 'risk_off' : 'neutral';
+  }
+
+  return {
+    volPercentile: vol ? vol.volPercentile : null,
+    realizedVolPct: vol ? vol.realizedVolPct : null,
+    trend,
+    breadth,
+    riskState,
+    asOf: market[market.length - 1].date || null
+  };
+}
+
+/**
+ * Get the current market regime (cached per instance for an hour)
+ * Never fails a signal: returns null when SPY history is unavailable.
+ * @returns {Promise<object|null>} - See summarizeMarketRegime
+ */
+export async function getMarketRegime() {
+  if (regimeCache && Date.now() - regimeCache.fetchedAt < REGIME_CACHE_MS) {
+    return regimeCache.regime;
+  }
+
+  try {
+    const symbols = [REGIME_MARKET, REGIME_GROWTH, REGIME_BONDS];
+    const histories = await Promise.all(symbols.map(symbol => fetchPriceHistory(symbol, REGIME_HISTORY_DAYS)));
+    const regime = summarizeMarketRegime(Object.fromEntries(symbols.map((symbol, i) => [symbol, histories[i]])));
+
+    if (!regime) {
+      console.warn('Market regime unavailable: no SPY price history');
+      return null;
+    }
+    regimeCache = { fetchedAt: Date.now(), regime };
+    return regime;
   } catch (error) {
-    console.error('Error fetching market stats:', error.message);
-    return {
-      symbol: ticker,
-      currentPrice: null,
-      atr: null,
-      atrPct: null,
-      gapPct: null,
-      fallback: true
-    };
+    console.error('Error computing market regime:', error.message);
+    return null;
   }
 }
@@ -0,0 +1,339 @@
+import { completeChat } from "./llmProviders.js";
+
+/**
+ * Model Output Validation Module
+ *
+ * Schema-guided checking of the JSON the model returns. Every check reports
+ * which fields are wrong ({ path, message }) instead of a bare boolean, so
+ * failures can be logged per field.
+ *
+ * A response goes through up to three steps:
+ * 1. Validate against the schema
+ * 2. Deterministic repairs (clamp numbers, normalize enum case, coerce
+ *    numeric/boolean strings, fill defaults, trim over-long arrays), then
+ *    validate again
+ * 3. One re-prompt that shows the model its remaining validation errors
+ *
+ * Schema nodes:
+ * { type: 'string' | 'number' | 'boolean' | 'enum' | 'array' | 'object',
+ *   required, default, nonEmpty (string), min/max/clamp (number),
+ *   values/case/aliases (enum), items/minItems/maxItems/split (array),
+ *   fields (object) }
+ */
+
+export const MODEL_OUTPUT_INVALID = "MODEL_OUTPUT_INVALID";
+
+/**
+ * Join a parent path and a key
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Short printable form of a value for messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+/**
+ * Normalize an enum candidate: trim, apply case, spaces/hyphens to underscores
+ * @param {object} node
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeEnum(node, value) {
+  const text = String(value).trim().replace(/[\s-]+/g, "_");
+  const cased = node.case === "upper" ? text.toUpperCase() : node.case === "lower" ? text.toLowerCase() : text;
+  return node.aliases?.[cased] ?? cased;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {object} node - Schema node
+ * @param {*} value
+ * @param {string} [path]
+ * @param {Array<object>} [errors] - Collected { path, message }
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function validateModelOutput(node, value, path = "", errors = []) {
+  const at = path || "$";
+
+  if (value === undefined || value === null) {
+    if (node.required) errors.push({ path: at, message: "is required" });
+    return errors;
+  }
+
+  switch (node.type) {
+    case "string":
+      if (typeof value !== "string") errors.push({ path: at, message: `must be a string (got ${describe(value)})` });
+      else if (node.nonEmpty && value.trim().length === 0) errors.push({ path: at, message: "must not be empty" });
+      break;
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ path: at, message: `must be a number (got ${describe(value)})` });
+      } else if ((node.min !== undefined && value < node.min) || (node.max !== undefined && value > node.max)) {
+        errors.push({ path: at, message: `must be between ${node.min} and ${node.max} (got ${value})` });
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") errors.push({ path: at, message: `must be true or false (got ${describe(value)})` });
+      break;
+
+    case "enum":
+      if (!node.values.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${node.values.join(", ")} (got ${describe(value)})` });
+      }
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push({ path: at, message: `must be an array (got ${describe(value)})` });
+        break;
+      }
+      if (node.minItems !== undefined && value.length < node.minItems) {
+        errors.push({ path: at, message: `must have at least ${node.minItems} item(s)` });
+      }
+      if (node.maxItems !== undefined && value.length > node.maxItems) {
+        errors.push({ path: at, message: `must have at most ${node.maxItems} items (got ${value.length})` });
+      }
+      value.forEach((item, i) => validateModelOutput(node.items, item, childPath(path, i), errors));
+      break;
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ path: at, message: `must be an object (got ${describe(value)})` });
+        break;
+      }
+      for (const [key, field] of Object.entries(node.fields)) {
+        validateModelOutput(field, value[key], childPath(path, key), errors);
+      }
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Apply deterministic repairs to a value
+ * @param {object} node - Schema node
+ * @param {*} value
+ * @param {string} [path]
+ * @param {Array<object>} [repairs] - Collected { path, message }
+ * @returns {*} Repaired value (input is not mutated)
+ */
+export function repairModelOutput(node, value, path = "", repairs = []) {
+  const at = path || "$";
+  const note = message => repairs.push({ path: at, message });
+
+  if (value === undefined || value === null) {
+    if (node.default !== undefined) {
+      note(`filled default ${describe(node.default)}`);
+      return structuredClone(node.default);
+    }
+    return value;
+  }
+
+  switch (node.type) {
+    case "string":
+      if (typeof value === "number" || typeof value === "boolean") {
+        note(`converted ${describe(value)} to a string`);
+        return String(value);
+      }
+      return value;
+
+    case "number": {
+      let num = value;
+      const percentMatch = node.max === 1 && typeof num === "string" ? num.trim().match(/^(-?\d+(?:\.\d+)?)\s*%$/) : null;
+      if (percentMatch) {
+        note(`converted ${describe(value)} to a number`);
+        num = Number(percentMatch[1]);
+      } else if (typeof num === "string" && num.trim() !== "" && Number.isFinite(Number(num))) {
+        note(`converted ${describe(value)} to a number`);
+        num = Number(num);
+      }
+      if (typeof num !== "number" || !Number.isFinite(num)) return num;
+
+      // 0-1 fields answered on a 0-100 scale: only when that is unambiguous (a
+      // "%" answer, or a whole number from 10 up); 1.5 or 7 is left to the
+      // clamp or the re-prompt rather than read as 1.5% or 7%
+      const clearlyPercent = percentMatch || (Number.isInteger(num) && num >= 10);
+      if (node.max === 1 && num > 1 && num <= 100 && clearlyPercent) {
+        note(`rescaled ${num} to ${num / 100}`);
+        num = num / 100;
+      }
+      if (node.clamp && ((node.min !== undefined && num < node.min) || (node.max !== undefined && num > node.max))) {
+        const clamped = Math.min(node.max ?? num, Math.max(node.min ?? num, num));
+        note(`clamped ${num} to ${clamped}`);
+        num = clamped;
+      }
+      return num;
+    }
+
+    case "boolean":
+      if (value === "true" || value === "false") {
+        note(`converted ${describe(value)} to a boolean`);
+        return value === "true";
+      }
+      return value;
+
+    case "enum": {
+      if (typeof value !== "string" || node.values.includes(value)) return value;
+      const normalized = normalizeEnum(node, value);
+      if (node.values.includes(normalized)) {
+        note(`normalized ${describe(value)} to "${normalized}"`);
+        return normalized;
+      }
+      return value;
+    }
+
+    case "array": {
+      let list = value;
+      if (typeof list === "string" && node.split) {
+        list = list.split(/[,\s]+/).filter(Boolean);
+        note(`split ${describe(value)} into a list`);
+      }
+      if (!Array.isArray(list)) return list;
+
+      list = list.map((item, i) => repairModelOutput(node.items, item, childPath(path, i), repairs));
+      if (node.maxItems !== undefined && list.length > node.maxItems) {
+        note(`kept the first ${node.maxItems} of ${list.length} items`);
+        list = list.slice(0, node.maxItems);
+      }
+      return list;
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return value;
+      const repaired = { ...value };
+      for (const [key, field] of Object.entries(node.fields)) {
+        const fixed = repairModelOutput(field, value[key], childPath(path, key), repairs);
+        if (fixed !== undefined) repaired[key] = fixed;
+      }
+      return repaired;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse model text as JSON, extracting the object from code fences or
+ * surrounding prose when needed
+ * @param {string} content
+ * @returns {{ data: *, repairs: Array<object>, errors: Array<object> }}
+ */
+function parseModelJSON(content) {
+  try {
+    return { data: JSON.parse(content), repairs: [], errors: [] };
+  } catch {
+    const start = content.indexOf("{");
+    const end = content.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return {
+          data: JSON.parse(content.slice(start, end + 1)),
+          repairs: [{ path: "$", message: "extracted the JSON object from surrounding text" }],
+          errors: []
+        };
+      } catch {
+        // Fall through to the parse error
+      }
+    }
+    return { data: null, repairs: [], errors: [{ path: "$", message: "is not valid JSON" }] };
+  }
+}
+
+/**
+ * Parse, validate and repair one model response
+ * @param {object} schema - Root schema node
+ * @param {string} content - Raw model text
+ * @returns {{ valid: boolean, data: *, errors: Array<object>, repairs: Array<object> }}
+ *   errors are what is still wrong after repairs
+ */
+export function checkModelOutput(schema, content) {
+  const parsed = parseModelJSON(content);
+  if (parsed.errors.length > 0) {
+    return { valid: false, data: null, errors: parsed.errors, repairs: [] };
+  }
+
+  if (validateModelOutput(schema, parsed.data).length === 0) {
+    return { valid: true, data: parsed.data, errors: [], repairs: parsed.repairs };
+  }
+
+  const repairs = [...parsed.repairs];
+  const data = repairModelOutput(schema, parsed.data, "", repairs);
+  const errors = validateModelOutput(schema, data);
+  return { valid: errors.length === 0, data, errors, repairs };
+}
+
+/**
+ * Format validation errors as "path: message" lines
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`).join("; ");
+}
+
+/**
+ * Run a chat completion that must return JSON matching a schema.
+ * Applies deterministic repairs and re-prompts once with the remaining
+ * validation errors.
+ *
+ * @param {object} params
+ * @param {Array<{ role: string, content: string }>} params.messages
+ * @param {object} params.schema - Root schema node
+ * @param {string} params.label - Output name for logs and errors (e.g. "analysis")
+ * @param {string} [params.endpoint] - Calling endpoint, for usage accounting
+ * @returns {Promise<{ data: object, modelOutput: { attempts: number, repairs: Array<object>, errors: Array<object> } }>}
+ *   modelOutput.errors are the first attempt's unrepairable errors when a
+ *   re-prompt was needed. Throws an Error with code MODEL_OUTPUT_INVALID and
+ *   `modelOutput` when the retry is still invalid.
+ */
+export async function completeValidatedJSON({ messages, schema, label, endpoint }) {
+  const first = await completeChat({ messages, endpoint });
+  const firstCheck = checkModelOutput(schema, first.content);
+
+  if (firstCheck.valid) {
+    return { data: firstCheck.data, modelOutput: { attempts: 1, repairs: firstCheck.repairs, errors: [] } };
+  }
+
+  console.warn(`Invalid ${label} from model, re-prompting: ${formatValidationErrors(firstCheck.errors)}`);
+
+  const retryMessages = [
+    ...messages,
+    { role: "assistant", content: first.content },
+    {
+      role: "user",
+      content: [
+        "Your previous response failed validation:",
+        ...firstCheck.errors.map(error => `- ${error.path}: ${error.message}`),
+        "Return the complete corrected JSON object only."
+      ].join("\n")
+    }
+  ];
+
+  const second = await completeChat({ messages: retryMessages, endpoint });
+  const secondCheck = checkModelOutput(schema, second.content);
+
+  if (secondCheck.valid) {
+    return { data: secondCheck.data, modelOutput: { attempts: 2, repairs: secondCheck.repairs, errors: firstCheck.errors } };
+  }
+
+  const error = new Error(`Invalid ${label} from model after retry: ${formatValidationErrors(secondCheck.errors)}`);
+  error.code = MODEL_OUTPUT_INVALID;
+  error.modelOutput = { attempts: 2, repairs: secondCheck.repairs, errors: secondCheck.errors };
+  throw error;
+}
@@ -0,0 +1,159 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const fixtureDir = mkdtempSync(path.join(os.tmpdir(), "model-output-fixtures-"));
+process.env.STORAGE_BACKEND = "memory";
+process.env.LLM_PROVIDER = "replay";
+process.env.LLM_FIXTURE_DIR = fixtureDir;
+
+const { checkModelOutput, completeValidatedJSON, repairModelOutput, validateModelOutput, MODEL_OUTPUT_INVALID } = await import("./modelOutput.js");
+const { hashPrompt } = await import("./llmProviders.js");
+const { LLM_SIGNAL_SCHEMA } = await import("./tradeSignal.js");
+
+const VALID_SIGNAL = {
+  thesis: "Lower rates support long-duration bonds.",
+  direction: "LONG",
+  instrument: "STOCK",
+  timeHorizon: "SWING",
+  entry: { type: "market", level: 0 },
+  invalidation: { level: 90, reason: "Yields break higher" },
+  targets: [{ level: 100, reason: "Prior high" }],
+  ambiguity: 0.3,
+  hedged: false,
+  tickers: ["TLT"],
+  keyRisks: ["Sticky inflation"]
+};
+
+const PROBABILITY = { type: "number", min: 0, max: 1, clamp: true };
+const STRICT_PROBABILITY = { type: "number", min: 0, max: 1 };
+
+after(() => {
+  rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+/**
+ * Store a replay fixture answering these messages
+ * @param {Array<object>} messages
+ * @param {string} response
+ */
+function recordResponse(messages, response) {
+  writeFileSync(path.join(fixtureDir, `${hashPrompt(messages)}.json`), JSON.stringify({ messages, response }));
+}
+
+test("a valid signal passes untouched", () => {
+  assert.deepEqual(validateModelOutput(LLM_SIGNAL_SCHEMA, VALID_SIGNAL), []);
+  const check = checkModelOutput(LLM_SIGNAL_SCHEMA, JSON.stringify(VALID_SIGNAL));
+  assert.equal(check.valid, true);
+  assert.deepEqual(check.repairs, []);
+});
+
+test("validation reports each broken field by path", () => {
+  const errors = validateModelOutput(LLM_SIGNAL_SCHEMA, {
+    ...VALID_SIGNAL,
+    thesis: " ",
+    direction: "UP",
+    targets: [{ level: "high" }],
+    tickers: []
+  });
+  assert.deepEqual(errors.map(error => error.path), ["thesis", "direction", "targets[0].level", "tickers"]);
+});
+
+test("deterministic repairs fix case, aliases, strings, defaults and long lists", () => {
+  const repairs = [];
+  const repaired = repairModelOutput(LLM_SIGNAL_SCHEMA, {
+    ...VALID_SIGNAL,
+    direction: " buy ",
+    timeHorizon: "multi-day",
+    entry: { type: "Limit", level: "101.5" },
+    hedged: "true",
+    tickers: "TLT, IEF TLH EDV ZROZ GOVT SHY IEI VGLT",
+    keyRisks: null
+  }, "", repairs);
+
+  assert.equal(repaired.direction, "LONG");
+  assert.equal(repaired.timeHorizon, "MULTI_DAY");
+  assert.deepEqual(repaired.entry, { type: "limit", level: 101.5 });
+  assert.equal(repaired.hedged, true);
+  assert.deepEqual(repaired.tickers, ["TLT", "IEF", "TLH", "EDV", "ZROZ", "GOVT", "SHY", "IEI"]);
+  assert.deepEqual(repaired.keyRisks, []);
+  assert.deepEqual(validateModelOutput(LLM_SIGNAL_SCHEMA, repaired), []);
+  assert.ok(repairs.some(repair => repair.path === "tickers" && /kept the first 8/.test(repair.message)));
+});
+
+test("0-1 fields are rescaled only when clearly answered in percent", () => {
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, 75), 0.75);
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, 10), 0.1);
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, "75%"), 0.75);
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, "7.5 %"), 0.075);
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, 0.4), 0.4);
+
+  // Not clearly percent: left invalid (re-prompt), or clamped where allowed
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, 1.5), 1.5);
+  assert.equal(repairModelOutput(STRICT_PROBABILITY, 7), 7);
+  assert.equal(repairModelOutput(PROBABILITY, 1.5), 1);
+  assert.equal(repairModelOutput(PROBABILITY, 7), 1);
+  assert.equal(repairModelOutput(PROBABILITY, 150), 1);
+  assert.equal(repairModelOutput(PROBABILITY, -0.2), 0);
+
+  // Percent strings are only read for 0-1 fields
+  assert.equal(repairModelOutput({ type: "number" }, "5%"), "5%");
+});
+
+test("JSON is extracted from code fences and prose", () => {
+  const check = checkModelOutput(LLM_SIGNAL_SCHEMA, `Here you go:\n\`\`\`json\n${JSON.stringify(VALID_SIGNAL)}\n\`\`\``);
+  assert.equal(check.valid, true);
+  assert.equal(check.repairs[0].message, "extracted the JSON object from surrounding text");
+
+  assert.deepEqual(checkModelOutput(LLM_SIGNAL_SCHEMA, "no json here").errors, [{ path: "$", message: "is not valid JSON" }]);
+});
+
+test("output still invalid after repairs is re-prompted once with its errors", async () => {
+  const messages = [{ role: "user", content: "signal for test event" }];
+  const broken = JSON.stringify({ ...VALID_SIGNAL, ambiguity: 1.5, instrument: "FUTURES" });
+  recordResponse(messages, broken);
+
+  const retryMessages = [
+    ...messages,
+    { role: "assistant", content: broken },
+    {
+      role: "user",
+      content: [
+        "Your previous response failed validation:",
+        "- instrument: must be one of STOCK, OPTIONS, NO_TRADE (got \"FUTURES\")",
+        "Return the complete corrected JSON object only."
+      ].join("\n")
+    }
+  ];
+  recordResponse(retryMessages, JSON.stringify(VALID_SIGNAL));
+
+  const result = await completeValidatedJSON({ messages, schema: LLM_SIGNAL_SCHEMA, label: "signal" });
+  assert.deepEqual(result.data, VALID_SIGNAL);
+  assert.equal(result.modelOutput.attempts, 2);
+  assert.deepEqual(result.modelOutput.errors.map(error => error.path), ["instrument"]);
+});
+
+test("output invalid after the retry throws MODEL_OUTPUT_INVALID", async () => {
+  const messages = [{ role: "user", content: "signal for another event" }];
+  const broken = JSON.stringify({ ...VALID_SIGNAL, tickers: [] });
+  recordResponse(messages, broken);
+  recordResponse([
+    ...messages,
+    { role: "assistant", content: broken },
+    {
+      role: "user",
+      content: [
+        "Your previous response failed validation:",
+        "- tickers: must have at least 1 item(s)",
+        "Return the complete corrected JSON object only."
+      ].join("\n")
+    }
+  ], broken);
+
+  await assert.rejects(
+    completeValidatedJSON({ messages, schema: LLM_SIGNAL_SCHEMA, label: "signal" }),
+    error => error.code === MODEL_OUTPUT_INVALID && error.modelOutput.attempts === 2 && error.modelOutput.errors[0].path === "tickers"
+  );
+});
@@ -0,0 +1,216 @@
+/**
+ * News Clustering Module
+ *
+ * Groups near-duplicate news items (the same story from several outlets)
+ * so the watchdog sends one representative per story to analyzeNews.
+ *
+ * Method: two MinHash signatures per item, compared by estimated Jaccard
+ * similarity:
+ * - headline: stemmed content words, which catches rewrites of the same
+ *   headline ("Oil jumps as OPEC cuts output" / "Oil prices jump after OPEC
+ *   output cut")
+ * - text: word bigrams over headline + lead of the summary, which catches
+ *   wire copy reused under a different headline
+ * Two items published within the clustering window are linked when either
+ * similarity clears its threshold; clusters are the connected components
+ * (union-find).
+ *
+ * Thresholds favour precision: a missed duplicate costs one GPT call, a
+ * false merge hides a story.
+ *
+ * Batches are at most a few hundred items, so all pairs are compared
+ * directly instead of using LSH banding.
+ */
+
+const SHINGLE_SIZE = 2; // Word bigrams for the text signature
+const NUM_HASHES = 128; // Estimate std ≈ 0.04, small next to the threshold margins
+const HEADLINE_THRESHOLD = 0.75; // "Fed cuts rates by half point" vs "ECB cuts rates by half point" (0.67) stay apart
+const TEXT_THRESHOLD = 0.5;
+const MIN_HEADLINE_TOKENS = 4; // Very short headlines match too easily on words alone
+const MIN_TEXT_TOKENS = 10; // Text signature needs a summary; headline-only text is covered above
+const DEFAULT_WINDOW_HOURS = 12;
+const BODY_WORD_LIMIT = 40; // Only the lead of the summary; long bodies dilute headline overlap
+
+// Common words that would otherwise make unrelated headlines look alike
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by',
+  'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'its',
+  'it', 'this', 'that', 'after', 'over', 'says', 'said', 'amid', 'into',
+  'today', 'again', 'new', 'update', 'live', 'breaking', 'report', 'reports'
+]);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+// Fixed (a, b) pairs for h_i(x) = (a * x + b) mod 2^32; deterministic across runs
+const HASH_PARAMS = Array.from({ length: NUM_HASHES }, (_, i) => ({
+  a: (fnv1a(`minhash-a-${i}`) | 1) >>> 0,
+  b: fnv1a(`minhash-b-${i}`)
+}));
+
+/**
+ * Normalize text into content tokens, with a light plural stem (cuts → cut)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Build the headline shingle set (content words)
+ * @param {object} item - { headline }
+ * @returns {Set<string>}
+ */
+export function buildHeadlineShingles(item) {
+  const tokens = tokenize(item.headline);
+  return tokens.length >= MIN_HEADLINE_TOKENS ? new Set(tokens) : new Set();
+}
+
+/**
+ * Build the text shingle set for a news item (bigrams over headline + lead of the summary)
+ * @param {object} item - { headline, body }
+ * @returns {Set<string>}
+ */
+export function buildShingles(item) {
+  const tokens = [
+    ...tokenize(item.headline),
+    ...tokenize(item.body).slice(0, BODY_WORD_LIMIT)
+  ];
+
+  const shingles = new Set();
+  if (tokens.length < MIN_TEXT_TOKENS) {
+    return shingles;
+  }
+
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+    shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Compute the MinHash signature of a shingle set
+ * @param {Set<string>} shingles
+ * @returns {Array<number>|null} - Signature, or null for an empty set
+ */
+export function minHashSignature(shingles) {
+  if (!shingles || shingles.size === 0) return null;
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const x = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = (Math.imul(HASH_PARAMS[i].a, x) + HASH_PARAMS[i].b) >>> 0;
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimate Jaccard similarity from two MinHash signatures
+ * @param {Array<number>|null} sigA
+ * @param {Array<number>|null} sigB
+ * @returns {number} - 0..1
+ */
+export function estimateSimilarity(sigA, sigB) {
+  if (!sigA || !sigB) return 0;
+  let matches = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (sigA[i] === sigB[i]) matches++;
+  }
+  return matches / NUM_HASHES;
+}
+
+/**
+ * Pick the item that represents a cluster: highest prefilter score, then
+ * the earliest report (first outlet to break the story)
+ * @param {Array<object>} members
+ * @returns {object}
+ */
+function pickRepresentative(members) {
+  return [...members].sort((a, b) => {
+    const scoreDiff = (b.prefilterScore ?? 0) - (a.prefilterScore ?? 0);
+    if (scoreDiff !== 0) return scoreDiff;
+    return new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0);
+  })[0];
+}
+
+/**
+ * Cluster near-duplicate news items
+ *
+ * @param {Array<object>} items - News items ({ headline, body, publishedAt, source, ... })
+ * @param {object} [options]
+ * @param {number} [options.headlineThreshold] - Min headline similarity to link two items
+ * @param {number} [options.textThreshold] - Min headline+summary similarity to link two items
+ * @param {number} [options.windowHours] - Max publish-time gap between linked items
+ * @returns {Array<{ clusterId: string, representative: object, members: Array<object>, size: number, sources: Array<string> }>}
+ *   Clusters in the order their first member appears in `items`
+ */
+export function clusterNewsItems(items, {
+  headlineThreshold = HEADLINE_THRESHOLD,
+  textThreshold = TEXT_THRESHOLD,
+  windowHours = DEFAULT_WINDOW_HOURS
+} = {}) {
+  const headlineSignatures = items.map(item => minHashSignature(buildHeadlineShingles(item)));
+  const textSignatures = items.map(item => minHashSignature(buildShingles(item)));
+  const times = items.map(item => (item.publishedAt ? new Date(item.publishedAt).getTime() : NaN));
+  const windowMs = windowHours * 60 * 60 * 1000;
+
+  // Union-find over item indexes
+  const parent = items.map((_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const bothTimed = Number.isFinite(times[i]) && Number.isFinite(times[j]);
+      if (bothTimed && Math.abs(times[i] - times[j]) > windowMs) continue;
+      const similar = estimateSimilarity(headlineSignatures[i], headlineSignatures[j]) >= headlineThreshold
+        || estimateSimilarity(textSignatures[i], textSignatures[j]) >= textThreshold;
+      if (similar) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()].map(members => {
+    const representative = pickRepresentative(members);
+    return {
+      clusterId: `cl_${fnv1a(members.map(m => m.url || m.headline).sort().join('|')).toString(16)}`,
+      representative,
+      members,
+      size: members.length,
+      sources: [...new Set(members.map(m => m.source).filter(Boolean))]
+    };
+  });
+}
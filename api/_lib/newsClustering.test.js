@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHeadlineShingles, buildShingles, clusterNewsItems, estimateSimilarity, minHashSignature } from "./newsClustering.js";
+
+const WIRE_BODY = "The Organization of the Petroleum Exporting Countries agreed on Sunday to reduce crude production "
+  + "by one million barrels per day starting next month, citing weaker demand from China and rising inventories "
+  + "across major consuming nations.";
+
+/**
+ * Build a news item
+ * @param {string} headline
+ * @param {object} [fields]
+ * @returns {object}
+ */
+function newsItem(headline, fields = {}) {
+  return {
+    headline,
+    body: "",
+    source: "Wire",
+    url: `https://news.example/${encodeURIComponent(headline)}`,
+    publishedAt: "2024-09-18T12:00:00.000Z",
+    ...fields
+  };
+}
+
+test("MinHash similarity estimates Jaccard similarity", () => {
+  const a = new Set(Array.from({ length: 100 }, (_, i) => `w${i}`));
+  const b = new Set(Array.from({ length: 100 }, (_, i) => `w${i + 50}`)); // Jaccard 50/150
+  const disjoint = new Set(Array.from({ length: 100 }, (_, i) => `x${i}`));
+
+  assert.equal(estimateSimilarity(minHashSignature(a), minHashSignature(new Set(a))), 1);
+  assert.ok(Math.abs(estimateSimilarity(minHashSignature(a), minHashSignature(b)) - 1 / 3) < 0.12);
+  assert.ok(estimateSimilarity(minHashSignature(a), minHashSignature(disjoint)) < 0.1);
+
+  assert.equal(minHashSignature(new Set()), null);
+  assert.equal(estimateSimilarity(null, minHashSignature(a)), 0);
+});
+
+test("short headlines and texts get no signature", () => {
+  assert.equal(buildHeadlineShingles({ headline: "Oil jumps" }).size, 0);
+  assert.equal(buildShingles({ headline: "Oil jumps", body: "Prices rose." }).size, 0);
+  assert.ok(buildShingles({ headline: "Oil jumps", body: WIRE_BODY }).has("oil jump"));
+});
+
+test("rewrites of the same headline are clustered", () => {
+  const clusters = clusterNewsItems([
+    newsItem("Oil jumps as OPEC cuts output", { source: "Reuters" }),
+    newsItem("Oil prices jump after OPEC output cut", { source: "Bloomberg" })
+  ]);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].size, 2);
+  assert.deepEqual(clusters[0].sources, ["Reuters", "Bloomberg"]);
+});
+
+test("wire copy under a different headline is clustered by its text", () => {
+  const clusters = clusterNewsItems([
+    newsItem("OPEC agrees surprise production cut", { body: WIRE_BODY }),
+    newsItem("Crude producers slash supply target", { body: WIRE_BODY })
+  ]);
+  assert.equal(clusters.length, 1);
+});
+
+test("similar headlines about different actors stay apart", () => {
+  const clusters = clusterNewsItems([
+    newsItem("Fed cuts rates by half point"),
+    newsItem("ECB cuts rates by half point")
+  ]);
+  assert.equal(clusters.length, 2);
+});
+
+test("items outside the window are not linked", () => {
+  const items = [
+    newsItem("Oil jumps as OPEC cuts output", { publishedAt: "2024-09-18T00:00:00.000Z" }),
+    newsItem("Oil jumps as OPEC cuts output", { publishedAt: "2024-09-19T00:00:00.000Z", url: "https://news.example/later" })
+  ];
+  assert.equal(clusterNewsItems(items).length, 2);
+  assert.equal(clusterNewsItems(items, { windowHours: 48 }).length, 1);
+});
+
+test("the representative has the highest prefilter score, then the earliest report", () => {
+  const early = newsItem("Oil jumps as OPEC cuts output", { prefilterScore: 5, publishedAt: "2024-09-18T10:00:00.000Z", url: "https://news.example/early" });
+  const late = newsItem("Oil jumps as OPEC cuts output", { prefilterScore: 5, publishedAt: "2024-09-18T11:00:00.000Z", url: "https://news.example/late" });
+  const best = newsItem("Oil prices jump after OPEC output cut", { prefilterScore: 8, publishedAt: "2024-09-18T12:00:00.000Z" });
+
+  assert.equal(clusterNewsItems([late, early])[0].representative, early);
+  assert.equal(clusterNewsItems([late, early, best])[0].representative, best);
+
+  // Cluster ids depend on the members, not their order
+  assert.equal(clusterNewsItems([late, early])[0].clusterId, clusterNewsItems([early, late])[0].clusterId);
+});
+
+test("clusters keep the order of their first member", () => {
+  const clusters = clusterNewsItems([
+    newsItem("Fed cuts rates by half point"),
+    newsItem("Oil jumps as OPEC cuts output"),
+    newsItem("Oil prices jump after OPEC output cut")
+  ]);
+  assert.deepEqual(clusters.map(cluster => cluster.representative.headline), [
+    "Fed cuts rates by half point",
+    "Oil jumps as OPEC cuts output"
+  ]);
+});
@@ -1,4 +1,4 @@
-import { kv } from "@vercel/kv";
+import { kv } from "./storage.js";
 import { createHash } from "crypto";
 
 /**
@@ -8,9 +8,9 @@ import { createHash } from "crypto";
  * Stores raw ingest items, decision entries, and metrics.
  */
 
-// KV Keys
-const RAW_ITEMS_KEY = "news:debug:raw";
-const DECISIONS_KEY = "news:debug:decisions";
+// KV Keys (raw items and decisions are capped lists, newest first)
+const RAW_ITEMS_KEY = "news:debug:rawList";
+const DECISIONS_KEY = "news:debug:decisionList";
 const METRICS_KEY = "news:debug:metrics";
 
 // Limits
@@ -66,19 +66,10 @@ export async function logRawItem(rawItem) {
       hash: hashHeadline(rawItem.headline, rawItem.url),
     };
 
-    // Get current list
-    let items = (await kv.get(RAW_ITEMS_KEY)) || [];
-
-    // Prepend new item (newest first)
-    items.unshift(entry);
-
-    // Trim to limit
-    if (items.length > RAW_LIMIT) {
-      items = items.slice(0, RAW_LIMIT);
-    }
-
-    // Store with TTL
-    await kv.set(RAW_ITEMS_KEY, items, { ex: TTL_SECONDS });
+    // Prepend (newest first), trim to limit and refresh TTL
+    await kv.lpush(RAW_ITEMS_KEY, entry);
+    await kv.ltrim(RAW_ITEMS_KEY, 0, RAW_LIMIT - 1);
+    await kv.expire(RAW_ITEMS_KEY, TTL_SECONDS);
   } catch (error) {
     console.error("[newsDebugLog] Failed to log raw item:", error.message);
   }
@@ -102,6 +93,7 @@ export async function logDecision(decisionEntry) {
       dailyCap: decisionEntry.dailyCap ?? 50,
       cooldownApplied: decisionEntry.cooldownApplied ?? false,
       dedupeHit: decisionEntry.dedupeHit ?? false,
+      cluster: decisionEntry.cluster || null,
       decision: decisionEntry.decision || "UNKNOWN",
       decisionReason: decisionEntry.decisionReason || "",
       classifier: {
@@ -113,21 +105,14 @@ export async function logDecision(decisionEntry) {
       },
       majorEventId: decisionEntry.majorEventId || null,
       error: decisionEntry.error || null,
+      modelOutput: decisionEntry.modelOutput || null,
+      tickerCheck: decisionEntry.tickerCheck || null,
     };
 
-    // Get current list
-    let decisions = (await kv.get(DECISIONS_KEY)) || [];
-
-    // Prepend new decision (newest first)
-    decisions.unshift(entry);
-
-    // Trim to limit
-    if (decisions.length > DECISION_LIMIT) {
-      decisions = decisions.slice(0, DECISION_LIMIT);
-    }
-
-    // Store with TTL
-    await kv.set(DECISIONS_KEY, decisions, { ex: TTL_SECONDS });
+    // Prepend (newest first), trim to limit and refresh TTL
+    await kv.lpush(DECISIONS_KEY, entry);
+    await kv.ltrim(DECISIONS_KEY, 0, DECISION_LIMIT - 1);
+    await kv.expire(DECISIONS_KEY, TTL_SECONDS);
   } catch (error) {
     console.error("[newsDebugLog] Failed to log decision:", error.message);
   }
@@ -149,6 +134,45 @@ export async function incrementMetric(name, delta = 1) {
   }
 }
 
+/**
+ * Counts model output fields that failed validation or needed a repair,
+ * keyed like "analysis.sectors[].confidence", so the debug console can show
+ * which fields the model keeps breaking
+ * @param {string} label - Output name ("analysis" or "signal")
+ * @param {object|null} modelOutput - { attempts, repairs, errors } from modelOutput.js
+ */
+async function recordModelFieldIssues(label, modelOutput) {
+  const issues = [...(modelOutput?.errors || []), ...(modelOutput?.repairs || [])];
+  if (issues.length === 0) return;
+
+  try {
+    let metrics = (await kv.get(METRICS_KEY)) || {};
+    const fieldIssues = metrics.modelFieldIssues || {};
+    for (const field of new Set(issues.map(issue => `${label}.${issue.path.replace(/\[\d+\]/g, "[]")}`))) {
+      fieldIssues[field] = (fieldIssues[field] || 0) + 1;
+    }
+    metrics.modelFieldIssues = fieldIssues;
+    metrics.lastUpdatedAt = new Date().toISOString();
+    await kv.set(METRICS_KEY, metrics, { ex: TTL_SECONDS });
+  } catch (error) {
+    console.error("[newsDebugLog] Failed to record model field issues:", error.message);
+  }
+}
+
+/**
+ * Counts a model output's repairs, re-prompt and broken fields
+ * @param {string} label - Output name ("analysis" or "signal")
+ * @param {object|null} modelOutput - { attempts, repairs, errors } from modelOutput.js
+ * @param {boolean} invalid - Whether the output stayed invalid after the re-prompt
+ */
+export async function recordModelOutput(label, modelOutput, invalid = false) {
+  if (!modelOutput) return;
+  if (modelOutput.repairs.length > 0) await incrementMetric("modelOutputRepairedCount", 1);
+  if (modelOutput.attempts > 1) await incrementMetric("modelOutputRetriedCount", 1);
+  if (invalid) await incrementMetric("modelOutputInvalidCount", 1);
+  await recordModelFieldIssues(label, modelOutput);
+}
+
 /**
  * Sets a metric value directly
  * @param {string} name - Metric name
@@ -172,9 +196,8 @@ export async function setMetric(name, value) {
  */
 export async function getRawItems(limit = 200) {
   try {
-    const items = (await kv.get(RAW_ITEMS_KEY)) || [];
     const effectiveLimit = Math.min(Math.max(1, limit), RAW_LIMIT);
-    return items.slice(0, effectiveLimit);
+    return (await kv.lrange(RAW_ITEMS_KEY, 0, effectiveLimit - 1)) || [];
   } catch (error) {
     console.error("[newsDebugLog] Failed to get raw items:", error.message);
     return [];
@@ -188,9 +211,8 @@ export async function getRawItems(limit = 200) {
  */
 export async function getDecisions(limit = 200) {
   try {
-    const decisions = (await kv.get(DECISIONS_KEY)) || [];
     const effectiveLimit = Math.min(Math.max(1, limit), DECISION_LIMIT);
-    return decisions.slice(0, effectiveLimit);
+    return (await kv.lrange(DECISIONS_KEY, 0, effectiveLimit - 1)) || [];
   } catch (error) {
     console.error("[newsDebugLog] Failed to get decisions:", error.message);
     return [];
@@ -210,8 +232,15 @@ export async function getMetrics() {
       analyzedCount: 0,
       skippedLowPrefilterCount: 0,
       skippedDailyCapCount: 0,
+      skippedBudgetCount: 0,
       skippedProcessedCount: 0,
+      skippedNearDuplicateCount: 0,
+      followUpsAttachedCount: 0,
       errorsCount: 0,
+      modelOutputRepairedCount: 0,
+      modelOutputRetriedCount: 0,
+      modelOutputInvalidCount: 0,
+      modelFieldIssues: {},
       lastRunAt: null,
     };
   } catch (error) {
@@ -232,8 +261,15 @@ export async function resetMetrics() {
       analyzedCount: 0,
       skippedLowPrefilterCount: 0,
       skippedDailyCapCount: 0,
+      skippedBudgetCount: 0,
       skippedProcessedCount: 0,
+      skippedNearDuplicateCount: 0,
+      followUpsAttachedCount: 0,
       errorsCount: 0,
+      modelOutputRepairedCount: 0,
+      modelOutputRetriedCount: 0,
+      modelOutputInvalidCount: 0,
+      modelFieldIssues: {},
       lastRunAt: null,
       lastUpdatedAt: new Date().toISOString(),
     };
@@ -375,7 +411,9 @@ export const DECISION_TYPES = {
   ANALYZED: "ANALYZED",
   SKIPPED_LOW_PREFILTER: "SKIPPED_LOW_PREFILTER",
   SKIPPED_ALREADY_PROCESSED: "SKIPPED_ALREADY_PROCESSED",
+  SKIPPED_NEAR_DUPLICATE: "SKIPPED_NEAR_DUPLICATE",
   SKIPPED_DAILY_CAP: "SKIPPED_DAILY_CAP",
+  SKIPPED_BUDGET: "SKIPPED_BUDGET",
   SKIPPED_PROVIDER_MISSING: "SKIPPED_PROVIDER_MISSING",
   ERROR: "ERROR",
 };
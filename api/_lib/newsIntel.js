@@ -1,89 +1,99 @@
-import OpenAI from "openai";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./llmProviders.js";
+import { selectPrompt } from "./prompts.js";
+import { completeValidatedJSON, validateModelOutput } from "./modelOutput.js";
+import { resolveTickers } from "./symbolMaster.js";
 
 /**
- * System prompt for GPT-5.1 macro/cross-asset analyst
+ * Schema of the analysis JSON (see modelOutput.js for the node format)
  */
-export const SYSTEM_PROMPT = `You are an ultra-fast macro and cross-asset analyst for a trading assistant.
-Your job is to read a major news event and output a structured JSON describing:
-
-- How important the event is (0–100),
-- Whether it is a macro shock, sector shock, or just noise,
-- Which sectors are likely bullish or bearish,
-- Example large, liquid, publicly traded US or global tickers that could be impacted,
-- How long the impact might matter (very_short, short, medium, long),
-- Key risks and caveats.
-
-Constraints:
-
-- Never invent obscure or illiquid tickers. Prefer large, well-known names (e.g., GNRC, XOM, CVX, MSFT, AAPL, NVDA, JPM, GS, etc.).
-- If unsure about specific tickers, you may return an empty array for exampleTickers.
-- ImportanceScore should be higher for events that:
-  - Affect multiple countries or regions,
-  - Affect critical infrastructure (energy, payments, shipping lanes, etc.),
-  - Have potential regulatory, geopolitical, or systemic implications.
-- If the event is minor or very localized with limited economic impact, mark it as "noise" with low importanceScore (< 40).
-- All output MUST be valid JSON and must follow the exact structure requested.`;
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    summary: { type: 'string', required: true },
+    importanceScore: { type: 'number', required: true, min: 0, max: 100, clamp: true },
+    importanceCategory: { type: 'enum', required: true, values: ['macro_shock', 'sector_shock', 'noise'], case: 'lower' },
+    impactHorizon: { type: 'enum', required: true, values: ['very_short', 'short', 'medium', 'long'], case: 'lower' },
+    sectors: {
+      type: 'array',
+      required: true,
+      default: [],
+      items: {
+        type: 'object',
+        required: true,
+        fields: {
+          name: { type: 'string', required: true },
+          direction: { type: 'enum', required: true, values: ['bullish', 'bearish', 'neutral', 'unclear'], case: 'lower' },
+          rationale: { type: 'string', required: true, default: '' },
+          exampleTickers: { type: 'array', required: true, default: [], split: true, items: { type: 'string', required: true } },
+          confidence: { type: 'number', required: true, min: 0, max: 1, clamp: true }
+        }
+      }
+    },
+    riskNotes: { type: 'array', required: true, default: [], items: { type: 'string', required: true } }
+  }
+};
 
 /**
  * Validates the response from GPT to ensure it has required fields
+ * @param {object} data - Parsed model response
+ * @returns {boolean}
  */
 export function validateResponse(data) {
-  if (typeof data !== 'object' || data === null) {
-    return false;
-  }
-
-  // Check required top-level fields
-  if (typeof data.summary !== 'string') return false;
-  if (typeof data.importanceScore !== 'number') return false;
-  if (!['macro_shock', 'sector_shock', 'noise'].includes(data.importanceCategory)) return false;
-  if (!['very_short', 'short', 'medium', 'long'].includes(data.impactHorizon)) return false;
-  if (!Array.isArray(data.sectors)) return false;
-  if (!Array.isArray(data.riskNotes)) return false;
-
-  // Validate each sector entry
-  for (const sector of data.sectors) {
-    if (typeof sector !== 'object' || sector === null) return false;
-    if (typeof sector.name !== 'string') return false;
-    if (!['bullish', 'bearish', 'neutral', 'unclear'].includes(sector.direction)) return false;
-    if (typeof sector.rationale !== 'string') return false;
-    if (!Array.isArray(sector.exampleTickers)) return false;
-    if (typeof sector.confidence !== 'number') return false;
-  }
-
-  return true;
+  return validateModelOutput(ANALYSIS_SCHEMA, data).length === 0;
 }
 
 /**
  * Normalizes the response to ensure consistent structure
+ * Example tickers are resolved against the symbol master: names and odd
+ * formats are mapped to listed symbols, unknown tickers are dropped, and each
+ * sector gets the symbols' metadata (tickerInfo). tickerCheck lists what was
+ * mapped or dropped.
  */
 export function normalizeResponse(data) {
+  const tickerCheck = { mapped: [], dropped: [] };
+
+  const sectors = data.sectors.map(sector => {
+    const { symbols, mapped, dropped } = resolveTickers(sector.exampleTickers);
+    tickerCheck.mapped.push(...mapped);
+    tickerCheck.dropped.push(...dropped);
+
+    return {
+      name: sector.name,
+      direction: sector.direction,
+      rationale: sector.rationale,
+      exampleTickers: symbols.map(info => info.symbol),
+      tickerInfo: symbols,
+      confidence: Math.max(0, Math.min(1, sector.confidence))
+    };
+  });
+
   return {
     summary: data.summary,
     importanceScore: Math.max(0, Math.min(100, data.importanceScore)),
     importanceCategory: data.importanceCategory,
     impactHorizon: data.impactHorizon,
-    sectors: data.sectors.map(sector => ({
-      name: sector.name,
-      direction: sector.direction,
-      rationale: sector.rationale,
-      exampleTickers: sector.exampleTickers.map(t => String(t).toUpperCase()),
-      confidence: Math.max(0, Math.min(1, sector.confidence))
-    })),
+    sectors,
     riskNotes: data.riskNotes.map(note => String(note)),
-    rawModelExplanation: data.rawModelExplanation || undefined
+    rawModelExplanation: data.rawModelExplanation || undefined,
+    tickerCheck
   };
 }
 
 /**
- * Analyzes a news headline/body using GPT-5.1
+ * Analyzes a news headline/body using the configured LLM provider
+ * and the news-analysis prompt selected for the headline
  * @param {string} headline - The news headline
  * @param {string|null} body - Optional news body text
- * @returns {Promise<object>} - The analyzed news intelligence
+ * @param {object} [options]
+ * @param {string} [options.endpoint] - Calling endpoint, for LLM usage accounting
+ * @returns {Promise<object>} - The analyzed news intelligence. Throws an error
+ *   with code MODEL_OUTPUT_INVALID and `modelOutput` when the model's JSON
+ *   stays invalid after repairs and one re-prompt
  */
-export async function analyzeNews(headline, body = null) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not configured');
+export async function analyzeNews(headline, body = null, { endpoint } = {}) {
+  if (!isLLMConfigured()) {
+    throw new Error(LLM_NOT_CONFIGURED_MESSAGE);
   }
 
   // Build user content for the model
@@ -110,43 +120,20 @@ export async function analyzeNews(headline, body = null) {
     }
   };
 
-  // Initialize OpenAI client
-  const client = new OpenAI({ apiKey });
+  // Same headline always gets the same prompt version
+  const prompt = selectPrompt("news-analysis", userContent.headline);
 
-  // Call GPT-5.1
-  const completion = await client.chat.completions.create({
-    model: "gpt-5.1",
-    response_format: { type: "json_object" },
+  // Call the configured LLM provider; invalid output is repaired or re-prompted once
+  const { data, modelOutput } = await completeValidatedJSON({
     messages: [
-      { role: "system", content: SYSTEM_PROMPT },
+      { role: "system", content: prompt.system },
       { role: "user", content: JSON.stringify(userContent) }
-    ]
+    ],
+    schema: ANALYSIS_SCHEMA,
+    label: "analysis",
+    endpoint
   });
 
-  // Extract response content
-  const responseContent = completion.choices?.[0]?.message?.content;
-
-  if (!responseContent) {
-    throw new Error('Empty response from model');
-  }
-
-  // Parse JSON response
-  let parsedResponse;
-  try {
-    parsedResponse = JSON.parse(responseContent);
-  } catch (jsonError) {
-    console.error('Failed to parse model JSON response:', jsonError);
-    console.error('Raw content:', responseContent);
-    throw new Error('Failed to parse model response');
-  }
-
-  // Validate response structure
-  if (!validateResponse(parsedResponse)) {
-    console.error('Invalid response structure from model');
-    console.error('Parsed response:', JSON.stringify(parsedResponse, null, 2));
-    throw new Error('Invalid response structure from model');
-  }
-
-  // Normalize and return response
-  return normalizeResponse(parsedResponse);
+  // Normalize and stamp the prompt version and validation outcome
+  return { ...normalizeResponse(data), promptVersion: prompt.id, modelOutput };
 }
@@ -0,0 +1,387 @@
+// Static ES import ensures Vercel bundler includes the JSON file
+import newsProvidersConfig from '../../src/data/news-providers.json' with { type: 'json' };
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseFeed } from './feedParser.js';
+import { hashHeadline } from './newsDebugLog.js';
+
+/**
+ * News Provider Registry
+ *
+ * Every news source is an entry in src/data/news-providers.json with its own
+ * type, priority, health threshold and config. Each type fetches raw items
+ * and normalizes them into the common shape
+ * { id, headline, body, source, url, publishedAt, provider }.
+ *
+ * Strategy (top-level "strategy"):
+ * - fallback: fetch providers in priority order until one is healthy
+ *   (returns at least its `minHealthy` items); lower-priority ones only
+ *   supplement a failing or thin primary
+ * - merge: fetch every enabled provider
+ * A provider with "always": true is fetched under either strategy, which is
+ * how low-volume feeds (e.g. central-bank RSS) ride along with the primary.
+ *
+ * Provider entry fields:
+ * - name (unique), type (finnhub | newsapi | rss | file), priority (1 = first)
+ * - minHealthy: item count at which this provider counts as healthy
+ * - enabled, always, apiKeyEnv (env var that must be set)
+ * - type specific: category (finnhub/newsapi), url / path / source /
+ *   userAgent (rss), path (file)
+ *
+ * RSS/Atom items are stamped provider "rss:<name>". Setting RSS_FIXTURE_DIR
+ * makes every rss provider read {RSS_FIXTURE_DIR}/{name}.xml instead of its
+ * URL, so the whole pipeline can be exercised against local fixtures
+ * (api/_data/fixtures/rss).
+ */
+
+const DEFAULT_MIN_HEALTHY = 1;
+const FETCH_TIMEOUT_MS = 10000;
+// Some publishers (e.g. sec.gov) reject requests without a descriptive User-Agent
+const DEFAULT_FEED_USER_AGENT = 'earnings-echo news-watchdog';
+
+/**
+ * Canonical URL normalization: strip tracking params (utm_*, gclid, fbclid) for stable dedup
+ * @param {string} url
+ * @returns {string} - Normalized URL
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return url;
+  try {
+    const parsed = new URL(url);
+    const paramsToRemove = [];
+    for (const key of parsed.searchParams.keys()) {
+      if (key.startsWith('utm_') || key === 'gclid' || key === 'fbclid' || key === 'ref' || key === 'source') {
+        paramsToRemove.push(key);
+      }
+    }
+    paramsToRemove.forEach(k => parsed.searchParams.delete(k));
+    return parsed.toString();
+  } catch {
+    return url; // Return as-is if invalid URL
+  }
+}
+
+/**
+ * Normalize a partially mapped item into the common news item shape
+ * @param {object} item - { id, headline, body, source, url, publishedAt }
+ * @param {string} providerName - Provider name stamped on the item
+ * @returns {object|null} - Normalized item or null when there is no headline
+ */
+export function normalizeNewsItem(item, providerName) {
+  const headline = item?.headline ? String(item.headline).trim() : '';
+  if (!headline) return null;
+
+  const publishedTime = item.publishedAt ? Date.parse(item.publishedAt) : NaN;
+
+  return {
+    id: item.id ?? null,
+    headline,
+    body: item.body || null,
+    source: item.source || 'Unknown',
+    url: canonicalizeUrl(item.url || null),
+    publishedAt: Number.isFinite(publishedTime) ? new Date(publishedTime).toISOString() : new Date().toISOString(),
+    provider: providerName
+  };
+}
+
+/**
+ * Resolve a relative path from config against the project root
+ * @param {string} filePath
+ * @returns {string}
+ */
+function resolveDataPath(filePath) {
+  return path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+}
+
+/**
+ * fetch() with a timeout so one slow feed cannot stall the cron run
+ * @param {string} url
+ * @param {object} options
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Provider type implementations
+ * Each fetch(config) resolves to { items, status, error? }; thrown errors
+ * (network, missing files) are turned into error results by fetchFromProvider
+ */
+const PROVIDER_TYPES = {
+  /**
+   * Finnhub general news
+   */
+  finnhub: {
+    async fetch(config) {
+      const apiKey = process.env[config.apiKeyEnv || 'FINNHUB_API_KEY'];
+      const response = await fetchWithTimeout(
+        `https://finnhub.io/api/v1/news?category=${config.category || 'general'}&token=${apiKey}`
+      );
+
+      const status = response.status;
+      if (!response.ok) {
+        console.error('Finnhub API error:', status);
+        return { items: [], status, error: `Finnhub returned ${status}` };
+      }
+
+      const data = await response.json();
+
+      // Finnhub returns array of news items with id, headline, summary, source, url, datetime
+      const items = (data || []).map(item => normalizeNewsItem({
+        id: item.id,
+        headline: item.headline,
+        body: item.summary,
+        source: item.source,
+        url: item.url,
+        publishedAt: item.datetime ? new Date(item.datetime * 1000).toISOString() : null
+      }, config.name));
+
+      return { items, status };
+    }
+  },
+
+  /**
+   * NewsAPI.org top headlines
+   */
+  newsapi: {
+    async fetch(config) {
+      const apiKey = process.env[config.apiKeyEnv || 'NEWSAPI_KEY'];
+      const response = await fetchWithTimeout(
+        `https://newsapi.org/v2/top-headlines?category=${config.category || 'general'}&language=en&pageSize=100`,
+        {
+          headers: { 'X-Api-Key': apiKey }
+        }
+      );
+
+      const status = response.status;
+      if (!response.ok) {
+        console.error('NewsAPI error:', status);
+        return { items: [], status, error: `NewsAPI returned ${status}` };
+      }
+
+      const data = await response.json();
+      if (data.status !== 'ok') {
+        return { items: [], status, error: data.message || 'NewsAPI error' };
+      }
+
+      const fetchedAt = Date.now();
+      const items = (data.articles || []).map((article, idx) => normalizeNewsItem({
+        id: `newsapi_${fetchedAt}_${idx}`,
+        headline: article.title,
+        body: article.description || article.content,
+        source: article.source?.name || 'NewsAPI',
+        url: article.url,
+        publishedAt: article.publishedAt
+      }, config.name));
+
+      return { items, status };
+    }
+  },
+
+  /**
+   * Generic RSS 2.0 / Atom feed, from a URL or a local XML file
+   */
+  rss: {
+    async fetch(config) {
+      const providerName = `rss:${config.name}`;
+      const fixtureDir = process.env.RSS_FIXTURE_DIR;
+      const filePath = fixtureDir ? path.join(fixtureDir, `${config.name}.xml`) : config.path;
+      let xml;
+      let status = 200;
+
+      if (filePath) {
+        xml = await readFile(resolveDataPath(filePath), 'utf8');
+      } else {
+        const response = await fetchWithTimeout(config.url, {
+          headers: {
+            'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml',
+            'User-Agent': config.userAgent || process.env.NEWS_FEED_USER_AGENT || DEFAULT_FEED_USER_AGENT
+          }
+        });
+        status = response.status;
+        if (!response.ok) {
+          return { items: [], status, error: `${providerName} feed returned ${status}` };
+        }
+        xml = await response.text();
+      }
+
+      const items = parseFeed(xml).map(entry => normalizeNewsItem({
+        id: `${providerName}:${entry.id || entry.link || entry.title}`,
+        headline: entry.title,
+        body: entry.summary,
+        source: config.source || config.name,
+        url: entry.link,
+        publishedAt: entry.publishedAt
+      }, providerName));
+
+      return { items, status };
+    }
+  },
+
+  /**
+   * Local JSON file: an array of items (or { items: [...] }) already close to
+   * the common shape; `summary` and `datetime` are accepted as aliases
+   */
+  file: {
+    async fetch(config) {
+      const parsed = JSON.parse(await readFile(resolveDataPath(config.path), 'utf8'));
+      const rawItems = Array.isArray(parsed) ? parsed : parsed?.items || [];
+
+      const items = rawItems.map((item, idx) => normalizeNewsItem({
+        // String ids so file items never interfere with Finnhub's numeric lastMinId
+        id: `${config.name}_${item.id ?? item.url ?? idx}`,
+        headline: item.headline || item.title,
+        body: item.body || item.summary,
+        source: item.source || config.source || config.name,
+        url: item.url,
+        publishedAt: item.publishedAt || (item.datetime ? new Date(item.datetime * 1000).toISOString() : null)
+      }, config.name));
+
+      return { items, status: 200 };
+    }
+  }
+};
+
+/**
+ * Check whether a provider entry can be called (enabled + required key present)
+ * @param {object} config - Provider entry
+ * @returns {{ configured: boolean, error: string|null }}
+ */
+function checkConfigured(config) {
+  if (config.enabled === false) {
+    return { configured: false, error: 'disabled' };
+  }
+  if (!PROVIDER_TYPES[config.type]) {
+    return { configured: false, error: `Unknown provider type "${config.type}"` };
+  }
+  if (config.apiKeyEnv && !process.env[config.apiKeyEnv]) {
+    return { configured: false, error: `${config.apiKeyEnv} not configured` };
+  }
+  if (config.type === 'rss' && !config.url && !config.path && !process.env.RSS_FIXTURE_DIR) {
+    return { configured: false, error: 'rss provider needs url or path' };
+  }
+  if (config.type === 'file' && !config.path) {
+    return { configured: false, error: 'file provider needs path' };
+  }
+  return { configured: true, error: null };
+}
+
+/**
+ * Load the news provider config
+ * @returns {object} - { strategy, providers }
+ */
+export function loadNewsProviderConfig() {
+  return newsProvidersConfig || { strategy: 'fallback', providers: [] };
+}
+
+/**
+ * Get provider entries sorted by priority, with their configured state
+ * @param {object} [config] - Provider config (defaults to news-providers.json)
+ * @returns {Array<object>}
+ */
+export function getNewsProviders(config = loadNewsProviderConfig()) {
+  return (config.providers || [])
+    .map((entry, index) => ({
+      ...entry,
+      priority: entry.priority ?? index + 1,
+      minHealthy: entry.minHealthy ?? DEFAULT_MIN_HEALTHY,
+      ...checkConfigured(entry)
+    }))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Fetch from a single provider, turning exceptions into an error result
+ * @param {object} provider - Resolved provider entry
+ * @returns {Promise<{items: Array, status: number, error?: string}>}
+ */
+async function fetchFromProvider(provider) {
+  try {
+    const result = await PROVIDER_TYPES[provider.type].fetch(provider);
+    return { ...result, items: (result.items || []).filter(Boolean) };
+  } catch (error) {
+    console.error(`Failed to fetch from ${provider.name}:`, error.message);
+    return { items: [], status: 0, error: error.message };
+  }
+}
+
+/**
+ * Fetch news from all configured providers according to the strategy
+ *
+ * Items are merged in priority order and de-duplicated by canonical URL and
+ * by hashHeadline (same headline from the same host), so a story carried by
+ * both the primary and a fallback keeps the primary's copy.
+ *
+ * @param {object} [config] - Provider config (defaults to news-providers.json)
+ * @returns {Promise<object>} - {
+ *   items, healthy, primaryFailed, fallbackUsed,
+ *   results: [{ provider, type, priority, always, configured, used, status, fetchedCount, addedCount, healthy, error }]
+ * }
+ */
+export async function fetchNewsFromProviders(config = loadNewsProviderConfig()) {
+  const strategy = config.strategy === 'merge' ? 'merge' : 'fallback';
+  const providers = getNewsProviders(config);
+
+  const items = [];
+  const seenUrls = new Set();
+  const seenHashes = new Set();
+  const results = [];
+  let healthy = false;
+
+  for (const provider of providers) {
+    const result = {
+      provider: provider.name,
+      type: provider.type,
+      priority: provider.priority,
+      always: Boolean(provider.always),
+      configured: provider.configured,
+      used: false,
+      status: 0,
+      fetchedCount: 0,
+      addedCount: 0,
+      healthy: false,
+      error: provider.error
+    };
+    results.push(result);
+
+    if (!provider.configured) continue;
+    if (strategy === 'fallback' && healthy && !provider.always) continue;
+
+    const fetched = await fetchFromProvider(provider);
+    result.used = true;
+    result.status = fetched.status;
+    result.fetchedCount = fetched.items.length;
+    result.error = fetched.error || null;
+    result.healthy = fetched.items.length >= provider.minHealthy;
+
+    for (const item of fetched.items) {
+      const urlKey = item.url || `${item.provider}:${item.id}`;
+      const headlineKey = hashHeadline(item.headline, item.url);
+      if (seenUrls.has(urlKey) || seenHashes.has(headlineKey)) continue;
+      seenUrls.add(urlKey);
+      seenHashes.add(headlineKey);
+      items.push(item);
+      result.addedCount++;
+    }
+
+    // Always-on supplements do not count towards the primary chain's health
+    if (result.healthy && !provider.always) {
+      healthy = true;
+    } else if (!result.healthy) {
+      console.log(`${provider.name} ${result.error ? 'failed' : 'returned low count'} (${result.fetchedCount} items)`);
+    }
+  }
+
+  const primary = results[0] || null;
+  const primaryFailed = !primary || !primary.used || (primary.status !== 200 && primary.fetchedCount === 0);
+  const fallbackUsed = results.slice(1).some(r => r.used && !r.always && r.fetchedCount > 0);
+
+  return { items, healthy, primaryFailed, fallbackUsed, results };
+}
@@ -0,0 +1,105 @@
+// Static ES import ensures Vercel bundler includes the JSON file
+import pairRegistryData from '../../src/data/pair-registry.json' with { type: 'json' };
+
+/**
+ * Pair Registry Module
+ *
+ * Single source of truth for trigger → echo pairs and trigger → basket
+ * patterns (one trigger fanning out to several echo legs). The same JSON file
+ * (src/data/pair-registry.json) is read by the API, the pattern history
+ * script and the frontend, so adding a pair means adding one registry entry
+ * plus its rows in earnings-dates.json.
+ */
+
+/**
+ * Resolve a registry entry into a full pair config with merged thresholds
+ * @param {object} pair - Raw registry pair entry
+ * @param {object} defaults - Registry defaults
+ * @returns {object} - { id, trigger, echo, tickers, sector, pattern, thresholds }
+ */
+function resolvePair(pair, defaults) {
+  const trigger = String(pair.trigger).toUpperCase();
+  const echo = String(pair.echo).toUpperCase();
+
+  return {
+    ...pair,
+    id: pair.id || `${trigger}_${echo}`,
+    trigger,
+    echo,
+    tickers: [trigger, echo],
+    sector: pair.sector || null,
+    thresholds: {
+      ...(defaults?.thresholds || {}),
+      ...(pair.thresholds || {})
+    }
+  };
+}
+
+/**
+ * Resolve a registry basket entry into a full basket config
+ * @param {object} basket - Raw registry basket entry
+ * @param {object} defaults - Registry defaults
+ * @returns {object} - { id, trigger, echoes, tickers, sector, pattern, thresholds }
+ */
+function resolveBasket(basket, defaults) {
+  const trigger = String(basket.trigger).toUpperCase();
+  const echoes = (basket.echoes || []).map(echo => String(echo).toUpperCase());
+
+  return {
+    ...basket,
+    id: basket.id || `${trigger}_BASKET`,
+    trigger,
+    echoes,
+    tickers: [trigger, ...echoes],
+    sector: basket.sector || null,
+    thresholds: {
+      ...(defaults?.thresholds || {}),
+      ...(basket.thresholds || {})
+    }
+  };
+}
+
+/**
+ * Load the raw pair registry
+ * @returns {object} - { defaults, companies, pairs, baskets }
+ */
+export function loadPairRegistry() {
+  return pairRegistryData || { defaults: {}, companies: {}, pairs: [], baskets: [] };
+}
+
+/**
+ * Get all registered pairs, resolved with default thresholds
+ * @returns {Array<object>}
+ */
+export function getRegisteredPairs() {
+  const registry = loadPairRegistry();
+  return (registry.pairs || []).map(pair => resolvePair(pair, registry.defaults));
+}
+
+/**
+ * Get a single registered pair by id
+ * @param {string} pairId - Pair id, e.g. "AMD_NVDA"
+ * @returns {object|null}
+ */
+export function getRegisteredPair(pairId) {
+  return getRegisteredPairs().find(pair => pair.id === pairId) || null;
+}
+
+/**
+ * Get all registered basket patterns, resolved with default thresholds
+ * @returns {Array<object>}
+ */
+export function getRegisteredBaskets() {
+  const registry = loadPairRegistry();
+  return (registry.baskets || []).map(basket => resolveBasket(basket, registry.defaults));
+}
+
+/**
+ * Get company display name for a ticker
+ * @param {string} ticker - Ticker symbol
+ * @returns {string|null}
+ */
+export function getCompanyName(ticker) {
+  const registry = loadPairRegistry();
+  return registry.companies?.[String(ticker).toUpperCase()]?.name || null;
+}
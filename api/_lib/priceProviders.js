@@ -0,0 +1,330 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Price Provider Module
+ *
+ * One daily-bar interface in front of every price source, so outcome
+ * computation, market stats and the pattern history script can run against
+ * live APIs or fully offline.
+ *
+ * Selected with PRICE_PROVIDER:
+ * - tiingo  (default) Tiingo EOD prices, needs TIINGO_API_KEY
+ * - finnhub Finnhub daily candles, needs FINNHUB_API_KEY
+ * - file    Local {SYMBOL}.json / {SYMBOL}.csv files under PRICE_DATA_DIR
+ * - fixture In-memory bars registered with setFixtureBars()
+ *
+ * Every provider returns bars normalized to
+ * { date: 'YYYY-MM-DD', open, high, low, close, volume } sorted by date
+ * ascending, and throws on missing config, unknown symbols or empty data.
+ */
+
+const TIINGO_BASE_URL = 'https://api.tiingo.com/tiingo/daily';
+const FINNHUB_CANDLE_URL = 'https://finnhub.io/api/v1/stock/candle';
+const DEFAULT_PROVIDER = 'tiingo';
+
+// In-memory bars for the fixture provider, keyed by upper-case symbol
+const fixtureBars = new Map();
+
+/**
+ * Convert a value to a finite number or null
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Normalize raw bars into the shared shape, sorted and clipped to a date range
+ * @param {Array<object>} bars - Raw bars with a date and OHLC(V) fields
+ * @param {string} [startDate] - Inclusive YYYY-MM-DD
+ * @param {string} [endDate] - Inclusive YYYY-MM-DD
+ * @returns {Array<object>} Normalized bars
+ */
+export function normalizeBars(bars, startDate, endDate) {
+  return (bars || [])
+    .filter(bar => bar && bar.date)
+    .map(bar => {
+      const close = toNumber(bar.close);
+      return {
+        date: String(bar.date).slice(0, 10),
+        open: toNumber(bar.open) ?? close,
+        high: toNumber(bar.high) ?? close,
+        low: toNumber(bar.low) ?? close,
+        close,
+        volume: toNumber(bar.volume)
+      };
+    })
+    .filter(bar => bar.close !== null)
+    .filter(bar => (!startDate || bar.date >= startDate) && (!endDate || bar.date <= endDate))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Tiingo EOD provider
+ */
+const tiingoProvider = {
+  name: 'tiingo',
+
+  isConfigured() {
+    return Boolean(process.env.TIINGO_API_KEY);
+  },
+
+  async fetchDailyBars(symbol, { startDate, endDate }) {
+    const apiKey = process.env.TIINGO_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('TIINGO_API_KEY not configured');
+    }
+
+    const url = `${TIINGO_BASE_URL}/${symbol}/prices?startDate=${startDate}&endDate=${endDate}&token=${apiKey}`;
+
+    const response = await fetch(url, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.status === 404) {
+      throw new Error(`Symbol ${symbol} not found`);
+    }
+
+    if (response.status === 429) {
+      throw new Error('Tiingo rate limit exceeded');
+    }
+
+    if (!response.ok) {
+      throw new Error(`Tiingo HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error(`No data for ${symbol}`);
+    }
+
+    return normalizeBars(data);
+  }
+};
+
+/**
+ * Finnhub daily candle provider
+ */
+const finnhubProvider = {
+  name: 'finnhub',
+
+  isConfigured() {
+    return Boolean(process.env.FINNHUB_API_KEY);
+  },
+
+  async fetchDailyBars(symbol, { startDate, endDate }) {
+    const apiKey = process.env.FINNHUB_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('FINNHUB_API_KEY not configured');
+    }
+
+    // Candles take unix seconds; pad the end so the end date's bar is included
+    const from = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / 1000);
+    const to = Math.floor(Date.parse(`${endDate}T23:59:59Z`) / 1000);
+    const url = `${FINNHUB_CANDLE_URL}?symbol=${symbol}&resolution=D&from=${from}&to=${to}&token=${apiKey}`;
+
+    const response = await fetch(url);
+
+    if (response.status === 429) {
+      throw new Error('Finnhub rate limit exceeded');
+    }
+
+    if (!response.ok) {
+      throw new Error(`Finnhub HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data?.s !== 'ok' || !Array.isArray(data.t) || data.t.length === 0) {
+      throw new Error(`No data for ${symbol}`);
+    }
+
+    const bars = data.t.map((timestamp, i) => ({
+      date: new Date(timestamp * 1000).toISOString(),
+      open: data.o?.[i],
+      high: data.h?.[i],
+      low: data.l?.[i],
+      close: data.c?.[i],
+      volume: data.v?.[i]
+    }));
+
+    return normalizeBars(bars, startDate, endDate);
+  }
+};
+
+/**
+ * Parse a CSV price file with a header row (date,open,high,low,close[,volume])
+ * @param {string} text - CSV contents
+ * @returns {Array<object>} Raw bars keyed by lower-case header names
+ */
+function parseCsvBars(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) return [];
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = cells[i]?.trim();
+    });
+    return row;
+  });
+}
+
+/**
+ * Local file provider: PRICE_DATA_DIR/{SYMBOL}.json (array of bars) or
+ * PRICE_DATA_DIR/{SYMBOL}.csv
+ */
+const fileProvider = {
+  name: 'file',
+
+  isConfigured() {
+    return Boolean(process.env.PRICE_DATA_DIR);
+  },
+
+  async fetchDailyBars(symbol, { startDate, endDate }) {
+    const dataDir = process.env.PRICE_DATA_DIR;
+
+    if (!dataDir) {
+      throw new Error('PRICE_DATA_DIR not configured');
+    }
+
+    let raw = null;
+
+    try {
+      const text = await readFile(path.join(dataDir, `${symbol}.json`), 'utf8');
+      const parsed = JSON.parse(text);
+      raw = Array.isArray(parsed) ? parsed : parsed?.bars;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!raw) {
+      try {
+        raw = parseCsvBars(await readFile(path.join(dataDir, `${symbol}.csv`), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Symbol ${symbol} not found`);
+        }
+        throw error;
+      }
+    }
+
+    const bars = normalizeBars(raw, startDate, endDate);
+
+    if (bars.length === 0) {
+      throw new Error(`No data for ${symbol}`);
+    }
+
+    return bars;
+  }
+};
+
+/**
+ * In-memory fixture provider for tests and local dev
+ */
+const fixtureProvider = {
+  name: 'fixture',
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetchDailyBars(symbol, { startDate, endDate }) {
+    if (!fixtureBars.has(symbol)) {
+      throw new Error(`Symbol ${symbol} not found`);
+    }
+
+    const bars = normalizeBars(fixtureBars.get(symbol), startDate, endDate);
+
+    if (bars.length === 0) {
+      throw new Error(`No data for ${symbol}`);
+    }
+
+    return bars;
+  }
+};
+
+const PROVIDERS = {
+  tiingo: tiingoProvider,
+  finnhub: finnhubProvider,
+  file: fileProvider,
+  fixture: fixtureProvider
+};
+
+/**
+ * Register in-memory bars for the fixture provider
+ * @param {string} symbol - Ticker symbol
+ * @param {Array<object>} bars - Bars with at least { date, close }
+ */
+export function setFixtureBars(symbol, bars) {
+  fixtureBars.set(String(symbol).toUpperCase(), bars || []);
+}
+
+/**
+ * Drop all registered fixture bars
+ */
+export function clearFixtureBars() {
+  fixtureBars.clear();
+}
+
+/**
+ * Get the configured price provider
+ * @param {string} [name] - Provider name, defaults to PRICE_PROVIDER env (or tiingo)
+ * @returns {object} Provider with { name, isConfigured(), fetchDailyBars() }
+ */
+export function getPriceProvider(name = process.env.PRICE_PROVIDER) {
+  const key = String(name || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = PROVIDERS[key];
+
+  if (!provider) {
+    throw new Error(`Unknown PRICE_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return provider;
+}
+
+/**
+ * Fetch normalized daily bars for a date range from the configured provider
+ * @param {string} symbol - Ticker symbol
+ * @param {object} range - { startDate, endDate } as YYYY-MM-DD
+ * @param {object} [provider] - Provider override (defaults to getPriceProvider())
+ * @returns {Promise<Array>} Bars sorted by date ascending; throws on error
+ */
+export async function fetchDailyBars(symbol, { startDate, endDate }, provider = getPriceProvider()) {
+  if (!symbol) {
+    throw new Error('Symbol is required');
+  }
+
+  return provider.fetchDailyBars(String(symbol).toUpperCase(), { startDate, endDate });
+}
+
+/**
+ * Fetch bars covering the last N calendar days plus a weekend/holiday buffer
+ * @param {string} symbol - Ticker symbol
+ * @param {number} days - Days of history wanted
+ * @param {number} bufferDays - Extra calendar days to cover non-trading days
+ * @param {object} [provider] - Provider override
+ * @returns {Promise<Array>} Bars sorted by date ascending; throws on error
+ */
+export async function fetchRecentBars(symbol, days, bufferDays, provider = getPriceProvider()) {
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days - bufferDays);
+
+  return fetchDailyBars(symbol, {
+    startDate: startDate.toISOString().split('T')[0],
+    endDate: endDate.toISOString().split('T')[0]
+  }, provider);
+}
@@ -0,0 +1,399 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Prompt Registry
+ *
+ * Named, versioned system prompts for every model call. A prompt id is
+ * "{name}@{version}" (e.g. "trade-signal@v2") and is stamped into stored
+ * analyses, signal meta and telemetry, so results can be split by prompt.
+ *
+ * Prompt text is never edited in place: a change is a new version, and the
+ * old one stays registered so past results still resolve. Versions sharing a
+ * `schema` return the same JSON shape and can be A/B tested against each
+ * other.
+ *
+ * Per prompt name, env vars pick what runs ({PREFIX} = NEWS_PROMPT for
+ * news-analysis, SIGNAL_PROMPT for trade-signal, NARRATIVE_PROMPT for
+ * signal-narrative):
+ * - {PREFIX}_VERSION           Production version (default: the registry's)
+ * - {PREFIX}_CHALLENGER        Challenger version to A/B against production
+ * - {PREFIX}_CHALLENGER_SHARE  Share of calls sent to the challenger (0-1)
+ *
+ * Assignment hashes a stable key (headline or event id), so the same item
+ * always gets the same prompt and replay fixtures keep matching.
+ */
+
+/**
+ * news-analysis@v1: macro/cross-asset analyst
+ */
+const NEWS_ANALYSIS_V1 = `You are an ultra-fast macro and cross-asset analyst for a trading assistant.
+Your job is to read a major news event and output a structured JSON describing:
+
+- How important the event is (0–100),
+- Whether it is a macro shock, sector shock, or just noise,
+- Which sectors are likely bullish or bearish,
+- Example large, liquid, publicly traded US or global tickers that could be impacted,
+- How long the impact might matter (very_short, short, medium, long),
+- Key risks and caveats.
+
+Constraints:
+
+- Never invent obscure or illiquid tickers. Prefer large, well-known names (e.g., GNRC, XOM, CVX, MSFT, AAPL, NVDA, JPM, GS, etc.).
+- If unsure about specific tickers, you may return an empty array for exampleTickers.
+- ImportanceScore should be higher for events that:
+  - Affect multiple countries or regions,
+  - Affect critical infrastructure (energy, payments, shipping lanes, etc.),
+  - Have potential regulatory, geopolitical, or systemic implications.
+- If the event is minor or very localized with limited economic impact, mark it as "noise" with low importanceScore (< 40).
+- All output MUST be valid JSON and must follow the exact structure requested.`;
+
+/**
+ * trade-signal@v2: Phase 3.3 structured signal for the confidence engine,
+ * narrative in Turkish only
+ */
+const TRADE_SIGNAL_V2 = `You are a fast macro trading analyst for a professional trading assistant.
+Your job is to generate a structured trade signal based on a major news event and its analysis.
+
+CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, no explanations.
+
+LANGUAGE RULES:
+- Output language for ALL explanatory text fields: Turkish (tr-TR)
+- Keep all JSON keys/schema in English
+- Do NOT translate raw news titles or headlines from input data - keep them in their original language (usually English)
+- Explanatory fields that MUST be in Turkish: thesis, invalidation.reason, targets[].reason, keyRisks[]
+
+OUTPUT SCHEMA (all fields required):
+
+{
+  "thesis": "1-2 cümle trade tezi, Türkçe (Turkish)",
+  "direction": "LONG" | "SHORT" | "NONE",
+  "instrument": "STOCK" | "OPTIONS" | "NO_TRADE",
+  "timeHorizon": "INTRADAY" | "SWING" | "MULTI_DAY",
+  "entry": {
+    "type": "market" | "limit" | "wait",
+    "level": 0
+  },
+  "invalidation": {
+    "level": 0,
+    "reason": "kısa açıklama, Türkçe (Turkish)"
+  },
+  "targets": [
+    { "level": 0, "reason": "kısa açıklama, Türkçe (Turkish)" }
+  ],
+  "ambiguity": 0.0,
+  "hedged": false,
+  "tickers": ["TICKER1", "TICKER2"],
+  "keyRisks": ["risk açıklaması, Türkçe (Turkish)"]
+}
+
+GUIDELINES:
+
+1. DIRECTION:
+   - "LONG" = Buy exposure to assets that benefit
+   - "SHORT" = Sell/short assets that will be hurt
+   - "NONE" = Too uncertain, noisy, or already priced in
+
+2. TICKERS:
+   - Provide 3-8 tickers or ETFs
+   - ONLY use large, liquid, well-known US or global names
+   - Prefer major ETFs when sector-wide: SPY, QQQ, XLE, XLF, XLK, XLV, XLI, XLU, XLP, XLY, XLB, XLRE, GLD, SLV, TLT, HYG, EEM, EFA, VWO, USO, UNG, DBA
+   - For individual stocks, only use mega-caps: AAPL, MSFT, GOOGL, AMZN, NVDA, META, TSLA, JPM, GS, XOM, CVX, BA, CAT, etc.
+   - NEVER invent obscure or illiquid tickers
+
+3. AMBIGUITY (0.0 to 1.0):
+   - 0.0 = Very clear, unambiguous event with obvious implications
+   - 0.5 = Moderate uncertainty, some conflicting factors
+   - 1.0 = Highly ambiguous, unclear implications
+
+4. HEDGED (boolean):
+   - true if you find yourself using words like "might", "could", "possibly", "if"
+   - true if thesis has significant caveats
+   - false if you have conviction
+
+5. ENTRY:
+   - type "market" = enter immediately
+   - type "limit" = enter at specific level
+   - type "wait" = wait for pullback/setup
+   - level = 0 if market entry, otherwise specific price
+
+6. INVALIDATION:
+   - level = price at which thesis is invalidated
+   - reason = brief explanation why
+
+7. TARGETS (0-2 targets):
+   - level = target price
+   - reason = brief explanation
+
+8. TIME HORIZON:
+   - "INTRADAY" = same day
+   - "SWING" = 1-5 days
+   - "MULTI_DAY" = 1-3 weeks
+
+9. INSTRUMENT:
+   - "STOCK" for equity exposure
+   - "OPTIONS" if leveraged play makes sense
+   - "NO_TRADE" if direction is NONE
+
+10. KEY_RISKS:
+    - 2-4 short bullet points of key risks
+    - Each max 80 characters
+
+If uncertain, set ambiguity HIGH and prefer entry.type="wait" or direction="NONE".
+Do NOT compute confidence scores - that is handled by the system.`;
+
+/**
+ * trade-signal@v3: trade-signal@v2 with the narrative language taken from the
+ * request's outputLanguage instead of fixed Turkish
+ */
+const TRADE_SIGNAL_V3 = `You are a fast macro trading analyst for a professional trading assistant.
+Your job is to generate a structured trade signal based on a major news event and its analysis.
+
+CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, no explanations.
+
+LANGUAGE RULES:
+- Output language for ALL explanatory text fields: the "outputLanguage" given in the input
+- Keep all JSON keys/schema and enum values in English
+- Do NOT translate raw news titles or headlines from input data - keep them in their original language (usually English)
+- Explanatory fields that MUST be in the output language: thesis, invalidation.reason, targets[].reason, keyRisks[]
+
+OUTPUT SCHEMA (all fields required):
+
+{
+  "thesis": "1-2 sentence trade thesis, in the output language",
+  "direction": "LONG" | "SHORT" | "NONE",
+  "instrument": "STOCK" | "OPTIONS" | "NO_TRADE",
+  "timeHorizon": "INTRADAY" | "SWING" | "MULTI_DAY",
+  "entry": {
+    "type": "market" | "limit" | "wait",
+    "level": 0
+  },
+  "invalidation": {
+    "level": 0,
+    "reason": "short explanation, in the output language"
+  },
+  "targets": [
+    { "level": 0, "reason": "short explanation, in the output language" }
+  ],
+  "ambiguity": 0.0,
+  "hedged": false,
+  "tickers": ["TICKER1", "TICKER2"],
+  "keyRisks": ["risk description, in the output language"]
+}
+
+GUIDELINES:
+
+1. DIRECTION:
+   - "LONG" = Buy exposure to assets that benefit
+   - "SHORT" = Sell/short assets that will be hurt
+   - "NONE" = Too uncertain, noisy, or already priced in
+
+2. TICKERS:
+   - Provide 3-8 tickers or ETFs
+   - ONLY use large, liquid, well-known US or global names
+   - Prefer major ETFs when sector-wide: SPY, QQQ, XLE, XLF, XLK, XLV, XLI, XLU, XLP, XLY, XLB, XLRE, GLD, SLV, TLT, HYG, EEM, EFA, VWO, USO, UNG, DBA
+   - For individual stocks, only use mega-caps: AAPL, MSFT, GOOGL, AMZN, NVDA, META, TSLA, JPM, GS, XOM, CVX, BA, CAT, etc.
+   - NEVER invent obscure or illiquid tickers
+
+3. AMBIGUITY (0.0 to 1.0):
+   - 0.0 = Very clear, unambiguous event with obvious implications
+   - 0.5 = Moderate uncertainty, some conflicting factors
+   - 1.0 = Highly ambiguous, unclear implications
+
+4. HEDGED (boolean):
+   - true if you find yourself using words like "might", "could", "possibly", "if"
+   - true if thesis has significant caveats
+   - false if you have conviction
+
+5. ENTRY:
+   - type "market" = enter immediately
+   - type "limit" = enter at specific level
+   - type "wait" = wait for pullback/setup
+   - level = 0 if market entry, otherwise specific price
+
+6. INVALIDATION:
+   - level = price at which thesis is invalidated
+   - reason = brief explanation why
+
+7. TARGETS (0-2 targets):
+   - level = target price
+   - reason = brief explanation
+
+8. TIME HORIZON:
+   - "INTRADAY" = same day
+   - "SWING" = 1-5 days
+   - "MULTI_DAY" = 1-3 weeks
+
+9. INSTRUMENT:
+   - "STOCK" for equity exposure
+   - "OPTIONS" if leveraged play makes sense
+   - "NO_TRADE" if direction is NONE
+
+10. KEY_RISKS:
+    - 2-4 short bullet points of key risks
+    - Each max 80 characters
+
+If uncertain, set ambiguity HIGH and prefer entry.type="wait" or direction="NONE".
+Do NOT compute confidence scores - that is handled by the system.`;
+
+/**
+ * signal-narrative@v1: translates the explanatory text of a generated signal,
+ * so other locales reuse the same signal instead of generating a new one
+ */
+const SIGNAL_NARRATIVE_V1 = `You translate the explanatory text of a trade signal for a professional trading assistant.
+
+CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, no explanations.
+
+RULES:
+- Translate every text value into the "outputLanguage" given in the input
+- Return exactly the same JSON structure: same keys, same number of targets and keyRisks, in the same order
+- Keep tickers, numbers, price levels and financial abbreviations (ATR, ETF, bp, EUR/USD) unchanged
+- Do NOT add, drop or soften any claim; translate the meaning, not word for word
+- Keep each keyRisks entry under 80 characters`;
+
+const PROMPTS = {
+  "news-analysis": {
+    envPrefix: "NEWS_PROMPT",
+    production: "v1",
+    versions: {
+      v1: { schema: "news-analysis", system: NEWS_ANALYSIS_V1 }
+    }
+  },
+  "trade-signal": {
+    envPrefix: "SIGNAL_PROMPT",
+    production: "v3",
+    versions: {
+      v2: { schema: "trade-signal", system: TRADE_SIGNAL_V2, locale: "tr" },
+      v3: { schema: "trade-signal", system: TRADE_SIGNAL_V3 }
+    }
+  },
+  "signal-narrative": {
+    envPrefix: "NARRATIVE_PROMPT",
+    production: "v1",
+    versions: {
+      v1: { schema: "signal-narrative", system: SIGNAL_NARRATIVE_V1 }
+    }
+  }
+};
+
+/**
+ * Split a prompt id or bare version into name and version
+ * @param {string} name - Prompt name
+ * @param {string} value - "v2" or "trade-signal@v2"
+ * @returns {string|null} Version key, or null for another prompt's id
+ */
+function parseVersion(name, value) {
+  const text = String(value).trim();
+  const [idName, version] = text.includes("@") ? text.split("@") : [name, text];
+  return idName === name ? version : null;
+}
+
+/**
+ * Get a registered prompt
+ * @param {string} id - Prompt id, "{name}@{version}"
+ * @returns {{ id: string, name: string, version: string, schema: string, system: string, locale: string|null }}
+ *   locale is set for prompts that always answer in one language
+ */
+export function getPrompt(id) {
+  const [name, version] = String(id).split("@");
+  const template = PROMPTS[name]?.versions[version];
+
+  if (!template) {
+    throw new Error(`Unknown prompt "${id}"`);
+  }
+
+  return { id: `${name}@${version}`, name, version, schema: template.schema, system: template.system, locale: template.locale || null };
+}
+
+/**
+ * List the registered prompt ids
+ * @param {string} [name] - Only this prompt name
+ * @returns {Array<string>}
+ */
+export function listPromptIds(name) {
+  return Object.entries(PROMPTS)
+    .filter(([promptName]) => !name || promptName === name)
+    .flatMap(([promptName, entry]) => Object.keys(entry.versions).map(version => `${promptName}@${version}`));
+}
+
+/**
+ * Resolve a version from env, falling back when it is not registered or
+ * returns a different JSON shape than the default production version
+ * @param {string} name - Prompt name
+ * @param {string} envName - Env var holding the version
+ * @param {string|null} fallback - Version used when unset or invalid
+ * @returns {string|null}
+ */
+function readVersionEnv(name, envName, fallback) {
+  const value = process.env[envName];
+  if (!value) return fallback;
+
+  const entry = PROMPTS[name];
+  const version = parseVersion(name, value);
+  const template = version ? entry.versions[version] : null;
+
+  if (!template) {
+    console.warn(`Ignoring ${envName}="${value}": not a registered ${name} version (${listPromptIds(name).join(", ")})`);
+    return fallback;
+  }
+  if (template.schema !== entry.versions[entry.production].schema) {
+    console.warn(`Ignoring ${envName}="${value}": ${name}@${version} returns ${template.schema}, not ${entry.versions[entry.production].schema}`);
+    return fallback;
+  }
+  return version;
+}
+
+/**
+ * Current production/challenger setup for a prompt
+ * @param {string} name - Prompt name (news-analysis, trade-signal, signal-narrative)
+ * @returns {{ production: string, challenger: string|null, challengerShare: number }} Prompt ids
+ */
+export function getPromptExperiment(name) {
+  const entry = PROMPTS[name];
+  if (!entry) {
+    throw new Error(`Unknown prompt "${name}"`);
+  }
+
+  const production = readVersionEnv(name, `${entry.envPrefix}_VERSION`, entry.production);
+  let challenger = readVersionEnv(name, `${entry.envPrefix}_CHALLENGER`, null);
+  if (challenger === production) challenger = null;
+
+  const share = Number(process.env[`${entry.envPrefix}_CHALLENGER_SHARE`]);
+  const challengerShare = challenger && Number.isFinite(share) ? Math.max(0, Math.min(1, share)) : 0;
+
+  return {
+    production: `${name}@${production}`,
+    challenger: challenger ? `${name}@${challenger}` : null,
+    challengerShare
+  };
+}
+
+/**
+ * Stable bucket in [0, 1) for an assignment key
+ * @param {string} name - Prompt name
+ * @param {string} key
+ * @returns {number}
+ */
+function assignmentBucket(name, key) {
+  const digest = createHash("sha256").update(`${name}:${key}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Pick the prompt for one model call
+ * @param {string} name - Prompt name
+ * @param {string} [assignmentKey] - Stable key (headline, event id); random assignment without one
+ * @returns {{ id: string, name: string, version: string, schema: string, system: string, locale: string|null, arm: string }}
+ *   arm is "production" or "challenger"
+ */
+export function selectPrompt(name, assignmentKey) {
+  const { production, challenger, challengerShare } = getPromptExperiment(name);
+
+  if (challenger && challengerShare > 0) {
+    const bucket = assignmentKey ? assignmentBucket(name, assignmentKey) : Math.random();
+    if (bucket < challengerShare) {
+      return { ...getPrompt(challenger), arm: "challenger" };
+    }
+  }
+
+  return { ...getPrompt(production), arm: "production" };
+}
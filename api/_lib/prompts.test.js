@@ -0,0 +1,74 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getPrompt, getPromptExperiment, listPromptIds, selectPrompt } from "./prompts.js";
+
+const SIGNAL_ENV = ["SIGNAL_PROMPT_VERSION", "SIGNAL_PROMPT_CHALLENGER", "SIGNAL_PROMPT_CHALLENGER_SHARE"];
+const KEYS = Array.from({ length: 200 }, (_, i) => `evt-${i}`);
+
+beforeEach(() => {
+  for (const name of SIGNAL_ENV) delete process.env[name];
+});
+
+test("registered prompts resolve by id", () => {
+  assert.deepEqual(listPromptIds("trade-signal"), ["trade-signal@v2", "trade-signal@v3"]);
+  assert.ok(listPromptIds().includes("news-analysis@v1"));
+
+  const prompt = getPrompt("trade-signal@v2");
+  assert.equal(prompt.id, "trade-signal@v2");
+  assert.equal(prompt.schema, "trade-signal");
+  assert.equal(prompt.locale, "tr");
+  assert.equal(getPrompt("trade-signal@v3").locale, null);
+  assert.throws(() => getPrompt("trade-signal@v9"), /Unknown prompt "trade-signal@v9"/);
+});
+
+test("without env the registry's production version always runs", () => {
+  assert.deepEqual(getPromptExperiment("trade-signal"), { production: "trade-signal@v3", challenger: null, challengerShare: 0 });
+  for (const key of KEYS.slice(0, 20)) {
+    const prompt = selectPrompt("trade-signal", key);
+    assert.equal(prompt.id, "trade-signal@v3");
+    assert.equal(prompt.arm, "production");
+  }
+});
+
+test("the production version can be overridden by bare version or id", () => {
+  process.env.SIGNAL_PROMPT_VERSION = "v2";
+  assert.equal(selectPrompt("trade-signal", "evt").id, "trade-signal@v2");
+  process.env.SIGNAL_PROMPT_VERSION = "trade-signal@v2";
+  assert.equal(selectPrompt("trade-signal", "evt").id, "trade-signal@v2");
+});
+
+test("unregistered versions and other prompts' ids fall back to the registry", () => {
+  process.env.SIGNAL_PROMPT_VERSION = "v9";
+  assert.equal(getPromptExperiment("trade-signal").production, "trade-signal@v3");
+  process.env.SIGNAL_PROMPT_VERSION = "news-analysis@v1";
+  assert.equal(getPromptExperiment("trade-signal").production, "trade-signal@v3");
+});
+
+test("a challenger gets about its share of keys, always the same ones", () => {
+  process.env.SIGNAL_PROMPT_CHALLENGER = "v2";
+  process.env.SIGNAL_PROMPT_CHALLENGER_SHARE = "0.3";
+
+  const arms = KEYS.map(key => selectPrompt("trade-signal", key).arm);
+  const challengerCount = arms.filter(arm => arm === "challenger").length;
+  assert.ok(challengerCount > 30 && challengerCount < 90, `challenger got ${challengerCount} of ${KEYS.length}`);
+  assert.deepEqual(KEYS.map(key => selectPrompt("trade-signal", key).arm), arms);
+
+  const challenger = selectPrompt("trade-signal", KEYS[arms.indexOf("challenger")]);
+  assert.equal(challenger.id, "trade-signal@v2");
+});
+
+test("a challenger without a share, or equal to production, is not used", () => {
+  process.env.SIGNAL_PROMPT_CHALLENGER = "v2";
+  assert.equal(getPromptExperiment("trade-signal").challengerShare, 0);
+  assert.ok(KEYS.every(key => selectPrompt("trade-signal", key).arm === "production"));
+
+  process.env.SIGNAL_PROMPT_CHALLENGER_SHARE = "5";
+  assert.equal(getPromptExperiment("trade-signal").challengerShare, 1);
+
+  process.env.SIGNAL_PROMPT_CHALLENGER = "v3";
+  assert.deepEqual(getPromptExperiment("trade-signal"), { production: "trade-signal@v3", challenger: null, challengerShare: 0 });
+});
+
+test("unknown prompt names are rejected", () => {
+  assert.throws(() => getPromptExperiment("nope"), /Unknown prompt "nope"/);
+});
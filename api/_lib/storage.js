@@ -0,0 +1,473 @@
+import { kv as vercelKv } from "@vercel/kv";
+import { existsSync, mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from "node:fs";
+import path from "node:path";
+
+/**
+ * Storage Adapter
+ *
+ * One key-value interface for every handler and module, so the watchdog,
+ * trade signals, the outcome cron and the debug log can run locally and in
+ * tests without Vercel KV. The exported `kv` has the @vercel/kv method
+ * shapes the code base uses:
+ *   get, set (ex/px/nx), setnx, del, exists, expire, mget, incr, decr,
+ *   zadd, zrange (byScore/rev/withScores/offset+count), zrem, zcard, zscore,
+ *   lpush, lrange, ltrim, llen, hset, hincrby, hgetall,
+ *   pipeline (queue those commands, then `exec()` sends them in one round trip)
+ *
+ * Selected with STORAGE_BACKEND:
+ * - kv     (default) Vercel KV, needs KV_REST_API_URL and KV_REST_API_TOKEN
+ * - memory In-process store; state is lost when the process exits
+ * - file   In-process store persisted as JSON to STORAGE_FILE
+ *          (default .data/storage.json); reloaded when another process writes it
+ *
+ * Values round-trip through JSON like they do with Vercel KV, so objects come
+ * back as copies and numeric strings come back as numbers.
+ */
+
+const DEFAULT_BACKEND = "kv";
+const DEFAULT_STORAGE_FILE = path.join(".data", "storage.json");
+
+export const STORAGE_NOT_CONFIGURED_MESSAGE =
+  "Storage is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN, or STORAGE_BACKEND=memory|file for local runs.";
+
+/**
+ * Serialize a value the way Vercel KV does
+ * @param {*} value
+ * @returns {string}
+ */
+function serialize(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Deserialize a stored value, falling back to the raw string
+ * @param {string|null|undefined} raw
+ * @returns {*}
+ */
+function deserialize(raw) {
+  if (raw === null || raw === undefined) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Parse a ZRANGE score bound ("-inf", "+inf", "(123", 123)
+ * @param {string|number} bound
+ * @returns {{ value: number, exclusive: boolean }}
+ */
+function parseScoreBound(bound) {
+  const text = String(bound);
+  if (text === "-inf") return { value: -Infinity, exclusive: false };
+  if (text === "+inf" || text === "inf") return { value: Infinity, exclusive: false };
+  if (text.startsWith("(")) return { value: Number(text.slice(1)), exclusive: true };
+  return { value: Number(text), exclusive: false };
+}
+
+/**
+ * Resolve Redis-style start/stop indexes (negative = from the end)
+ * @param {number} start
+ * @param {number} stop
+ * @param {number} length
+ * @returns {[number, number]} Inclusive start, exclusive end for Array.slice
+ */
+function resolveRange(start, stop, length) {
+  const from = start < 0 ? Math.max(0, length + start) : start;
+  const to = stop < 0 ? length + stop : stop;
+  return [from, Math.min(length, to + 1)];
+}
+
+const METHODS = [
+  "get", "set", "setnx", "del", "exists", "expire", "mget", "incr", "decr",
+  "zadd", "zrange", "zrem", "zcard", "zscore",
+  "lpush", "lrange", "ltrim", "llen",
+  "hset", "hincrby", "hgetall"
+];
+
+/**
+ * Command queue of an in-process store, shaped like @vercel/kv's pipeline:
+ * each command method queues and returns the pipeline, exec() runs the queue
+ * in order and resolves with the results
+ */
+class MemoryPipeline {
+  constructor(store) {
+    this.store = store;
+    this.commands = [];
+    for (const method of METHODS) {
+      this[method] = (...args) => {
+        this.commands.push([method, args]);
+        return this;
+      };
+    }
+  }
+
+  async exec() {
+    const results = [];
+    for (const [method, args] of this.commands) {
+      results.push(await this.store[method](...args));
+    }
+    this.commands = [];
+    return results;
+  }
+}
+
+/**
+ * In-process store with Redis semantics for strings, sorted sets, lists and
+ * hashes. Each entry is { type: 'string' | 'zset' | 'list' | 'hash', value, expiresAt }.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Hook called after every write (the file backend persists here)
+   */
+  changed() {}
+
+  /**
+   * Hook called before every command (the file backend reloads here)
+   */
+  refresh() {}
+
+  /**
+   * Live entry for a key, dropping it if expired
+   * @param {string} key
+   * @param {string} [type] - Expected type; throws WRONGTYPE on mismatch
+   * @returns {object|null}
+   */
+  entry(key, type) {
+    this.refresh();
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error(`WRONGTYPE Operation against a key holding the wrong kind of value (${key})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Entry for a key, created empty if missing
+   * @param {string} key
+   * @param {string} type
+   * @param {function(): *} create
+   * @returns {object}
+   */
+  entryOrCreate(key, type, create) {
+    const existing = this.entry(key, type);
+    if (existing) return existing;
+    const entry = { type, value: create(), expiresAt: null };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key, "string");
+    return entry ? deserialize(entry.value) : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.nx && this.entry(key)) return null;
+    const ttlMs = options.ex ? options.ex * 1000 : options.px || null;
+    this.entries.set(key, {
+      type: "string",
+      value: serialize(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    this.changed();
+    return "OK";
+  }
+
+  async setnx(key, value) {
+    return (await this.set(key, value, { nx: true })) === "OK" ? 1 : 0;
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this.entry(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) this.changed();
+    return removed;
+  }
+
+  async exists(...keys) {
+    return keys.filter(key => this.entry(key)).length;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    this.changed();
+    return 1;
+  }
+
+  async mget(...keys) {
+    const list = keys.length === 1 && Array.isArray(keys[0]) ? keys[0] : keys;
+    return list.map(key => {
+      const entry = this.entry(key, "string");
+      return entry ? deserialize(entry.value) : null;
+    });
+  }
+
+  async incr(key) {
+    return this.incrementString(key, 1);
+  }
+
+  async decr(key) {
+    return this.incrementString(key, -1);
+  }
+
+  /**
+   * Add to an integer string value, keeping its TTL
+   * @param {string} key
+   * @param {number} delta
+   * @returns {number} New value
+   */
+  incrementString(key, delta) {
+    const entry = this.entry(key, "string");
+    const next = (entry ? Number(entry.value) || 0 : 0) + delta;
+    this.entries.set(key, { type: "string", value: String(next), expiresAt: entry?.expiresAt || null });
+    this.changed();
+    return next;
+  }
+
+  async zadd(key, ...args) {
+    // Optional options object first ({ nx, xx, ... }) as in @vercel/kv
+    const members = args.filter(arg => arg && "member" in arg);
+    const options = args.find(arg => arg && !("member" in arg)) || {};
+    const entry = this.entryOrCreate(key, "zset", () => new Map());
+
+    let added = 0;
+    for (const { score, member } of members) {
+      const name = serialize(member);
+      const exists = entry.value.has(name);
+      if ((options.nx && exists) || (options.xx && !exists)) continue;
+      if (!exists) added++;
+      entry.value.set(name, Number(score));
+    }
+    this.changed();
+    return added;
+  }
+
+  async zrange(key, start, stop, options = {}) {
+    const entry = this.entry(key, "zset");
+    if (!entry) return [];
+
+    let members = [...entry.value.entries()]
+      .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    if (options.byScore) {
+      // With rev, Redis takes the bounds as (max, min)
+      const low = parseScoreBound(options.rev ? stop : start);
+      const high = parseScoreBound(options.rev ? start : stop);
+      members = members.filter(([, score]) =>
+        (low.exclusive ? score > low.value : score >= low.value)
+        && (high.exclusive ? score < high.value : score <= high.value)
+      );
+      if (options.rev) members.reverse();
+    } else {
+      if (options.rev) members.reverse();
+      members = members.slice(...resolveRange(Number(start), Number(stop), members.length));
+    }
+
+    if (options.count !== undefined) {
+      const offset = options.offset || 0;
+      members = members.slice(offset, options.count < 0 ? undefined : offset + options.count);
+    }
+
+    return options.withScores
+      ? members.flatMap(([member, score]) => [deserialize(member), score])
+      : members.map(([member]) => deserialize(member));
+  }
+
+  async zrem(key, ...members) {
+    const entry = this.entry(key, "zset");
+    if (!entry) return 0;
+    let removed = 0;
+    for (const member of members) {
+      if (entry.value.delete(serialize(member))) removed++;
+    }
+    if (entry.value.size === 0) this.entries.delete(key);
+    if (removed > 0) this.changed();
+    return removed;
+  }
+
+  async zcard(key) {
+    return this.entry(key, "zset")?.value.size || 0;
+  }
+
+  async zscore(key, member) {
+    const score = this.entry(key, "zset")?.value.get(serialize(member));
+    return score === undefined ? null : score;
+  }
+
+  async lpush(key, ...values) {
+    const entry = this.entryOrCreate(key, "list", () => []);
+    for (const value of values) {
+      entry.value.unshift(serialize(value));
+    }
+    this.changed();
+    return entry.value.length;
+  }
+
+  async lrange(key, start, stop) {
+    const entry = this.entry(key, "list");
+    if (!entry) return [];
+    return entry.value.slice(...resolveRange(Number(start), Number(stop), entry.value.length)).map(deserialize);
+  }
+
+  async ltrim(key, start, stop) {
+    const entry = this.entry(key, "list");
+    if (!entry) return "OK";
+    entry.value = entry.value.slice(...resolveRange(Number(start), Number(stop), entry.value.length));
+    if (entry.value.length === 0) this.entries.delete(key);
+    this.changed();
+    return "OK";
+  }
+
+  async llen(key) {
+    return this.entry(key, "list")?.value.length || 0;
+  }
+
+  async hset(key, fields) {
+    const entry = this.entryOrCreate(key, "hash", () => ({}));
+    let added = 0;
+    for (const [field, value] of Object.entries(fields)) {
+      if (entry.value[field] === undefined) added++;
+      entry.value[field] = serialize(value);
+    }
+    this.changed();
+    return added;
+  }
+
+  async hincrby(key, field, increment) {
+    const entry = this.entryOrCreate(key, "hash", () => ({}));
+    const current = Number(entry.value[field] ?? 0);
+    if (!Number.isInteger(current)) {
+      throw new Error(`ERR hash value is not an integer (${key} ${field})`);
+    }
+    const next = current + Number(increment);
+    entry.value[field] = String(next);
+    this.changed();
+    return next;
+  }
+
+  async hgetall(key) {
+    const entry = this.entry(key, "hash");
+    if (!entry) return null;
+    return Object.fromEntries(Object.entries(entry.value).map(([field, value]) => [field, deserialize(value)]));
+  }
+
+  pipeline() {
+    return new MemoryPipeline(this);
+  }
+}
+
+/**
+ * MemoryStore persisted to a JSON file after every write
+ */
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loadedMtimeMs = null;
+    this.refresh();
+  }
+
+  refresh() {
+    if (!existsSync(this.filePath)) return;
+    const { mtimeMs } = statSync(this.filePath);
+    if (mtimeMs === this.loadedMtimeMs) return;
+
+    const data = JSON.parse(readFileSync(this.filePath, "utf8"));
+    this.entries = new Map(Object.entries(data).map(([key, entry]) => [
+      key,
+      { ...entry, value: entry.type === "zset" ? new Map(entry.value) : entry.value }
+    ]));
+    this.loadedMtimeMs = mtimeMs;
+  }
+
+  changed() {
+    const data = {};
+    for (const [key, entry] of this.entries) {
+      data[key] = { ...entry, value: entry.type === "zset" ? [...entry.value.entries()] : entry.value };
+    }
+
+    // Write to a temp file and rename so readers never see a partial file
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data));
+    renameSync(tempPath, this.filePath);
+    this.loadedMtimeMs = statSync(this.filePath).mtimeMs;
+  }
+}
+
+let activeBackend = null;
+let activeStore = null;
+
+/**
+ * Name of the configured backend
+ * @returns {string} kv | memory | file
+ */
+export function getStorageBackendName() {
+  return String(process.env.STORAGE_BACKEND || DEFAULT_BACKEND).trim().toLowerCase();
+}
+
+/**
+ * Whether the configured backend can be used
+ * @returns {boolean}
+ */
+export function isStorageConfigured() {
+  const backend = getStorageBackendName();
+  if (backend === "memory" || backend === "file") return true;
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+/**
+ * Get the store for the configured backend (created once per backend)
+ * @returns {object} Store with the kv method set
+ */
+export function getStorage() {
+  const backend = getStorageBackendName();
+  if (activeStore && activeBackend === backend) return activeStore;
+
+  if (backend === "kv") {
+    activeStore = vercelKv;
+  } else if (backend === "memory") {
+    activeStore = new MemoryStore();
+  } else if (backend === "file") {
+    activeStore = new FileStore(path.resolve(process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE));
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: kv, memory, file)`);
+  }
+
+  activeBackend = backend;
+  return activeStore;
+}
+
+/**
+ * Drop the current store (tests and scripts switching backends; clears memory state)
+ */
+export function resetStorage() {
+  activeBackend = null;
+  activeStore = null;
+}
+
+/**
+ * Storage client used by handlers and modules in place of @vercel/kv's `kv`.
+ * Each call goes to the currently configured backend.
+ */
+export const kv = Object.fromEntries(
+  [...METHODS, "pipeline"].map(method => [method, (...args) => getStorage()[method](...args)])
+);
@@ -0,0 +1,134 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { kv, resetStorage, isStorageConfigured } from "./storage.js";
+
+const tempDir = mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+
+beforeEach(() => {
+  process.env.STORAGE_BACKEND = "memory";
+  resetStorage();
+});
+
+after(() => {
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("values round-trip through JSON like Vercel KV", async () => {
+  await kv.set("obj", { a: 1, list: [1, 2] });
+  const value = await kv.get("obj");
+  assert.deepEqual(value, { a: 1, list: [1, 2] });
+  value.a = 2;
+  assert.equal((await kv.get("obj")).a, 1);
+
+  await kv.set("num", "42");
+  assert.equal(await kv.get("num"), 42);
+  assert.equal(await kv.get("missing"), null);
+  assert.deepEqual(await kv.mget("obj", "missing", "num"), [{ a: 1, list: [1, 2] }, null, 42]);
+});
+
+test("set nx, setnx, del and exists", async () => {
+  assert.equal(await kv.set("k", 1, { nx: true }), "OK");
+  assert.equal(await kv.set("k", 2, { nx: true }), null);
+  assert.equal(await kv.setnx("k", 3), 0);
+  assert.equal(await kv.get("k"), 1);
+
+  await kv.set("other", 1);
+  assert.equal(await kv.exists("k", "other", "missing"), 2);
+  assert.equal(await kv.del("k", "missing"), 1);
+  assert.equal(await kv.exists("k"), 0);
+});
+
+test("keys expire after ex/px and expire()", async () => {
+  await kv.set("short", 1, { px: 20 });
+  await kv.set("long", 1, { ex: 60 });
+  await kv.incr("counter");
+  assert.equal(await kv.expire("counter", 0.02), 1);
+  assert.equal(await kv.expire("missing", 10), 0);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await kv.get("short"), null);
+  assert.equal(await kv.get("counter"), null);
+  assert.equal(await kv.get("long"), 1);
+});
+
+test("incr and decr keep the key's TTL", async () => {
+  assert.equal(await kv.incr("n"), 1);
+  assert.equal(await kv.incr("n"), 2);
+  assert.equal(await kv.decr("n"), 1);
+  await kv.expire("n", 0.02);
+  assert.equal(await kv.incr("n"), 2);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await kv.get("n"), null);
+});
+
+test("sorted sets: index ranges, score ranges, rev, offset/count", async () => {
+  await kv.zadd("z", { score: 3, member: "c" }, { score: 1, member: "a" }, { score: 2, member: "b" });
+  assert.equal(await kv.zadd("z", { nx: true }, { score: 9, member: "a" }, { score: 4, member: "d" }), 1);
+  assert.equal(await kv.zscore("z", "a"), 1);
+  assert.equal(await kv.zcard("z"), 4);
+
+  assert.deepEqual(await kv.zrange("z", 0, -1), ["a", "b", "c", "d"]);
+  assert.deepEqual(await kv.zrange("z", 0, 1, { rev: true }), ["d", "c"]);
+  assert.deepEqual(await kv.zrange("z", "(1", 3, { byScore: true }), ["b", "c"]);
+  assert.deepEqual(await kv.zrange("z", "+inf", "-inf", { byScore: true, rev: true, offset: 1, count: 2 }), ["c", "b"]);
+  assert.deepEqual(await kv.zrange("z", 0, 0, { withScores: true }), ["a", 1]);
+
+  assert.equal(await kv.zrem("z", "a", "missing"), 1);
+  assert.equal(await kv.zscore("z", "a"), null);
+});
+
+test("lists and hashes", async () => {
+  await kv.lpush("l", "a", "b", "c");
+  assert.deepEqual(await kv.lrange("l", 0, -1), ["c", "b", "a"]);
+  await kv.ltrim("l", 0, 1);
+  assert.equal(await kv.llen("l"), 2);
+
+  assert.equal(await kv.hset("h", { x: { n: 1 }, y: "text" }), 2);
+  assert.equal(await kv.hset("h", { x: { n: 2 } }), 0);
+  assert.equal(await kv.hincrby("h", "count", 5), 5);
+  assert.deepEqual(await kv.hgetall("h"), { x: { n: 2 }, y: "text", count: 5 });
+  assert.equal(await kv.hgetall("missing"), null);
+});
+
+test("a key holding another type throws WRONGTYPE", async () => {
+  await kv.set("s", "value");
+  await assert.rejects(kv.zadd("s", { score: 1, member: "a" }), /WRONGTYPE/);
+});
+
+test("pipeline queues commands and exec runs them in order", async () => {
+  const pipeline = kv.pipeline();
+  pipeline.set("p", 1).incr("p").hincrby("ph", "f", 2);
+  pipeline.get("p");
+  assert.equal(await kv.get("p"), null);
+
+  assert.deepEqual(await pipeline.exec(), ["OK", 2, 2, 2]);
+  assert.equal(await kv.get("p"), 2);
+});
+
+test("the file backend persists across stores", async () => {
+  process.env.STORAGE_BACKEND = "file";
+  process.env.STORAGE_FILE = path.join(tempDir, "storage.json");
+  resetStorage();
+
+  await kv.set("persisted", { ok: true });
+  await kv.zadd("pz", { score: 1, member: "m" });
+
+  resetStorage();
+  assert.deepEqual(await kv.get("persisted"), { ok: true });
+  assert.deepEqual(await kv.zrange("pz", 0, -1), ["m"]);
+});
+
+test("unknown backends are rejected and kv needs its credentials", () => {
+  process.env.STORAGE_BACKEND = "nope";
+  resetStorage();
+  assert.throws(() => kv.get("x"), /Unknown STORAGE_BACKEND/);
+
+  process.env.STORAGE_BACKEND = "kv";
+  delete process.env.KV_REST_API_URL;
+  delete process.env.KV_REST_API_TOKEN;
+  assert.equal(isStorageConfigured(), false);
+});
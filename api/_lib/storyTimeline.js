@@ -0,0 +1,365 @@
+import { kv } from "./storage.js";
+import { listMajorEvents, updateMajorEvent } from "./majorEventStore.js";
+import { listSignalCacheKeys } from "./tradeSignal.js";
+
+/**
+ * Story Timeline Module
+ *
+ * Turns stored major events into evolving stories. When a newly analyzed
+ * article is a follow-up to a recent event ("Strait of Hormuz closed" →
+ * "Tankers rerouted around Hormuz"), it is appended to that event's
+ * `timeline` instead of being stored as a new, unrelated event, and the
+ * event's importance is re-scored as the story develops.
+ *
+ * Matching is server-side and deterministic. A candidate is scored against
+ * the event's root article and its latest update on:
+ * - shared named entities (places, institutions, companies)
+ * - content-word overlap after synonym normalization
+ * - overlap of the analysis' sectors and example tickers
+ * A match needs the combined score to clear STORY_MATCH_THRESHOLD and at
+ * least one shared entity or ticker, so generic wording alone ("cuts
+ * rates") never links two stories.
+ *
+ * Near-duplicates of the same article are handled earlier by
+ * newsClustering.js; this module links distinct articles about one story.
+ */
+
+const STORY_WINDOW_HOURS = 24; // Follow-ups must land within 24h of the story's latest update
+const STORY_MATCH_THRESHOLD = 0.45;
+const FOLLOW_UP_MIN_SCORE = 40; // Follow-ups may score below the storage threshold on their own
+const UPDATE_BONUS = 2; // Importance bonus per follow-up...
+const MAX_UPDATE_BONUS = 10; // ...capped, so a long-running story can't drift to 100 on volume alone
+const MAX_TIMELINE_ENTRIES = 50;
+const MAX_CANDIDATE_STORIES = 100;
+
+const MATCH_WEIGHTS = {
+  tokens: 0.45,
+  entities: 0.35,
+  tickers: 0.2
+};
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'after', 'over',
+  'says', 'said', 'amid', 'into', 'are', 'was', 'were', 'been', 'its',
+  'has', 'have', 'will', 'new', 'more', 'than', 'about', 'as', 'on', 'in',
+  'of', 'to', 'at', 'by', 'is', 'be', 'it', 'an', 'a', 'or', 'today',
+  'update', 'live', 'breaking', 'report', 'reports', 'could', 'would'
+]);
+
+// Words that describe the same development in different outlets' wording
+const SYNONYM_MAP = {
+  closed: 'close', closure: 'close', closes: 'close', closing: 'close',
+  shut: 'close', shutdown: 'close', blocked: 'close', blockade: 'close',
+  crude: 'oil', petroleum: 'oil', brent: 'oil', wti: 'oil',
+  shipping: 'ship', shipments: 'ship', ships: 'ship', tanker: 'ship', tankers: 'ship', vessels: 'ship',
+  rerouted: 'reroute', rerouting: 'reroute', diverted: 'reroute', diverting: 'reroute',
+  hike: 'raise', hikes: 'raise', raises: 'raise', raised: 'raise',
+  cuts: 'cut', cutting: 'cut', lowers: 'cut', lowered: 'cut',
+  rates: 'rate', tariffs: 'tariff', sanctions: 'sanction', strikes: 'strike',
+  attacks: 'attack', attacked: 'attack'
+};
+
+/**
+ * Normalize text into content tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .map(token => SYNONYM_MAP[token] || token)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+/**
+ * Extract named entities: acronyms and capitalized words that are not just
+ * the start of a sentence. Title-case headlines ("Oil Prices Jump As...")
+ * only contribute acronyms, since every word is capitalized there.
+ * @param {string} text
+ * @returns {Set<string>} Lower-cased entity tokens
+ */
+function extractEntities(text) {
+  const entities = new Set();
+  if (!text) return entities;
+
+  const words = text.split(/\s+/).filter(Boolean);
+  const capitalized = words.filter(word => /^[A-Z]/.test(word));
+  const titleCase = words.length >= 4 && capitalized.length / words.length > 0.6;
+
+  words.forEach((word, i) => {
+    const clean = word.replace(/[^\w]/g, '');
+    if (clean.length < 2) return;
+
+    const isAcronym = /^[A-Z]{2,6}s?$/.test(clean);
+    const sentenceStart = i === 0 || /[.!?:]$/.test(words[i - 1]);
+    const isProperNoun = !titleCase && !sentenceStart && /^[A-Z][a-z]/.test(clean);
+
+    if ((isAcronym || isProperNoun) && !STOPWORDS.has(clean.toLowerCase())) {
+      entities.add(clean.toLowerCase());
+    }
+  });
+
+  return entities;
+}
+
+/**
+ * Collect sector names and example tickers from an analysis
+ * @param {object} analysis
+ * @returns {Set<string>}
+ */
+function extractMarketKeys(analysis) {
+  const keys = new Set();
+  for (const sector of analysis?.sectors || []) {
+    if (sector.name) keys.add(`sector:${sector.name.toLowerCase()}`);
+    for (const ticker of sector.exampleTickers || []) {
+      keys.add(`ticker:${String(ticker).toUpperCase()}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number} 0..1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Overlap coefficient (shared / smaller set), so a short headline naming
+ * one place still matches a longer article about it
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {{ score: number, shared: Array }}
+ */
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return { score: 0, shared: [] };
+  const shared = [...a].filter(value => b.has(value));
+  return { score: shared.length / Math.min(a.size, b.size), shared };
+}
+
+/**
+ * Build the matching features of an article ({ headline, body, analysis })
+ * @param {object} article
+ * @returns {{ tokens: Set<string>, entities: Set<string>, marketKeys: Set<string> }}
+ */
+function buildFeatures(article) {
+  const text = `${article.headline || ''}. ${article.body || article.summary || ''}`;
+  return {
+    tokens: new Set(tokenize(`${article.headline || ''} ${(article.body || '').split(/\s+/).slice(0, 40).join(' ')}`)),
+    entities: extractEntities(text),
+    marketKeys: extractMarketKeys(article.analysis)
+  };
+}
+
+/**
+ * Score how likely a candidate article continues a stored story
+ * @param {object} candidate - { headline, body, analysis }
+ * @param {object} article - Stored event or timeline entry ({ headline, body|summary, analysis })
+ * @returns {{ score: number, sharedEntities: Array<string>, sharedTickers: Array<string>, anchored: boolean }}
+ */
+export function scoreStoryMatch(candidate, article) {
+  const a = buildFeatures(candidate);
+  const b = buildFeatures(article);
+
+  const tokenScore = jaccard(a.tokens, b.tokens);
+  const entityOverlap = overlap(a.entities, b.entities);
+  const marketOverlap = overlap(a.marketKeys, b.marketKeys);
+  const sharedTickers = marketOverlap.shared
+    .filter(key => key.startsWith('ticker:'))
+    .map(key => key.slice('ticker:'.length));
+
+  const score = MATCH_WEIGHTS.tokens * tokenScore
+    + MATCH_WEIGHTS.entities * entityOverlap.score
+    + MATCH_WEIGHTS.tickers * marketOverlap.score;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    sharedEntities: entityOverlap.shared,
+    sharedTickers,
+    anchored: entityOverlap.shared.length > 0 || sharedTickers.length > 0
+  };
+}
+
+/**
+ * Time of the latest development in a story
+ * @param {object} event
+ * @returns {number} Epoch ms (NaN if unknown)
+ */
+function latestUpdateTime(event) {
+  return new Date(event.updatedAt || event.publishedAt || event.storedAt || 0).getTime();
+}
+
+/**
+ * Build a timeline entry from an article and its analysis
+ * @param {object} item - News item ({ headline, source, url, publishedAt, provider, independentUpdatesCount })
+ * @param {object} analysis - analyzeNews result
+ * @param {object} [extra] - Extra fields (e.g. { matchScore })
+ * @returns {object}
+ */
+export function buildTimelineEntry(item, analysis, extra = {}) {
+  return {
+    headline: item.headline,
+    source: item.source,
+    url: item.url,
+    publishedAt: item.publishedAt,
+    provider: item.provider,
+    addedAt: new Date().toISOString(),
+    importanceScore: analysis?.importanceScore ?? null,
+    importanceCategory: analysis?.importanceCategory ?? null,
+    summary: analysis?.summary ?? null,
+    independentUpdatesCount: item.independentUpdatesCount ?? 1,
+    ...extra
+  };
+}
+
+/**
+ * Timeline of an event, synthesizing a single root entry for events stored
+ * before timelines existed
+ * @param {object} event
+ * @returns {Array<object>} Entries, oldest first
+ */
+export function getEventTimeline(event) {
+  if (Array.isArray(event.timeline) && event.timeline.length > 0) {
+    return event.timeline;
+  }
+  return [buildTimelineEntry(event, event.analysis, { addedAt: event.storedAt || null })];
+}
+
+/**
+ * Re-score a story from its timeline: the peak importance of any update,
+ * plus a capped bonus for each follow-up
+ * @param {Array<object>} timeline
+ * @returns {number} 0-100
+ */
+export function rescoreStory(timeline) {
+  const scores = timeline.map(entry => entry.importanceScore).filter(Number.isFinite);
+  if (scores.length === 0) return 0;
+
+  const bonus = Math.min(MAX_UPDATE_BONUS, UPDATE_BONUS * (timeline.length - 1));
+  return Math.min(100, Math.max(...scores) + bonus);
+}
+
+/**
+ * Find the stored story a newly analyzed article continues
+ * @param {object} candidate - { headline, body, publishedAt, analysis }
+ * @param {Array<object>} [events] - Stored events (recently updated events from the store if omitted)
+ * @returns {Promise<{ event: object, score: number, sharedEntities: Array<string>, sharedTickers: Array<string> }|null>}
+ */
+export async function findStoryMatch(candidate, events = null) {
+  const analysis = candidate.analysis;
+  if (!analysis || analysis.importanceCategory === 'noise' || analysis.importanceScore < FOLLOW_UP_MIN_SCORE) {
+    return null;
+  }
+
+  const candidateTime = new Date(candidate.publishedAt || Date.now()).getTime();
+  const windowMs = STORY_WINDOW_HOURS * 60 * 60 * 1000;
+  const storedEvents = events || (await listMajorEvents({
+    limit: MAX_CANDIDATE_STORIES,
+    sinceMs: Math.min(candidateTime, Date.now()) - windowMs
+  })).events;
+
+  let best = null;
+  for (const event of storedEvents) {
+    const eventTime = latestUpdateTime(event);
+    if (Number.isFinite(eventTime) && Math.abs(candidateTime - eventTime) > windowMs) continue;
+
+    // Compare against the root article and the latest development
+    const timeline = getEventTimeline(event);
+    const latest = timeline[timeline.length - 1];
+    const matches = [
+      scoreStoryMatch(candidate, event),
+      scoreStoryMatch(candidate, { ...latest, analysis: event.analysis })
+    ].filter(match => match.anchored && match.score >= STORY_MATCH_THRESHOLD);
+
+    for (const match of matches) {
+      if (!best || match.score > best.score) {
+        best = { event, ...match };
+      }
+    }
+  }
+
+  if (!best) return null;
+  const { anchored, ...result } = best;
+  return result;
+}
+
+/**
+ * Start a story: fields a new major event needs to carry a timeline
+ * @param {object} item - News item
+ * @param {object} analysis - analyzeNews result
+ * @returns {{ timeline: Array<object>, initialImportanceScore: number, updatedAt: string }}
+ */
+export function createStoryFields(item, analysis) {
+  return {
+    timeline: [buildTimelineEntry(item, analysis)],
+    initialImportanceScore: analysis.importanceScore,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Append a follow-up to a stored event's timeline and re-score the story.
+ * Updating the event moves it to the top of the feed, and its cached trade
+ * signal and translated narratives are dropped so the next request is
+ * computed from the updated story.
+ *
+ * @param {string} eventId - Stored event id
+ * @param {object} item - Follow-up news item
+ * @param {object} analysis - analyzeNews result for the follow-up
+ * @param {object} [match] - findStoryMatch result, recorded on the entry
+ * @returns {Promise<object|null>} Updated event, or null if it no longer exists or the write failed
+ */
+export async function attachFollowUp(eventId, item, analysis, match = null) {
+  const updated = await updateMajorEvent(eventId, event => {
+    const previousTimeline = getEventTimeline(event);
+    const timeline = [
+      ...previousTimeline,
+      buildTimelineEntry(item, analysis, match ? {
+        matchScore: match.score,
+        sharedEntities: match.sharedEntities,
+        sharedTickers: match.sharedTickers
+      } : {})
+    ].slice(-MAX_TIMELINE_ENTRIES);
+
+    const previousScore = event.analysis?.importanceScore ?? 0;
+    // The most important development defines the story's analysis. The stored
+    // score includes the follow-up bonus, so compare raw scores from the timeline.
+    const peakScore = Math.max(0, ...previousTimeline.map(entry => entry.importanceScore).filter(Number.isFinite));
+    const baseAnalysis = analysis.importanceScore > peakScore ? analysis : event.analysis;
+
+    return {
+      ...event,
+      timeline,
+      initialImportanceScore: event.initialImportanceScore ?? previousScore,
+      latestHeadline: item.headline,
+      updatedAt: new Date().toISOString(),
+      independentUpdatesCount: (event.independentUpdatesCount ?? 1) + (item.independentUpdatesCount ?? 1),
+      clusterSources: [...new Set([...(event.clusterSources || []), ...(item.clusterSources || [item.source])].filter(Boolean))],
+      analysis: {
+        ...baseAnalysis,
+        importanceScore: rescoreStory(timeline)
+      }
+    };
+  });
+
+  if (updated) {
+    try {
+      await kv.del(...listSignalCacheKeys(eventId));
+    } catch (error) {
+      console.warn('Failed to drop cached trade signal for updated story:', error.message);
+    }
+  }
+
+  return updated;
+}
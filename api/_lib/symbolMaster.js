@@ -0,0 +1,150 @@
+// Static ES import ensures Vercel bundler includes the JSON file
+import symbolMasterData from '../../src/data/symbol-master.json' with { type: 'json' };
+
+/**
+ * Symbol Master Module
+ *
+ * The ticker universe the app trades and reasons about
+ * (src/data/symbol-master.json): symbol, name, sector, asset type, ETF flag
+ * and liquidity tier (1 = most liquid). Tickers suggested by the model are
+ * resolved against it, so misspelled formats ("$XOM", "NYSE:XOM", "BRK-B")
+ * and company names ("Exxon") map to a listed symbol and anything unknown is
+ * dropped. Adding a symbol is a registry change only.
+ */
+
+// Corporate suffixes ignored when matching company names
+const NAME_STOPWORDS = new Set([
+  "the", "inc", "incorporated", "corp", "corporation", "co", "company", "companies",
+  "plc", "ltd", "limited", "holding", "holdings", "group", "sa", "se", "nv", "ag", "as"
+]);
+
+/**
+ * Normalize a company name or alias for matching
+ * e.g. "Exxon Mobil Corporation" -> "exxon mobil", "Lowe's" -> "lowes"
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’.]/g, "")
+    .replace(/\bclass [a-z]\b/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(word => word && !NAME_STOPWORDS.has(word))
+    .join(" ");
+}
+
+/**
+ * Normalize a ticker-like string to the registry's symbol format
+ * e.g. "$xom" -> "XOM", "NYSE:XOM" -> "XOM", "XOM US" -> "XOM", "BRK-B" -> "BRK.B"
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeSymbol(value) {
+  return String(value)
+    .trim()
+    .toUpperCase()
+    .replace(/^\$/, "")
+    .replace(/^[A-Z]+:/, "")
+    .replace(/[\s.](US|UN|UW|UQ)$/, "")
+    .replace(/[-/]/g, ".");
+}
+
+/**
+ * Resolve a registry entry into the public symbol shape
+ * @param {object} entry - Raw registry entry
+ * @returns {object} - { symbol, name, sector, assetType, etf, liquidityTier }
+ */
+function resolveSymbol(entry) {
+  return {
+    symbol: entry.symbol,
+    name: entry.name,
+    sector: entry.sector,
+    assetType: entry.assetType,
+    etf: Boolean(entry.etf),
+    liquidityTier: entry.liquidityTier
+  };
+}
+
+// Lookup tables, built once per cold start
+const SYMBOLS = new Map((symbolMasterData.symbols || []).map(entry => [entry.symbol, resolveSymbol(entry)]));
+const NAMES = new Map();
+for (const entry of symbolMasterData.symbols || []) {
+  for (const name of [entry.name, ...(entry.aliases || [])]) {
+    const key = normalizeName(name);
+    // First entry wins, so list the more liquid listing first
+    if (key && !NAMES.has(key)) NAMES.set(key, entry.symbol);
+  }
+}
+
+/**
+ * Get a symbol from the master
+ * @param {string} symbol - Ticker symbol
+ * @returns {object|null} - { symbol, name, sector, assetType, etf, liquidityTier }
+ */
+export function getSymbolInfo(symbol) {
+  if (!symbol) return null;
+  return SYMBOLS.get(normalizeSymbol(symbol)) || null;
+}
+
+/**
+ * List symbols from the master
+ * @param {object} [filter]
+ * @param {boolean} [filter.etf] - Only ETFs (true) or only single names (false)
+ * @param {string} [filter.sector] - Only this sector
+ * @param {number} [filter.maxTier] - Only liquidity tiers up to this one
+ * @returns {Array<object>}
+ */
+export function listSymbols({ etf, sector, maxTier } = {}) {
+  return [...SYMBOLS.values()].filter(info =>
+    (etf === undefined || info.etf === etf)
+    && (!sector || info.sector === sector)
+    && (!maxTier || info.liquidityTier <= maxTier)
+  );
+}
+
+/**
+ * Resolve one model-suggested ticker or company name
+ * @param {string} value - e.g. "XOM", "$xom", "BRK-B", "Exxon"
+ * @returns {object|null} - Symbol info, or null when not in the master
+ */
+export function resolveTicker(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+
+  const bySymbol = getSymbolInfo(value);
+  if (bySymbol) return bySymbol;
+
+  const byName = NAMES.get(normalizeName(value));
+  return byName ? SYMBOLS.get(byName) : null;
+}
+
+/**
+ * Resolve a list of model-suggested tickers
+ * @param {Array<string>} values
+ * @returns {{ symbols: Array<object>, mapped: Array<{ from: string, to: string }>, dropped: Array<string> }}
+ *   symbols are unique, in input order; mapped lists inputs that needed more
+ *   than uppercasing; dropped lists inputs not in the master
+ */
+export function resolveTickers(values) {
+  const symbols = [];
+  const mapped = [];
+  const dropped = [];
+
+  for (const value of values || []) {
+    const info = resolveTicker(value);
+    if (!info) {
+      dropped.push(String(value));
+      continue;
+    }
+    if (String(value).trim().toUpperCase() !== info.symbol) {
+      mapped.push({ from: String(value), to: info.symbol });
+    }
+    if (!symbols.some(s => s.symbol === info.symbol)) {
+      symbols.push(info);
+    }
+  }
+
+  return { symbols, mapped, dropped };
+}
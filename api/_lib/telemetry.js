@@ -9,16 +9,19 @@
 const TSLOG_TTL_DAYS = 90;
 const TSIDX_TTL_DAYS = 90;
 const SECONDS_PER_DAY = 24 * 60 * 60;
+const MGET_BATCH_SIZE = 100;
 
 /**
  * Build a unique signal ID
- * @param {object} params - { modelVersion, eventId, symbol }
- * @returns {string} signalId in format "modelVersion:eventId:symbol"
+ * @param {object} params - { modelVersion, eventId, symbol, profile }
+ *   profile is only passed for non-default confidence profiles, so default
+ *   signals keep the plain id
+ * @returns {string} signalId in format "modelVersion:eventId:symbol[:profile]"
  */
-export function buildSignalId({ modelVersion, eventId, symbol }) {
+export function buildSignalId({ modelVersion, eventId, symbol, profile }) {
   const mv = modelVersion ?? 1;
   const sym = (symbol || 'UNKNOWN').toUpperCase();
-  return `${mv}:${eventId}:${sym}`;
+  return profile ? `${mv}:${eventId}:${sym}:${profile}` : `${mv}:${eventId}:${sym}`;
 }
 
 /**
@@ -49,10 +52,13 @@ export function buildTelemetryLog(params) {
     overall,
     grade,
     components,
+    calibratedProbability,
     echoUsed,
+    echoStats,
     marketStatsUsed,
     atrPct,
     gapPct,
+    marketRegime,
     ambiguity,
     entryType,
     entryLevel,
@@ -62,8 +68,12 @@ export function buildTelemetryLog(params) {
     suggestedPositionPct,
     cached,
     latencyMs,
+    shadow,
     modelVersion,
-    avoidCode
+    confidenceProfile,
+    avoidCode,
+    promptVersion,
+    analysisPromptVersion
   } = params;
 
   return {
@@ -84,10 +94,24 @@ export function buildTelemetryLog(params) {
       gapRisk: 0,
       freshness: 0
     },
+    calibratedProbability: calibratedProbability ?? null,
     echoUsed: Boolean(echoUsed),
+    // What the AVOID_NO_EDGE / AVOID_CONFLICT rules read, so a replay can rerun them
+    echoStats: echoStats ? {
+      sampleSize: echoStats.sampleSize ?? null,
+      accuracy: echoStats.accuracy ?? null,
+      alignment: echoStats.alignment || null
+    } : null,
     marketStatsUsed: Boolean(marketStatsUsed),
     atrPct: atrPct ?? null,
     gapPct: gapPct ?? null,
+    // What the marketRegime component read, so a replay can rescore it
+    marketRegime: marketRegime ? {
+      volPercentile: marketRegime.volPercentile ?? null,
+      trend: marketRegime.trend || null,
+      breadth: marketRegime.breadth ?? null,
+      riskState: marketRegime.riskState || null
+    } : null,
     ambiguity: ambiguity ?? null,
     entryType: entryType || null,
     entryLevel: entryLevel ?? 0,
@@ -97,8 +121,13 @@ export function buildTelemetryLog(params) {
     suggestedPositionPct: suggestedPositionPct ?? null,
     cached: Boolean(cached),
     latencyMs: latencyMs ?? 0,
+    // Scored by the shadow (challenger) model, never shown to the user
+    shadow: Boolean(shadow),
     modelVersion: modelVersion ?? 1,
-    avoidCode: avoidCode || null
+    confidenceProfile: confidenceProfile || null,
+    avoidCode: avoidCode || null,
+    promptVersion: promptVersion || null,
+    analysisPromptVersion: analysisPromptVersion || null
   };
 }
 
@@ -167,6 +196,57 @@ export async function readSignalTelemetry({ kv, signalId }) {
   }
 }
 
+/**
+ * MGET keys in batches of MGET_BATCH_SIZE
+ * @param {object} kv
+ * @param {string[]} keys
+ * @returns {Promise<Array<object|null>>} Values in key order, null where missing
+ */
+async function mgetInBatches(kv, keys) {
+  const values = [];
+  for (let i = 0; i < keys.length; i += MGET_BATCH_SIZE) {
+    const batch = keys.slice(i, i + MGET_BATCH_SIZE);
+    values.push(...(await kv.mget(...batch) || batch.map(() => null)));
+  }
+  return values;
+}
+
+/**
+ * Read the telemetry logs of many signals (one MGET per batch)
+ * @param {object} params - { kv, signalIds }
+ * @returns {Promise<Array<object|null>>} Logs in signalIds order, null where missing or unreadable
+ */
+export async function readSignalTelemetryBatch({ kv, signalIds }) {
+  if (!kv || !signalIds?.length) {
+    return [];
+  }
+
+  try {
+    return await mgetInBatches(kv, signalIds.map(signalId => `tslog:v1:${signalId}`));
+  } catch (error) {
+    console.error('Telemetry read error:', error.message);
+    return signalIds.map(() => null);
+  }
+}
+
+/**
+ * Read the outcomes (outcome:v1, written by the outcome cron) of many signals
+ * @param {object} params - { kv, signalIds }
+ * @returns {Promise<Array<object|null>>} Outcomes in signalIds order, null where missing or unreadable
+ */
+export async function readSignalOutcomes({ kv, signalIds }) {
+  if (!kv || !signalIds?.length) {
+    return [];
+  }
+
+  try {
+    return await mgetInBatches(kv, signalIds.map(signalId => `outcome:v1:${signalId}`));
+  } catch (error) {
+    console.error('Outcome read error:', error.message);
+    return signalIds.map(() => null);
+  }
+}
+
 /**
  * Get all signal IDs for a specific date from the daily index
  * @param {object} params - { kv, dateStr }
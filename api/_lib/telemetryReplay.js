@@ -0,0 +1,278 @@
+import { getSignalIdsForDate, readSignalTelemetryBatch, readSignalOutcomes } from "./telemetry.js";
+import { computeRegimeVol, computeGapRisk, computeMarketRegime, decideSignal } from "./confidenceEngine.js";
+import { getConfidenceModel } from "./confidenceProfiles.js";
+
+/**
+ * Telemetry Replay Module - Rescore Past Signals Under a Candidate Model
+ *
+ * Reruns the confidence engine's decision (overall, grade, AVOID/WAIT rules,
+ * sizing) over logged signals (tslog:v1) with a candidate confidence model
+ * version and profile, diffs the result against what was issued and joins
+ * the stored outcomes (outcome:v1) to compare both.
+ *
+ * What a log can and cannot replay:
+ * - regimeVol and gapRisk are recomputed from the logged atrPct/gapPct and
+ *   marketRegime from the logged regime snapshot, so a change to those
+ *   formulas shows up; logs from before the market regime score it as
+ *   unavailable
+ * - echoEdge, eventClarity and freshness are taken as logged (their inputs,
+ *   such as the echo history or the news age at signal time, are not stored)
+ * - the echo rules (AVOID_NO_EDGE, AVOID_CONFLICT) need `echoStats`; logs
+ *   from before it was recorded skip them and are flagged `partial`
+ *
+ * Only directional logs have an outcome worth comparing; the outcome's
+ * signed return follows the model's direction whatever the signal was, so a
+ * signal the candidate would have taken and the issued model avoided is
+ * still scored.
+ */
+
+export const REPLAY_HORIZONS = ['1', '3', '5'];
+export const MAX_REPLAY_CHANGES = 200;
+
+const SIGNALS = ['BUY', 'SELL', 'WAIT', 'AVOID'];
+const GRADES = ['A', 'B', 'C', 'D'];
+
+/**
+ * Round to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get date N days before a given date
+ * @param {string} dateStr - Base date YYYY-MM-DD
+ * @param {number} daysBack - Days to go back
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateMinusDays(dateStr, daysBack) {
+  const d = new Date(dateStr);
+  d.setUTCDate(d.getUTCDate() - daysBack);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Rebuild the echo context the rules read from a log
+ * @param {object} log - Telemetry log
+ * @returns {object|null}
+ */
+function echoContextFromLog(log) {
+  const echoStats = log.echoStats;
+  if (!echoStats) return null;
+
+  const hasStats = echoStats.sampleSize !== null || echoStats.accuracy !== null;
+  return {
+    alignment: echoStats.alignment,
+    stats: hasStats ? { sampleSize: echoStats.sampleSize, accuracy: echoStats.accuracy } : undefined
+  };
+}
+
+/**
+ * Rescore one telemetry log under a profile
+ * @param {object} log - Telemetry log
+ * @param {object} profile - Confidence profile (from getConfidenceProfile)
+ * @returns {{ signal: string, overall: number, grade: string, avoidCode: string|null, suggestedPositionPct: number, riskPerTradePct: number, partial: boolean }}
+ */
+export function rescoreTelemetryLog(log, profile) {
+  const marketStats = typeof log.atrPct === 'number'
+    ? { atrPct: log.atrPct, gapPct: log.gapPct ?? undefined }
+    : null;
+
+  const components = { ...log.components };
+  if (marketStats) {
+    components.regimeVol = computeRegimeVol(marketStats).score;
+    if (marketStats.gapPct !== undefined) components.gapRisk = computeGapRisk(marketStats).score;
+  }
+  if (log.marketRegime || components.marketRegime === undefined) {
+    components.marketRegime = computeMarketRegime(log.marketRegime || null, log.direction).score;
+  }
+
+  const llmOutput = {
+    direction: log.direction,
+    ambiguity: log.ambiguity,
+    entry: { type: log.entryType, level: log.entryLevel },
+    invalidation: { level: log.invalidationLevel }
+  };
+
+  const decision = decideSignal({
+    components,
+    echoUsed: log.echoUsed,
+    echoContext: echoContextFromLog(log),
+    llmOutput,
+    marketStats,
+    profile
+  });
+
+  return {
+    signal: decision.signal,
+    overall: decision.overall,
+    grade: decision.grade,
+    avoidCode: decision.avoidCode,
+    suggestedPositionPct: decision.sizingHint.suggestedPositionPct,
+    riskPerTradePct: decision.sizingHint.riskPerTradePct,
+    partial: Boolean(log.echoUsed && !log.echoStats)
+  };
+}
+
+/**
+ * Empty stats bucket for one side of the comparison
+ * @returns {object}
+ */
+function createReplayBucket() {
+  return {
+    countBySignal: Object.fromEntries(SIGNALS.map(s => [s, 0])),
+    countByGrade: Object.fromEntries(GRADES.map(g => [g, 0])),
+    sumOverall: 0,
+    trades: Object.fromEntries(REPLAY_HORIZONS.map(h => [h, { count: 0, hits: 0, sumSignedReturnPct: 0, sumSizedReturnPct: 0 }]))
+  };
+}
+
+/**
+ * Add one decision (and its outcome) to a bucket
+ * Trades are BUY/SELL decisions with an outcome at the horizon; the sized
+ * return weighs each by its suggested position (% of the account).
+ * @param {object} bucket
+ * @param {object} decision - { signal, grade, overall, suggestedPositionPct }
+ * @param {object|null} outcome - Outcome record
+ */
+function addToReplayBucket(bucket, decision, outcome) {
+  if (bucket.countBySignal[decision.signal] !== undefined) bucket.countBySignal[decision.signal]++;
+  if (bucket.countByGrade[decision.grade] !== undefined) bucket.countByGrade[decision.grade]++;
+  bucket.sumOverall += decision.overall || 0;
+
+  if (!outcome?.ok || (decision.signal !== 'BUY' && decision.signal !== 'SELL')) return;
+
+  for (const h of REPLAY_HORIZONS) {
+    const signedReturnPct = outcome.signedReturnPct?.[h];
+    if (typeof signedReturnPct !== 'number') continue;
+
+    const stats = bucket.trades[h];
+    stats.count++;
+    if (signedReturnPct > 0) stats.hits++;
+    stats.sumSignedReturnPct += signedReturnPct;
+    stats.sumSizedReturnPct += (decision.suggestedPositionPct || 0) * signedReturnPct / 100;
+  }
+}
+
+/**
+ * Turn a bucket into the response shape
+ * @param {object} bucket
+ * @param {number} signals - Signals replayed
+ * @returns {object}
+ */
+function summarizeReplayBucket(bucket, signals) {
+  return {
+    countBySignal: bucket.countBySignal,
+    countByGrade: bucket.countByGrade,
+    avgOverall: signals > 0 ? Math.round((bucket.sumOverall / signals) * 10) / 10 : 0,
+    trades: Object.fromEntries(REPLAY_HORIZONS.map(h => {
+      const stats = bucket.trades[h];
+      return [h, {
+        count: stats.count,
+        hitRate: stats.count > 0 ? round2(stats.hits / stats.count) : null,
+        avgSignedReturnPct: stats.count > 0 ? round2(stats.sumSignedReturnPct / stats.count) : null,
+        sizedReturnPct: Math.round(stats.sumSizedReturnPct * 1000) / 1000
+      }];
+    }))
+  };
+}
+
+/**
+ * Replay logged signals under a candidate model and compare with what was issued
+ * @param {object} params
+ * @param {object} params.kv - KV client
+ * @param {string} params.endDate - Last signal date, YYYY-MM-DD
+ * @param {number} params.days - Days back to read
+ * @param {object} params.profile - Candidate confidence profile (from getConfidenceProfile)
+ * @param {string} [params.issuedProfile] - Only replay signals issued under this profile;
+ *   defaults to each model version's default profile, so one event is not counted once per profile
+ * @param {number} [params.maxChanges] - Changed signals to list
+ * @returns {Promise<object>} - { candidate, signals, partial, changed, issued, replayed, changes }
+ */
+export async function runTelemetryReplay({ kv, endDate, days, profile, issuedProfile, maxChanges = MAX_REPLAY_CHANGES }) {
+  const seen = new Set();
+  const issued = createReplayBucket();
+  const replayed = createReplayBucket();
+  const changed = { signal: 0, grade: 0, avoidCode: 0, sizing: 0 };
+  const changes = [];
+  let signals = 0;
+  let partial = 0;
+
+  for (let i = 0; i < days; i++) {
+    // A signal served again on a later day is indexed on both days
+    const signalIds = (await getSignalIdsForDate({ kv, dateStr: getDateMinusDays(endDate, i) }))
+      .filter(signalId => !seen.has(signalId));
+    signalIds.forEach(signalId => seen.add(signalId));
+
+    // The day's logs, then the outcomes of the ones replayed, in one batch each
+    const logs = await readSignalTelemetryBatch({ kv, signalIds });
+    const replayable = signalIds
+      .map((signalId, j) => ({ signalId, log: logs[j] }))
+      .filter(({ log }) => {
+        if (!log || !log.components || log.shadow) return false; // Shadow scorings were never issued
+        const logProfile = log.confidenceProfile || getConfidenceModel(log.modelVersion ?? 1)?.defaultProfile;
+        const wantedProfile = issuedProfile || getConfidenceModel(log.modelVersion ?? 1)?.defaultProfile;
+        return logProfile === wantedProfile;
+      });
+    const outcomes = await readSignalOutcomes({ kv, signalIds: replayable.map(({ signalId }) => signalId) });
+
+    for (let j = 0; j < replayable.length; j++) {
+      const { signalId, log } = replayable[j];
+      const outcome = log.direction && log.direction !== 'NONE' ? outcomes[j] : null;
+
+      const candidate = rescoreTelemetryLog(log, profile);
+      signals++;
+      if (candidate.partial) partial++;
+
+      addToReplayBucket(issued, log, outcome);
+      addToReplayBucket(replayed, candidate, outcome);
+
+      const diff = {
+        signal: log.signal !== candidate.signal,
+        grade: log.grade !== candidate.grade,
+        avoidCode: (log.avoidCode || null) !== candidate.avoidCode,
+        sizing: (log.suggestedPositionPct ?? null) !== candidate.suggestedPositionPct
+      };
+      for (const key of Object.keys(diff)) {
+        if (diff[key]) changed[key]++;
+      }
+
+      if (Object.values(diff).some(Boolean) && changes.length < maxChanges) {
+        changes.push({
+          signalId,
+          ts: log.ts,
+          symbol: log.symbol,
+          direction: log.direction,
+          issued: {
+            signal: log.signal,
+            overall: log.overall,
+            grade: log.grade,
+            avoidCode: log.avoidCode || null,
+            suggestedPositionPct: log.suggestedPositionPct ?? null
+          },
+          candidate: {
+            signal: candidate.signal,
+            overall: candidate.overall,
+            grade: candidate.grade,
+            avoidCode: candidate.avoidCode,
+            suggestedPositionPct: candidate.suggestedPositionPct
+          },
+          partial: candidate.partial,
+          signedReturnPct: outcome?.ok ? outcome.signedReturnPct : null
+        });
+      }
+    }
+  }
+
+  return {
+    candidate: { modelVersion: profile.modelVersion, profile: profile.name },
+    signals,
+    partial,
+    changed,
+    issued: summarizeReplayBucket(issued, signals),
+    replayed: summarizeReplayBucket(replayed, signals),
+    changes
+  };
+}
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const { kv } = await import("./storage.js");
+const { buildTelemetryLog, writeSignalTelemetry } = await import("./telemetry.js");
+const { getConfidenceProfile } = await import("./confidenceProfiles.js");
+const { rescoreTelemetryLog, runTelemetryReplay } = await import("./telemetryReplay.js");
+
+const END_DATE = "2024-09-20";
+const balanced = getConfidenceProfile(1, "balanced");
+const aggressive = getConfidenceProfile(1, "aggressive");
+
+/**
+ * A telemetry log as production v1/balanced would have issued it
+ * @param {number} i - Varies the components
+ * @param {object} [fields] - Overrides
+ * @returns {object}
+ */
+function issuedLog(i, fields = {}) {
+  const log = buildTelemetryLog({
+    signalId: `1:evt-${i}:SPY`,
+    ts: `${END_DATE}T12:00:00.000Z`,
+    eventId: `evt-${i}`,
+    symbol: "SPY",
+    direction: i % 2 ? "SHORT" : "LONG",
+    components: {
+      echoEdge: 60,
+      eventClarity: 50 + (i % 5) * 10,
+      regimeVol: 0,
+      gapRisk: 0,
+      freshness: 90,
+      marketRegime: 60
+    },
+    echoUsed: false,
+    marketStatsUsed: true,
+    atrPct: 1 + (i % 4),
+    gapPct: 0.5,
+    ambiguity: 0.3,
+    entryType: "market",
+    entryLevel: 0,
+    invalidationLevel: 0,
+    modelVersion: 1,
+    ...fields
+  });
+
+  const decision = rescoreTelemetryLog(log, balanced);
+  return {
+    ...log,
+    signal: decision.signal,
+    overall: decision.overall,
+    grade: decision.grade,
+    avoidCode: decision.avoidCode,
+    suggestedPositionPct: decision.suggestedPositionPct,
+    riskPerTradePct: decision.riskPerTradePct,
+    ...fields
+  };
+}
+
+const logs = Array.from({ length: 12 }, (_, i) => issuedLog(i));
+for (const log of logs) {
+  await writeSignalTelemetry({ kv, log });
+  await kv.set(`outcome:v1:${log.signalId}`, { ok: true, signedReturnPct: { 1: 0.4, 3: log.direction === "LONG" ? 1.2 : -0.8, 5: null } });
+}
+
+// Served again the day before: indexed on both days, replayed once
+await kv.zadd("tsidx:v1:signals:2024-09-19", { score: 1, member: logs[0].signalId });
+
+// Never issued, issued under another profile, or without echo stats (partial)
+await writeSignalTelemetry({ kv, log: { ...issuedLog(20), signalId: "2:evt-20:SPY", shadow: true, modelVersion: 2 } });
+await writeSignalTelemetry({ kv, log: issuedLog(21, { signalId: "1:evt-21:SPY:aggressive", confidenceProfile: "aggressive" }) });
+await writeSignalTelemetry({ kv, log: issuedLog(22, { signalId: "1:evt-22:SPY", echoUsed: true, echoStats: null }) });
+
+test("replaying the issuing profile changes nothing", async () => {
+  const result = await runTelemetryReplay({ kv, endDate: END_DATE, days: 2, profile: balanced });
+
+  assert.deepEqual(result.candidate, { modelVersion: 1, profile: "balanced" });
+  assert.equal(result.signals, 13);
+  assert.equal(result.partial, 1);
+  assert.deepEqual(result.changed, { signal: 0, grade: 0, avoidCode: 0, sizing: 0 });
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(result.replayed, result.issued);
+});
+
+test("replaying another profile lists the changed signals with their outcomes", async () => {
+  const result = await runTelemetryReplay({ kv, endDate: END_DATE, days: 2, profile: aggressive, maxChanges: 3 });
+
+  assert.deepEqual(result.candidate, { modelVersion: 1, profile: "aggressive" });
+  assert.ok(result.changed.sizing > 0);
+  assert.equal(result.changes.length, Math.min(3, result.changed.sizing));
+
+  const change = result.changes[0];
+  const log = logs.find(entry => entry.signalId === change.signalId);
+  assert.equal(change.issued.suggestedPositionPct, log.suggestedPositionPct);
+  assert.equal(change.candidate.suggestedPositionPct, rescoreTelemetryLog(log, aggressive).suggestedPositionPct);
+  assert.deepEqual(change.signedReturnPct, { 1: 0.4, 3: log.direction === "LONG" ? 1.2 : -0.8, 5: null });
+});
+
+test("issuedProfile replays the signals issued under that profile", async () => {
+  const result = await runTelemetryReplay({ kv, endDate: END_DATE, days: 1, profile: balanced, issuedProfile: "aggressive" });
+  assert.equal(result.signals, 1);
+});
+
+test("trade stats count BUY/SELL decisions with an outcome at the horizon", async () => {
+  const result = await runTelemetryReplay({ kv, endDate: END_DATE, days: 1, profile: balanced });
+  const trades = logs.filter(log => log.signal === "BUY" || log.signal === "SELL");
+
+  assert.equal(result.issued.trades["1"].count, trades.length);
+  assert.equal(result.issued.trades["5"].count, 0);
+  assert.equal(result.issued.trades["5"].hitRate, null);
+  assert.equal(result.issued.trades["3"].hitRate,
+    Math.round(trades.filter(log => log.direction === "LONG").length / trades.length * 100) / 100);
+});
+
+test("the market regime is rescored from the logged snapshot", () => {
+  const v2 = getConfidenceProfile(2, "balanced");
+  const riskOff = { volPercentile: 95, trend: "downtrend", breadth: 0, riskState: "risk_off" };
+  const long = issuedLog(0, { direction: "LONG", marketRegime: riskOff });
+  const short = issuedLog(0, { direction: "SHORT", marketRegime: riskOff });
+
+  assert.ok(rescoreTelemetryLog(long, v2).overall < rescoreTelemetryLog(short, v2).overall);
+
+  // Logs from before the market regime score it as unavailable (neutral 60)
+  const olderComponents = { ...long.components };
+  delete olderComponents.marketRegime;
+  const older = { ...long, marketRegime: null, components: olderComponents };
+  const neutral = { ...long, marketRegime: null, components: { ...olderComponents, marketRegime: 60 } };
+  assert.equal(rescoreTelemetryLog(older, v2).overall, rescoreTelemetryLog(neutral, v2).overall);
+  assert.notEqual(rescoreTelemetryLog(older, v2).overall, rescoreTelemetryLog(long, v2).overall);
+});
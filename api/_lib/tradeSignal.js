@@ -1,144 +1,8 @@
-import OpenAI from "openai";
-import { buildEchoContext } from "./echoContext.js";
-
-/**
- * System prompt for GPT-5.1 trade signal generation - Phase 3.3
- * Updated to return structured JSON for confidence engine
- */
-export const TRADE_SIGNAL_SYSTEM_PROMPT = `You are a fast macro trading analyst for a professional trading assistant.
-Your job is to generate a structured trade signal based on a major news event and its analysis.
-
-CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, no explanations.
-
-LANGUAGE RULES:
-- Output language for ALL explanatory text fields: Turkish (tr-TR)
-- Keep all JSON keys/schema in English
-- Do NOT translate raw news titles or headlines from input data - keep them in their original language (usually English)
-- Explanatory fields that MUST be in Turkish: thesis, invalidation.reason, targets[].reason, keyRisks[]
-
-OUTPUT SCHEMA (all fields required):
-
-{
-  "thesis": "1-2 cümle trade tezi, Türkçe (Turkish)",
-  "direction": "LONG" | "SHORT" | "NONE",
-  "instrument": "STOCK" | "OPTIONS" | "NO_TRADE",
-  "timeHorizon": "INTRADAY" | "SWING" | "MULTI_DAY",
-  "entry": {
-    "type": "market" | "limit" | "wait",
-    "level": 0
-  },
-  "invalidation": {
-    "level": 0,
-    "reason": "kısa açıklama, Türkçe (Turkish)"
-  },
-  "targets": [
-    { "level": 0, "reason": "kısa açıklama, Türkçe (Turkish)" }
-  ],
-  "ambiguity": 0.0,
-  "hedged": false,
-  "tickers": ["TICKER1", "TICKER2"],
-  "keyRisks": ["risk açıklaması, Türkçe (Turkish)"]
-}
-
-GUIDELINES:
-
-1. DIRECTION:
-   - "LONG" = Buy exposure to assets that benefit
-   - "SHORT" = Sell/short assets that will be hurt
-   - "NONE" = Too uncertain, noisy, or already priced in
-
-2. TICKERS:
-   - Provide 3-8 tickers or ETFs
-   - ONLY use large, liquid, well-known US or global names
-   - Prefer major ETFs when sector-wide: SPY, QQQ, XLE, XLF, XLK, XLV, XLI, XLU, XLP, XLY, XLB, XLRE, GLD, SLV, TLT, HYG, EEM, EFA, VWO, USO, UNG, DBA
-   - For individual stocks, only use mega-caps: AAPL, MSFT, GOOGL, AMZN, NVDA, META, TSLA, JPM, GS, XOM, CVX, BA, CAT, etc.
-   - NEVER invent obscure or illiquid tickers
-
-3. AMBIGUITY (0.0 to 1.0):
-   - 0.0 = Very clear, unambiguous event with obvious implications
-   - 0.5 = Moderate uncertainty, some conflicting factors
-   - 1.0 = Highly ambiguous, unclear implications
-
-4. HEDGED (boolean):
-   - true if you find yourself using words like "might", "could", "possibly", "if"
-   - true if thesis has significant caveats
-   - false if you have conviction
-
-5. ENTRY:
-   - type "market" = enter immediately
-   - type "limit" = enter at specific level
-   - type "wait" = wait for pullback/setup
-   - level = 0 if market entry, otherwise specific price
-
-6. INVALIDATION:
-   - level = price at which thesis is invalidated
-   - reason = brief explanation why
-
-7. TARGETS (0-2 targets):
-   - level = target price
-   - reason = brief explanation
-
-8. TIME HORIZON:
-   - "INTRADAY" = same day
-   - "SWING" = 1-5 days
-   - "MULTI_DAY" = 1-3 weeks
-
-9. INSTRUMENT:
-   - "STOCK" for equity exposure
-   - "OPTIONS" if leveraged play makes sense
-   - "NO_TRADE" if direction is NONE
-
-10. KEY_RISKS:
-    - 2-4 short bullet points of key risks
-    - Each max 80 characters
-
-If uncertain, set ambiguity HIGH and prefer entry.type="wait" or direction="NONE".
-Do NOT compute confidence scores - that is handled by the system.`;
-
-/**
- * Legacy system prompt kept for reference
- */
-export const TRADE_SIGNAL_SYSTEM_PROMPT_LEGACY = `You are a fast macro trading analyst for a professional trading assistant.
-Your job is to generate a concise trade signal based on a major news event and its analysis.
-
-IMPORTANT GUIDELINES:
-
-1. ACTION:
-   - "long" = Buy exposure to assets that benefit from this event
-   - "short" = Sell/short assets that will be hurt by this event
-   - "avoid" = The event is too uncertain, noisy, or already priced in
-
-2. TARGETS:
-   - Provide 3-8 tickers or ETFs
-   - ONLY use large, liquid, well-known US or global names
-   - Prefer major ETFs when sector-wide: SPY, QQQ, XLE, XLF, XLK, XLV, XLI, XLU, XLP, XLY, XLB, XLRE, GLD, SLV, TLT, HYG, EEM, EFA, VWO, USO, UNG, DBA
-   - For individual stocks, only use mega-caps: AAPL, MSFT, GOOGL, AMZN, NVDA, META, TSLA, JPM, GS, XOM, CVX, BA, CAT, etc.
-   - NEVER invent obscure or illiquid tickers
-   - Make targets SPECIFIC to the event - don't repeat the same generic list
-
-3. HORIZON:
-   - "very_short" = intraday to 1-2 days
-   - "short" = 1-2 weeks
-   - "medium" = 1-3 months
-
-4. CONFIDENCE:
-   - 0-100 integer
-   - Be conservative; use 40-70 for most signals
-   - Above 80 only for extremely clear macro shocks
-
-5. ONE_LINER:
-   - A single sentence trade idea (max 100 characters)
-   - Be specific and actionable
-
-6. RATIONALE:
-   - 2-4 short bullet points explaining why
-   - Each bullet max 80 characters
-
-7. KEY_RISKS:
-   - 2-4 short bullet points of key risks
-   - Each bullet max 80 characters
-
-Output must be valid JSON matching the exact schema provided.`;
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./llmProviders.js";
+import { selectPrompt } from "./prompts.js";
+import { completeValidatedJSON, validateModelOutput } from "./modelOutput.js";
+import { resolveTickers } from "./symbolMaster.js";
+import { CONFIDENCE_MODEL_VERSION } from "./confidenceEngine.js";
 
 /**
  * Schema for new Phase 3.3 output format
@@ -158,90 +22,176 @@ export const OUTPUT_SCHEMA = {
 };
 
 /**
- * Validates the new Phase 3.3 trade signal response from GPT
+ * Schema of the Phase 3.3 signal JSON (see modelOutput.js for the node format)
  */
-export function validateTradeSignal(data) {
-  if (typeof data !== 'object' || data === null) {
-    return false;
+export const LLM_SIGNAL_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    thesis: { type: 'string', required: true, nonEmpty: true },
+    direction: { type: 'enum', required: true, values: ['LONG', 'SHORT', 'NONE'], case: 'upper', aliases: { BUY: 'LONG', SELL: 'SHORT' } },
+    instrument: { type: 'enum', required: true, values: ['STOCK', 'OPTIONS', 'NO_TRADE'], case: 'upper' },
+    timeHorizon: { type: 'enum', required: true, values: ['INTRADAY', 'SWING', 'MULTI_DAY'], case: 'upper' },
+    entry: {
+      type: 'object',
+      fields: {
+        type: { type: 'enum', required: true, values: ['market', 'limit', 'wait'], case: 'lower', default: 'market' },
+        level: { type: 'number', default: 0 }
+      }
+    },
+    invalidation: {
+      type: 'object',
+      fields: {
+        level: { type: 'number', default: 0 },
+        reason: { type: 'string', default: '' }
+      }
+    },
+    targets: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: true,
+        fields: {
+          level: { type: 'number', default: 0 },
+          reason: { type: 'string', default: '' }
+        }
+      }
+    },
+    ambiguity: { type: 'number', required: true, min: 0, max: 1, clamp: true },
+    hedged: { type: 'boolean', required: true, default: false },
+    tickers: { type: 'array', required: true, minItems: 1, maxItems: 8, split: true, items: { type: 'string', required: true } },
+    keyRisks: { type: 'array', required: true, default: [], items: { type: 'string', required: true } }
   }
+};
 
-  // Check direction
-  if (!['LONG', 'SHORT', 'NONE'].includes(data.direction)) return false;
-
-  // Check thesis
-  if (typeof data.thesis !== 'string' || data.thesis.length === 0) return false;
-
-  // Check instrument
-  if (!['STOCK', 'OPTIONS', 'NO_TRADE'].includes(data.instrument)) return false;
-
-  // Check timeHorizon
-  if (!['INTRADAY', 'SWING', 'MULTI_DAY'].includes(data.timeHorizon)) return false;
-
-  // Check tickers
-  if (!Array.isArray(data.tickers)) return false;
-  if (data.tickers.length < 1 || data.tickers.length > 8) return false;
-
-  // Check ambiguity
-  if (typeof data.ambiguity !== 'number') return false;
-  if (data.ambiguity < 0 || data.ambiguity > 1) return false;
+/**
+ * Languages the narrative text (thesis, reasons, risks) can be written in,
+ * matching the UI languages
+ */
+export const SIGNAL_LOCALES = {
+  tr: "Turkish (tr-TR)",
+  en: "English (en-US)"
+};
 
-  // Check hedged
-  if (typeof data.hedged !== 'boolean') return false;
+// Narrative language before signals were locale-aware (trade-signal@v2)
+export const DEFAULT_SIGNAL_LOCALE = "tr";
 
-  // Check entry (optional structure validation)
-  if (data.entry && typeof data.entry === 'object') {
-    if (!['market', 'limit', 'wait'].includes(data.entry.type)) return false;
+/**
+ * Schema of the signal-narrative JSON: the explanatory fields of a signal
+ */
+export const SIGNAL_NARRATIVE_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    thesis: { type: 'string', required: true, nonEmpty: true },
+    invalidation: {
+      type: 'object',
+      required: true,
+      fields: {
+        reason: { type: 'string', default: '' }
+      }
+    },
+    targets: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: true,
+        fields: {
+          reason: { type: 'string', default: '' }
+        }
+      }
+    },
+    keyRisks: { type: 'array', required: true, default: [], items: { type: 'string', required: true } }
   }
+};
 
-  // Check keyRisks (allow empty in edge cases)
-  if (!Array.isArray(data.keyRisks)) return false;
-
-  return true;
+/**
+ * Resolve a requested locale to a supported one
+ * @param {string} [value] - e.g. "en", "EN", "en-US"
+ * @returns {string} Key of SIGNAL_LOCALES, DEFAULT_SIGNAL_LOCALE when unsupported
+ */
+export function resolveSignalLocale(value) {
+  const lang = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SIGNAL_LOCALES[lang] ? lang : DEFAULT_SIGNAL_LOCALE;
 }
 
 /**
- * Validates legacy format (for backward compatibility)
+ * Build versioned cache key of an event's signal entry
+ * Holds { eventId, theme, source, symbols, llmOutput, expiresAt }, written once per event
+ * @param {string} eventId
+ * @returns {string}
  */
-export function validateLegacyTradeSignal(data) {
-  if (typeof data !== 'object' || data === null) {
-    return false;
-  }
-
-  // Check action
-  if (!['long', 'short', 'avoid'].includes(data.action)) return false;
-
-  // Check targets
-  if (!Array.isArray(data.targets)) return false;
-  if (data.targets.length < 3 || data.targets.length > 8) return false;
-
-  // Check horizon
-  if (!['very_short', 'short', 'medium'].includes(data.horizon)) return false;
+export function buildSignalCacheKey(eventId) {
+  return `tradeSignal:v${CONFIDENCE_MODEL_VERSION}:${eventId}`;
+}
 
-  // Check confidence
-  if (typeof data.confidence !== 'number') return false;
-  if (data.confidence < 0 || data.confidence > 100) return false;
+/**
+ * Build versioned cache key of an event's signals
+ * Hash of signalId -> signal, so concurrent requests for other tickers or
+ * profiles add fields instead of overwriting each other
+ * @param {string} eventId
+ * @returns {string}
+ */
+export function buildSignalsCacheKey(eventId) {
+  return `${buildSignalCacheKey(eventId)}:signals`;
+}
 
-  // Check oneLiner
-  if (typeof data.oneLiner !== 'string') return false;
+/**
+ * Build versioned cache key of an event's challenger scorings
+ * Hash of production signalId -> shadow scoring
+ * @param {string} eventId
+ * @returns {string}
+ */
+export function buildShadowCacheKey(eventId) {
+  return `${buildSignalCacheKey(eventId)}:shadow`;
+}
 
-  // Check rationale
-  if (!Array.isArray(data.rationale)) return false;
-  if (data.rationale.length < 2 || data.rationale.length > 4) return false;
+/**
+ * Build versioned cache key for a translated narrative
+ * @param {string} eventId
+ * @param {string} locale - Key of SIGNAL_LOCALES
+ * @returns {string}
+ */
+export function buildNarrativeCacheKey(eventId, locale) {
+  return `tradeSignalNarrative:v${CONFIDENCE_MODEL_VERSION}:${locale}:${eventId}`;
+}
 
-  // Check keyRisks
-  if (!Array.isArray(data.keyRisks)) return false;
-  if (data.keyRisks.length < 2 || data.keyRisks.length > 4) return false;
+/**
+ * Every cache key holding an event's signals, e.g. to drop them when the event changes
+ * @param {string} eventId
+ * @returns {Array<string>}
+ */
+export function listSignalCacheKeys(eventId) {
+  return [
+    buildSignalCacheKey(eventId),
+    buildSignalsCacheKey(eventId),
+    buildShadowCacheKey(eventId),
+    ...Object.keys(SIGNAL_LOCALES).map(locale => buildNarrativeCacheKey(eventId, locale))
+  ];
+}
 
-  return true;
+/**
+ * Validates the new Phase 3.3 trade signal response from GPT
+ * @param {object} data - Parsed model response
+ * @returns {boolean}
+ */
+export function validateTradeSignal(data) {
+  return validateModelOutput(LLM_SIGNAL_SCHEMA, data).length === 0;
 }
 
 /**
  * Normalizes the new Phase 3.3 LLM response
- * Returns the raw LLM output in normalized form for confidence engine
+ * Returns the raw LLM output in normalized form for confidence engine.
+ * Tickers are resolved against the symbol master (see normalizeResponse in
+ * newsIntel.js); tickerCheck lists what was mapped or dropped.
  * @param {object} data - Raw signal data from GPT
  * @returns {object} - Normalized LLM output
  */
 export function normalizeLLMOutput(data) {
+  const { symbols, mapped, dropped } = resolveTickers(data.tickers);
+
   return {
     thesis: String(data.thesis || '').slice(0, 300),
     direction: data.direction || 'NONE',
@@ -261,54 +211,30 @@ export function normalizeLLMOutput(data) {
     })).slice(0, 2),
     ambiguity: Math.max(0, Math.min(1, Number(data.ambiguity) || 0.3)),
     hedged: Boolean(data.hedged),
-    tickers: (data.tickers || []).map(t => String(t).toUpperCase()).slice(0, 8),
-    keyRisks: (data.keyRisks || []).map(r => String(r).slice(0, 120)).slice(0, 4)
+    tickers: symbols.map(info => info.symbol).slice(0, 8),
+    keyRisks: (data.keyRisks || []).map(r => String(r).slice(0, 120)).slice(0, 4),
+    tickerCheck: { mapped, dropped }
   };
 }
 
 /**
- * Legacy normalizer for backward compatibility
- * @param {object} data - Raw signal data from GPT
- * @param {string} eventId - Event ID
- * @param {object|null} echoContext - Optional echo context for calibration
- */
-export function normalizeTradeSignal(data, eventId, echoContext = null) {
-  // Use calibrated confidence if echo context is available
-  const baseConfidence = Math.max(0, Math.min(100, Math.round(data.confidence)));
-  const finalConfidence = echoContext ? echoContext.calibratedConfidence : baseConfidence;
-
-  const result = {
-    eventId: eventId,
-    createdAt: new Date().toISOString(),
-    action: data.action,
-    targets: data.targets.map(t => String(t).toUpperCase()),
-    horizon: data.horizon,
-    confidence: finalConfidence,
-    oneLiner: String(data.oneLiner).slice(0, 150),
-    rationale: data.rationale.map(r => String(r).slice(0, 120)),
-    keyRisks: data.keyRisks.map(r => String(r).slice(0, 120))
-  };
-
-  // Add echo context if available
-  if (echoContext) {
-    result.echoContext = echoContext;
-  }
-
-  return result;
-}
-
-/**
- * Generates a trade signal for a major event using GPT-5.1
+ * Generates a trade signal for a major event using the configured LLM provider
  * Returns the raw LLM output for the confidence engine
  * @param {object} event - The major event object with headline, body, and analysis
- * @returns {Promise<object>} - The normalized LLM output
+ * @param {object} [options]
+ * @param {string} [options.endpoint] - Calling endpoint, for LLM usage accounting
+ * @param {string} [options.locale] - Narrative language (see SIGNAL_LOCALES)
+ * @returns {Promise<object>} - The normalized LLM output, with the promptVersion used,
+ *   its locale and the validation outcome (modelOutput). Throws an error with code
+ *   MODEL_OUTPUT_INVALID when the JSON stays invalid after one re-prompt
  */
-export async function generateLLMSignal(event) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not configured');
+export async function generateLLMSignal(event, { endpoint, locale } = {}) {
+  if (!isLLMConfigured()) {
+    throw new Error(LLM_NOT_CONFIGURED_MESSAGE);
   }
 
+  const signalLocale = resolveSignalLocale(locale);
+
   // Build context from the event
   const userContent = {
     event: {
@@ -331,149 +257,141 @@ export async function generateLLMSignal(event) {
       riskNotes: event.analysis?.riskNotes || []
     },
     instructions: "Generate a structured trade signal for this macro event. Be conservative. Return ONLY valid JSON.",
+    outputLanguage: SIGNAL_LOCALES[signalLocale],
     outputSchema: OUTPUT_SCHEMA
   };
 
-  // Initialize OpenAI client
-  const client = new OpenAI({ apiKey });
-
-  // Call GPT-5.1 with retry logic for JSON parsing
-  let parsedResponse = null;
-  let lastError = null;
-
-  for (let attempt = 0; attempt < 2; attempt++) {
-    try {
-      const completion = await client.chat.completions.create({
-        model: "gpt-5.1",
-        response_format: { type: "json_object" },
-        messages: [
-          { role: "system", content: TRADE_SIGNAL_SYSTEM_PROMPT },
-          { role: "user", content: JSON.stringify(userContent) }
-        ]
-      });
-
-      const responseContent = completion.choices?.[0]?.message?.content;
-
-      if (!responseContent) {
-        throw new Error('Empty response from model');
-      }
+  // Same event always gets the same prompt version
+  const prompt = selectPrompt("trade-signal", event.id || event.headline);
 
-      // Parse JSON response
-      parsedResponse = JSON.parse(responseContent);
-
-      // Validate response structure
-      if (!validateTradeSignal(parsedResponse)) {
-        throw new Error('Invalid trade signal structure');
-      }
-
-      break; // Success
-    } catch (err) {
-      lastError = err;
-      console.warn(`LLM signal attempt ${attempt + 1} failed:`, err.message);
-
-      if (attempt === 0) {
-        // Add fix instruction for retry
-        userContent.instructions = "CRITICAL: Return ONLY valid JSON with all required fields. Previous attempt failed. " + userContent.instructions;
-      }
-    }
-  }
-
-  if (!parsedResponse) {
-    throw lastError || new Error('Failed to generate LLM signal');
-  }
+  // Call the configured LLM provider; invalid output is repaired or re-prompted once
+  const { data, modelOutput } = await completeValidatedJSON({
+    messages: [
+      { role: "system", content: prompt.system },
+      { role: "user", content: JSON.stringify(userContent) }
+    ],
+    schema: LLM_SIGNAL_SCHEMA,
+    label: "trade signal",
+    endpoint
+  });
 
-  // Normalize and return
-  return normalizeLLMOutput(parsedResponse);
+  // Normalize and stamp the prompt version, locale and validation outcome
+  // (single-language prompts such as trade-signal@v2 ignore outputLanguage)
+  return { ...normalizeLLMOutput(data), promptVersion: prompt.id, locale: prompt.locale || signalLocale, modelOutput };
 }
 
 /**
- * Legacy: Generates a trade signal for a major event using GPT-5.1
- * @param {object} event - The major event object with headline, body, and analysis
- * @param {string} eventId - The event ID
- * @returns {Promise<object>} - The generated trade signal
+ * Translate the narrative of a generated signal into another locale, so every
+ * language sees the same signal
+ * @param {object} narrative - { thesis, invalidation: { reason }, targets: [{ reason }], keyRisks }
+ * @param {string} locale - Target language (see SIGNAL_LOCALES)
+ * @param {object} [options]
+ * @param {string} [options.endpoint] - Calling endpoint, for LLM usage accounting
+ * @returns {Promise<{ narrative: object, locale: string, promptVersion: string, modelOutput: object }>}
+ *   Throws an error with code MODEL_OUTPUT_INVALID when the JSON stays invalid
+ *   after one re-prompt
  */
-export async function generateTradeSignal(event, eventId) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not configured');
+export async function translateSignalNarrative(narrative, locale, { endpoint } = {}) {
+  if (!isLLMConfigured()) {
+    throw new Error(LLM_NOT_CONFIGURED_MESSAGE);
   }
 
-  // Build context from the event
-  const userContent = {
-    event: {
-      headline: event.headline,
-      body: event.body || null,
-      publishedAt: event.publishedAt
-    },
-    analysis: {
-      summary: event.analysis?.summary,
-      importanceScore: event.analysis?.importanceScore,
-      importanceCategory: event.analysis?.importanceCategory,
-      impactHorizon: event.analysis?.impactHorizon,
-      sectors: event.analysis?.sectors?.map(s => ({
-        name: s.name,
-        direction: s.direction,
-        rationale: s.rationale,
-        exampleTickers: s.exampleTickers,
-        confidence: s.confidence
-      })) || [],
-      riskNotes: event.analysis?.riskNotes || []
-    },
-    instructions: "Generate a trade signal for this macro event. Be conservative and specific.",
-    outputSchema: OUTPUT_SCHEMA
+  const signalLocale = resolveSignalLocale(locale);
+  const source = {
+    thesis: narrative.thesis,
+    invalidation: { reason: narrative.invalidation?.reason || '' },
+    targets: (narrative.targets || []).map(t => ({ reason: t?.reason || '' })),
+    keyRisks: narrative.keyRisks || []
   };
 
-  // Initialize OpenAI client
-  const client = new OpenAI({ apiKey });
+  const prompt = selectPrompt("signal-narrative", source.thesis);
 
-  // Call GPT-5.1
-  const completion = await client.chat.completions.create({
-    model: "gpt-5.1",
-    response_format: { type: "json_object" },
+  const { data, modelOutput } = await completeValidatedJSON({
     messages: [
-      { role: "system", content: TRADE_SIGNAL_SYSTEM_PROMPT_LEGACY },
-      { role: "user", content: JSON.stringify(userContent) }
-    ]
+      { role: "system", content: prompt.system },
+      { role: "user", content: JSON.stringify({ outputLanguage: SIGNAL_LOCALES[signalLocale], narrative: source }) }
+    ],
+    schema: SIGNAL_NARRATIVE_SCHEMA,
+    label: "signal narrative",
+    endpoint
   });
 
-  // Extract response content
-  const responseContent = completion.choices?.[0]?.message?.content;
+  // Same lengths and caps as normalizeLLMOutput; missing entries keep the source text
+  const translated = {
+    thesis: String(data.thesis).slice(0, 300),
+    invalidation: { reason: String(data.invalidation?.reason || '').slice(0, 150) },
+    targets: source.targets.map((t, i) => ({ reason: String(data.targets?.[i]?.reason || t.reason).slice(0, 100) })),
+    keyRisks: source.keyRisks.map((r, i) => String(data.keyRisks?.[i] || r).slice(0, 120))
+  };
+
+  return { narrative: translated, locale: signalLocale, promptVersion: prompt.id, modelOutput };
+}
 
-  if (!responseContent) {
-    throw new Error('Empty response from model');
+/**
+ * Direction the event analysis gives the sector a ticker is listed under
+ * @param {object} event - The major event object
+ * @param {string} symbol - Ticker symbol
+ * @returns {"bullish" | "bearish" | null}
+ */
+function getTickerSectorDirection(event, symbol) {
+  for (const sector of event?.analysis?.sectors || []) {
+    const tickers = (sector.exampleTickers || []).map(t => String(t).toUpperCase());
+    const direction = sector.direction?.toLowerCase();
+    if (tickers.includes(symbol) && (direction === 'bullish' || direction === 'bearish')) {
+      return direction;
+    }
   }
+  return null;
+}
 
-  // Parse JSON response
-  let parsedResponse;
-  try {
-    parsedResponse = JSON.parse(responseContent);
-  } catch (jsonError) {
-    console.error('Failed to parse trade signal JSON response:', jsonError);
-    console.error('Raw content:', responseContent);
-    throw new Error('Failed to parse model response');
+/**
+ * Adapt the event-level LLM output to one ticker, for per-ticker signals.
+ * The model's price levels and narrative refer to its first ticker, which
+ * keeps them as-is. Any other ticker takes its direction from its sector in
+ * the event analysis (the model's direction when the sector is neutral or
+ * unlisted), enters at market (a limit entry becomes a wait for a pullback)
+ * and gets invalidation and target levels from its own price and ATR: 1x ATR
+ * against, 2x/4x ATR with.
+ *
+ * The level reasons describe the first ticker's levels, so other tickers drop
+ * them. They keep the thesis and key risks only while they trade the same
+ * direction; a ticker whose sector flips the direction gets no narrative.
+ * `narrativeSource` records which case applies: "model", "event" or "none".
+ * @param {object} llmOutput - Normalized LLM output (see normalizeLLMOutput)
+ * @param {object} event - The major event object
+ * @param {string} symbol - Ticker symbol
+ * @param {object|null} marketStats - The ticker's { currentPrice, atr } or null
+ * @returns {object} - LLM output for the confidence engine, with symbol set
+ */
+export function buildTickerLLMOutput(llmOutput, event, symbol, marketStats) {
+  if (symbol === llmOutput.tickers[0]) {
+    return { ...llmOutput, symbol, narrativeSource: 'model' };
   }
 
-  // Validate response structure
-  if (!validateLegacyTradeSignal(parsedResponse)) {
-    console.error('Invalid trade signal structure from model');
-    console.error('Parsed response:', JSON.stringify(parsedResponse, null, 2));
-    throw new Error('Invalid trade signal structure from model');
+  const sectorDirection = getTickerSectorDirection(event, symbol);
+  let direction = llmOutput.direction;
+  if (direction !== 'NONE' && sectorDirection) {
+    direction = sectorDirection === 'bullish' ? 'LONG' : 'SHORT';
   }
 
-  // Build echo context if applicable (based on event tickers matching canonical pairs)
-  const baseConfidence = Math.max(0, Math.min(100, Math.round(parsedResponse.confidence)));
-  let echoContext = null;
+  const price = marketStats?.currentPrice;
+  const atr = marketStats?.atr;
+  const side = direction === 'SHORT' ? -1 : 1;
+  const levelAt = atrMultiple => (price && atr && direction !== 'NONE')
+    ? Math.round((price + side * atr * atrMultiple) * 100) / 100
+    : 0;
 
-  try {
-    echoContext = buildEchoContext(event, baseConfidence);
-    if (echoContext) {
-      console.log(`Echo context built for pair: ${echoContext.pairId}, alignment: ${echoContext.alignment}, calibrated confidence: ${echoContext.calibratedConfidence}`);
-    }
-  } catch (err) {
-    console.warn('Failed to build echo context:', err.message);
-    // Continue without echo context
-  }
+  const sameDirection = direction === llmOutput.direction;
 
-  // Normalize and return response with optional echo context
-  return normalizeTradeSignal(parsedResponse, eventId, echoContext);
+  return {
+    ...llmOutput,
+    symbol,
+    direction,
+    thesis: sameDirection ? llmOutput.thesis : '',
+    keyRisks: sameDirection ? llmOutput.keyRisks : [],
+    narrativeSource: sameDirection ? 'event' : 'none',
+    entry: { type: llmOutput.entry.type === 'market' ? 'market' : 'wait', level: 0 },
+    invalidation: { level: levelAt(-1), reason: '' },
+    targets: llmOutput.targets.map((target, i) => ({ level: levelAt(2 * (i + 1)), reason: '' }))
+  };
 }
@@ -0,0 +1,118 @@
+import { isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
+import {
+  getDailyLLMUsage,
+  getMonthlyLLMUsage,
+  getRecentLLMCalls,
+  getLLMBudgetStatus
+} from "../_lib/llmUsage.js";
+
+/**
+ * Admin endpoint: GET /api/admin/llm-spend
+ *
+ * Returns LLM token usage and estimated spend across all endpoints.
+ *
+ * Query params:
+ * - admin=1: Required
+ * - secret: Must match NEWS_WATCHDOG_CRON_SECRET
+ * - days: Daily history to include (1-31, default 7)
+ * - limit: Recent calls to return (default 50, max 500)
+ *
+ * Returns:
+ * - today / month: { calls, promptTokens, completionTokens, costUsd, byEndpoint, byModel }
+ * - budget: { exceeded, reason, daily: { budgetUsd, spentUsd }, monthly: { budgetUsd, spentUsd } }
+ * - days: [{ date, calls, promptTokens, completionTokens, costUsd }], newest first
+ * - recentCalls: [{ ts, endpoint, provider, model, promptTokens, completionTokens, costUsd, priced, promptHash }]
+ */
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 31;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Get date N days before today in YYYY-MM-DD format (UTC)
+ * @param {number} daysBack
+ * @returns {string}
+ */
+function getDateMinusDays(daysBack) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - daysBack);
+  return d.toISOString().split('T')[0];
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  // Check admin flag
+  if (req.query.admin !== '1') {
+    return res.status(403).json({ ok: false, error: 'Admin access required' });
+  }
+
+  // Check secret
+  const cronSecret = process.env.NEWS_WATCHDOG_CRON_SECRET;
+  if (cronSecret && req.query.secret !== cronSecret) {
+    return res.status(401).json({ ok: false, error: 'Invalid secret' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({
+      ok: false,
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
+    });
+  }
+
+  try {
+    const days = Math.min(Math.max(1, parseInt(req.query.days) || DEFAULT_DAYS), MAX_DAYS);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT), MAX_LIMIT);
+
+    const dates = Array.from({ length: days }, (_, i) => getDateMinusDays(i));
+    const [dailyUsage, month, budget, recentCalls] = await Promise.all([
+      Promise.all(dates.map(date => getDailyLLMUsage(date))),
+      getMonthlyLLMUsage(),
+      getLLMBudgetStatus(),
+      getRecentLLMCalls(limit)
+    ]);
+    const today = dailyUsage[0];
+
+    return res.status(200).json({
+      ok: true,
+      today,
+      month,
+      budget: {
+        ...budget,
+        daily: { ...budget.daily, spentUsd: today.costUsd },
+        monthly: { ...budget.monthly, spentUsd: month.costUsd }
+      },
+      days: dates.map((date, i) => ({
+        date,
+        calls: dailyUsage[i].calls,
+        promptTokens: dailyUsage[i].promptTokens,
+        completionTokens: dailyUsage[i].completionTokens,
+        costUsd: dailyUsage[i].costUsd
+      })),
+      recentCalls
+    });
+
+  } catch (error) {
+    console.error('Admin llm-spend error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch LLM spend',
+      message: error.message
+    });
+  }
+}
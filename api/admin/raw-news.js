@@ -1,4 +1,4 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
 
 /**
  * Admin endpoint: GET /api/admin/raw-news
@@ -14,6 +14,7 @@ import { kv } from "@vercel/kv";
  * - ts, ok
  * - primary: { provider, status, fetchedCount }
  * - fallback: { provider, used, status, fetchedCount }
+ * - providers: [{ provider, priority, configured, used, status, fetchedCount, addedCount, healthy, error }]
  * - keptCount, droppedCount
  * - items: [{ headline, source, url, timestamp, provider, macroMatch, tier }]
  * - health: { ts, level, provider, status, message, error } (if any recent health issues)
@@ -49,11 +50,11 @@ export default async function handler(req, res) {
     return res.status(401).json({ ok: false, error: 'Invalid secret' });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
       ok: false,
-      error: 'Vercel KV is not configured'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
@@ -0,0 +1,96 @@
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
+import { runCalibration, DEFAULT_CALIBRATION_DAYS } from "./_lib/calibration.js";
+
+/**
+ * Calibration Cron Endpoint
+ *
+ * Refits the mapping from the confidence `overall` score to the observed
+ * probability of a positive signed return (see api/_lib/calibration.js),
+ * per confidence model version and profile, from the outcomes stored by the
+ * outcome cron. Called by Vercel cron daily, after the outcome cron.
+ *
+ * GET /api/calibration-cron?date=YYYY-MM-DD&days=90
+ * - date: optional, last signal date to read, defaults to yesterday UTC
+ * - days: optional, days of signals to read (1-90, default 90)
+ *
+ * Returns:
+ * { ok: true, date, days, fits: [{ modelVersion, profile, samples: { 1, 3, 5 }, calibrated: { 1, 3, 5 } }] }
+ */
+
+/**
+ * Get yesterday's date in YYYY-MM-DD format (UTC)
+ * @returns {string}
+ */
+function getYesterdayUTC() {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Validate date string format
+ * @param {string} dateStr
+ * @returns {boolean}
+ */
+function isValidDateStr(dateStr) {
+  if (!dateStr) return false;
+  const regex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!regex.test(dateStr)) return false;
+  const d = new Date(dateStr);
+  return !isNaN(d.getTime());
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({ ok: false, error: STORAGE_NOT_CONFIGURED_MESSAGE });
+  }
+
+  // Parse parameters
+  const dateStr = req.query?.date || getYesterdayUTC();
+  if (!isValidDateStr(dateStr)) {
+    return res.status(400).json({ ok: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+
+  let days = parseInt(req.query?.days || String(DEFAULT_CALIBRATION_DAYS), 10);
+  if (isNaN(days) || days < 1) days = 1;
+  if (days > DEFAULT_CALIBRATION_DAYS) days = DEFAULT_CALIBRATION_DAYS;
+
+  console.log(`Calibration cron starting: date=${dateStr}, days=${days}`);
+
+  try {
+    const fits = await runCalibration({ kv, endDate: dateStr, days });
+
+    const summary = fits.map(fit => ({
+      modelVersion: fit.modelVersion,
+      profile: fit.profile,
+      samples: Object.fromEntries(Object.entries(fit.horizons).map(([h, horizon]) => [h, horizon.samples])),
+      calibrated: Object.fromEntries(Object.entries(fit.horizons).map(([h, horizon]) => [h, horizon.mapping !== null]))
+    }));
+
+    console.log(`Calibration cron completed: ${fits.length} fit(s)`);
+
+    return res.status(200).json({ ok: true, date: dateStr, days, fits: summary });
+
+  } catch (error) {
+    console.error('Calibration cron error:', error);
+    return res.status(500).json({
+      ok: false,
+      date: dateStr,
+      error: error.message
+    });
+  }
+}
@@ -1,4 +1,5 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
+import { clearMajorEvents } from "./_lib/majorEventStore.js";
 
 /**
  * Debug Reset Endpoint for News Watchdog
@@ -11,7 +12,6 @@ import { kv } from "@vercel/kv";
  * This is a DEBUG-ONLY endpoint for testing the pipeline end-to-end.
  */
 
-const MAJOR_EVENTS_KEY = "major_events";
 const PROCESSED_URLS_KEY = "news:processedUrls";
 
 export default async function handler(req, res) {
@@ -42,24 +42,20 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
-      error: 'Vercel KV is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN environment variables.'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
   try {
     const resetActions = [];
 
-    // 1. Get current state before reset for visibility
-    const currentEvents = await kv.get(MAJOR_EVENTS_KEY);
-    const eventCountBefore = Array.isArray(currentEvents) ? currentEvents.length : 0;
-
-    // 2. Reset major events list
-    await kv.del(MAJOR_EVENTS_KEY);
+    // 1-2. Reset stored major events (records, index and legacy array)
+    const eventCountBefore = await clearMajorEvents();
     resetActions.push({
-      key: MAJOR_EVENTS_KEY,
+      key: 'major events',
       action: 'deleted',
       previousCount: eventCountBefore
     });
@@ -1,5 +1,9 @@
-import { kv } from "@vercel/kv";
 import { analyzeNews } from "./_lib/newsIntel.js";
+import { LLM_BUDGET_EXCEEDED } from "./_lib/llmUsage.js";
+import { createStoryFields } from "./_lib/storyTimeline.js";
+import { saveMajorEvent } from "./_lib/majorEventStore.js";
+import { isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./_lib/llmProviders.js";
 
 /**
  * Major Events Inject API - Inject test events for development/testing
@@ -13,15 +17,12 @@ import { analyzeNews } from "./_lib/newsIntel.js";
  * - Compares against process.env.NEWS_WATCHDOG_CRON_SECRET
  *
  * Environment Variables Required:
- * - OPENAI_API_KEY: For GPT analysis
+ * - OPENAI_API_KEY: For GPT analysis (or another LLM_PROVIDER, see _lib/llmProviders.js)
  * - KV_REST_API_URL: Vercel KV connection
  * - KV_REST_API_TOKEN: Vercel KV auth token
  * - NEWS_WATCHDOG_CRON_SECRET: Secret for authenticating inject requests
  */
 
-const MAJOR_EVENTS_KEY = "major_events";
-const MAX_STORED_EVENTS = 50;
-
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -51,14 +52,14 @@ export default async function handler(req, res) {
   }
 
   // Check for required environment variables
-  if (!process.env.OPENAI_API_KEY) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY is not configured' });
+  if (!isLLMConfigured()) {
+    return res.status(500).json({ error: LLM_NOT_CONFIGURED_MESSAGE });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
-      error: 'Vercel KV is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN environment variables.'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
@@ -79,7 +80,7 @@ export default async function handler(req, res) {
     }
 
     // Analyze with GPT (same logic as news-intel and news-watchdog)
-    const analysis = await analyzeNews(headline, bodyText);
+    const analysis = await analyzeNews(headline, bodyText, { endpoint: "major-events-inject" });
 
     // Create the event object matching the major events feed structure
     const timestamp = Date.now();
@@ -93,27 +94,21 @@ export default async function handler(req, res) {
       publishedAt: new Date().toISOString(),
       prefilterScore: 100,
       analysis: analysis,
-      storedAt: new Date().toISOString()
+      storedAt: new Date().toISOString(),
+      ...createStoryFields({ headline, source: "manual", url: null, publishedAt: new Date().toISOString() }, analysis)
     };
 
-    // Store in KV using the same pattern as news-watchdog
-    let events = await kv.get(MAJOR_EVENTS_KEY) || [];
-
-    // Add new event at the beginning (LPUSH equivalent)
-    events.unshift(event);
-
-    // Trim to max size (LTRIM equivalent)
-    if (events.length > MAX_STORED_EVENTS) {
-      events = events.slice(0, MAX_STORED_EVENTS);
+    if (!await saveMajorEvent(event)) {
+      return res.status(500).json({ error: 'Failed to store test event' });
     }
 
-    // Store back
-    await kv.set(MAJOR_EVENTS_KEY, events);
-
     return res.status(200).json({ success: true });
 
   } catch (error) {
     console.error('Major events inject error:', error);
+    if (error.code === LLM_BUDGET_EXCEEDED) {
+      return res.status(429).json({ error: error.message });
+    }
     return res.status(500).json({
       error: 'Failed to inject test event',
       message: error.message
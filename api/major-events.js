@@ -1,5 +1,10 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
 import { analyzeNews } from "./_lib/newsIntel.js";
+import { LLM_BUDGET_EXCEEDED } from "./_lib/llmUsage.js";
+import { fetchNewsFromProviders } from "./_lib/newsProviders.js";
+import { clusterNewsItems } from "./_lib/newsClustering.js";
+import { findStoryMatch, attachFollowUp, createStoryFields, getEventTimeline } from "./_lib/storyTimeline.js";
+import { saveMajorEvent, listMajorEvents, decodeCursor } from "./_lib/majorEventStore.js";
 
 /**
  * Major Events API - Retrieve stored major market events
@@ -10,73 +15,36 @@ import { analyzeNews } from "./_lib/newsIntel.js";
  * - limit (optional): Number of events to return (default: 20, max: 100)
  * - category (optional): Filter by importanceCategory (macro_shock, sector_shock, noise)
  * - minScore (optional): Minimum importance score (0-100)
- * - force (optional): If "1", bypass cache and fetch fresh news from Finnhub
+ * - force (optional): If "1", bypass cache and fetch fresh news from the news providers
+ * - cursor (optional): `nextCursor` from the previous page; null nextCursor means no more events
+ *
+ * GET /api/major-events/:id returns a single event, /api/major-events/:id/timeline its story history.
  *
  * Environment Variables Required:
  * - KV_REST_API_URL: Vercel KV connection
  * - KV_REST_API_TOKEN: Vercel KV auth token
  */
 
-const MAJOR_EVENTS_KEY = "major_events";
 const DEFAULT_LIMIT = 20;
 const MAX_LIMIT = 100;
-const MAX_STORED_EVENTS = 100;
 const IMPORTANCE_THRESHOLD = 50;
 const PROCESSED_URLS_KEY = "news:processedUrls";
 const LAST_MIN_ID_KEY = "news:lastMinId";
 
 /**
- * Fetches latest news headlines from Finnhub general news
+ * Fetches latest news headlines from the configured news providers
  */
 async function fetchLatestNews() {
-  const finnhubApiKey = process.env.FINNHUB_API_KEY;
-  if (!finnhubApiKey) return [];
-
-  try {
-    const response = await fetch(
-      `https://finnhub.io/api/v1/news?category=general&token=${finnhubApiKey}`
-    );
-    if (!response.ok) return [];
-
-    const data = await response.json();
-    return (data || []).map(item => ({
-      id: item.id,
-      headline: item.headline,
-      body: item.summary || null,
-      source: item.source || 'Unknown',
-      url: item.url,
-      publishedAt: item.datetime ? new Date(item.datetime * 1000).toISOString() : new Date().toISOString()
-    }));
-  } catch (error) {
-    console.error('Failed to fetch from Finnhub:', error);
-    return [];
-  }
-}
-
-/**
- * Stores a major event in Vercel KV
- */
-async function storeMajorEvent(event) {
-  try {
-    let events = await kv.get(MAJOR_EVENTS_KEY) || [];
-    events.unshift({ ...event, storedAt: new Date().toISOString() });
-    if (events.length > MAX_STORED_EVENTS) {
-      events = events.slice(0, MAX_STORED_EVENTS);
-    }
-    await kv.set(MAJOR_EVENTS_KEY, events);
-    return true;
-  } catch (error) {
-    console.error('Failed to store major event:', error);
-    return false;
-  }
+  const { items } = await fetchNewsFromProviders();
+  return items;
 }
 
 /**
- * Force refresh: fetch new news from Finnhub and process any new items
+ * Force refresh: fetch new news from the providers and process any new items
  */
 async function forceRefreshNews() {
   const newsItems = await fetchLatestNews();
-  if (newsItems.length === 0) return { processed: 0, newEvents: 0 };
+  if (newsItems.length === 0) return { processed: 0, newEvents: 0, followUps: 0 };
 
   // Get processed URLs and lastMinId for deduplication
   const processedUrls = new Set(await kv.get(PROCESSED_URLS_KEY) || []);
@@ -85,30 +53,45 @@ async function forceRefreshNews() {
   // Filter to only new items
   const newItems = newsItems.filter(item => {
     if (processedUrls.has(item.url)) return false;
-    if (item.id && item.id <= lastMinId) return false;
+    if (typeof item.id === 'number' && item.id <= lastMinId) return false;
     return true;
   });
 
-  if (newItems.length === 0) return { processed: 0, newEvents: 0 };
+  if (newItems.length === 0) return { processed: 0, newEvents: 0, followUps: 0 };
+
+  // One representative per near-duplicate cluster
+  const representatives = clusterNewsItems(newItems).map(cluster => ({
+    ...cluster.representative,
+    clusterId: cluster.clusterId,
+    independentUpdatesCount: cluster.size,
+    clusterSources: cluster.sources,
+    memberUrls: cluster.members.map(member => member.url).filter(Boolean)
+  }));
 
   let processed = 0;
   let newEvents = 0;
+  let followUps = 0;
 
   // Process up to 5 items to avoid timeout
-  for (const item of newItems.slice(0, 5)) {
+  for (const item of representatives.slice(0, 5)) {
     try {
       processed++;
-      const analysis = await analyzeNews(item.headline, item.body);
+      const analysis = await analyzeNews(item.headline, item.body, { endpoint: "major-events" });
 
-      // Mark URL as processed
+      // Mark the whole cluster's URLs as processed
       let urls = await kv.get(PROCESSED_URLS_KEY) || [];
-      if (!urls.includes(item.url)) {
-        urls.unshift(item.url);
+      const unseenUrls = item.memberUrls.filter(url => !urls.includes(url));
+      if (unseenUrls.length > 0) {
+        urls.unshift(...unseenUrls);
         if (urls.length > 1000) urls = urls.slice(0, 1000);
         await kv.set(PROCESSED_URLS_KEY, urls);
       }
 
-      if (analysis.importanceScore >= IMPORTANCE_THRESHOLD) {
+      // Follow-ups extend an existing story's timeline
+      const storyMatch = await findStoryMatch({ ...item, analysis });
+      if (storyMatch && await attachFollowUp(storyMatch.event.id, item, analysis, storyMatch)) {
+        followUps++;
+      } else if (analysis.importanceScore >= IMPORTANCE_THRESHOLD) {
         const event = {
           id: `force-${Date.now()}-${processed}`,
           headline: item.headline,
@@ -116,26 +99,33 @@ async function forceRefreshNews() {
           source: item.source,
           url: item.url,
           publishedAt: item.publishedAt,
-          analysis
+          provider: item.provider,
+          clusterId: item.clusterId,
+          independentUpdatesCount: item.independentUpdatesCount,
+          clusterSources: item.clusterSources,
+          analysis,
+          ...createStoryFields(item, analysis)
         };
-        if (await storeMajorEvent(event)) {
+        if (await saveMajorEvent(event)) {
           newEvents++;
         }
       }
     } catch (error) {
       console.error('Error processing news item:', error);
+      // Leave the rest for the watchdog once the budget allows it
+      if (error.code === LLM_BUDGET_EXCEEDED) break;
     }
   }
 
   // Update lastMinId
   if (newItems.length > 0) {
-    const maxId = Math.max(...newItems.map(item => item.id || 0));
+    const maxId = Math.max(...newItems.map(item => (typeof item.id === 'number' ? item.id : 0)));
     if (maxId > lastMinId) {
       await kv.set(LAST_MIN_ID_KEY, maxId);
     }
   }
 
-  return { processed, newEvents };
+  return { processed, newEvents, followUps };
 }
 
 export default async function handler(req, res) {
@@ -154,10 +144,10 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
-      error: 'Vercel KV is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN environment variables.'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
@@ -170,6 +160,11 @@ export default async function handler(req, res) {
     const category = req.query.category;
     const minScore = parseInt(req.query.minScore) || 0;
     const forceRefresh = req.query.force === "1";
+    const cursor = req.query.cursor || null;
+
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
     // Validate category if provided
     const validCategories = ['macro_shock', 'sector_shock', 'noise'];
@@ -182,24 +177,13 @@ export default async function handler(req, res) {
     // If force=1, fetch fresh news from upstream before returning
     let refreshResult = null;
     if (forceRefresh) {
-      console.log('Force refresh requested - fetching fresh news from Finnhub');
+      console.log('Force refresh requested - fetching fresh news from providers');
       refreshResult = await forceRefreshNews();
-      console.log(`Force refresh complete: ${refreshResult.processed} processed, ${refreshResult.newEvents} new events`);
-    }
-
-    // Fetch events from KV
-    let events = await kv.get(MAJOR_EVENTS_KEY) || [];
-
-    // Apply filters
-    if (category) {
-      events = events.filter(e => e.analysis?.importanceCategory === category);
-    }
-    if (minScore > 0) {
-      events = events.filter(e => (e.analysis?.importanceScore || 0) >= minScore);
+      console.log(`Force refresh complete: ${refreshResult.processed} processed, ${refreshResult.newEvents} new events, ${refreshResult.followUps} follow-ups`);
     }
 
-    // Apply limit
-    events = events.slice(0, limit);
+    // Fetch one page of events from the store (newest update first)
+    const { events, nextCursor } = await listMajorEvents({ limit, cursor, category, minScore });
 
     // Generate server timestamp
     const generatedAt = new Date().toISOString();
@@ -207,6 +191,7 @@ export default async function handler(req, res) {
     return res.status(200).json({
       success: true,
       count: events.length,
+      nextCursor,
       events: events.map(event => ({
         id: event.id,
         headline: event.headline,
@@ -215,6 +200,11 @@ export default async function handler(req, res) {
         url: event.url,
         publishedAt: event.publishedAt,
         storedAt: event.storedAt,
+        independentUpdatesCount: event.independentUpdatesCount ?? 1,
+        updatedAt: event.updatedAt || event.storedAt,
+        latestHeadline: event.latestHeadline || event.headline,
+        initialImportanceScore: event.initialImportanceScore ?? event.analysis?.importanceScore,
+        timelineCount: getEventTimeline(event).length,
         analysis: {
           summary: event.analysis?.summary,
           importanceScore: event.analysis?.importanceScore,
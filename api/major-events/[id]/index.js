@@ -0,0 +1,68 @@
+import { getMajorEvent } from "../../_lib/majorEventStore.js";
+import { getArchivedEvent } from "../../_lib/eventArchive.js";
+import { isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../../_lib/storage.js";
+
+/**
+ * Major Event API - Retrieve a single stored major event
+ *
+ * GET /api/major-events/:id
+ *
+ * Returns the full stored record, including the analysis and story timeline.
+ * Events pruned from the live store are served from the archive
+ * (`archived: true`).
+ *
+ * Environment Variables Required:
+ * - KV_REST_API_URL: Vercel KV connection
+ * - KV_REST_API_TOKEN: Vercel KV auth token
+ */
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
+    });
+  }
+
+  const eventId = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+  if (!eventId) {
+    return res.status(400).json({ error: 'Event id is required' });
+  }
+
+  try {
+    const liveEvent = await getMajorEvent(eventId);
+    const event = liveEvent || await getArchivedEvent(eventId);
+
+    if (!event) {
+      return res.status(404).json({ error: `Event ${eventId} not found` });
+    }
+
+    return res.status(200).json({
+      success: true,
+      archived: !liveEvent,
+      event
+    });
+
+  } catch (error) {
+    console.error('Major event fetch error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch major event',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,83 @@
+import { getEventTimeline } from "../../_lib/storyTimeline.js";
+import { getMajorEvent } from "../../_lib/majorEventStore.js";
+import { getArchivedEvent } from "../../_lib/eventArchive.js";
+import { isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../../_lib/storage.js";
+
+/**
+ * Major Event Timeline API - History of an evolving story
+ *
+ * GET /api/major-events/:id/timeline
+ *
+ * Returns the follow-up articles attached to a stored major event, oldest
+ * first, with the importance score of each update and the story's current
+ * (re-scored) importance. Events stored before timelines existed return a
+ * single-entry timeline.
+ *
+ * Environment Variables Required:
+ * - KV_REST_API_URL: Vercel KV connection
+ * - KV_REST_API_TOKEN: Vercel KV auth token
+ */
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
+    });
+  }
+
+  const eventId = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+  if (!eventId) {
+    return res.status(400).json({ error: 'Event id is required' });
+  }
+
+  try {
+    const liveEvent = await getMajorEvent(eventId);
+    const event = liveEvent || await getArchivedEvent(eventId);
+
+    if (!event) {
+      return res.status(404).json({ error: `Event ${eventId} not found` });
+    }
+
+    const timeline = [...getEventTimeline(event)].sort(
+      (a, b) => new Date(a.publishedAt || a.addedAt || 0) - new Date(b.publishedAt || b.addedAt || 0)
+    );
+
+    return res.status(200).json({
+      success: true,
+      archived: !liveEvent,
+      eventId: event.id,
+      headline: event.headline,
+      latestHeadline: event.latestHeadline || event.headline,
+      importanceScore: event.analysis?.importanceScore ?? null,
+      initialImportanceScore: event.initialImportanceScore ?? event.analysis?.importanceScore ?? null,
+      independentUpdatesCount: event.independentUpdatesCount ?? 1,
+      storedAt: event.storedAt,
+      updatedAt: event.updatedAt || event.storedAt,
+      count: timeline.length,
+      timeline
+    });
+
+  } catch (error) {
+    console.error('Major event timeline fetch error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch event timeline',
+      message: error.message
+    });
+  }
+}
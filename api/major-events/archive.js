@@ -0,0 +1,127 @@
+import { searchArchive } from "../_lib/eventArchive.js";
+import { isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
+
+/**
+ * Major Events Archive API - Search every event ever stored
+ *
+ * GET /api/major-events/archive
+ *
+ * Query Parameters (all optional, combined with AND):
+ * - q: Free text; every word must appear in the headlines, body or summary
+ * - from / to: Inclusive date range (YYYY-MM-DD or ISO timestamp) on the event's publish time
+ * - category: importanceCategory (macro_shock, sector_shock, noise)
+ * - sector: Sector name as returned by the analysis (case-insensitive)
+ * - direction: Sector direction (bullish, bearish, neutral, unclear); with
+ *   `sector`, both must hold for the same sector
+ * - ticker: Example ticker named in the analysis
+ * - minScore: Minimum importance score (0-100)
+ * - signals: If "1", include the trade signals generated for each event
+ * - limit (default 20, max 100) / offset: Paging over the matched events
+ *
+ * Example: every tariff event in the last 6 months and what we signaled
+ *   /api/major-events/archive?q=tariff&from=2026-04-01&signals=1
+ *
+ * Response includes `total` matches and `facets` (counts per category,
+ * sector, direction and ticker across all matches).
+ *
+ * Environment Variables Required:
+ * - KV_REST_API_URL: Vercel KV connection
+ * - KV_REST_API_TOKEN: Vercel KV auth token
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const VALID_CATEGORIES = ['macro_shock', 'sector_shock', 'noise'];
+const VALID_DIRECTIONS = ['bullish', 'bearish', 'neutral', 'unclear'];
+
+/**
+ * Check that a date query param parses
+ * @param {string|undefined} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  return !value || Number.isFinite(new Date(value).getTime());
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
+    });
+  }
+
+  const { q, from, to, category, sector, direction, ticker } = req.query;
+
+  if (category && !VALID_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      error: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}`
+    });
+  }
+  if (direction && !VALID_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({
+      error: `Invalid direction. Must be one of: ${VALID_DIRECTIONS.join(', ')}`
+    });
+  }
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+
+  try {
+    const limit = Math.min(
+      Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT),
+      MAX_LIMIT
+    );
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const minScore = parseInt(req.query.minScore) || 0;
+
+    const result = await searchArchive({
+      q,
+      from,
+      to,
+      category,
+      sector,
+      direction,
+      ticker,
+      minScore,
+      limit,
+      offset,
+      includeSignals: req.query.signals === '1'
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: result.events.length,
+      total: result.total,
+      offset,
+      events: result.events,
+      facets: result.facets,
+      meta: {
+        generatedAt: new Date().toISOString(),
+        ...(result.truncated ? { truncated: true } : {})
+      }
+    });
+
+  } catch (error) {
+    console.error('Major events archive search error:', error);
+    return res.status(500).json({
+      error: 'Failed to search event archive',
+      message: error.message
+    });
+  }
+}
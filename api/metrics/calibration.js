@@ -0,0 +1,86 @@
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
+import { getCalibration, CALIBRATION_HORIZONS } from "../_lib/calibration.js";
+import { CONFIDENCE_MODEL_VERSION } from "../_lib/confidenceEngine.js";
+import { getConfidenceModel } from "../_lib/confidenceProfiles.js";
+
+/**
+ * Calibration Metrics Endpoint - Reliability Curve
+ *
+ * Shows how well the confidence `overall` score predicts outcomes, from the
+ * fit stored by the calibration cron.
+ *
+ * GET /api/metrics/calibration?profile=balanced&modelVersion=1&horizon=3
+ * - profile: optional, defaults to the model version's default profile
+ * - modelVersion: optional, defaults to the current CONFIDENCE_MODEL_VERSION
+ * - horizon: optional, "1", "3" or "5"; all horizons when omitted
+ *
+ * Returns per horizon:
+ * - samples, baseRate: signals with an outcome and their share of positive signed returns
+ * - reliability: [{ fromOverall, toOverall, n, hits, meanOverall, hitRate, avgSignedReturnPct, probability }]
+ * - mapping: isotonic [{ fromOverall, toOverall, n, probability }], null with too few samples
+ * - brierScore / brierBaseRate: in-sample Brier score of the mapping vs the base rate alone
+ */
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({ ok: false, error: STORAGE_NOT_CONFIGURED_MESSAGE });
+  }
+
+  // Parse parameters
+  const modelVersion = req.query?.modelVersion ? parseInt(req.query.modelVersion, 10) : CONFIDENCE_MODEL_VERSION;
+  const model = getConfidenceModel(modelVersion);
+  if (!model) {
+    return res.status(400).json({ ok: false, error: `Unknown confidence model version "${req.query.modelVersion}"` });
+  }
+
+  const profile = req.query?.profile || model.defaultProfile;
+  const horizon = req.query?.horizon;
+  if (horizon && !CALIBRATION_HORIZONS.includes(horizon)) {
+    return res.status(400).json({ ok: false, error: `horizon must be one of ${CALIBRATION_HORIZONS.join(', ')}` });
+  }
+
+  try {
+    const calibration = await getCalibration({ kv, modelVersion, profile });
+
+    if (!calibration) {
+      return res.status(200).json({
+        ok: true,
+        modelVersion,
+        profile,
+        calibration: null,
+        message: 'No calibration fitted yet (see /api/calibration-cron)'
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      modelVersion,
+      profile,
+      fittedAt: calibration.fittedAt,
+      window: calibration.window,
+      horizons: horizon ? { [horizon]: calibration.horizons[horizon] } : calibration.horizons
+    });
+
+  } catch (error) {
+    console.error('Calibration metrics error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch calibration',
+      message: error.message
+    });
+  }
+}
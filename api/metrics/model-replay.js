@@ -0,0 +1,125 @@
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
+import { runTelemetryReplay, MAX_REPLAY_CHANGES } from "../_lib/telemetryReplay.js";
+import { CONFIDENCE_MODEL_VERSION } from "../_lib/confidenceEngine.js";
+import { getConfidenceModel, listConfidenceProfiles } from "../_lib/confidenceProfiles.js";
+
+/**
+ * Confidence Model Replay Endpoint
+ *
+ * Rescores logged signals under a candidate confidence model version and
+ * profile (see api/_lib/telemetryReplay.js) and compares them with what was
+ * issued, joined with stored outcomes.
+ *
+ * GET /api/metrics/model-replay?modelVersion=2&profile=balanced&date=YYYY-MM-DD&days=7
+ * - modelVersion: optional, defaults to the current CONFIDENCE_MODEL_VERSION
+ * - profile: optional, defaults to the model version's default profile
+ * - issuedProfile: optional, replay signals issued under this profile (default: each version's default)
+ * - date: optional, last signal date, defaults to yesterday UTC
+ * - days: optional, days to replay (1-30, default 7)
+ * - limit: optional, changed signals to list (0-200, default 50)
+ *
+ * Returns:
+ * { ok, candidate, signals, partial, changed: { signal, grade, avoidCode, sizing },
+ *   issued, replayed, changes }
+ * issued/replayed hold signal and grade counts and, per 1D/3D/5D horizon,
+ * BUY/SELL trades with an outcome: count, hitRate, avgSignedReturnPct and
+ * sizedReturnPct (signed returns weighted by the suggested position size).
+ */
+
+const MAX_DAYS = 30;
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Get yesterday's date in YYYY-MM-DD format (UTC)
+ * @returns {string}
+ */
+function getYesterdayUTC() {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Validate date string format
+ * @param {string} dateStr
+ * @returns {boolean}
+ */
+function isValidDateStr(dateStr) {
+  if (!dateStr) return false;
+  const regex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!regex.test(dateStr)) return false;
+  const d = new Date(dateStr);
+  return !isNaN(d.getTime());
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({ ok: false, error: STORAGE_NOT_CONFIGURED_MESSAGE });
+  }
+
+  // Parse parameters
+  const modelVersion = req.query?.modelVersion ? parseInt(req.query.modelVersion, 10) : CONFIDENCE_MODEL_VERSION;
+  const model = getConfidenceModel(modelVersion);
+  if (!model) {
+    return res.status(400).json({ ok: false, error: `Unknown confidence model version "${req.query.modelVersion}"` });
+  }
+
+  const profileName = req.query?.profile || model.defaultProfile;
+  const profile = model.profiles[profileName];
+  if (!profile) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown confidence profile "${profileName}"`,
+      profiles: listConfidenceProfiles(modelVersion)
+    });
+  }
+
+  const endDate = req.query?.date || getYesterdayUTC();
+  if (!isValidDateStr(endDate)) {
+    return res.status(400).json({ ok: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+
+  let days = parseInt(req.query?.days || '7', 10);
+  if (isNaN(days) || days < 1) days = 1;
+  if (days > MAX_DAYS) days = MAX_DAYS;
+
+  let limit = parseInt(req.query?.limit || String(DEFAULT_LIMIT), 10);
+  if (isNaN(limit) || limit < 0) limit = 0;
+  if (limit > MAX_REPLAY_CHANGES) limit = MAX_REPLAY_CHANGES;
+
+  console.log(`Model replay: ${profile.name}@v${modelVersion}, endDate=${endDate}, days=${days}`);
+
+  try {
+    const replay = await runTelemetryReplay({
+      kv,
+      endDate,
+      days,
+      profile,
+      issuedProfile: req.query?.issuedProfile || undefined,
+      maxChanges: limit
+    });
+
+    return res.status(200).json({ ok: true, endDate, days, ...replay });
+
+  } catch (error) {
+    console.error('Model replay error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message
+    });
+  }
+}
@@ -1,5 +1,6 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "../_lib/storage.js";
 import { getSignalIdsForDate, readSignalTelemetry } from "../_lib/telemetry.js";
+import { getConfidenceModel } from "../_lib/confidenceProfiles.js";
 
 /**
  * Signal Summary Metrics Endpoint
@@ -10,10 +11,25 @@ import { getSignalIdsForDate, readSignalTelemetry } from "../_lib/telemetry.js";
  * - date: optional, defaults to yesterday UTC
  * - days: optional, number of days to aggregate (1-14, default 1)
  *
- * Returns aggregated metrics across the specified days.
+ * Returns aggregated metrics across the specified days, plus the same counts
+ * and 1D/3D/5D outcome stats split by signal prompt (`byPromptVersion`) and
+ * by the analysis prompt of the event (`byAnalysisPromptVersion`) to compare
+ * prompt versions in an A/B run, and by confidence profile
+ * (`byConfidenceProfile`, keyed "{profile}@v{modelVersion}"). Signals logged
+ * before prompt versioning or profiles are grouped as "unversioned".
+ *
+ * Signals scored by a shadow (challenger) confidence model are left out of
+ * all of the above. `shadowComparison`, keyed "{profile}@v{modelVersion}" of
+ * the challenger, pairs each shadow signal with the production signal for
+ * the same event and ticker (default profile) and shows both side by side:
+ * signal/grade counts, average overall and 1D/3D/5D outcomes of the trades
+ * each would have taken (BUY/SELL only), plus how many signals and grades
+ * differ.
  */
 
 const MAX_DAYS = 14;
+const OUTCOME_HORIZONS = ['1', '3', '5'];
+const UNVERSIONED = 'unversioned';
 
 /**
  * Get yesterday's date in YYYY-MM-DD format (UTC)
@@ -50,6 +66,116 @@ function isValidDateStr(dateStr) {
   return !isNaN(d.getTime());
 }
 
+/**
+ * Empty stats bucket for one prompt version
+ * @returns {object}
+ */
+function createVersionBucket() {
+  return {
+    signals: 0,
+    countBySignal: { BUY: 0, SELL: 0, WAIT: 0, AVOID: 0 },
+    countByGrade: { A: 0, B: 0, C: 0, D: 0 },
+    sumOverall: 0,
+    outcomes: Object.fromEntries(OUTCOME_HORIZONS.map(h => [h, { count: 0, hits: 0, sumSignedReturnPct: 0, stoppedOut: 0 }]))
+  };
+}
+
+/**
+ * Add one signal (and its outcome, if computed) to a version bucket
+ * @param {object} bucket
+ * @param {object} log - Telemetry log
+ * @param {object|null} outcome - Outcome record
+ * @param {object} [options] - { tradesOnly }: count outcomes of BUY/SELL signals only
+ */
+function addToVersionBucket(bucket, log, outcome, { tradesOnly = false } = {}) {
+  bucket.signals++;
+  if (bucket.countBySignal[log.signal] !== undefined) bucket.countBySignal[log.signal]++;
+  if (bucket.countByGrade[log.grade] !== undefined) bucket.countByGrade[log.grade]++;
+  bucket.sumOverall += log.overall || 0;
+
+  // Only directional signals have a meaningful signed return
+  if (!outcome?.ok || !log.direction || log.direction === 'NONE') return;
+  if (tradesOnly && log.signal !== 'BUY' && log.signal !== 'SELL') return;
+
+  for (const h of OUTCOME_HORIZONS) {
+    const signedReturnPct = outcome.signedReturnPct?.[h];
+    if (signedReturnPct === null || signedReturnPct === undefined) continue;
+
+    const stats = bucket.outcomes[h];
+    stats.count++;
+    stats.sumSignedReturnPct += signedReturnPct;
+    if (signedReturnPct > 0) stats.hits++;
+    if (outcome.stoppedOut?.[h]) stats.stoppedOut++;
+  }
+}
+
+/**
+ * Turn version buckets into the response shape
+ * @param {object} buckets - { [promptVersion]: bucket }
+ * @returns {object}
+ */
+function summarizeVersionBuckets(buckets) {
+  const round2 = value => Math.round(value * 100) / 100;
+
+  return Object.fromEntries(Object.entries(buckets).map(([version, bucket]) => [version, {
+    signals: bucket.signals,
+    countBySignal: bucket.countBySignal,
+    countByGrade: bucket.countByGrade,
+    avgOverall: bucket.signals > 0 ? Math.round((bucket.sumOverall / bucket.signals) * 10) / 10 : 0,
+    outcomes: Object.fromEntries(OUTCOME_HORIZONS.map(h => {
+      const stats = bucket.outcomes[h];
+      return [h, {
+        count: stats.count,
+        hitRate: stats.count > 0 ? round2(stats.hits / stats.count) : null,
+        avgSignedReturnPct: stats.count > 0 ? round2(stats.sumSignedReturnPct / stats.count) : null,
+        stoppedOutRate: stats.count > 0 ? round2(stats.stoppedOut / stats.count) : null
+      }];
+    }))
+  }]));
+}
+
+/**
+ * Pair shadow signals with production ones and summarize both sides
+ * @param {Map<string, object>} production - "{eventId}:{symbol}" -> { log, outcome }, default-profile production signals
+ * @param {Map<string, object>} shadow - "{eventId}:{symbol}" -> { log, outcome }, shadow signals
+ * @returns {object} - { ["{profile}@v{modelVersion}"]: { pairedSignals, changed, production, challenger } }
+ */
+function buildShadowComparison(production, shadow) {
+  const comparisons = {};
+
+  for (const [pairKey, challenger] of shadow) {
+    const issued = production.get(pairKey);
+    if (!issued) continue;
+
+    const key = `${challenger.log.confidenceProfile}@v${challenger.log.modelVersion}`;
+    if (!comparisons[key]) {
+      comparisons[key] = {
+        pairedSignals: 0,
+        changed: { signal: 0, grade: 0 },
+        production: createVersionBucket(),
+        challenger: createVersionBucket()
+      };
+    }
+
+    const comparison = comparisons[key];
+    comparison.pairedSignals++;
+    if (issued.log.signal !== challenger.log.signal) comparison.changed.signal++;
+    if (issued.log.grade !== challenger.log.grade) comparison.changed.grade++;
+    addToVersionBucket(comparison.production, issued.log, issued.outcome, { tradesOnly: true });
+    addToVersionBucket(comparison.challenger, challenger.log, challenger.outcome, { tradesOnly: true });
+  }
+
+  return Object.fromEntries(Object.entries(comparisons).map(([key, comparison]) => {
+    const summary = summarizeVersionBuckets({ production: comparison.production, challenger: comparison.challenger });
+    return [key, {
+      pairedSignals: comparison.pairedSignals,
+      changed: comparison.changed,
+      production: summary.production,
+      challenger: summary.challenger
+    }];
+  }));
+}
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -64,9 +190,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ ok: false, error: 'Method not allowed' });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
-    return res.status(500).json({ ok: false, error: 'KV not configured' });
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({ ok: false, error: STORAGE_NOT_CONFIGURED_MESSAGE });
   }
 
   // Parse parameters
@@ -126,11 +252,34 @@ export default async function handler(req, res) {
     let outcomeCount3d = 0;
     let outcomeCount5d = 0;
 
+    // Per prompt version breakdowns
+    const byPromptVersion = {};
+    const byAnalysisPromptVersion = {};
+    const byConfidenceProfile = {};
+
+    // Production (default profile) and shadow signals by "{eventId}:{symbol}"
+    const productionByPair = new Map();
+    const shadowByPair = new Map();
+    let shadowCount = 0;
+
     // Load telemetry for each signal
     for (const { signalId } of allSignalIds) {
       const log = await readSignalTelemetry({ kv, signalId });
 
       if (!log) continue;
+
+      if (log.shadow) {
+        let outcome = null;
+        try {
+          outcome = await kv.get(`outcome:v1:${signalId}`);
+        } catch {
+          // Ignore outcome load errors
+        }
+        shadowCount++;
+        shadowByPair.set(`${log.eventId}:${log.symbol}`, { log, outcome });
+        continue;
+      }
+
       loadedCount++;
 
       // Count by signal type
@@ -154,9 +303,10 @@ export default async function handler(req, res) {
       if (log.marketStatsUsed) marketStatsUsedCount++;
 
       // Try to load outcome for stoppedOut stats
+      let outcome = null;
       try {
         const outcomeKey = `outcome:v1:${signalId}`;
-        const outcome = await kv.get(outcomeKey);
+        outcome = await kv.get(outcomeKey);
 
         if (outcome && outcome.ok) {
           if (outcome.stoppedOut && outcome.stoppedOut['3'] !== undefined) {
@@ -171,6 +321,22 @@ export default async function handler(req, res) {
       } catch {
         // Ignore outcome load errors
       }
+
+      const promptVersion = log.promptVersion || UNVERSIONED;
+      const analysisPromptVersion = log.analysisPromptVersion || UNVERSIONED;
+      if (!byPromptVersion[promptVersion]) byPromptVersion[promptVersion] = createVersionBucket();
+      if (!byAnalysisPromptVersion[analysisPromptVersion]) byAnalysisPromptVersion[analysisPromptVersion] = createVersionBucket();
+      addToVersionBucket(byPromptVersion[promptVersion], log, outcome);
+      addToVersionBucket(byAnalysisPromptVersion[analysisPromptVersion], log, outcome);
+
+      const confidenceProfile = log.confidenceProfile ? `${log.confidenceProfile}@v${log.modelVersion}` : UNVERSIONED;
+      if (!byConfidenceProfile[confidenceProfile]) byConfidenceProfile[confidenceProfile] = createVersionBucket();
+      addToVersionBucket(byConfidenceProfile[confidenceProfile], log, outcome);
+
+      const defaultProfile = getConfidenceModel(log.modelVersion ?? 1)?.defaultProfile;
+      if (!log.confidenceProfile || log.confidenceProfile === defaultProfile) {
+        productionByPair.set(`${log.eventId}:${log.symbol}`, { log, outcome });
+      }
     }
 
     // Compute averages and ratios
@@ -195,7 +361,12 @@ export default async function handler(req, res) {
       avgOverall,
       avgLatencyMs,
       echoUsedRatio,
-      marketStatsUsedRatio
+      marketStatsUsedRatio,
+      byPromptVersion: summarizeVersionBuckets(byPromptVersion),
+      byAnalysisPromptVersion: summarizeVersionBuckets(byAnalysisPromptVersion),
+      byConfidenceProfile: summarizeVersionBuckets(byConfidenceProfile),
+      shadowLogs: shadowCount,
+      shadowComparison: buildShadowComparison(productionByPair, shadowByPair)
     };
 
     // Include outcome stats if available
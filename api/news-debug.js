@@ -1,4 +1,4 @@
-import { kv } from "@vercel/kv";
+import { kv } from "./_lib/storage.js";
 
 /**
  * GET /api/news-debug
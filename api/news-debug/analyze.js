@@ -6,6 +6,7 @@ import {
   computePrefilterScore,
   DECISION_TYPES,
 } from "../_lib/newsDebugLog.js";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "../_lib/llmProviders.js";
 
 /**
  * POST /api/news-debug/analyze
@@ -63,11 +64,11 @@ export default async function handler(req, res) {
     });
   }
 
-  // Check OpenAI API key
-  if (!process.env.OPENAI_API_KEY) {
+  // Check LLM provider configuration
+  if (!isLLMConfigured()) {
     return res.status(500).json({
       ok: false,
-      error: "OPENAI_API_KEY not configured",
+      error: LLM_NOT_CONFIGURED_MESSAGE,
     });
   }
 
@@ -99,7 +100,7 @@ export default async function handler(req, res) {
     let error = null;
 
     try {
-      analysis = await analyzeNews(trimmedHeadline, trimmedSummary);
+      analysis = await analyzeNews(trimmedHeadline, trimmedSummary, { endpoint: "news-debug/analyze" });
     } catch (err) {
       error = err.message;
     }
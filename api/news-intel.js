@@ -1,4 +1,6 @@
 import { analyzeNews } from "./_lib/newsIntel.js";
+import { LLM_BUDGET_EXCEEDED } from "./_lib/llmUsage.js";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./_lib/llmProviders.js";
 
 /**
  * News Intelligence API - Analyze news headlines for market impact
@@ -31,10 +33,10 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Check for API key
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY environment variable is not set');
-    return res.status(500).json({ error: 'OPENAI_API_KEY is not configured' });
+  // Check LLM provider configuration
+  if (!isLLMConfigured()) {
+    console.error(LLM_NOT_CONFIGURED_MESSAGE);
+    return res.status(500).json({ error: LLM_NOT_CONFIGURED_MESSAGE });
   }
 
   // Parse and validate request body
@@ -54,12 +56,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    const analysis = await analyzeNews(headline, body);
+    const analysis = await analyzeNews(headline, body, { endpoint: "news-intel" });
     return res.status(200).json(analysis);
 
   } catch (error) {
     console.error('Error calling OpenAI API:', error);
 
+    if (error.code === LLM_BUDGET_EXCEEDED) {
+      return res.status(429).json({ error: error.message });
+    }
+
     // Handle specific OpenAI errors
     if (error?.status === 401 || error.message?.includes('Invalid API key')) {
       return res.status(500).json({ error: 'Invalid OpenAI API key' });
@@ -1,14 +1,22 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
 import { analyzeNews } from "./_lib/newsIntel.js";
+import { MODEL_OUTPUT_INVALID, formatValidationErrors } from "./_lib/modelOutput.js";
+import { getLLMBudgetStatus, LLM_BUDGET_EXCEEDED } from "./_lib/llmUsage.js";
 import {
   logRawItem,
   logDecision,
   incrementMetric,
+  recordModelOutput,
   setMetric,
   hashHeadline,
   computePrefilterScore,
   DECISION_TYPES,
 } from "./_lib/newsDebugLog.js";
+import { canonicalizeUrl, fetchNewsFromProviders, getNewsProviders } from "./_lib/newsProviders.js";
+import { clusterNewsItems } from "./_lib/newsClustering.js";
+import { findStoryMatch, attachFollowUp, createStoryFields } from "./_lib/storyTimeline.js";
+import { saveMajorEvent } from "./_lib/majorEventStore.js";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./_lib/llmProviders.js";
 
 /**
  * News Watchdog - Cron endpoint for periodic news monitoring
@@ -20,25 +28,29 @@ import {
  *   - OR Header: x-cron-secret: YOUR_SECRET
  *
  * Environment Variables Required:
- * - OPENAI_API_KEY: For GPT analysis
+ * - OPENAI_API_KEY: For GPT analysis (or another LLM_PROVIDER, see _lib/llmProviders.js)
  * - KV_REST_API_URL: Vercel KV connection
  * - KV_REST_API_TOKEN: Vercel KV auth token
  * - NEWS_WATCHDOG_CRON_SECRET: (Optional) Secret for authenticating cron calls
  * - FINNHUB_API_KEY: (Required for news) Finnhub API key for fetching general news
  * - NEWSAPI_KEY: (Optional) NewsAPI.org fallback when Finnhub fails/low results
+ * - NEWS_FEED_USER_AGENT: (Optional) User-Agent for RSS/Atom feeds (Fed, SEC, ECB)
+ * - RSS_FIXTURE_DIR: (Optional) Read RSS providers from local XML fixtures instead
+ *
+ * News sources, their priority, health thresholds and fallback/merge strategy
+ * are configured in src/data/news-providers.json (see _lib/newsProviders.js).
  */
 
-const MAJOR_EVENTS_KEY = "major_events";
-const MAX_STORED_EVENTS = 100;
 const IMPORTANCE_THRESHOLD_HIGH = 50; // Normal threshold for events
 const IMPORTANCE_THRESHOLD_LOW = 30; // Lower threshold when provider supply is sparse
 const IMPORTANCE_THRESHOLD_MACRO = 20; // Even lower for Tier-0 macro matches
 const DAILY_GPT_CAP = 50; // Maximum GPT calls per day to control costs
 const PROCESSED_URLS_KEY = "news:processedUrls"; // Track processed article URLs
 const LAST_MIN_ID_KEY = "news:lastMinId"; // Track last minimum Finnhub news id processed
+const ANALYSIS_RETRIES_KEY = "news:analysisRetries"; // URL -> attempts for items whose analysis came back invalid
+const MAX_ANALYSIS_ATTEMPTS = 3; // Runs an item is analyzed before invalid model output marks it processed
 const PREFILTER_THRESHOLD = 10; // Minimum prefilter score to send to GPT (0 = send all)
 const MAX_RAW_LOG_PER_RUN = 200; // Cap raw items logged per run to avoid flooding
-const MIN_FETCH_FOR_HEALTHY = 10; // Below this, trigger fallback
 const LOOKBACK_HOURS = 2; // Filter news older than this
 const SNAPSHOT_KEY = "news:lastRawSnapshot"; // Last run snapshot for admin debug
 const HEALTH_KEY = "news:health:last"; // Health status for admin banner
@@ -84,28 +96,6 @@ function validateCronAuth(req) {
   };
 }
 
-/**
- * Canonical URL normalization: strip tracking params (utm_*, gclid, fbclid) for stable dedup
- * @param {string} url
- * @returns {string} - Normalized URL
- */
-function canonicalizeUrl(url) {
-  if (!url) return url;
-  try {
-    const parsed = new URL(url);
-    const paramsToRemove = [];
-    for (const key of parsed.searchParams.keys()) {
-      if (key.startsWith('utm_') || key === 'gclid' || key === 'fbclid' || key === 'ref' || key === 'source') {
-        paramsToRemove.push(key);
-      }
-    }
-    paramsToRemove.forEach(k => parsed.searchParams.delete(k));
-    return parsed.toString();
-  } catch {
-    return url; // Return as-is if invalid URL
-  }
-}
-
 /**
  * Check if headline/summary matches any Tier-0 macro keywords
  * @param {string} headline
@@ -126,53 +116,6 @@ function checkMacroMatch(headline, summary) {
   };
 }
 
-/**
- * Fetches news from NewsAPI.org (fallback provider)
- * @returns {Promise<{items: Array, status: number, error?: string}>}
- */
-async function fetchFromNewsAPI() {
-  const apiKey = process.env.NEWSAPI_KEY;
-  if (!apiKey) {
-    return { items: [], status: 0, error: 'NEWSAPI_KEY not configured' };
-  }
-
-  try {
-    const response = await fetch(
-      `https://newsapi.org/v2/top-headlines?category=general&language=en&pageSize=100`,
-      {
-        headers: { 'X-Api-Key': apiKey }
-      }
-    );
-
-    const status = response.status;
-    if (!response.ok) {
-      console.error('NewsAPI error:', status);
-      return { items: [], status, error: `NewsAPI returned ${status}` };
-    }
-
-    const data = await response.json();
-    if (data.status !== 'ok') {
-      return { items: [], status, error: data.message || 'NewsAPI error' };
-    }
-
-    // Normalize NewsAPI items to our format
-    const items = (data.articles || []).map((article, idx) => ({
-      id: `newsapi_${Date.now()}_${idx}`,
-      headline: article.title,
-      body: article.description || article.content || null,
-      source: article.source?.name || 'NewsAPI',
-      url: canonicalizeUrl(article.url),
-      publishedAt: article.publishedAt || new Date().toISOString(),
-      provider: 'newsapi'
-    }));
-
-    return { items, status };
-  } catch (error) {
-    console.error('Failed to fetch from NewsAPI:', error);
-    return { items: [], status: 0, error: error.message };
-  }
-}
-
 /**
  * Stores health status for admin banner
  * @param {'warn'|'error'} level
@@ -203,48 +146,6 @@ async function storeSnapshot(snapshot) {
   await kv.set(SNAPSHOT_KEY, snapshot, { ex: 86400 });
 }
 
-/**
- * Fetches latest news headlines from Finnhub general news
- * @returns {Promise<{items: Array, status: number, error?: string}>}
- */
-async function fetchFromFinnhub() {
-  const finnhubApiKey = process.env.FINNHUB_API_KEY;
-
-  if (!finnhubApiKey) {
-    return { items: [], status: 0, error: 'FINNHUB_API_KEY not configured' };
-  }
-
-  try {
-    const response = await fetch(
-      `https://finnhub.io/api/v1/news?category=general&token=${finnhubApiKey}`
-    );
-
-    const status = response.status;
-    if (!response.ok) {
-      console.error('Finnhub API error:', status);
-      return { items: [], status, error: `Finnhub returned ${status}` };
-    }
-
-    const data = await response.json();
-
-    // Finnhub returns array of news items with id, headline, summary, source, url, datetime
-    const items = (data || []).map(item => ({
-      id: item.id,
-      headline: item.headline,
-      body: item.summary || null,
-      source: item.source || 'Unknown',
-      url: canonicalizeUrl(item.url),
-      publishedAt: item.datetime ? new Date(item.datetime * 1000).toISOString() : new Date().toISOString(),
-      provider: 'finnhub'
-    }));
-
-    return { items, status };
-  } catch (error) {
-    console.error('Failed to fetch from Finnhub:', error);
-    return { items: [], status: 0, error: error.message };
-  }
-}
-
 /**
  * Gets today's date string in YYYY-MM-DD format
  */
@@ -262,13 +163,28 @@ async function getDailyGptCount() {
 }
 
 /**
- * Increments the daily GPT call count
+ * Reserves one GPT call against the daily cap (atomic INCR, so concurrent
+ * runs cannot both take the last slot)
+ * @returns {Promise<{ reserved: boolean, count: number }>} count is today's calls including this one
  */
-async function incrementDailyGptCount() {
+async function reserveDailyGptCall() {
   const key = `news:dailyCount:${getTodayDateString()}`;
-  const count = await kv.get(key) || 0;
-  await kv.set(key, count + 1, { ex: 86400 * 2 }); // Expire after 2 days
-  return count + 1;
+  const count = await kv.incr(key);
+  if (count === 1) {
+    await kv.expire(key, 86400 * 2); // Expire after 2 days
+  }
+  if (count > DAILY_GPT_CAP) {
+    await kv.decr(key);
+    return { reserved: false, count: count - 1 };
+  }
+  return { reserved: true, count };
+}
+
+/**
+ * Gives back a reserved GPT call that never reached the model
+ */
+async function releaseDailyGptCall() {
+  await kv.decr(`news:dailyCount:${getTodayDateString()}`);
 }
 
 /**
@@ -313,32 +229,29 @@ async function markUrlProcessed(url) {
 }
 
 /**
- * Stores a major event in Vercel KV
+ * Gets the analysis attempt counts of items waiting for a retry
+ * @returns {Promise<object>} URL -> attempts
  */
-async function storeMajorEvent(event) {
-  try {
-    // Get existing events
-    let events = await kv.get(MAJOR_EVENTS_KEY) || [];
-
-    // Add new event at the beginning
-    events.unshift({
-      ...event,
-      storedAt: new Date().toISOString()
-    });
-
-    // Trim to max size
-    if (events.length > MAX_STORED_EVENTS) {
-      events = events.slice(0, MAX_STORED_EVENTS);
-    }
-
-    // Store back
-    await kv.set(MAJOR_EVENTS_KEY, events);
+async function getAnalysisRetries() {
+  return (await kv.get(ANALYSIS_RETRIES_KEY)) || {};
+}
 
-    return true;
-  } catch (error) {
-    console.error('Failed to store major event:', error);
-    return false;
+/**
+ * Records or clears the analysis attempt count for a URL
+ * @param {string} url
+ * @param {number} attempts - 0 clears the entry
+ */
+async function setAnalysisRetry(url, attempts) {
+  if (!url) return;
+  const retries = await getAnalysisRetries();
+  if (attempts > 0) {
+    retries[url] = attempts;
+  } else if (url in retries) {
+    delete retries[url];
+  } else {
+    return;
   }
+  await kv.set(ANALYSIS_RETRIES_KEY, retries, { ex: 86400 }); // Items leave the lookback window long before this
 }
 
 export default async function handler(req, res) {
@@ -364,22 +277,26 @@ export default async function handler(req, res) {
   }
 
   // Check for required environment variables
-  if (!process.env.OPENAI_API_KEY) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY is not configured' });
+  if (!isLLMConfigured()) {
+    return res.status(500).json({ error: LLM_NOT_CONFIGURED_MESSAGE });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
-      error: 'Vercel KV is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN environment variables.'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
   try {
     // Gather diagnostic info
     const dailyCountBefore = await getDailyGptCount();
+    const budgetBefore = await getLLMBudgetStatus();
     const processedUrls = await getProcessedUrls();
     const lastMinId = await getLastMinId();
+    const analysisRetries = await getAnalysisRetries();
+    const newsProviders = getNewsProviders();
+    const [primaryProvider, ...fallbackProviders] = newsProviders;
     const finnhubConfigured = !!process.env.FINNHUB_API_KEY;
     const newsapiConfigured = !!process.env.NEWSAPI_KEY;
 
@@ -387,8 +304,15 @@ export default async function handler(req, res) {
     const snapshotData = {
       ts: new Date().toISOString(),
       ok: true,
-      primary: { provider: 'finnhub', status: 0, fetchedCount: 0, error: null },
-      fallback: { provider: 'newsapi', used: false, status: 0, fetchedCount: 0, error: null },
+      primary: { provider: primaryProvider?.name || 'none', status: 0, fetchedCount: 0, error: null },
+      fallback: {
+        provider: fallbackProviders.map(p => p.name).join('+') || 'none',
+        used: false,
+        status: 0,
+        fetchedCount: 0,
+        error: null
+      },
+      providers: [],
       keptCount: 0,
       droppedCount: 0,
       items: []
@@ -398,17 +322,19 @@ export default async function handler(req, res) {
     const diagnostics = {
       dailyCountBefore,
       dailyCap: DAILY_GPT_CAP,
+      llmBudget: budgetBefore,
       thresholdHigh: IMPORTANCE_THRESHOLD_HIGH,
       thresholdLow: IMPORTANCE_THRESHOLD_LOW,
       finnhubConfigured,
       newsapiConfigured,
+      providers: newsProviders.map(p => ({ name: p.name, priority: p.priority, configured: p.configured })),
       processedUrlsCount: processedUrls.size,
       lastMinId
     };
 
     let newsItems = [];
     let fallbackUsed = false;
-    let primaryFailed = false;
+    let providersHealthy = false;
 
     // Mark run start time for metrics
     await setMetric("lastRunAt", new Date().toISOString());
@@ -441,59 +367,52 @@ export default async function handler(req, res) {
         snapshotData.primary.fetchedCount = 1;
       }
     } else {
-      // GET request: Fetch news with fallback logic
-      const finnhubResult = await fetchFromFinnhub();
-      snapshotData.primary.status = finnhubResult.status;
-      snapshotData.primary.fetchedCount = finnhubResult.items.length;
-      snapshotData.primary.error = finnhubResult.error || null;
-
-      const finnhubOk = finnhubResult.status === 200 || (finnhubResult.items.length > 0);
-      const finnhubHealthy = finnhubResult.items.length >= MIN_FETCH_FOR_HEALTHY;
-
-      // Check if we need fallback: Finnhub failed OR returned too few items
-      if (!finnhubOk || !finnhubHealthy) {
-        primaryFailed = !finnhubOk;
-        console.log(`Finnhub ${primaryFailed ? 'failed' : 'returned low count'} (${finnhubResult.items.length} items), trying NewsAPI fallback`);
-
-        if (newsapiConfigured) {
-          const newsapiResult = await fetchFromNewsAPI();
-          snapshotData.fallback.used = true;
-          snapshotData.fallback.status = newsapiResult.status;
-          snapshotData.fallback.fetchedCount = newsapiResult.items.length;
-          snapshotData.fallback.error = newsapiResult.error || null;
-
-          if (newsapiResult.items.length > 0) {
-            // Merge both sources, NewsAPI supplements Finnhub
-            const existingUrls = new Set(finnhubResult.items.map(i => i.url));
-            const uniqueNewsApi = newsapiResult.items.filter(i => !existingUrls.has(i.url));
-            newsItems = [...finnhubResult.items, ...uniqueNewsApi];
-            fallbackUsed = true;
-            console.log(`NewsAPI added ${uniqueNewsApi.length} unique items`);
-          } else {
-            newsItems = finnhubResult.items;
-          }
+      // GET request: Fetch news from the provider registry (priority + fallback/merge per config)
+      const fetchResult = await fetchNewsFromProviders();
+      const [primaryResult, ...fallbackResults] = fetchResult.results;
+      const usedFallbacks = fallbackResults.filter(r => r.used);
+
+      newsItems = fetchResult.items;
+      fallbackUsed = fetchResult.fallbackUsed;
+      providersHealthy = fetchResult.healthy;
+      snapshotData.providers = fetchResult.results;
+
+      if (primaryResult) {
+        snapshotData.primary.status = primaryResult.status;
+        snapshotData.primary.fetchedCount = primaryResult.fetchedCount;
+        snapshotData.primary.error = primaryResult.error || null;
+      }
 
-          // Track health status
-          if (primaryFailed && newsapiResult.items.length === 0) {
-            // Both failed
-            await storeHealthStatus('error', 'finnhub+newsapi', finnhubResult.status,
-              'Both Finnhub and NewsAPI failed', finnhubResult.error || newsapiResult.error);
-            snapshotData.ok = false;
-          } else if (primaryFailed && newsapiResult.items.length > 0) {
-            // Primary failed but fallback worked
-            await storeHealthStatus('warn', 'finnhub', finnhubResult.status,
-              'Finnhub failed, using NewsAPI fallback', finnhubResult.error);
-          }
+      if (usedFallbacks.length > 0) {
+        snapshotData.fallback.provider = usedFallbacks.map(r => r.provider).join('+');
+        snapshotData.fallback.used = true;
+        snapshotData.fallback.status = usedFallbacks[0].status;
+        snapshotData.fallback.fetchedCount = usedFallbacks.reduce((sum, r) => sum + r.fetchedCount, 0);
+        snapshotData.fallback.error = usedFallbacks.find(r => r.error)?.error || null;
+        console.log(`Fallback providers added ${usedFallbacks.reduce((sum, r) => sum + r.addedCount, 0)} unique items`);
+      }
+
+      // Track health status
+      if (fetchResult.primaryFailed) {
+        const primaryName = primaryResult?.provider || 'primary';
+        const primaryError = primaryResult?.error || null;
+
+        if (newsItems.length === 0 && usedFallbacks.length > 0) {
+          // Every provider failed
+          const failedNames = [primaryName, ...usedFallbacks.map(r => r.provider)];
+          await storeHealthStatus('error', failedNames.join('+'), primaryResult?.status || 0,
+            `All news providers failed (${failedNames.join(', ')})`,
+            primaryError || usedFallbacks.find(r => r.error)?.error || null);
+          snapshotData.ok = false;
+        } else if (newsItems.length === 0) {
+          await storeHealthStatus('error', primaryName, primaryResult?.status || 0,
+            `${primaryName} failed and no fallback provider configured`, primaryError);
+          snapshotData.ok = false;
         } else {
-          newsItems = finnhubResult.items;
-          if (primaryFailed) {
-            await storeHealthStatus('error', 'finnhub', finnhubResult.status,
-              'Finnhub failed and NewsAPI not configured', finnhubResult.error);
-            snapshotData.ok = false;
-          }
+          // Primary failed but a fallback worked
+          await storeHealthStatus('warn', primaryName, primaryResult?.status || 0,
+            `${primaryName} failed, using ${usedFallbacks.map(r => r.provider).join('+')} fallback`, primaryError);
         }
-      } else {
-        newsItems = finnhubResult.items;
       }
     }
 
@@ -514,7 +433,7 @@ export default async function handler(req, res) {
     diagnostics.filteredByLookback = newsItems.length - recentItems.length;
 
     // Determine adaptive threshold based on fetch health
-    const useAdaptiveThreshold = fallbackUsed || newsItems.length < MIN_FETCH_FOR_HEALTHY;
+    const useAdaptiveThreshold = fallbackUsed || !providersHealthy;
     const activeThreshold = useAdaptiveThreshold ? IMPORTANCE_THRESHOLD_LOW : IMPORTANCE_THRESHOLD_HIGH;
     diagnostics.activeThreshold = activeThreshold;
     diagnostics.adaptiveTriggered = useAdaptiveThreshold;
@@ -564,8 +483,9 @@ export default async function handler(req, res) {
         continue;
       }
 
-      // Check if already processed by ID (only for numeric Finnhub IDs)
-      if (typeof item.id === 'number' && item.id <= lastMinId) {
+      // Check if already processed by ID (only for numeric Finnhub IDs);
+      // items waiting for an analysis retry are let through
+      if (typeof item.id === 'number' && item.id <= lastMinId && !analysisRetries[item.url]) {
         snapshotData.droppedCount++;
         await logDecision({
           provider: item.provider || 'unknown',
@@ -600,6 +520,48 @@ export default async function handler(req, res) {
     diagnostics.newItemsCount = newItems.length;
     diagnostics.skippedDuplicates = recentItems.length - newItems.length;
 
+    // Collapse near-duplicates (same story from several outlets) so each story
+    // costs one GPT call; the cluster size becomes independentUpdatesCount
+    const clusters = clusterNewsItems(newItems);
+    const analysisQueue = [];
+    // Ids of items analyzed or marked processed this run; only these may move lastMinId past them
+    const handledIds = new Set();
+    for (const cluster of clusters) {
+      const representative = cluster.representative;
+      analysisQueue.push({
+        ...representative,
+        clusterId: cluster.clusterId,
+        independentUpdatesCount: cluster.size,
+        clusterSources: cluster.sources
+      });
+
+      for (const member of cluster.members) {
+        if (member === representative) continue;
+        snapshotData.droppedCount++;
+        await logDecision({
+          provider: member.provider || 'unknown',
+          providerId: member.id,
+          headline: member.headline,
+          hash: member.hash,
+          prefilterScore: member.prefilterScore,
+          prefilterReasons: member.prefilterReasons,
+          threshold: activeThreshold,
+          dailyCap: DAILY_GPT_CAP,
+          dedupeHit: true,
+          cluster: { id: cluster.clusterId, size: cluster.size, representativeHash: representative.hash },
+          decision: DECISION_TYPES.SKIPPED_NEAR_DUPLICATE,
+          decisionReason: `Near-duplicate of "${representative.headline}" (${representative.source}), cluster of ${cluster.size}`,
+        });
+        await incrementMetric("skippedNearDuplicateCount", 1);
+        await incrementMetric("decisionsLoggedCount", 1);
+        await markUrlProcessed(member.url);
+        handledIds.add(member.id);
+      }
+    }
+
+    diagnostics.clusterCount = clusters.length;
+    diagnostics.skippedNearDuplicates = newItems.length - analysisQueue.length;
+
     if (newItems.length === 0) {
       // Store snapshot even when empty
       snapshotData.items = [];
@@ -616,10 +578,16 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check daily cap
-    if (dailyCountBefore >= DAILY_GPT_CAP) {
-      // Log decisions for all items that would be skipped due to daily cap
-      for (const item of newItems) {
+    // Check daily cap and LLM budget
+    const runSkip = dailyCountBefore >= DAILY_GPT_CAP
+      ? { decision: DECISION_TYPES.SKIPPED_DAILY_CAP, metric: "skippedDailyCapCount", reason: `Daily GPT cap reached (${dailyCountBefore}/${DAILY_GPT_CAP})` }
+      : budgetBefore.exceeded
+      ? { decision: DECISION_TYPES.SKIPPED_BUDGET, metric: "skippedBudgetCount", reason: budgetBefore.reason }
+      : null;
+
+    if (runSkip) {
+      // Log decisions for all items that would be skipped
+      for (const item of analysisQueue) {
         snapshotData.droppedCount++;
         await logDecision({
           provider: item.provider || 'unknown',
@@ -630,10 +598,10 @@ export default async function handler(req, res) {
           prefilterReasons: item.prefilterReasons,
           threshold: activeThreshold,
           dailyCap: DAILY_GPT_CAP,
-          decision: DECISION_TYPES.SKIPPED_DAILY_CAP,
-          decisionReason: `Daily GPT cap reached (${dailyCountBefore}/${DAILY_GPT_CAP})`,
+          decision: runSkip.decision,
+          decisionReason: runSkip.reason,
         });
-        await incrementMetric("skippedDailyCapCount", 1);
+        await incrementMetric(runSkip.metric, 1);
         await incrementMetric("decisionsLoggedCount", 1);
       }
 
@@ -642,7 +610,7 @@ export default async function handler(req, res) {
 
       return res.status(200).json({
         success: true,
-        message: `Daily GPT cap reached (${dailyCountBefore}/${DAILY_GPT_CAP})`,
+        message: runSkip.reason,
         processed: 0,
         majorEvents: 0,
         diagnostics
@@ -652,18 +620,26 @@ export default async function handler(req, res) {
     const results = {
       processed: 0,
       majorEvents: 0,
+      followUps: 0,
       errors: 0,
       events: []
     };
 
-    // Process each news item (respecting daily cap)
-    for (const item of newItems) {
-      // Check if we've hit the daily cap
-      const currentCount = await getDailyGptCount();
-      if (currentCount >= DAILY_GPT_CAP) {
-        console.log(`Daily GPT cap reached (${currentCount}/${DAILY_GPT_CAP}), stopping processing`);
-        // Log remaining items as skipped due to daily cap
-        const remainingItems = newItems.slice(newItems.indexOf(item));
+    // Process one representative per story cluster (respecting daily cap and LLM budget)
+    for (const item of analysisQueue) {
+      // Reserve a call under the daily cap, then check the shared dollar budget
+      const budget = await getLLMBudgetStatus();
+      const reservation = budget.exceeded ? null : await reserveDailyGptCall();
+      const midRunSkip = budget.exceeded
+        ? { decision: DECISION_TYPES.SKIPPED_BUDGET, metric: "skippedBudgetCount", reason: `${budget.reason} mid-run` }
+        : !reservation.reserved
+        ? { decision: DECISION_TYPES.SKIPPED_DAILY_CAP, metric: "skippedDailyCapCount", reason: `Daily GPT cap reached mid-run (${reservation.count}/${DAILY_GPT_CAP})` }
+        : null;
+
+      if (midRunSkip) {
+        console.log(`${midRunSkip.reason}, stopping processing`);
+        // Log remaining items as skipped
+        const remainingItems = analysisQueue.slice(analysisQueue.indexOf(item));
         for (const remainingItem of remainingItems) {
           snapshotData.droppedCount++;
           await logDecision({
@@ -675,10 +651,10 @@ export default async function handler(req, res) {
             prefilterReasons: remainingItem.prefilterReasons,
             threshold: activeThreshold,
             dailyCap: DAILY_GPT_CAP,
-            decision: DECISION_TYPES.SKIPPED_DAILY_CAP,
-            decisionReason: `Daily GPT cap reached mid-run (${currentCount}/${DAILY_GPT_CAP})`,
+            decision: midRunSkip.decision,
+            decisionReason: midRunSkip.reason,
           });
-          await incrementMetric("skippedDailyCapCount", 1);
+          await incrementMetric(midRunSkip.metric, 1);
           await incrementMetric("decisionsLoggedCount", 1);
         }
         break;
@@ -687,22 +663,48 @@ export default async function handler(req, res) {
       try {
         results.processed++;
 
-        // Increment daily count before GPT call
-        await incrementDailyGptCount();
-
         // Analyze with GPT
-        const analysis = await analyzeNews(item.headline, item.body);
+        const analysis = await analyzeNews(item.headline, item.body, { endpoint: "news-watchdog" });
 
         // Mark URL as processed
         await markUrlProcessed(item.url);
+        handledIds.add(item.id);
+        if (analysisRetries[item.url]) {
+          await setAnalysisRetry(item.url, 0);
+        }
+        await recordModelOutput("analysis", analysis.modelOutput);
 
         // Determine effective threshold for this item
         // Tier-0 macro matches get lower threshold
         const itemThreshold = item.macroMatch ? IMPORTANCE_THRESHOLD_MACRO : activeThreshold;
 
-        // Check if it's a major event worth storing
+        // Follow-ups to a recent story extend its timeline instead of
+        // becoming a separate event
         let majorEventId = null;
-        const shouldStore = analysis.importanceScore >= itemThreshold;
+        let followUpOf = null;
+        const storyMatch = await findStoryMatch({ ...item, analysis });
+        if (storyMatch) {
+          const updated = await attachFollowUp(storyMatch.event.id, item, analysis, storyMatch);
+          if (updated) {
+            followUpOf = updated.id;
+            majorEventId = updated.id;
+            results.followUps++;
+            results.events.push({
+              id: updated.id,
+              headline: item.headline,
+              importanceScore: updated.analysis.importanceScore,
+              importanceCategory: updated.analysis.importanceCategory,
+              macroMatch: item.macroMatch,
+              independentUpdatesCount: updated.independentUpdatesCount,
+              followUpOf
+            });
+            snapshotData.keptCount++;
+            await incrementMetric("followUpsAttachedCount", 1);
+          }
+        }
+
+        // Check if it's a major event worth storing
+        const shouldStore = !followUpOf && analysis.importanceScore >= itemThreshold;
 
         if (shouldStore) {
           // Generate a unique event ID
@@ -719,10 +721,14 @@ export default async function handler(req, res) {
             macroMatch: item.macroMatch,
             matchedKeywords: item.matchedKeywords,
             tier: item.tier,
-            analysis
+            clusterId: item.clusterId,
+            independentUpdatesCount: item.independentUpdatesCount,
+            clusterSources: item.clusterSources,
+            analysis,
+            ...createStoryFields(item, analysis)
           };
 
-          const stored = await storeMajorEvent(event);
+          const stored = await saveMajorEvent(event);
           if (stored) {
             results.majorEvents++;
             results.events.push({
@@ -730,14 +736,15 @@ export default async function handler(req, res) {
               headline: item.headline,
               importanceScore: analysis.importanceScore,
               importanceCategory: analysis.importanceCategory,
-              macroMatch: item.macroMatch
+              macroMatch: item.macroMatch,
+              independentUpdatesCount: item.independentUpdatesCount
             });
             snapshotData.keptCount++;
           } else {
             majorEventId = null; // Failed to store
             snapshotData.droppedCount++;
           }
-        } else {
+        } else if (!followUpOf) {
           snapshotData.droppedCount++;
         }
 
@@ -751,7 +758,9 @@ export default async function handler(req, res) {
           macroMatch: item.macroMatch,
           tier: item.tier,
           importanceScore: analysis.importanceScore,
-          kept: shouldStore
+          clusterSize: item.independentUpdatesCount,
+          followUpOf,
+          kept: shouldStore || Boolean(followUpOf)
         });
 
         // Log the decision
@@ -767,7 +776,9 @@ export default async function handler(req, res) {
           macroMatch: item.macroMatch,
           matchedKeywords: item.matchedKeywords,
           decision: DECISION_TYPES.ANALYZED,
-          decisionReason: shouldStore
+          decisionReason: followUpOf
+            ? `Attached to story ${followUpOf} (match ${storyMatch.score}, shared: ${[...storyMatch.sharedEntities, ...storyMatch.sharedTickers].join(', ')})`
+            : shouldStore
             ? `Stored as major event (score ${analysis.importanceScore} >= ${itemThreshold}${item.macroMatch ? ', Tier-0 macro' : ''})`
             : `Below threshold (score ${analysis.importanceScore} < ${itemThreshold})`,
           classifier: {
@@ -778,6 +789,8 @@ export default async function handler(req, res) {
             summary: analysis.summary,
           },
           majorEventId,
+          modelOutput: analysis.modelOutput,
+          tickerCheck: analysis.tickerCheck,
         });
         await incrementMetric("analyzedCount", 1);
         await incrementMetric("decisionsLoggedCount", 1);
@@ -785,6 +798,17 @@ export default async function handler(req, res) {
       } catch (itemError) {
         console.error('Error processing news item:', item.headline, itemError);
         results.errors++;
+
+        // Invalid model output is retried on later runs, up to MAX_ANALYSIS_ATTEMPTS
+        const invalidOutput = itemError.code === MODEL_OUTPUT_INVALID;
+        const attempts = (analysisRetries[item.url] || 0) + 1;
+        const willRetry = invalidOutput && attempts < MAX_ANALYSIS_ATTEMPTS && Boolean(item.url);
+        // Budget reached during this run: the item was never analyzed, so it stays
+        // unprocessed (and below lastMinId's reach) for a later run
+        const budgetExceeded = itemError.code === LLM_BUDGET_EXCEEDED;
+        if (budgetExceeded) {
+          await releaseDailyGptCall();
+        }
         snapshotData.droppedCount++;
 
         // Add to snapshot with error
@@ -811,14 +835,28 @@ export default async function handler(req, res) {
           threshold: activeThreshold,
           dailyCap: DAILY_GPT_CAP,
           decision: DECISION_TYPES.ERROR,
-          decisionReason: `Error during analysis: ${itemError.message}`,
+          decisionReason: invalidOutput
+            ? `Invalid analysis from model (attempt ${attempts}/${MAX_ANALYSIS_ATTEMPTS}${willRetry ? ', will retry next run' : ''}): ${formatValidationErrors(itemError.modelOutput.errors)}`
+            : `Error during analysis: ${itemError.message}`,
           error: itemError.message,
+          modelOutput: itemError.modelOutput,
         });
         await incrementMetric("errorsCount", 1);
         await incrementMetric("decisionsLoggedCount", 1);
-
-        // Still mark as processed to avoid retrying failed items
-        await markUrlProcessed(item.url);
+        await recordModelOutput("analysis", itemError.modelOutput, invalidOutput);
+
+        if (willRetry) {
+          // The retry entry lets it past lastMinId next run
+          await setAnalysisRetry(item.url, attempts);
+          handledIds.add(item.id);
+        } else if (!budgetExceeded) {
+          // Mark as processed so other failures are not retried forever
+          await markUrlProcessed(item.url);
+          handledIds.add(item.id);
+          if (analysisRetries[item.url]) {
+            await setAnalysisRetry(item.url, 0);
+          }
+        }
       }
     }
 
@@ -826,8 +864,15 @@ export default async function handler(req, res) {
     const dailyCountAfter = await getDailyGptCount();
     diagnostics.dailyCountAfter = dailyCountAfter;
 
-    // Update lastMinId to the maximum numeric id we processed (for Finnhub deduplication)
-    const numericIds = newItems.filter(item => typeof item.id === 'number').map(item => item.id);
+    // Update lastMinId (Finnhub deduplication) to the highest numeric id handled
+    // this run, but below every id left unprocessed (budget or daily cap), so
+    // those are picked up again; handled items above it are caught by URL
+    const numericItems = newItems.filter(item => typeof item.id === 'number');
+    const pendingIds = numericItems.filter(item => !handledIds.has(item.id)).map(item => item.id);
+    const lowestPendingId = pendingIds.length > 0 ? Math.min(...pendingIds) : Infinity;
+    const numericIds = numericItems
+      .filter(item => handledIds.has(item.id) && item.id < lowestPendingId)
+      .map(item => item.id);
     if (numericIds.length > 0) {
       const maxId = Math.max(...numericIds);
       if (maxId > lastMinId) {
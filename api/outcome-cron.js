@@ -1,4 +1,4 @@
-import { kv } from "@vercel/kv";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
 import { getSignalIdsForDate, readSignalTelemetry } from "./_lib/telemetry.js";
 import { getBarsForOutcome } from "./_lib/marketDataCache.js";
 import { buildOutcomeRecord } from "./_lib/outcomeEngine.js";
@@ -58,9 +58,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ ok: false, error: 'Method not allowed' });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
-    return res.status(500).json({ ok: false, error: 'KV not configured' });
+  // Check storage configuration
+  if (!isStorageConfigured()) {
+    return res.status(500).json({ ok: false, error: STORAGE_NOT_CONFIGURED_MESSAGE });
   }
 
   // Parse date parameter
@@ -150,7 +150,7 @@ export default async function handler(req, res) {
         } catch (fetchError) {
           console.error(`Failed to fetch bars for ${symbol}:`, fetchError.message);
           results.errors++;
-          results.details.push({ signalId, error: `Tiingo fetch failed: ${fetchError.message}` });
+          results.details.push({ signalId, error: `Price fetch failed: ${fetchError.message}` });
           continue;
         }
 
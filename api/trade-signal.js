@@ -1,35 +1,428 @@
-import { kv } from "@vercel/kv";
-import { generateLLMSignal } from "./_lib/tradeSignal.js";
+import { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } from "./_lib/storage.js";
+import {
+  generateLLMSignal,
+  buildTickerLLMOutput,
+  translateSignalNarrative,
+  resolveSignalLocale,
+  buildSignalCacheKey,
+  buildSignalsCacheKey,
+  buildShadowCacheKey,
+  buildNarrativeCacheKey,
+  DEFAULT_SIGNAL_LOCALE
+} from "./_lib/tradeSignal.js";
+import { MODEL_OUTPUT_INVALID } from "./_lib/modelOutput.js";
+import { LLM_BUDGET_EXCEEDED } from "./_lib/llmUsage.js";
+import { recordModelOutput } from "./_lib/newsDebugLog.js";
 import { buildEchoContext } from "./_lib/echoContext.js";
-import { getMarketStatsForEvent } from "./_lib/marketStats.js";
-import { buildConfidenceBreakdown, CONFIDENCE_MODEL_VERSION } from "./_lib/confidenceEngine.js";
+import { getMarketStatsForSymbol, getMarketRegime, getRepresentativeTicker } from "./_lib/marketStats.js";
+import { buildConfidenceBreakdown, weighsMarketRegime, CONFIDENCE_MODEL_VERSION, SHADOW_CONFIDENCE_PROFILE } from "./_lib/confidenceEngine.js";
+import { getConfidenceModel, getConfidenceProfile, listConfidenceProfiles } from "./_lib/confidenceProfiles.js";
 import { buildSignalId, buildTelemetryLog, writeSignalTelemetry } from "./_lib/telemetry.js";
+import { getMajorEvent } from "./_lib/majorEventStore.js";
+import { getCalibration, calibrateOverall } from "./_lib/calibration.js";
+import { getArchivedEvent, recordArchivedSignals } from "./_lib/eventArchive.js";
+import { isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } from "./_lib/llmProviders.js";
+import { resolveTickers } from "./_lib/symbolMaster.js";
 
 /**
  * Trade Signal API - Phase 3.3 Signal Quality
  *
  * POST /api/trade-signal
- * Body: { "eventId": "string", "symbol"?: "string" }
+ * Body: { "eventId": "string", "symbols"?: ["string"], "symbol"?: "string", "locale"?: "tr" | "en",
+ *         "profile"?: "conservative" | "balanced" | "aggressive" }
  *
- * Returns a trade signal with:
+ * Returns one trade signal per ticker: the requested symbols (resolved against
+ * the symbol master), or by default every ticker the model lists for the
+ * event, up to 8. Each ticker gets its own market stats (ATR/gap), echo
+ * context, direction, levels and sizing from the single model call made for
+ * the event (see buildTickerLLMOutput), and is stored and telemetered under
+ * its own signalId ("{modelVersion}:{eventId}:{SYMBOL}").
+ *
+ * profile picks the confidence profile (weights, grade cutoffs, AVOID/WAIT
+ * thresholds, sizing; see confidenceProfiles.js) from the current model
+ * version, defaulting to the version's default profile. Signals scored with
+ * another profile get the profile name appended to their signalId, and
+ * meta.profile / the telemetry log say which profile was used. An unknown
+ * profile returns 400 with the available ones.
+ *
+ * Once the calibration cron has enough outcomes for the model version and
+ * profile, confidence.calibrated is { horizon: "3", probability, samples,
+ * fittedAt }: the observed probability of a positive 3-day signed return for
+ * signals with this overall score (see calibration.js).
+ *
+ * Every signal of a request shares one market regime (SPY/QQQ/TLT realized
+ * vol percentile, trend, risk-on/off breadth; see getMarketRegime), scored
+ * as the marketRegime component for the ticker's direction. It is only
+ * fetched when the profile (or the shadow's) gives it a weight; otherwise (v1)
+ * marketRegime is null and the component a neutral score without notes.
+ *
+ * With CONFIDENCE_SHADOW_MODEL_VERSION set, every fresh signal scored with
+ * the default profile is also scored by that challenger version (profile:
+ * CONFIDENCE_SHADOW_PROFILE or its default). The challenger's result is kept
+ * in the event's shadow hash and written to telemetry under its own signalId with
+ * shadow: true, but never returned; signal-summary compares the two.
+ *
+ * Response: the first ticker's signal at the top level (as before), plus
+ * signals: every ticker's signal, each with:
  * - signal: "BUY" | "SELL" | "AVOID" | "WAIT"
- * - confidence: { overall, grade, components, notes }
- * - setup: { thesis, direction, instrument, timeHorizon, entry, invalidation, targets }
+ * - confidence: { overall, grade, components, notes, calibrated? }
+ * - setup: { thesis, narrativeSource, direction, instrument, timeHorizon, entry, invalidation, targets }
  * - sizingHint: { riskPerTradePct, suggestedPositionPct, stopDistancePct, caps }
- * - explain: array of reasoning bullets
- * - meta: { modelVersion, echoUsed, marketStatsUsed }
+ * - explain: array of reasoning bullets as messages ({ code, params })
+ * - symbol, signalId, marketStats: { currentPrice, atr, atrPct, gapPct } or null
+ * - marketRegime: { volPercentile, realizedVolPct, trend, breadth, riskState, asOf } or null
+ * - meta: { modelVersion, profile, echoUsed, marketStatsUsed, marketRegimeUsed, promptVersion, analysisPromptVersion, modelOutput, tickerCheck, locale }
+ *
+ * confidence.notes and explain are translation codes the UI renders in its own
+ * language. The narrative (thesis, invalidation/target reasons, key risks) is
+ * written by the model in the requested locale (default "tr"); the signal is
+ * generated once per event and other locales get a translated narrative,
+ * cached per locale. If the translation fails the stored narrative is returned
+ * and meta.locale says which language it is in. The narrative is written for
+ * the model's first ticker; setup.narrativeSource says how much of it another
+ * ticker carries: "model" (all of it), "event" (thesis and key risks, same
+ * direction) or "none" (its sector trades the other way).
+ *
+ * If the model output is still invalid after repairs and one re-prompt, returns
+ * { ok: false, error: "MODEL_PARSE_FAILED", validationErrors: [{ path, message }] }
+ * and { ok: false, error: "LLM_BUDGET_EXCEEDED" } once the LLM budget is spent.
  *
- * Caches signals in KV with 7-day TTL, versioned by model version
+ * Caches per event in KV with 7-day TTL, versioned by model version: the
+ * model output plus each ticker's signal, so asking for another ticker later
+ * reuses the model call
  */
 
-const MAJOR_EVENTS_KEY = "major_events";
 const SIGNAL_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const KEY_RISK_CODE = 'explainKeyRisk';
+const MAX_SIGNAL_SYMBOLS = 8;
+
+/**
+ * Explain bullets followed by the first key risk
+ * @param {Array<object>} explain - Engine explain messages
+ * @param {Array<string>} keyRisks - Key risks in the signal's locale
+ * @returns {Array<object>}
+ */
+function withKeyRisk(explain, keyRisks) {
+  return [
+    ...explain,
+    ...(keyRisks.length > 0 ? [{ code: KEY_RISK_CODE, params: { risk: keyRisks[0] } }] : [])
+  ];
+}
+
+/**
+ * Swap the narrative of a stored signal for a translated one of the event's
+ * narrative, as far as the signal uses it (see buildTickerLLMOutput)
+ * @param {object} signal - Stored signal
+ * @param {object} narrative - { thesis, invalidation: { reason }, targets: [{ reason }], keyRisks }
+ * @param {string} locale
+ * @returns {object}
+ */
+function applyNarrative(signal, narrative, locale) {
+  const setup = signal.setup || {};
+  const meta = { ...signal.meta, locale };
+
+  // A ticker trading against the event's direction has no narrative to translate
+  if (setup.narrativeSource === 'none') {
+    return { ...signal, meta };
+  }
+
+  // Other tickers of the same direction share the thesis and risks, not the level reasons
+  const withLevelReasons = setup.narrativeSource !== 'event';
+  return {
+    ...signal,
+    setup: {
+      ...setup,
+      thesis: narrative.thesis,
+      ...(withLevelReasons ? {
+        invalidation: { ...setup.invalidation, reason: narrative.invalidation.reason },
+        targets: (setup.targets || []).map((target, i) => ({ ...target, reason: narrative.targets[i]?.reason ?? target.reason }))
+      } : {})
+    },
+    explain: withKeyRisk((signal.explain || []).filter(item => item?.code !== KEY_RISK_CODE), narrative.keyRisks),
+    keyRisks: narrative.keyRisks,
+    meta
+  };
+}
+
+/**
+ * Return an event's stored signals in the requested locale, translating and
+ * caching the event's narrative on first request. Falls back to the stored
+ * narrative when the translation fails.
+ * @param {Array<object>} signals - Stored signals of one event
+ * @param {object} llmOutput - The event's LLM output, whose narrative the signals derive from
+ * @param {string} eventId
+ * @param {string} locale
+ * @returns {Promise<Array<object>>}
+ */
+async function localizeSignals(signals, llmOutput, eventId, locale) {
+  const signalLocale = signals[0].meta?.locale || DEFAULT_SIGNAL_LOCALE;
+  const keepLocale = () => signals.map(signal => ({ ...signal, meta: { ...signal.meta, locale: signalLocale } }));
+  if (signalLocale === locale) {
+    return keepLocale();
+  }
+
+  const narrativeKey = buildNarrativeCacheKey(eventId, locale);
+  const cachedNarrative = await kv.get(narrativeKey);
+  if (cachedNarrative) {
+    return signals.map(signal => applyNarrative(signal, cachedNarrative, locale));
+  }
+
+  if (signals.every(signal => signal.setup?.narrativeSource === 'none')) {
+    return signals.map(signal => applyNarrative(signal, null, locale));
+  }
+
+  try {
+    const { narrative, modelOutput } = await translateSignalNarrative({
+      thesis: llmOutput.thesis || '',
+      invalidation: llmOutput.invalidation,
+      targets: llmOutput.targets,
+      keyRisks: llmOutput.keyRisks
+    }, locale, { endpoint: "trade-signal" });
+    await recordModelOutput('narrative', modelOutput);
+
+    await kv.set(narrativeKey, narrative, { ex: SIGNAL_TTL_SECONDS });
+    console.log(`Stored ${locale} narrative for event: ${eventId}`);
+    return signals.map(signal => applyNarrative(signal, narrative, locale));
+  } catch (error) {
+    console.warn(`Narrative translation to ${locale} failed, returning ${signalLocale}:`, error.message);
+    if (error.code === MODEL_OUTPUT_INVALID) {
+      await recordModelOutput('narrative', error.modelOutput, true);
+    }
+    return keepLocale();
+  }
+}
+
+/**
+ * Read the requested tickers from the body ("symbols" array or comma list,
+ * and/or "symbol")
+ * @param {object} requestBody
+ * @returns {Array<string>}
+ */
+function readRequestedSymbols(requestBody) {
+  const symbols = requestBody?.symbols;
+  const list = Array.isArray(symbols) ? symbols : typeof symbols === 'string' ? symbols.split(',') : [];
+  return [...list, ...(requestBody?.symbol ? [requestBody.symbol] : [])]
+    .map(value => String(value).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Signal id of one ticker scored with a profile; the default profile keeps the plain id
+ * @param {string} eventId
+ * @param {string} symbol
+ * @param {object} profile - Confidence profile
+ * @returns {string}
+ */
+function buildTickerSignalId(eventId, symbol, profile) {
+  const isDefault = profile.name === getConfidenceModel(profile.modelVersion).defaultProfile;
+  return buildSignalId({
+    modelVersion: profile.modelVersion,
+    eventId,
+    symbol,
+    profile: isDefault ? undefined : profile.name
+  });
+}
+
+/**
+ * Build the signal for one ticker of an event
+ * @param {object} params
+ * @param {object} params.event - The major event object
+ * @param {string} params.eventId
+ * @param {object} params.llmOutput - The event's normalized LLM output
+ * @param {string} params.symbol - Ticker symbol
+ * @param {object} params.profile - Confidence profile
+ * @param {object|null} params.calibration - Stored calibration fit for the profile
+ * @param {object|null} params.shadow - { profile, calibration } of the challenger, or null
+ * @param {object|null} params.marketRegime - Market-wide regime shared by the request's tickers
+ * @returns {Promise<{ signal: object, shadow: object|null }>} - shadow is the challenger's scoring
+ */
+async function buildTickerSignal({ event, eventId, llmOutput, symbol, profile, calibration, shadow, marketRegime }) {
+  // Market stats for this ticker (never fails signal, falls back to defaults)
+  const marketStats = await getMarketStatsForSymbol(symbol);
+  if (!marketStats.fallback) {
+    console.log(`Market stats fetched for ${symbol}: ATR%=${marketStats.atrPct}, Gap%=${marketStats.gapPct}`);
+  }
+
+  // Echo context for this ticker (optional, never fails signal)
+  let echoContext = null;
+  try {
+    echoContext = buildEchoContext(event, 50, { symbol }); // Base confidence doesn't matter here
+    if (echoContext) {
+      console.log(`Echo context built for ${symbol}: ${echoContext.pairId}`);
+    }
+  } catch (echoError) {
+    console.warn(`Echo context build failed for ${symbol} (non-fatal):`, echoError.message);
+  }
+
+  // Direction and levels for this ticker, then confidence and sizing
+  const tickerOutput = buildTickerLLMOutput(llmOutput, event, symbol, marketStats);
+  const confidenceResult = buildConfidenceBreakdown({
+    event,
+    echoContext,
+    llmOutput: tickerOutput,
+    marketStats,
+    marketRegime,
+    profile
+  });
+
+  const calibrated = calibrateOverall(calibration, confidenceResult.confidence.overall);
+
+  // Same inputs scored by the challenger, kept out of the response
+  let shadowResult = null;
+  if (shadow) {
+    const shadowBreakdown = buildConfidenceBreakdown({
+      event,
+      echoContext,
+      llmOutput: tickerOutput,
+      marketStats,
+      marketRegime,
+      profile: shadow.profile
+    });
+    const shadowCalibrated = calibrateOverall(shadow.calibration, shadowBreakdown.confidence.overall);
+    shadowResult = {
+      signalId: buildTickerSignalId(eventId, symbol, shadow.profile),
+      signal: shadowBreakdown.signal,
+      confidence: {
+        overall: shadowBreakdown.confidence.overall,
+        grade: shadowBreakdown.confidence.grade,
+        components: shadowBreakdown.confidence.components,
+        ...(shadowCalibrated ? { calibrated: shadowCalibrated } : {})
+      },
+      sizingHint: shadowBreakdown.sizingHint,
+      meta: shadowBreakdown.meta
+    };
+  }
+
+  const generatedAt = new Date().toISOString();
+  const signal = {
+    ok: true,
+    symbol,
+    signalId: buildTickerSignalId(eventId, symbol, profile),
+    eventId,
+    timestamp: generatedAt,
+    signal: confidenceResult.signal,
+    confidence: {
+      ...confidenceResult.confidence,
+      ...(calibrated ? { calibrated } : {})
+    },
+    setup: {
+      thesis: tickerOutput.thesis,
+      narrativeSource: tickerOutput.narrativeSource,
+      direction: tickerOutput.direction,
+      instrument: confidenceResult.signal === 'AVOID' ? 'NO_TRADE' : tickerOutput.instrument,
+      timeHorizon: tickerOutput.timeHorizon,
+      entry: tickerOutput.entry,
+      invalidation: tickerOutput.invalidation,
+      targets: tickerOutput.targets
+    },
+    sizingHint: confidenceResult.sizingHint,
+    explain: withKeyRisk(confidenceResult.explain, tickerOutput.keyRisks),
+    marketStats: marketStats.fallback ? null : {
+      currentPrice: marketStats.currentPrice,
+      atr: marketStats.atr,
+      atrPct: marketStats.atrPct,
+      gapPct: marketStats.gapPct
+    },
+    marketRegime: marketRegime || null,
+    meta: {
+      ...confidenceResult.meta,
+      promptVersion: llmOutput.promptVersion,
+      analysisPromptVersion: event.analysis?.promptVersion || null,
+      modelOutput: llmOutput.modelOutput,
+      tickerCheck: llmOutput.tickerCheck,
+      locale: llmOutput.locale,
+      generatedAt
+    },
+    // Legacy fields for backward compatibility
+    targets: llmOutput.tickers,
+    keyRisks: tickerOutput.keyRisks,
+    // Include echo context if available
+    echoContext: echoContext || undefined
+  };
+
+  return { signal, shadow: shadowResult };
+}
 
 /**
- * Build versioned cache key
+ * Archive summary of a fresh signal
+ * @param {object} signal
+ * @returns {object}
  */
-function buildCacheKey(eventId) {
-  return `tradeSignal:v${CONFIDENCE_MODEL_VERSION}:${eventId}`;
+function buildArchiveSummary(signal) {
+  return {
+    signalId: signal.signalId,
+    ts: signal.timestamp,
+    symbol: signal.symbol,
+    signal: signal.signal,
+    direction: signal.setup?.direction,
+    overall: signal.confidence?.overall,
+    grade: signal.confidence?.grade,
+    modelVersion: signal.meta?.modelVersion,
+    profile: signal.meta?.profile,
+    promptVersion: signal.meta?.promptVersion
+  };
+}
+
+/**
+ * Write telemetry for one served signal (non-blocking, swallows errors)
+ * With shadow, logs the challenger's scoring of the signal instead, under
+ * the challenger's signalId.
+ * @param {object} signal - Stored signal
+ * @param {object} entry - The event's cache entry
+ * @param {object} params - { cached, latencyMs, shadow }
+ */
+function writeTelemetry(signal, entry, { cached, latencyMs, shadow = null }) {
+  if (shadow) {
+    signal = {
+      ...signal,
+      signalId: shadow.signalId,
+      signal: shadow.signal,
+      confidence: shadow.confidence,
+      sizingHint: shadow.sizingHint,
+      meta: { ...signal.meta, ...shadow.meta }
+    };
+  }
+
+  try {
+    const telemetryLog = buildTelemetryLog({
+      signalId: signal.signalId,
+      ts: cached ? new Date().toISOString() : signal.timestamp,
+      eventId: signal.eventId,
+      symbol: signal.symbol,
+      theme: entry.theme,
+      source: entry.source,
+      signal: signal.signal,
+      direction: signal.setup?.direction,
+      overall: signal.confidence?.overall,
+      grade: signal.confidence?.grade,
+      components: signal.confidence?.components,
+      calibratedProbability: signal.confidence?.calibrated?.probability,
+      echoUsed: signal.meta?.echoUsed,
+      echoStats: signal.echoContext ? { ...signal.echoContext.stats, alignment: signal.echoContext.alignment } : null,
+      marketStatsUsed: signal.meta?.marketStatsUsed,
+      atrPct: signal.marketStats?.atrPct ?? null,
+      gapPct: signal.marketStats?.gapPct ?? null,
+      marketRegime: signal.marketRegime,
+      ambiguity: entry.llmOutput?.ambiguity ?? null,
+      entryType: signal.setup?.entry?.type,
+      entryLevel: signal.setup?.entry?.level,
+      invalidationLevel: signal.setup?.invalidation?.level,
+      stopDistancePct: signal.sizingHint?.stopDistancePct,
+      riskPerTradePct: signal.sizingHint?.riskPerTradePct,
+      suggestedPositionPct: signal.sizingHint?.suggestedPositionPct,
+      cached,
+      latencyMs,
+      shadow: Boolean(shadow),
+      modelVersion: signal.meta?.modelVersion,
+      confidenceProfile: signal.meta?.profile,
+      avoidCode: signal.meta?.avoidCode,
+      promptVersion: signal.meta?.promptVersion,
+      analysisPromptVersion: signal.meta?.analysisPromptVersion
+    });
+    writeSignalTelemetry({ kv, log: telemetryLog }).catch(() => {});
+  } catch (telemetryError) {
+    console.warn(`Telemetry write failed (${cached ? 'cached' : 'fresh'}${shadow ? ', shadow' : ''}):`, telemetryError.message);
+  }
 }
 
 export default async function handler(req, res) {
@@ -48,27 +441,31 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Check for API key
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY environment variable is not set');
-    return res.status(500).json({ ok: false, error: 'OPENAI_API_KEY is not configured' });
+  // Check LLM provider configuration
+  if (!isLLMConfigured()) {
+    console.error(LLM_NOT_CONFIGURED_MESSAGE);
+    return res.status(500).json({ ok: false, error: LLM_NOT_CONFIGURED_MESSAGE });
   }
 
-  // Check KV configuration
-  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+  // Check storage configuration
+  if (!isStorageConfigured()) {
     return res.status(500).json({
       ok: false,
-      error: 'Vercel KV is not configured'
+      error: STORAGE_NOT_CONFIGURED_MESSAGE
     });
   }
 
   // Parse and validate request body
   let eventId;
-  let symbol;
+  let requestedSymbols;
+  let locale;
+  let profileName;
   try {
     const requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
     eventId = requestBody?.eventId;
-    symbol = requestBody?.symbol; // Optional symbol for market stats
+    requestedSymbols = readRequestedSymbols(requestBody); // Optional tickers to signal
+    locale = resolveSignalLocale(requestBody?.locale || req.query?.locale);
+    profileName = requestBody?.profile || req.query?.profile;
   } catch (parseError) {
     console.error('Failed to parse request body:', parseError);
     return res.status(400).json({ ok: false, error: 'Invalid JSON in request body' });
@@ -81,214 +478,188 @@ export default async function handler(req, res) {
 
   eventId = eventId.trim();
 
+  // Requested tickers must be in the symbol master
+  const requested = resolveTickers(requestedSymbols);
+  if (requestedSymbols.length > 0 && requested.symbols.length === 0) {
+    return res.status(400).json({ ok: false, error: 'No known symbols requested', dropped: requested.dropped });
+  }
+
+  // Confidence profile, from the current model version
+  const profile = getConfidenceProfile(CONFIDENCE_MODEL_VERSION, profileName);
+  if (!profile) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown confidence profile "${profileName}"`,
+      profiles: listConfidenceProfiles(CONFIDENCE_MODEL_VERSION)
+    });
+  }
+
   // Track start time for latency measurement
   const startTimeMs = Date.now();
 
   try {
-    // Check if signal already exists in KV cache (versioned)
-    const signalKey = buildCacheKey(eventId);
-    const cachedSignal = await kv.get(signalKey);
+    // Check if the event already has a cache entry in KV (versioned)
+    const entryKey = buildSignalCacheKey(eventId);
+    const signalsKey = buildSignalsCacheKey(eventId);
+    const shadowKey = buildShadowCacheKey(eventId);
+    let entry = await kv.get(entryKey);
+    // Entries from before signals had their own hash (or before per-ticker
+    // signals) are regenerated and overwritten
+    const outdatedEntry = Boolean(entry) && (!entry.llmOutput || !entry.expiresAt || Boolean(entry.signals));
+    if (outdatedEntry) {
+      entry = null;
+    }
+
+    let event = null;
+    const loadEvent = async () => {
+      // Look up the stored event, falling back to the archive for pruned events
+      event = await getMajorEvent(eventId) || await getArchivedEvent(eventId);
+      return event;
+    };
+
+    if (!entry) {
+      if (!await loadEvent()) {
+        return res.status(404).json({ ok: false, error: 'Event not found' });
+      }
 
-    if (cachedSignal) {
-      console.log(`Returning cached signal for event: ${eventId} (v${CONFIDENCE_MODEL_VERSION})`);
+      // Validate event has necessary data
+      if (!event.headline) {
+        return res.status(400).json({ ok: false, error: 'Event is missing required headline' });
+      }
 
-      // Write telemetry for cached response (non-blocking, swallow errors)
+      console.log(`Generating trade signal for event: ${eventId}`);
+
+      // Step 1: Generate LLM signal, once per event
+      let llmOutput;
       try {
-        const latencyMs = Date.now() - startTimeMs;
-        const cachedSymbol = cachedSignal.symbol || symbol;
-        const signalId = buildSignalId({
-          modelVersion: CONFIDENCE_MODEL_VERSION,
-          eventId,
-          symbol: cachedSymbol
-        });
-        const telemetryLog = buildTelemetryLog({
-          signalId,
-          ts: new Date().toISOString(),
-          eventId,
-          symbol: cachedSymbol,
-          theme: cachedSignal.echoContext?.theme || null,
-          source: cachedSignal.source || null,
-          signal: cachedSignal.signal,
-          direction: cachedSignal.setup?.direction,
-          overall: cachedSignal.confidence?.overall,
-          grade: cachedSignal.confidence?.grade,
-          components: cachedSignal.confidence?.components,
-          echoUsed: cachedSignal.meta?.echoUsed,
-          marketStatsUsed: cachedSignal.meta?.marketStatsUsed,
-          atrPct: null,
-          gapPct: null,
-          ambiguity: null,
-          entryType: cachedSignal.setup?.entry?.type,
-          entryLevel: cachedSignal.setup?.entry?.level,
-          invalidationLevel: cachedSignal.setup?.invalidation?.level,
-          stopDistancePct: cachedSignal.sizingHint?.stopDistancePct,
-          riskPerTradePct: cachedSignal.sizingHint?.riskPerTradePct,
-          suggestedPositionPct: cachedSignal.sizingHint?.suggestedPositionPct,
-          cached: true,
-          latencyMs,
-          modelVersion: CONFIDENCE_MODEL_VERSION,
-          avoidCode: cachedSignal.meta?.avoidCode
+        llmOutput = await generateLLMSignal(event, { endpoint: "trade-signal", locale });
+        console.log('LLM output generated:', llmOutput.direction, llmOutput.instrument);
+        await recordModelOutput('signal', llmOutput.modelOutput);
+      } catch (llmError) {
+        console.error('LLM signal generation failed:', llmError.message);
+        if (llmError.code === LLM_BUDGET_EXCEEDED) {
+          return res.status(200).json({
+            ok: false,
+            error: LLM_BUDGET_EXCEEDED,
+            message: llmError.message
+          });
+        }
+        if (llmError.code === MODEL_OUTPUT_INVALID) {
+          await recordModelOutput('signal', llmError.modelOutput, true);
+        }
+        return res.status(200).json({
+          ok: false,
+          error: 'MODEL_PARSE_FAILED',
+          message: 'Failed to generate trade signal from model',
+          ...(llmError.modelOutput ? { validationErrors: llmError.modelOutput.errors } : {})
         });
-        writeSignalTelemetry({ kv, log: telemetryLog }).catch(() => {});
-      } catch (telemetryError) {
-        console.warn('Telemetry write failed (cached):', telemetryError.message);
       }
 
-      // Add generatedAt to meta for freshness debugging
-      const responseWithMeta = {
-        ...cachedSignal,
-        cached: true,
-        meta: {
-          ...cachedSignal.meta,
-          generatedAt: new Date().toISOString()
-        }
+      entry = {
+        eventId,
+        theme: event.analysis?.theme || event.theme || null,
+        source: event.source || null,
+        // Tickers signalled when none are requested
+        symbols: llmOutput.tickers.length > 0
+          ? llmOutput.tickers.slice(0, MAX_SIGNAL_SYMBOLS)
+          : [getRepresentativeTicker(event) || 'SPY'],
+        llmOutput,
+        expiresAt: Date.now() + SIGNAL_TTL_SECONDS * 1000
       };
 
-      return res.status(200).json(responseWithMeta);
+      // First writer wins: a concurrent request that stored its entry first keeps
+      // it, and this request signals from that one
+      const claimed = outdatedEntry
+        ? await kv.set(entryKey, entry, { ex: SIGNAL_TTL_SECONDS })
+        : await kv.set(entryKey, entry, { ex: SIGNAL_TTL_SECONDS, nx: true });
+      if (claimed) {
+        await kv.del(signalsKey, shadowKey); // Left over from an expired or outdated entry
+      } else {
+        entry = await kv.get(entryKey) || entry;
+      }
     }
 
-    // Find the event in the major events list
-    const events = await kv.get(MAJOR_EVENTS_KEY) || [];
-    const event = events.find(e => e.id === eventId);
+    const [storedSignals, storedShadow] = await Promise.all([kv.hgetall(signalsKey), kv.hgetall(shadowKey)]);
+    const cachedSignals = storedSignals || {};
+    const cachedShadow = storedShadow || {};
 
-    if (!event) {
-      return res.status(404).json({ ok: false, error: 'Event not found' });
-    }
+    const symbols = requested.symbols.length > 0
+      ? requested.symbols.map(info => info.symbol).slice(0, MAX_SIGNAL_SYMBOLS)
+      : entry.symbols;
 
-    // Validate event has necessary data
-    if (!event.headline) {
-      return res.status(400).json({ ok: false, error: 'Event is missing required headline' });
-    }
+    // Step 2: Build signals for tickers (with this profile) not yet in the entry
+    const signalIds = symbols.map(symbol => buildTickerSignalId(eventId, symbol, profile));
+    const missing = symbols.filter((symbol, i) => !cachedSignals[signalIds[i]]);
+    if (missing.length > 0) {
+      if (!event && !await loadEvent()) {
+        return res.status(404).json({ ok: false, error: 'Event not found' });
+      }
 
-    console.log(`Generating trade signal for event: ${eventId}`);
-
-    // Step 1: Generate LLM signal
-    let llmOutput;
-    try {
-      llmOutput = await generateLLMSignal(event);
-      console.log('LLM output generated:', llmOutput.direction, llmOutput.instrument);
-    } catch (llmError) {
-      console.error('LLM signal generation failed:', llmError.message);
-      return res.status(200).json({
-        ok: false,
-        error: 'MODEL_PARSE_FAILED',
-        message: 'Failed to generate trade signal from model'
-      });
+      const llmOutput = entry.llmOutput;
+      const calibration = await getCalibration({ kv, modelVersion: profile.modelVersion, profile: profile.name });
+
+      // The challenger shadows the default profile only, so each ticker has one shadow signalId
+      const shadowProfile = profile.name === getConfidenceModel(profile.modelVersion).defaultProfile ? SHADOW_CONFIDENCE_PROFILE : null;
+      const shadow = shadowProfile ? {
+        profile: shadowProfile,
+        calibration: await getCalibration({ kv, modelVersion: shadowProfile.modelVersion, profile: shadowProfile.name })
+      } : null;
+
+      // Only fetched when the served or the shadow profile weighs it
+      const regimeWeighted = weighsMarketRegime(profile) || (shadow ? weighsMarketRegime(shadow.profile) : false);
+      const marketRegime = regimeWeighted ? await getMarketRegime() : null;
+      const fresh = await Promise.all(missing.map(symbol => buildTickerSignal({ event, eventId, llmOutput, symbol, profile, calibration, shadow, marketRegime })));
+      const freshSignals = Object.fromEntries(fresh.map(result => [result.signal.signalId, result.signal]));
+      // Challenger scorings, keyed by the production signalId
+      const freshShadow = Object.fromEntries(fresh.filter(result => result.shadow).map(result => [result.signal.signalId, result.shadow]));
+      Object.assign(cachedSignals, freshSignals);
+      Object.assign(cachedShadow, freshShadow);
+
+      // Store in KV as hash fields, expiring with the entry
+      const ttlSeconds = Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+      const pipeline = kv.pipeline();
+      pipeline.hset(signalsKey, freshSignals);
+      pipeline.expire(signalsKey, ttlSeconds);
+      if (Object.keys(freshShadow).length > 0) {
+        pipeline.hset(shadowKey, freshShadow);
+        pipeline.expire(shadowKey, ttlSeconds);
+      }
+      await pipeline.exec();
+      console.log(`Stored ${missing.join(', ')} signal(s) in KV (v${CONFIDENCE_MODEL_VERSION}, ${profile.name}) with ${SIGNAL_TTL_SECONDS}s TTL`);
     }
 
-    // Step 2: Build echo context (optional, never fails signal)
-    let echoContext = null;
-    try {
-      echoContext = buildEchoContext(event, 50); // Base confidence doesn't matter here
-      if (echoContext) {
-        console.log(`Echo context built: ${echoContext.pairId}`);
-      }
-    } catch (echoError) {
-      console.warn('Echo context build failed (non-fatal):', echoError.message);
+    if (missing.length < symbols.length) {
+      console.log(`Returning cached signal(s) for event: ${eventId} (v${CONFIDENCE_MODEL_VERSION})`);
     }
 
-    // Step 3: Fetch market stats (optional, never fails signal)
-    let marketStats = null;
-    try {
-      marketStats = await getMarketStatsForEvent(event);
-      if (marketStats && !marketStats.fallback) {
-        console.log(`Market stats fetched: ATR%=${marketStats.atrPct}, Gap%=${marketStats.gapPct}`);
+    // Write telemetry per ticker, under its own signalId
+    const latencyMs = Date.now() - startTimeMs;
+    const served = signalIds.map(signalId => cachedSignals[signalId]);
+    for (const signal of served) {
+      const cached = !missing.includes(signal.symbol);
+      writeTelemetry(signal, entry, { cached, latencyMs });
+      if (cachedShadow[signal.signalId]) {
+        writeTelemetry(signal, entry, { cached, latencyMs, shadow: cachedShadow[signal.signalId] });
       }
-    } catch (marketError) {
-      console.warn('Market stats fetch failed (non-fatal):', marketError.message);
     }
-
-    // Step 4: Build confidence breakdown and determine signal
-    const confidenceResult = buildConfidenceBreakdown({
-      event,
-      echoContext,
-      llmOutput,
-      marketStats
+    recordArchivedSignals(eventId, served.filter(signal => missing.includes(signal.symbol)).map(buildArchiveSummary)).catch(() => {});
+
+    // Add generatedAt to meta of cached signals for freshness debugging
+    const servedAt = new Date().toISOString();
+    const localizedSignals = await localizeSignals(served, entry.llmOutput, eventId, locale);
+    const signals = localizedSignals.map(signal => {
+      const cached = !missing.includes(signal.symbol);
+      return {
+        ...signal,
+        cached,
+        meta: cached ? { ...signal.meta, generatedAt: servedAt } : signal.meta
+      };
     });
 
-    // Step 5: Build final response in new format
-    const generatedAt = new Date().toISOString();
-    const signal = {
-      ok: true,
-      symbol: symbol || marketStats?.symbol || llmOutput.tickers[0] || null,
-      eventId,
-      timestamp: generatedAt,
-      signal: confidenceResult.signal,
-      confidence: confidenceResult.confidence,
-      setup: {
-        thesis: llmOutput.thesis,
-        direction: llmOutput.direction,
-        instrument: confidenceResult.signal === 'AVOID' ? 'NO_TRADE' : llmOutput.instrument,
-        timeHorizon: llmOutput.timeHorizon,
-        entry: llmOutput.entry,
-        invalidation: llmOutput.invalidation,
-        targets: llmOutput.targets
-      },
-      sizingHint: confidenceResult.sizingHint,
-      explain: [
-        ...confidenceResult.explain,
-        ...(llmOutput.keyRisks.length > 0 ? [`Key risks: ${llmOutput.keyRisks[0]}`] : [])
-      ],
-      meta: {
-        ...confidenceResult.meta,
-        generatedAt
-      },
-      // Legacy fields for backward compatibility
-      targets: llmOutput.tickers,
-      keyRisks: llmOutput.keyRisks,
-      // Include echo context if available
-      echoContext: echoContext || undefined
-    };
-
-    // Store in KV with TTL
-    await kv.set(signalKey, signal, { ex: SIGNAL_TTL_SECONDS });
-    console.log(`Stored signal in KV (v${CONFIDENCE_MODEL_VERSION}) with ${SIGNAL_TTL_SECONDS}s TTL`);
-
-    // Write telemetry for fresh response (non-blocking, swallow errors)
-    try {
-      const latencyMs = Date.now() - startTimeMs;
-      const finalSymbol = signal.symbol;
-      const telemetrySignalId = buildSignalId({
-        modelVersion: CONFIDENCE_MODEL_VERSION,
-        eventId,
-        symbol: finalSymbol
-      });
-      const telemetryLog = buildTelemetryLog({
-        signalId: telemetrySignalId,
-        ts: signal.timestamp,
-        eventId,
-        symbol: finalSymbol,
-        theme: event.analysis?.theme || event.theme || null,
-        source: event.source || null,
-        signal: signal.signal,
-        direction: llmOutput.direction,
-        overall: signal.confidence?.overall,
-        grade: signal.confidence?.grade,
-        components: signal.confidence?.components,
-        echoUsed: signal.meta?.echoUsed,
-        marketStatsUsed: signal.meta?.marketStatsUsed,
-        atrPct: marketStats?.atrPct ?? null,
-        gapPct: marketStats?.gapPct ?? null,
-        ambiguity: llmOutput.ambiguity ?? null,
-        entryType: llmOutput.entry?.type,
-        entryLevel: llmOutput.entry?.level,
-        invalidationLevel: llmOutput.invalidation?.level,
-        stopDistancePct: signal.sizingHint?.stopDistancePct,
-        riskPerTradePct: signal.sizingHint?.riskPerTradePct,
-        suggestedPositionPct: signal.sizingHint?.suggestedPositionPct,
-        cached: false,
-        latencyMs,
-        modelVersion: CONFIDENCE_MODEL_VERSION,
-        avoidCode: signal.meta?.avoidCode
-      });
-      writeSignalTelemetry({ kv, log: telemetryLog }).catch(() => {});
-    } catch (telemetryError) {
-      console.warn('Telemetry write failed (fresh):', telemetryError.message);
-    }
-
     return res.status(200).json({
-      ...signal,
-      cached: false
+      ...signals[0],
+      cached: missing.length === 0,
+      signals
     });
 
   } catch (error) {
@@ -8,89 +8,156 @@
  *
  * Uses:
  * - Static earnings dates: src/data/earnings-dates.json
- * - Tiingo API: For historical daily close prices
+ * - Price provider (api/_lib/priceProviders.js): Tiingo by default, or
+ *   Finnhub candles / local CSV-JSON files via PRICE_PROVIDER
  *
- * Usage: TIINGO_API_KEY=your_key node scripts/calculate-pattern-history.js
+ * Usage: TIINGO_API_KEY=your_key node scripts/calculate-pattern-history.js [--horizons=1,2,3,5,10]
+ * Offline: PRICE_PROVIDER=file PRICE_DATA_DIR=./prices node scripts/calculate-pattern-history.js
+ *
+ * Echo horizons (trading days after the trigger report) can also be set with
+ * ECHO_HORIZONS=1,3,5; the flag wins over the env var.
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 
 // Static earnings dates (no API needed)
 const earningsDates = require('../src/data/earnings-dates.json');
 
-// Configuration
-const TIINGO_BASE_URL = 'https://api.tiingo.com/tiingo/daily';
+// Pair registry shared with the API and the frontend
+const pairRegistry = require('../src/data/pair-registry.json');
+
+// Default thresholds (overridable per pair in src/data/pair-registry.json)
+const DEFAULT_THRESHOLDS = {
+  triggerSurprisePercent: 2.0, // 2%
+  echoMovePercent: 1.5, // 1.5%
+  beatPercent: 2.0, // surprisePercent > 2.0% = Beat
+  missPercent: -2.0, // surprisePercent < -2.0% = Miss
+  ...(pairRegistry.defaults?.thresholds || {})
+};
+
+// Benchmarks for market-adjusted (abnormal) echo returns
+const BENCHMARKS = {
+  market: 'SPY',
+  sectorEtfs: {},
+  ...(pairRegistry.benchmarks || {})
+};
 
-// Stock pairs to analyze: [triggerSymbol, echoSymbol]
-// Only pairs with static earnings dates in src/data/earnings-dates.json
-const STOCK_PAIRS = [
-  { id: 'AMD_NVDA', trigger: 'AMD', echo: 'NVDA' },
-  { id: 'JPM_BAC', trigger: 'JPM', echo: 'BAC' },
-  { id: 'TSLA_F', trigger: 'TSLA', echo: 'F' },
-  { id: 'AAPL_MSFT', trigger: 'AAPL', echo: 'MSFT' },
-  { id: 'XOM_CVX', trigger: 'XOM', echo: 'CVX' }
-];
+/**
+ * Resolve the sector ETF for a pair or basket: explicit sectorEtf, then the sector map
+ * @param {object} entry - Registry pair or basket entry
+ * @returns {string|null}
+ */
+function resolveSectorEtf(entry) {
+  const etf = entry.sectorEtf || BENCHMARKS.sectorEtfs?.[entry.sector] || null;
+  return etf ? String(etf).toUpperCase() : null;
+}
 
-// Accuracy thresholds
-const TRIGGER_SURPRISE_THRESHOLD = 2.0; // 2%
-const ECHO_MOVE_THRESHOLD = 1.5; // 1.5%
+// Stock pairs to analyze, resolved from the pair registry
+// Only pairs with static earnings dates in src/data/earnings-dates.json produce stats
+const STOCK_PAIRS = (pairRegistry.pairs || []).map(pair => ({
+  id: pair.id || `${pair.trigger}_${pair.echo}`,
+  trigger: String(pair.trigger).toUpperCase(),
+  echo: String(pair.echo).toUpperCase(),
+  sectorEtf: resolveSectorEtf(pair),
+  thresholds: { ...DEFAULT_THRESHOLDS, ...(pair.thresholds || {}) }
+}));
+
+// Basket patterns (one trigger → several echoes), resolved from the pair registry
+// Echo legs may be ETFs or names without static earnings dates; their price
+// reaction is measured on the trigger's earnings dates
+const STOCK_BASKETS = (pairRegistry.baskets || []).map(basket => ({
+  id: basket.id,
+  trigger: String(basket.trigger).toUpperCase(),
+  echoes: (basket.echoes || []).map(echo => String(echo).toUpperCase()),
+  sectorEtf: resolveSectorEtf(basket),
+  thresholds: { ...DEFAULT_THRESHOLDS, ...(basket.thresholds || {}) }
+}));
+
+// Echo horizons in trading days after the trigger report
+const DEFAULT_ECHO_HORIZONS = [1, 2, 3, 5, 10];
 
-// Fundamental echo thresholds
-const BEAT_THRESHOLD = 2.0;  // surprisePercent > 2.0% = Beat
-const MISS_THRESHOLD = -2.0; // surprisePercent < -2.0% = Miss
-const MAX_GAP_DAYS_WARNING = 45; // Flag if earnings >45 days apart in same quarter
-const MIN_SAMPLE_SIZE = 4; // Minimum samples for stats calculation
+/**
+ * Parse a comma-separated horizon list ("1,3,5") into sorted unique positive integers
+ * @param {string|undefined} value - Raw horizon list
+ * @returns {Array<number>|null} - Horizons, or null when nothing valid was given
+ */
+function parseHorizons(value) {
+  if (!value) return null;
+  const horizons = [...new Set(
+    String(value)
+      .split(',')
+      .map(v => parseInt(v.trim(), 10))
+      .filter(h => Number.isInteger(h) && h > 0)
+  )].sort((a, b) => a - b);
+  return horizons.length > 0 ? horizons : null;
+}
 
 /**
- * Get API keys from environment
+ * Resolve echo horizons for this run: --horizons flag, then ECHO_HORIZONS, then defaults
+ * @returns {Array<number>}
  */
-function getApiKeys() {
-  const tiingoKey = process.env.TIINGO_API_KEY;
+function getEchoHorizons() {
+  const flag = process.argv.find(arg => arg.startsWith('--horizons='));
+  return parseHorizons(flag?.slice('--horizons='.length)) ||
+    parseHorizons(process.env.ECHO_HORIZONS) ||
+    DEFAULT_ECHO_HORIZONS;
+}
 
-  if (!tiingoKey) {
-    console.warn('Warning: TIINGO_API_KEY not set; price reaction fields will remain null.');
-  }
+const ECHO_HORIZONS = getEchoHorizons();
 
-  return { tiingoKey };
-}
+// Abnormal return model: factor betas are estimated on daily returns over
+// ESTIMATION_WINDOW_DAYS trading days ending ESTIMATION_GAP_DAYS before the event
+const ESTIMATION_WINDOW_DAYS = 120;
+const ESTIMATION_GAP_DAYS = 5;
+const MIN_ESTIMATION_OBS = 40;
+
+// Significance: Wilson z for 95% intervals, resampling counts, and the
+// permutation p-value above which an edge is reported as likely noise
+const WILSON_Z = 1.96;
+const BOOTSTRAP_ITERATIONS = 2000;
+const PERMUTATION_ITERATIONS = 2000;
+const SIGNIFICANCE_LEVEL = 0.05;
+const RANDOM_SEED = 20240101; // Fixed so re-runs produce identical JSON
+
+// Fundamental echo thresholds
+const MAX_GAP_DAYS_WARNING = 45; // Flag if earnings >45 days apart in same quarter
+const MIN_SAMPLE_SIZE = 4; // Minimum samples for stats calculation
 
 // ========================================
-// TIINGO CLIENT (Phase 2)
+// PRICE CLIENT (Phase 2)
 // ========================================
 
 /**
- * Create a Tiingo API client
- * @param {string} apiKey - Tiingo API key
+ * Load the shared price provider layer (api/_lib/priceProviders.js, ESM)
+ * Provider is chosen with PRICE_PROVIDER=tiingo|finnhub|file|fixture
+ * @returns {Promise<object>} Configured provider
+ */
+async function loadPriceProvider() {
+  const { getPriceProvider } = await import('../api/_lib/priceProviders.js');
+  return getPriceProvider();
+}
+
+/**
+ * Create a price client on top of a price provider
+ * @param {object} provider - Provider from api/_lib/priceProviders.js
  * @returns {object} Client with fetchDailyCloses method
  */
-function createTiingoClient(apiKey) {
+function createPriceClient(provider) {
   return {
     /**
-     * Fetch daily close prices from Tiingo API
+     * Fetch daily close prices from the provider
      * @param {string} symbol - Stock symbol
      * @param {string} startDate - Start date (YYYY-MM-DD)
      * @param {string} endDate - End date (YYYY-MM-DD)
      * @returns {Promise<Array<{date: string, close: number}>>} Sorted by date ascending
      */
     async fetchDailyCloses(symbol, startDate, endDate) {
-      const url = `${TIINGO_BASE_URL}/${symbol}/prices?startDate=${startDate}&endDate=${endDate}&token=${apiKey}`;
-
       try {
-        const response = await axios.get(url);
-        if (!response.data || !Array.isArray(response.data)) {
-          console.warn(`  Tiingo returned no data for ${symbol}`);
-          return [];
-        }
-        return response.data
-          .map(d => ({
-            date: d.date.slice(0, 10),  // "YYYY-MM-DD"
-            close: d.close
-          }))
-          .sort((a, b) => a.date.localeCompare(b.date));
+        const bars = await provider.fetchDailyBars(symbol, { startDate, endDate });
+        return bars.map(bar => ({ date: bar.date, close: bar.close }));
       } catch (error) {
-        console.warn(`  Tiingo error for ${symbol}: ${error.message}`);
+        console.warn(`  ${provider.name} error for ${symbol}: ${error.message}`);
         return [];
       }
     }
@@ -152,50 +219,325 @@ function computePriceReactionFromCloses(closes, earningsDate) {
 }
 
 /**
- * Build a cache of daily closes for all symbols used in STOCK_PAIRS
+ * Compute close-to-close moves N trading days after an anchor date (pure function)
+ * The base is the close on the anchor date (or the first trading day after it),
+ * so horizon 1 matches day1MovePercent
+ * @param {Array<{date: string, close: number}>} closes - Sorted by date ascending
+ * @param {string} anchorDate - Anchor date (YYYY-MM-DD), usually the trigger earnings date
+ * @param {Array<number>} horizons - Trading-day horizons
+ * @returns {object} - Map of horizon → move percent (null when closes are missing)
+ */
+function computeHorizonMovesFromCloses(closes, anchorDate, horizons = ECHO_HORIZONS) {
+  const moves = emptyHorizonMoves(horizons);
+
+  if (!closes || closes.length === 0 || !anchorDate) {
+    return moves;
+  }
+
+  const day0Index = closes.findIndex(c => c.date >= anchorDate);
+  if (day0Index === -1) {
+    return moves;
+  }
+
+  const base = closes[day0Index].close;
+  for (const horizon of horizons) {
+    const target = closes[day0Index + horizon];
+    if (target && base) {
+      moves[horizon] = Math.round(((target.close - base) / base) * 100 * 100) / 100;
+    }
+  }
+
+  return moves;
+}
+
+/**
+ * Build a horizon → null map
+ * @param {Array<number>} horizons - Trading-day horizons
+ * @returns {object}
+ */
+function emptyHorizonMoves(horizons = ECHO_HORIZONS) {
+  return Object.fromEntries(horizons.map(h => [h, null]));
+}
+
+/**
+ * Average several horizon → move maps, skipping nulls per horizon
+ * @param {Array<object>} moveMaps - Horizon → move maps
+ * @param {Array<number>} horizons - Trading-day horizons
+ * @returns {object} - Horizon → average move (null when no map has data)
+ */
+function averageHorizonMoves(moveMaps, horizons = ECHO_HORIZONS) {
+  const averaged = emptyHorizonMoves(horizons);
+  for (const horizon of horizons) {
+    const moves = moveMaps
+      .map(m => m?.[horizon])
+      .filter(m => m !== null && m !== undefined);
+    if (moves.length > 0) {
+      averaged[horizon] = Math.round((moves.reduce((a, b) => a + b, 0) / moves.length) * 100) / 100;
+    }
+  }
+  return averaged;
+}
+
+// ========================================
+// ABNORMAL (MARKET-ADJUSTED) RETURNS
+// ========================================
+
+/**
+ * Build daily percent returns from closes (pure function)
+ * @param {Array<{date: string, close: number}>} closes - Sorted by date ascending
+ * @returns {Map<string, number>} - Date → return percent vs the previous close
+ */
+function buildReturnSeries(closes) {
+  const returns = new Map();
+  for (let i = 1; i < (closes || []).length; i++) {
+    const prev = closes[i - 1].close;
+    if (prev) {
+      returns.set(closes[i].date, ((closes[i].close - prev) / prev) * 100);
+    }
+  }
+  return returns;
+}
+
+/**
+ * Solve a small linear system A·x = b with Gaussian elimination
+ * @param {Array<Array<number>>} A - Square matrix
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>|null} - Solution, or null if the system is singular
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    // Partial pivoting
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Estimate the factor model r_echo = alpha + Σ beta_i · r_factor_i by OLS
+ * on the estimation window before the anchor date
+ * @param {Map<string, number>} echoReturns - Echo daily returns
+ * @param {Array<Map<string, number>>} factorReturns - Factor daily returns (SPY first, then sector ETF)
+ * @param {string} anchorDate - Event date (YYYY-MM-DD)
+ * @returns {{alpha: number, betas: Array<number>, observations: number}|null}
+ */
+function estimateFactorModel(echoReturns, factorReturns, anchorDate) {
+  const priorDates = Array.from(echoReturns.keys()).filter(date => date < anchorDate).sort();
+  const end = priorDates.length - ESTIMATION_GAP_DAYS;
+  if (end <= 0) return null;
+
+  const windowDates = priorDates
+    .slice(Math.max(0, end - ESTIMATION_WINDOW_DAYS), end)
+    .filter(date => factorReturns.every(f => f.has(date)));
+
+  if (windowDates.length < MIN_ESTIMATION_OBS) return null;
+
+  // Normal equations X'X · coef = X'y with an intercept column
+  const k = factorReturns.length + 1;
+  const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+  const xty = new Array(k).fill(0);
+
+  for (const date of windowDates) {
+    const x = [1, ...factorReturns.map(f => f.get(date))];
+    const y = echoReturns.get(date);
+    for (let i = 0; i < k; i++) {
+      xty[i] += x[i] * y;
+      for (let j = 0; j < k; j++) {
+        xtx[i][j] += x[i] * x[j];
+      }
+    }
+  }
+
+  const coef = solveLinearSystem(xtx, xty);
+  if (!coef) return null;
+
+  return {
+    alpha: coef[0],
+    betas: coef.slice(1),
+    observations: windowDates.length
+  };
+}
+
+/**
+ * Compute cumulative abnormal echo returns N trading days after an anchor date
+ * Each day's abnormal return is the echo return minus the factor model's
+ * expected return; horizon N sums days D+1..D+N, mirroring computeHorizonMovesFromCloses
+ * @param {Array<{date: string, close: number}>} echoCloses - Echo closes
+ * @param {Array<Array<{date: string, close: number}>>} factorCloses - SPY closes, then sector ETF closes (optional)
+ * @param {string} anchorDate - Anchor date (YYYY-MM-DD), usually the trigger earnings date
+ * @param {Array<number>} horizons - Trading-day horizons
+ * @returns {{moves: object, model: object|null}}
+ */
+function computeAbnormalHorizonMoves(echoCloses, factorCloses, anchorDate, horizons = ECHO_HORIZONS) {
+  const moves = emptyHorizonMoves(horizons);
+  const usableFactors = (factorCloses || []).filter(closes => closes && closes.length > 0);
+
+  if (!echoCloses || echoCloses.length === 0 || !anchorDate || usableFactors.length === 0) {
+    return { moves, model: null };
+  }
+
+  const echoReturns = buildReturnSeries(echoCloses);
+  const factorReturns = usableFactors.map(buildReturnSeries);
+  const fit = estimateFactorModel(echoReturns, factorReturns, anchorDate);
+  if (!fit) {
+    return { moves, model: null };
+  }
+
+  const day0Index = echoCloses.findIndex(c => c.date >= anchorDate);
+  if (day0Index === -1) {
+    return { moves, model: null };
+  }
+
+  let cumulative = 0;
+  const maxHorizon = Math.max(...horizons);
+  for (let step = 1; step <= maxHorizon; step++) {
+    const day = echoCloses[day0Index + step];
+    if (!day || !factorReturns.every(f => f.has(day.date))) break;
+
+    const expected = fit.alpha + fit.betas.reduce((sum, beta, i) => sum + beta * factorReturns[i].get(day.date), 0);
+    cumulative += echoReturns.get(day.date) - expected;
+
+    if (horizons.includes(step)) {
+      moves[step] = Math.round(cumulative * 100) / 100;
+    }
+  }
+
+  return {
+    moves,
+    model: {
+      alpha: Math.round(fit.alpha * 1000) / 1000,
+      betaMarket: Math.round(fit.betas[0] * 100) / 100,
+      betaSector: fit.betas.length > 1 ? Math.round(fit.betas[1] * 100) / 100 : null,
+      observations: fit.observations
+    }
+  };
+}
+
+/**
+ * Get the factor closes (market, then sector ETF when present) for a pair or basket
+ * @param {Map<string, Array>} closesBySymbol - Cached closes per symbol
+ * @param {string|null} sectorEtf - Sector ETF symbol
+ * @returns {Array<Array<{date: string, close: number}>>}
+ */
+function getFactorCloses(closesBySymbol, sectorEtf) {
+  const factors = [closesBySymbol.get(BENCHMARKS.market) || []];
+  if (sectorEtf && closesBySymbol.has(sectorEtf)) {
+    factors.push(closesBySymbol.get(sectorEtf));
+  }
+  return factors;
+}
+
+/**
+ * Summarize raw vs abnormal stats at the shortest horizon, side by side
+ * @param {object} horizonStats - Raw per-horizon stats
+ * @param {object} abnormalHorizonStats - Abnormal per-horizon stats
+ * @param {string|null} sectorEtf - Sector ETF used in the factor model
+ * @returns {object} - { horizon, market, sector, raw, abnormal }
+ */
+function buildMarketAdjustedSummary(horizonStats, abnormalHorizonStats, sectorEtf) {
+  const horizon = ECHO_HORIZONS[0];
+  return {
+    horizon,
+    market: BENCHMARKS.market,
+    sector: sectorEtf,
+    raw: horizonStats[horizon],
+    abnormal: abnormalHorizonStats[horizon]
+  };
+}
+
+/**
+ * Build a cache of daily closes for all symbols used in STOCK_PAIRS and STOCK_BASKETS
  * Fetches data once per symbol covering the full date range needed
- * @param {object|null} tiingoClient - Tiingo client or null
+ * @param {object|null} priceClient - Price client or null
  * @returns {Promise<Map<string, Array<{date: string, close: number}>>>}
  */
-async function buildClosesBySymbol(tiingoClient) {
+async function buildClosesBySymbol(priceClient) {
   const closesBySymbol = new Map();
 
-  if (!tiingoClient) {
+  if (!priceClient) {
     return closesBySymbol;
   }
 
-  // Collect all unique symbols
-  const symbols = new Set();
+  // Collect the reference dates each symbol needs prices around
+  const datesBySymbol = new Map();
+  const addDates = (symbol, dates) => {
+    if (!datesBySymbol.has(symbol)) datesBySymbol.set(symbol, []);
+    datesBySymbol.get(symbol).push(...dates);
+  };
+  const ownEarningsDates = symbol => (earningsDates[symbol] || []).map(e => e.date);
+
   for (const pair of STOCK_PAIRS) {
-    symbols.add(pair.trigger);
-    symbols.add(pair.echo);
+    addDates(pair.trigger, ownEarningsDates(pair.trigger));
+    addDates(pair.echo, ownEarningsDates(pair.echo));
+    // Multi-horizon echo moves are measured from the trigger's earnings dates
+    addDates(pair.echo, ownEarningsDates(pair.trigger));
+    // Factor returns for abnormal echo moves
+    addDates(BENCHMARKS.market, ownEarningsDates(pair.trigger));
+    if (pair.sectorEtf) addDates(pair.sectorEtf, ownEarningsDates(pair.trigger));
   }
 
-  console.log(`\nFetching price data for ${symbols.size} symbols...`);
+  for (const basket of STOCK_BASKETS) {
+    const triggerDates = ownEarningsDates(basket.trigger);
+    addDates(basket.trigger, triggerDates);
+    for (const echo of basket.echoes) {
+      // Basket legs react on the trigger's earnings dates
+      addDates(echo, triggerDates);
+    }
+    addDates(BENCHMARKS.market, triggerDates);
+    if (basket.sectorEtf) addDates(basket.sectorEtf, triggerDates);
+  }
+
+  const maxHorizon = Math.max(...ECHO_HORIZONS);
 
-  for (const symbol of symbols) {
-    const earnings = earningsDates[symbol];
-    if (!earnings || earnings.length === 0) {
+  console.log(`\nFetching price data for ${datesBySymbol.size} symbols...`);
+
+  for (const [symbol, symbolDates] of datesBySymbol) {
+    if (symbolDates.length === 0) {
       console.log(`  ${symbol}: No earnings dates, skipping`);
       continue;
     }
 
-    // Find earliest and latest earnings dates
-    const dates = earnings.map(e => e.date).sort();
+    // Find earliest and latest reference dates
+    const dates = [...symbolDates].sort();
     const earliestDate = dates[0];
     const latestDate = dates[dates.length - 1];
 
-    // Expand range: -7 days before earliest, +7 days after latest
+    // Expand range: before earliest enough calendar days for the beta estimation
+    // window, and after latest enough to cover the longest horizon
+    // (5 trading days ≈ 7 calendar days)
     const startDate = new Date(earliestDate);
-    startDate.setDate(startDate.getDate() - 7);
+    startDate.setDate(startDate.getDate() - 7 - Math.ceil((ESTIMATION_WINDOW_DAYS + ESTIMATION_GAP_DAYS) * 7 / 5));
     const endDate = new Date(latestDate);
-    endDate.setDate(endDate.getDate() + 7);
+    endDate.setDate(endDate.getDate() + 7 + Math.ceil(maxHorizon * 7 / 5));
 
     const startStr = startDate.toISOString().slice(0, 10);
     const endStr = endDate.toISOString().slice(0, 10);
 
     console.log(`  ${symbol}: Fetching ${startStr} to ${endStr}...`);
-    const closes = await tiingoClient.fetchDailyCloses(symbol, startStr, endStr);
+    const closes = await priceClient.fetchDailyCloses(symbol, startStr, endStr);
     closesBySymbol.set(symbol, closes);
     console.log(`  ${symbol}: Got ${closes.length} trading days`);
   }
@@ -210,15 +552,18 @@ async function buildClosesBySymbol(tiingoClient) {
  * @param {Map<string, Array>} closesBySymbol - Cached closes per symbol
  * @param {string} triggerSymbol - Trigger stock symbol
  * @param {string} echoSymbol - Echo stock symbol
+ * @param {string|null} sectorEtf - Sector ETF for the abnormal return model
+ * @param {Array<number>} horizons - Echo horizons in trading days
  * @returns {Array} Enriched history with price fields filled when possible
  */
-function enrichHistoryWithPriceReactions(history, matchedQuarters, closesBySymbol, triggerSymbol, echoSymbol) {
+function enrichHistoryWithPriceReactions(history, matchedQuarters, closesBySymbol, triggerSymbol, echoSymbol, sectorEtf = null, horizons = ECHO_HORIZONS) {
   if (closesBySymbol.size === 0) {
     return history;
   }
 
   const triggerCloses = closesBySymbol.get(triggerSymbol) || [];
   const echoCloses = closesBySymbol.get(echoSymbol) || [];
+  const factorCloses = getFactorCloses(closesBySymbol, sectorEtf);
 
   // Build a map from quarter to matchedQuarter for quick lookup
   const quarterMap = new Map();
@@ -236,12 +581,21 @@ function enrichHistoryWithPriceReactions(history, matchedQuarters, closesBySymbo
     // Compute echo price reaction
     const echoReaction = computePriceReactionFromCloses(echoCloses, mq.echoDate);
 
+    // Echo drift over each horizon after the trigger report
+    const echoHorizonMoves = computeHorizonMovesFromCloses(echoCloses, mq.triggerDate, horizons);
+
+    // Same horizons net of the SPY / sector ETF factor model
+    const abnormal = computeAbnormalHorizonMoves(echoCloses, factorCloses, mq.triggerDate, horizons);
+
     return {
       ...item,
       triggerDay0MovePercent: triggerReaction.day0MovePercent,
       triggerDay1MovePercent: triggerReaction.day1MovePercent,
       echoDay0MovePercent: echoReaction.day0MovePercent,
-      echoDay1MovePercent: echoReaction.day1MovePercent
+      echoDay1MovePercent: echoReaction.day1MovePercent,
+      echoHorizonMoves,
+      echoAbnormalHorizonMoves: abnormal.moves,
+      echoFactorModel: abnormal.model
     };
   });
 }
@@ -261,7 +615,8 @@ function calculatePriceEchoStats(history) {
       correlation: null,
       accuracy: null,
       avgEchoMove: null,
-      sampleSize: 0
+      sampleSize: 0,
+      ...calculateSignificance({ successes: 0, n: 0, triggers: [], echoes: [], hit: () => false })
     };
   }
 
@@ -295,14 +650,87 @@ function calculatePriceEchoStats(history) {
     avgEchoMove = Math.round((sum / nonNullEchoMoves.length) * 100) / 100;
   }
 
+  // Accuracy here is EPS result agreement, so the permutation test shuffles echo results
+  const significance = calculateSignificance({
+    successes: accurateCount,
+    n: sampleSize,
+    triggers: history.map(h => h.triggerResult),
+    echoes: history.map(h => h.echoResult),
+    hit: (triggerResult, echoResult) => Boolean(triggerResult && echoResult) && triggerResult === echoResult,
+    corrX: validForCorrelation.map(h => h.triggerSurprisePercent),
+    corrY: validForCorrelation.map(h => h.echoSurprisePercent)
+  });
+
   return {
     correlation,
     accuracy,
     avgEchoMove,
-    sampleSize
+    sampleSize,
+    ...significance
   };
 }
 
+/**
+ * Calculate per-horizon echo stats from history items carrying echoHorizonMoves
+ * - accuracy: % of samples passing isPatternAccurate at that horizon
+ * - correlation: trigger EPS surprise vs echo move at that horizon
+ * - avgEchoMove: average signed echo move at that horizon
+ * @param {Array} history - History items with triggerSurprisePercent and echoHorizonMoves
+ * @param {object} thresholds - Pair thresholds
+ * @param {Array<number>} horizons - Echo horizons in trading days
+ * @param {string} movesKey - History field holding the horizon moves
+ *   (echoHorizonMoves for raw, echoAbnormalHorizonMoves for market-adjusted)
+ * @returns {object} - Map of horizon → { accuracy, correlation, avgEchoMove, sampleSize }
+ */
+function calculateHorizonStats(history, thresholds = DEFAULT_THRESHOLDS, horizons = ECHO_HORIZONS, movesKey = 'echoHorizonMoves') {
+  const stats = {};
+
+  for (const horizon of horizons) {
+    const valid = history.filter(h =>
+      h.triggerSurprisePercent !== null &&
+      h.triggerSurprisePercent !== undefined &&
+      h[movesKey]?.[horizon] !== null &&
+      h[movesKey]?.[horizon] !== undefined
+    );
+
+    if (valid.length === 0) {
+      stats[horizon] = {
+        accuracy: null,
+        correlation: null,
+        avgEchoMove: null,
+        sampleSize: 0,
+        ...calculateSignificance({ successes: 0, n: 0, triggers: [], echoes: [], hit: () => false })
+      };
+      continue;
+    }
+
+    const surprises = valid.map(h => h.triggerSurprisePercent);
+    const moves = valid.map(h => h[movesKey][horizon]);
+
+    const accurateCount = valid.filter((h, i) => isPatternAccurate(surprises[i], moves[i], thresholds)).length;
+    const correlation = valid.length >= MIN_SAMPLE_SIZE ? calculateCorrelation(surprises, moves) : null;
+    const avgEchoMove = moves.reduce((a, b) => a + b, 0) / moves.length;
+
+    stats[horizon] = {
+      accuracy: Math.round((accurateCount / valid.length) * 100),
+      correlation: correlation !== null ? Math.round(correlation * 100) / 100 : null,
+      avgEchoMove: Math.round(avgEchoMove * 100) / 100,
+      sampleSize: valid.length,
+      ...calculateSignificance({
+        successes: accurateCount,
+        n: valid.length,
+        triggers: surprises,
+        echoes: moves,
+        hit: (surprise, move) => isPatternAccurate(surprise, move, thresholds),
+        corrX: surprises,
+        corrY: moves
+      })
+    };
+  }
+
+  return stats;
+}
+
 /**
  * Get earnings dates from static data (replaces API call)
  */
@@ -324,185 +752,6 @@ function getEarningsDates(symbol) {
 }
 
 
-/**
- * Fetch historical daily prices from Tiingo API
- * Returns array of {date, close} objects
- */
-async function fetchHistoricalPrices(symbol, startDate, endDate, tiingoKey) {
-  const url = `${TIINGO_BASE_URL}/${symbol}/prices`;
-
-  try {
-    const response = await axios.get(url, {
-      params: {
-        startDate,
-        endDate,
-        token: tiingoKey
-      },
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    return response.data || [];
-  } catch (error) {
-    console.error(`Error fetching Tiingo prices for ${symbol}:`, error.message);
-    return [];
-  }
-}
-
-/**
- * Fetch daily close prices from Tiingo API for a date range
- * Returns array of {date, close} objects sorted by date
- */
-async function fetchDailyCloses(symbol, startDate, endDate, tiingoKey) {
-  if (!tiingoKey) return [];
-
-  const url = `${TIINGO_BASE_URL}/${symbol}/prices?startDate=${startDate}&endDate=${endDate}&token=${tiingoKey}`;
-
-  try {
-    const response = await axios.get(url);
-    if (!response.data) {
-      console.warn(`Tiingo returned no data for ${symbol}`);
-      return [];
-    }
-    return response.data
-      .map(d => ({
-        date: d.date.slice(0, 10),
-        close: d.close
-      }))
-      .sort((a, b) => a.date.localeCompare(b.date));
-  } catch (error) {
-    console.warn(`Tiingo error for ${symbol}:`, error.message);
-    return [];
-  }
-}
-
-/**
- * Compute price reaction (Day 0 and Day +1 moves) for a stock around its earnings date
- * Returns { day0MovePercent, day1MovePercent } or nulls if data is missing
- */
-async function computePriceReaction(symbol, earningsDate, tiingoKey) {
-  if (!tiingoKey || !earningsDate) {
-    return { day0MovePercent: null, day1MovePercent: null };
-  }
-
-  try {
-    const d = new Date(earningsDate);
-    const start = new Date(d);
-    start.setDate(start.getDate() - 7);
-    const end = new Date(d);
-    end.setDate(end.getDate() + 7);
-
-    const startStr = start.toISOString().slice(0, 10);
-    const endStr = end.toISOString().slice(0, 10);
-
-    const closes = await fetchDailyCloses(symbol, startStr, endStr, tiingoKey);
-    if (!closes.length) {
-      return { day0MovePercent: null, day1MovePercent: null };
-    }
-
-    // Find earnings day index - exact match first
-    let idx = closes.findIndex(c => c.date === earningsDate);
-    // If no exact match (weekend/holiday), find first trading day after
-    if (idx === -1) {
-      idx = closes.findIndex(c => c.date > earningsDate);
-    }
-    if (idx === -1) {
-      return { day0MovePercent: null, day1MovePercent: null };
-    }
-
-    const day0 = closes[idx];
-    const prev = closes[idx - 1];
-    const next = closes[idx + 1];
-
-    if (!prev) {
-      return { day0MovePercent: null, day1MovePercent: null };
-    }
-
-    const day0MovePercent = ((day0.close / prev.close) - 1) * 100;
-    const day1MovePercent = next ? ((next.close / day0.close) - 1) * 100 : null;
-
-    return {
-      day0MovePercent: Math.round(day0MovePercent * 100) / 100,
-      day1MovePercent: day1MovePercent !== null ? Math.round(day1MovePercent * 100) / 100 : null
-    };
-  } catch (error) {
-    console.warn(`Error computing price reaction for ${symbol} on ${earningsDate}:`, error.message);
-    return { day0MovePercent: null, day1MovePercent: null };
-  }
-}
-
-/**
- * Build a date→price map from Tiingo response
- * Keys are YYYY-MM-DD format
- */
-function buildPriceMap(priceData) {
-  const priceMap = new Map();
-
-  for (const item of priceData) {
-    // Tiingo returns date as "2024-10-24T00:00:00.000Z"
-    const dateStr = item.date.split('T')[0];
-    priceMap.set(dateStr, item.close);
-  }
-
-  return priceMap;
-}
-
-/**
- * Get sorted list of trading dates from price map
- */
-function getSortedDates(priceMap) {
-  return Array.from(priceMap.keys()).sort();
-}
-
-/**
- * Find the next trading day after a given date
- */
-function findNextTradingDay(dateStr, sortedDates) {
-  const targetDate = new Date(dateStr);
-
-  for (const tradingDate of sortedDates) {
-    const d = new Date(tradingDate);
-    if (d > targetDate) {
-      return tradingDate;
-    }
-  }
-
-  return null;
-}
-
-/**
- * Calculate T+1 price movement for echo stock using price map
- * Returns percentage change from earnings day close (D) to next day close (D+1)
- */
-function calculateEchoMove(earningsDate, priceMap, sortedDates) {
-  // Get the price on earnings date (D)
-  const preClose = priceMap.get(earningsDate);
-
-  if (preClose === undefined) {
-    console.log(`    Warning: No price data for earnings date ${earningsDate}`);
-    return null;
-  }
-
-  // Find D+1 (next trading day)
-  const nextDay = findNextTradingDay(earningsDate, sortedDates);
-
-  if (!nextDay) {
-    console.log(`    Warning: No next trading day found after ${earningsDate}`);
-    return null;
-  }
-
-  const t1Close = priceMap.get(nextDay);
-
-  if (t1Close === undefined) {
-    console.log(`    Warning: No price data for D+1 ${nextDay}`);
-    return null;
-  }
-
-  // Calculate echo move percent
-  return ((t1Close / preClose) - 1) * 100;
-}
-
 /**
  * Determine trigger result (Beat, Miss, Inline)
  */
@@ -548,12 +797,12 @@ function getYearQuarterKey(dateStr) {
 
 /**
  * Determine earnings result based on surprise percentage
- * Beat: > 2%, Miss: < -2%, Inline: -2% to 2%
+ * Beat: > 2%, Miss: < -2%, Inline: -2% to 2% (defaults, see pair registry)
  */
-function getEarningsResult(surprisePercent) {
+function getEarningsResult(surprisePercent, thresholds = DEFAULT_THRESHOLDS) {
   if (surprisePercent === null || surprisePercent === undefined) return null;
-  if (surprisePercent > BEAT_THRESHOLD) return 'Beat';
-  if (surprisePercent < MISS_THRESHOLD) return 'Miss';
+  if (surprisePercent > thresholds.beatPercent) return 'Beat';
+  if (surprisePercent < thresholds.missPercent) return 'Miss';
   return 'Inline';
 }
 
@@ -675,7 +924,11 @@ function calculateFundamentalEchoStats(matchedQuarters) {
       directionAgreement: null,
       fundamentalCorrelation: null,
       avgGapDays: 0,
-      sampleSize: 0
+      sampleSize: 0,
+      directionAgreementCI: null,
+      beatFollowsBeatCI: null,
+      edgeVsRandom: null,
+      likelyNoise: true
     };
   }
 
@@ -715,6 +968,15 @@ function calculateFundamentalEchoStats(matchedQuarters) {
 
   const sampleSize = matchedQuarters.length;
 
+  // Edge vs random: shuffle echo results across quarters and re-count same-direction hits
+  const sameDirection = (t, e) => (t === 'beat' && e === 'beat') || (t === 'miss' && e === 'miss');
+  const edgeVsRandom = permutationEdge(
+    matchedQuarters.map(q => q.triggerResult),
+    matchedQuarters.map(q => q.echoResult),
+    sameDirection,
+    createSeededRandom()
+  );
+
   return {
     beatFollowsBeat: triggerBeatCount > 0 ?
       Math.round((echoBeatGivenTriggerBeat / triggerBeatCount) * 100) : null,
@@ -724,21 +986,26 @@ function calculateFundamentalEchoStats(matchedQuarters) {
       Math.round((sameDirectionCount / sampleSize) * 100) : null,
     fundamentalCorrelation: null,
     avgGapDays: sampleSize > 0 ? Math.round(totalGapDays / sampleSize) : 0,
-    sampleSize: sampleSize
+    sampleSize: sampleSize,
+    directionAgreementCI: wilsonInterval(sameDirectionCount, sampleSize),
+    beatFollowsBeatCI: wilsonInterval(echoBeatGivenTriggerBeat, triggerBeatCount),
+    edgeVsRandom,
+    likelyNoise: !edgeVsRandom || edgeVsRandom.pValue >= SIGNIFICANCE_LEVEL
   };
 }
 
 /**
  * Check if pattern was accurate
  * - Trigger surprise >= 2% AND echo move >= 1.5% AND same direction
+ *   (defaults, see pair registry)
  */
-function isPatternAccurate(triggerSurprisePercent, echoMovePercent) {
+function isPatternAccurate(triggerSurprisePercent, echoMovePercent, thresholds = DEFAULT_THRESHOLDS) {
   const absTrigerSurprise = Math.abs(triggerSurprisePercent);
   const absEchoMove = Math.abs(echoMovePercent);
 
   // Check thresholds
-  if (absTrigerSurprise < TRIGGER_SURPRISE_THRESHOLD) return false;
-  if (absEchoMove < ECHO_MOVE_THRESHOLD) return false;
+  if (absTrigerSurprise < thresholds.triggerSurprisePercent) return false;
+  if (absEchoMove < thresholds.echoMovePercent) return false;
 
   // Check same direction
   const sameDirection = (triggerSurprisePercent >= 0 && echoMovePercent >= 0) ||
@@ -781,10 +1048,189 @@ function calculateCorrelation(x, y) {
   return numerator / denominator;
 }
 
+// ========================================
+// STATISTICAL SIGNIFICANCE
+// ========================================
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so resampling is reproducible
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} - Uniform [0, 1) generator
+ */
+function createSeededRandom(seed = RANDOM_SEED) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle of a copy of the array
+ * @param {Array} values - Values to shuffle
+ * @param {function(): number} random - Uniform generator
+ * @returns {Array}
+ */
+function shuffled(values, random) {
+  const copy = [...values];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Wilson score interval for a proportion, in percent
+ * @param {number} successes - Number of hits
+ * @param {number} n - Number of trials
+ * @returns {{lower: number, upper: number}|null}
+ */
+function wilsonInterval(successes, n) {
+  if (!n) return null;
+
+  const p = successes / n;
+  const z2 = WILSON_Z * WILSON_Z;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const margin = (WILSON_Z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denominator;
+
+  return {
+    lower: Math.round(Math.max(0, center - margin) * 1000) / 10,
+    upper: Math.round(Math.min(1, center + margin) * 1000) / 10
+  };
+}
+
+/**
+ * Percentile bootstrap 95% CI for Pearson correlation (resampling pairs)
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series
+ * @param {function(): number} random - Uniform generator
+ * @returns {{lower: number, upper: number}|null}
+ */
+function bootstrapCorrelationCI(x, y, random) {
+  if (x.length < MIN_SAMPLE_SIZE) return null;
+
+  const n = x.length;
+  const samples = [];
+  for (let iter = 0; iter < BOOTSTRAP_ITERATIONS; iter++) {
+    const bx = [];
+    const by = [];
+    for (let i = 0; i < n; i++) {
+      const j = Math.floor(random() * n);
+      bx.push(x[j]);
+      by.push(y[j]);
+    }
+    const r = calculateCorrelation(bx, by);
+    if (r !== null) samples.push(r);
+  }
+
+  if (samples.length === 0) return null;
+  samples.sort((a, b) => a - b);
+
+  const at = q => samples[Math.min(samples.length - 1, Math.floor(q * samples.length))];
+  return {
+    lower: Math.round(at(0.025) * 100) / 100,
+    upper: Math.round(at(0.975) * 100) / 100
+  };
+}
+
+/**
+ * Two-sided permutation p-value for Pearson correlation
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series
+ * @param {function(): number} random - Uniform generator
+ * @returns {number|null}
+ */
+function permutationCorrelationPValue(x, y, random) {
+  if (x.length < MIN_SAMPLE_SIZE) return null;
+
+  const observed = calculateCorrelation(x, y);
+  if (observed === null) return null;
+
+  let extreme = 0;
+  for (let iter = 0; iter < PERMUTATION_ITERATIONS; iter++) {
+    const r = calculateCorrelation(x, shuffled(y, random));
+    if (r !== null && Math.abs(r) >= Math.abs(observed) - 1e-12) extreme++;
+  }
+
+  // +1 smoothing so p is never exactly 0
+  return Math.round(((extreme + 1) / (PERMUTATION_ITERATIONS + 1)) * 1000) / 1000;
+}
+
+/**
+ * Permutation test "edge vs random": shuffle which echo outcome goes with which
+ * trigger outcome and compare the hit rate against the shuffled hit rates
+ * @param {Array} triggers - Trigger-side values (surprise or result)
+ * @param {Array} echoes - Echo-side values (move or result), aligned with triggers
+ * @param {function(any, any): boolean} hit - Whether a trigger/echo pair counts as a hit
+ * @param {function(): number} random - Uniform generator
+ * @returns {{observedAccuracy: number, randomAccuracy: number, edge: number, pValue: number, permutations: number}|null}
+ */
+function permutationEdge(triggers, echoes, hit, random) {
+  if (triggers.length < MIN_SAMPLE_SIZE) return null;
+
+  const hitRate = ys => triggers.filter((t, i) => hit(t, ys[i])).length / triggers.length;
+  const observed = hitRate(echoes);
+
+  let atLeastAsGood = 0;
+  let total = 0;
+  for (let iter = 0; iter < PERMUTATION_ITERATIONS; iter++) {
+    const rate = hitRate(shuffled(echoes, random));
+    total += rate;
+    if (rate >= observed - 1e-12) atLeastAsGood++;
+  }
+
+  const randomAccuracy = total / PERMUTATION_ITERATIONS;
+  return {
+    observedAccuracy: Math.round(observed * 100),
+    randomAccuracy: Math.round(randomAccuracy * 100),
+    edge: Math.round((observed - randomAccuracy) * 100),
+    pValue: Math.round(((atLeastAsGood + 1) / (PERMUTATION_ITERATIONS + 1)) * 1000) / 1000,
+    permutations: PERMUTATION_ITERATIONS
+  };
+}
+
+/**
+ * Build significance fields for an accuracy/correlation stats block
+ * @param {object} params
+ * @param {number} params.successes - Hits behind the accuracy figure
+ * @param {number} params.n - Samples behind the accuracy figure
+ * @param {Array} params.triggers - Trigger-side values for the permutation test
+ * @param {Array} params.echoes - Echo-side values for the permutation test
+ * @param {function(any, any): boolean} params.hit - Hit rule for the permutation test
+ * @param {Array<number>} [params.corrX] - Correlation series X
+ * @param {Array<number>} [params.corrY] - Correlation series Y
+ * @returns {object} - { accuracyCI, correlationCI, correlationPValue, edgeVsRandom, likelyNoise }
+ */
+function calculateSignificance({ successes, n, triggers, echoes, hit, corrX = [], corrY = [] }) {
+  // Fresh generator per block keeps each block reproducible on its own
+  const random = createSeededRandom();
+
+  const accuracyCI = wilsonInterval(successes, n);
+  const correlationCI = bootstrapCorrelationCI(corrX, corrY, random);
+  const correlationPValue = permutationCorrelationPValue(corrX, corrY, random);
+  const edgeVsRandom = permutationEdge(triggers, echoes, hit, random);
+
+  return {
+    accuracyCI,
+    correlationCI,
+    correlationPValue,
+    edgeVsRandom,
+    // Without a permutation test (n < MIN_SAMPLE_SIZE) there is no evidence of an edge
+    likelyNoise: !edgeVsRandom || edgeVsRandom.pValue >= SIGNIFICANCE_LEVEL
+  };
+}
+
 /**
  * Calculate statistics for a stock pair
+ * @param {Array} history - Items with triggerSurprisePercent, echoMovePercent and accurate
+ * @param {object} thresholds - Thresholds used for the permutation hit rule
  */
-function calculateStats(history) {
+function calculateStats(history, thresholds = DEFAULT_THRESHOLDS) {
   const validEntries = history.filter(h =>
     h.triggerSurprisePercent !== null &&
     h.echoMovePercent !== null
@@ -795,7 +1241,8 @@ function calculateStats(history) {
       correlation: null,
       accuracy: 0,
       avgEchoMove: 0,
-      sampleSize: 0
+      sampleSize: 0,
+      ...calculateSignificance({ successes: 0, n: 0, triggers: [], echoes: [], hit: () => false })
     };
   }
 
@@ -818,7 +1265,16 @@ function calculateStats(history) {
     correlation: correlation !== null ? Math.round(correlation * 100) / 100 : null,
     accuracy: Math.round(accuracy * 10) / 10,
     avgEchoMove: Math.round(avgEchoMove * 10) / 10,
-    sampleSize: validEntries.length
+    sampleSize: validEntries.length,
+    ...calculateSignificance({
+      successes: accurateCount,
+      n: validEntries.length,
+      triggers: triggerSurprises,
+      echoes: echoMoves,
+      hit: (surprise, move) => isPatternAccurate(surprise, move, thresholds),
+      corrX: triggerSurprises,
+      corrY: echoMoves
+    })
   };
 }
 
@@ -837,12 +1293,10 @@ async function processStockPair(pair, closesBySymbol) {
 
   const emptyPriceEcho = {
     history: [],
-    stats: {
-      correlation: null,
-      accuracy: 0,
-      avgEchoMove: 0,
-      sampleSize: 0
-    }
+    stats: calculateStats([], pair.thresholds),
+    horizonStats: calculateHorizonStats([], pair.thresholds),
+    abnormalHorizonStats: calculateHorizonStats([], pair.thresholds),
+    marketAdjusted: null
   };
 
   const emptyFundamentalEcho = {
@@ -921,6 +1375,9 @@ async function processStockPair(pair, closesBySymbol) {
       echoSurprisePercent: q.echoSurprisePercent ?? null,
       echoDay0MovePercent: null,
       echoDay1MovePercent: null,
+      echoHorizonMoves: emptyHorizonMoves(),
+      echoAbnormalHorizonMoves: emptyHorizonMoves(),
+      echoFactorModel: null,
       accurate: q.agreement === true
     });
   }
@@ -933,7 +1390,8 @@ async function processStockPair(pair, closesBySymbol) {
       matchedQuarters,
       closesBySymbol,
       pair.trigger,
-      pair.echo
+      pair.echo,
+      pair.sectorEtf
     );
   }
 
@@ -950,14 +1408,208 @@ async function processStockPair(pair, closesBySymbol) {
   const priceEchoStats = calculatePriceEchoStats(priceEchoHistory);
   console.log(`  Price Echo Stats: Correlation=${priceEchoStats.correlation}, Accuracy=${priceEchoStats.accuracy}%, AvgEchoMove=${priceEchoStats.avgEchoMove}%, Samples=${priceEchoStats.sampleSize}`);
 
+  const horizonStats = calculateHorizonStats(priceEchoHistory, pair.thresholds);
+  const abnormalHorizonStats = calculateHorizonStats(priceEchoHistory, pair.thresholds, ECHO_HORIZONS, 'echoAbnormalHorizonMoves');
+  for (const [horizon, hs] of Object.entries(horizonStats)) {
+    const ab = abnormalHorizonStats[horizon];
+    console.log(`  Horizon ${horizon}D: Raw Accuracy=${hs.accuracy}% Correlation=${hs.correlation} | Abnormal Accuracy=${ab.accuracy}% Correlation=${ab.correlation}, Samples=${hs.sampleSize}/${ab.sampleSize}`);
+  }
+
   const priceEcho = {
     history: priceEchoHistory,
-    stats: priceEchoStats
+    stats: priceEchoStats,
+    horizonStats,
+    abnormalHorizonStats,
+    marketAdjusted: buildMarketAdjustedSummary(horizonStats, abnormalHorizonStats, pair.sectorEtf)
   };
 
   return { priceEcho, fundamentalEcho };
 }
 
+/**
+ * Build the price echo history for one basket leg
+ * Each trigger earnings date is a sample; the echo move is the leg's Day+1
+ * close-to-close move after the trigger report, so ETF legs work as well
+ * @param {Array} triggerEarnings - Trigger earnings from getEarningsDates
+ * @param {Array<{date: string, close: number}>} triggerCloses - Trigger closes
+ * @param {Array<{date: string, close: number}>} echoCloses - Echo leg closes
+ * @param {object} thresholds - Basket thresholds
+ * @param {Array<Array>} factorCloses - SPY closes, then sector ETF closes (optional)
+ * @returns {Array} Leg history, most recent first
+ */
+function buildBasketLegHistory(triggerEarnings, triggerCloses, echoCloses, thresholds, factorCloses = []) {
+  return [...triggerEarnings]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(earning => {
+      const triggerSurprisePercent = calculateSurprisePercent(earning);
+      const triggerReaction = computePriceReactionFromCloses(triggerCloses, earning.date);
+      const echoReaction = computePriceReactionFromCloses(echoCloses, earning.date);
+      const echoMovePercent = echoReaction.day1MovePercent;
+      const echoHorizonMoves = computeHorizonMovesFromCloses(echoCloses, earning.date);
+      const abnormal = computeAbnormalHorizonMoves(echoCloses, factorCloses, earning.date);
+
+      return {
+        quarter: getQuarterFromDate(earning.date),
+        date: earning.date,
+        triggerResult: earning.result || null,
+        triggerSurprisePercent: triggerSurprisePercent !== null ? Math.round(triggerSurprisePercent * 10) / 10 : null,
+        triggerDay0MovePercent: triggerReaction.day0MovePercent,
+        triggerDay1MovePercent: triggerReaction.day1MovePercent,
+        echoDay0MovePercent: echoReaction.day0MovePercent,
+        echoDay1MovePercent: echoReaction.day1MovePercent,
+        echoMovePercent,
+        echoHorizonMoves,
+        echoAbnormalHorizonMoves: abnormal.moves,
+        echoFactorModel: abnormal.model,
+        accurate: triggerSurprisePercent !== null && echoMovePercent !== null
+          ? isPatternAccurate(triggerSurprisePercent, echoMovePercent, thresholds)
+          : null
+      };
+    });
+}
+
+/**
+ * Aggregate leg histories into a basket history
+ * The basket move for a quarter is the average move of the legs with price data
+ * @param {object} legHistories - Map of echo symbol → leg history
+ * @param {object} thresholds - Basket thresholds
+ * @returns {Array} Basket history, most recent first
+ */
+function buildBasketHistory(legHistories, thresholds) {
+  const byDate = new Map();
+
+  for (const [echo, history] of Object.entries(legHistories)) {
+    for (const h of history) {
+      if (!byDate.has(h.date)) {
+        byDate.set(h.date, {
+          quarter: h.quarter,
+          date: h.date,
+          triggerResult: h.triggerResult,
+          triggerSurprisePercent: h.triggerSurprisePercent,
+          legMoves: {},
+          legHorizonMoves: {},
+          legAbnormalHorizonMoves: {}
+        });
+      }
+      byDate.get(h.date).legMoves[echo] = h.echoMovePercent;
+      byDate.get(h.date).legHorizonMoves[echo] = h.echoHorizonMoves || emptyHorizonMoves();
+      byDate.get(h.date).legAbnormalHorizonMoves[echo] = h.echoAbnormalHorizonMoves || emptyHorizonMoves();
+    }
+  }
+
+  return Array.from(byDate.values())
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(entry => {
+      const moves = Object.values(entry.legMoves).filter(m => m !== null);
+      const echoMovePercent = moves.length > 0
+        ? Math.round((moves.reduce((a, b) => a + b, 0) / moves.length) * 100) / 100
+        : null;
+
+      // Basket move per horizon: average of the legs with data at that horizon
+      const echoHorizonMoves = averageHorizonMoves(Object.values(entry.legHorizonMoves));
+      const echoAbnormalHorizonMoves = averageHorizonMoves(Object.values(entry.legAbnormalHorizonMoves));
+      const { legHorizonMoves, legAbnormalHorizonMoves, ...rest } = entry;
+
+      // Legs moving in the direction of the trigger surprise
+      const legsAgreeing = entry.triggerSurprisePercent !== null
+        ? moves.filter(m => (entry.triggerSurprisePercent >= 0) === (m >= 0)).length
+        : null;
+
+      return {
+        ...rest,
+        echoMovePercent,
+        echoHorizonMoves,
+        echoAbnormalHorizonMoves,
+        legsWithData: moves.length,
+        legsAgreeing,
+        accurate: entry.triggerSurprisePercent !== null && echoMovePercent !== null
+          ? isPatternAccurate(entry.triggerSurprisePercent, echoMovePercent, thresholds)
+          : null
+      };
+    });
+}
+
+/**
+ * Process a basket pattern - per-leg price echo plus aggregate basket stats
+ * @param {object} basket - Basket config from STOCK_BASKETS
+ * @param {Map} closesBySymbol - Cached closes per symbol (Phase 2)
+ */
+async function processStockBasket(basket, closesBySymbol) {
+  console.log(`\nProcessing basket ${basket.id} (${basket.trigger} → ${basket.echoes.join(', ')})...`);
+
+  const triggerEarnings = getEarningsDates(basket.trigger);
+  const triggerCloses = closesBySymbol.get(basket.trigger) || [];
+  const factorCloses = getFactorCloses(closesBySymbol, basket.sectorEtf);
+
+  const legs = {};
+  const legHistories = {};
+
+  for (const echo of basket.echoes) {
+    const history = buildBasketLegHistory(
+      triggerEarnings,
+      triggerCloses,
+      closesBySymbol.get(echo) || [],
+      basket.thresholds,
+      factorCloses
+    );
+    legHistories[echo] = history;
+
+    // Fundamental echo only applies to legs that report earnings themselves
+    let fundamentalEcho = null;
+    if (earningsDates[echo] && earningsDates[echo].length > 0) {
+      const matchedQuarters = matchQuarterlyEarnings(
+        basket.trigger, triggerEarnings,
+        echo, getEarningsDates(echo)
+      );
+      fundamentalEcho = {
+        matchedQuarters,
+        stats: calculateFundamentalEchoStats(matchedQuarters)
+      };
+    }
+
+    const stats = calculateStats(history, basket.thresholds);
+    console.log(`  Leg ${echo}: Correlation=${stats.correlation}, Accuracy=${stats.accuracy}%, AvgEchoMove=${stats.avgEchoMove}%, Samples=${stats.sampleSize}`);
+
+    const horizonStats = calculateHorizonStats(history, basket.thresholds);
+    const abnormalHorizonStats = calculateHorizonStats(history, basket.thresholds, ECHO_HORIZONS, 'echoAbnormalHorizonMoves');
+
+    legs[echo] = {
+      priceEcho: {
+        history,
+        stats,
+        horizonStats,
+        abnormalHorizonStats,
+        marketAdjusted: buildMarketAdjustedSummary(horizonStats, abnormalHorizonStats, basket.sectorEtf)
+      },
+      fundamentalEcho
+    };
+  }
+
+  const basketHistory = buildBasketHistory(legHistories, basket.thresholds);
+  const basketStats = {
+    ...calculateStats(basketHistory, basket.thresholds),
+    legCount: basket.echoes.length
+  };
+  console.log(`  Basket: Correlation=${basketStats.correlation}, Accuracy=${basketStats.accuracy}%, AvgEchoMove=${basketStats.avgEchoMove}%, Samples=${basketStats.sampleSize}`);
+
+  const basketHorizonStats = calculateHorizonStats(basketHistory, basket.thresholds);
+  const basketAbnormalHorizonStats = calculateHorizonStats(basketHistory, basket.thresholds, ECHO_HORIZONS, 'echoAbnormalHorizonMoves');
+
+  return {
+    type: 'basket',
+    trigger: basket.trigger,
+    echoes: basket.echoes,
+    legs,
+    basket: {
+      history: basketHistory,
+      stats: basketStats,
+      horizonStats: basketHorizonStats,
+      abnormalHorizonStats: basketAbnormalHorizonStats,
+      marketAdjusted: buildMarketAdjustedSummary(basketHorizonStats, basketAbnormalHorizonStats, basket.sectorEtf)
+    }
+  };
+}
+
 /**
  * Main function
  */
@@ -965,20 +1617,20 @@ async function main() {
   console.log('Stock Pattern History Calculator');
   console.log('=================================\n');
 
-  const { tiingoKey } = getApiKeys();
+  const provider = await loadPriceProvider();
   console.log('Starting analysis...');
   console.log('  - Earnings dates: Static data from src/data/earnings-dates.json');
-  console.log('  - Tiingo: For historical prices (Phase 2)');
+  console.log(`  - Prices: ${provider.name} provider (Phase 2)`);
+  console.log(`  - Echo horizons: ${ECHO_HORIZONS.join(', ')} trading days`);
 
-  // Phase 2: Create Tiingo client and build closes cache
-  let tiingoClient = null;
+  // Phase 2: Create price client and build closes cache
   let closesBySymbol = new Map();
 
-  if (tiingoKey) {
-    tiingoClient = createTiingoClient(tiingoKey);
-    closesBySymbol = await buildClosesBySymbol(tiingoClient);
+  if (provider.isConfigured()) {
+    closesBySymbol = await buildClosesBySymbol(createPriceClient(provider));
   } else {
-    console.log('\n  (Price reaction fields will remain null - set TIINGO_API_KEY to enable)');
+    console.warn(`Warning: ${provider.name} price provider not configured; price reaction fields will remain null.`);
+    console.log('\n  (Set TIINGO_API_KEY, or PRICE_PROVIDER=file with PRICE_DATA_DIR, to enable)');
   }
 
   const results = {};
@@ -987,26 +1639,53 @@ async function main() {
     results[pair.id] = await processStockPair(pair, closesBySymbol);
   }
 
-  // Write results to JSON file
+  for (const basket of STOCK_BASKETS) {
+    results[basket.id] = await processStockBasket(basket, closesBySymbol);
+  }
+
+  // Write results to JSON file, and the copy the API bundles (api/_data is never edited by hand)
   const outputPath = path.join(__dirname, '..', 'src', 'data', 'pattern-history.json');
+  const apiOutputPath = path.join(__dirname, '..', 'api', '_data', 'pattern-history.json');
 
   try {
-    fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+    const output = JSON.stringify(results, null, 2);
+    fs.writeFileSync(outputPath, output);
+    fs.writeFileSync(apiOutputPath, output);
     console.log(`\n=================================`);
-    console.log(`Results saved to: ${outputPath}`);
-    console.log(`Total pairs analyzed: ${Object.keys(results).length}`);
+    console.log(`Results saved to: ${outputPath} and ${apiOutputPath}`);
+    console.log(`Total pairs analyzed: ${STOCK_PAIRS.length}, baskets: ${STOCK_BASKETS.length}`);
 
     // Print summary table
     console.log(`\n=== SUMMARY ===`);
     console.log(`\nPrice Echo (trigger earnings → echo stock price movement):`);
     for (const [pairId, data] of Object.entries(results)) {
+      if (data.type === 'basket') continue;
       const stats = data.priceEcho?.stats || {};
       const avgMove = stats.avgEchoMove !== null ? `${stats.avgEchoMove}%` : 'null';
-      console.log(`  ${pairId}: Correlation=${stats.correlation}, Accuracy=${stats.accuracy}%, AvgEchoMove=${avgMove}, Samples=${stats.sampleSize}`);
+      const ci = stats.accuracyCI ? `[${stats.accuracyCI.lower}-${stats.accuracyCI.upper}]` : '[n/a]';
+      const edge = stats.edgeVsRandom ? `Edge=${stats.edgeVsRandom.edge}pp p=${stats.edgeVsRandom.pValue}` : 'Edge=n/a';
+      console.log(`  ${pairId}: Correlation=${stats.correlation} (p=${stats.correlationPValue}), Accuracy=${stats.accuracy}% ${ci}, ${edge}${stats.likelyNoise ? ' [likely noise]' : ''}, AvgEchoMove=${avgMove}, Samples=${stats.sampleSize}`);
+    }
+
+    console.log(`\nMarket-adjusted echo (raw vs abnormal at the shortest horizon):`);
+    for (const [pairId, data] of Object.entries(results)) {
+      const adjusted = data.type === 'basket' ? data.basket?.marketAdjusted : data.priceEcho?.marketAdjusted;
+      if (!adjusted) continue;
+      console.log(`  ${pairId} (${adjusted.horizon}D vs ${[adjusted.market, adjusted.sector].filter(Boolean).join('+')}): Raw Accuracy=${adjusted.raw?.accuracy}% Correlation=${adjusted.raw?.correlation} | Abnormal Accuracy=${adjusted.abnormal?.accuracy}% Correlation=${adjusted.abnormal?.correlation}`);
+    }
+
+    console.log(`\nPrice Echo by horizon (accuracy / correlation / avg move):`);
+    for (const [pairId, data] of Object.entries(results)) {
+      const horizonStats = data.type === 'basket' ? data.basket?.horizonStats : data.priceEcho?.horizonStats;
+      if (!horizonStats) continue;
+      const cells = Object.entries(horizonStats)
+        .map(([horizon, hs]) => `${horizon}D=${hs.accuracy ?? 'null'}%/${hs.correlation ?? 'null'}/${hs.avgEchoMove ?? 'null'}%`);
+      console.log(`  ${pairId}: ${cells.join('  ')}`);
     }
 
     console.log(`\nFundamental Echo (trigger earnings → echo earnings):`);
     for (const [pairId, data] of Object.entries(results)) {
+      if (data.type === 'basket') continue;
       const stats = data.fundamentalEcho?.stats;
       if (stats) {
         console.log(`  ${pairId}: Beat→Beat=${stats.beatFollowsBeat}, Miss→Miss=${stats.missFollowsMiss}, Agreement=${stats.directionAgreement}, Correlation=${stats.fundamentalCorrelation}, AvgGap=${stats.avgGapDays}d, Samples=${stats.sampleSize}`);
@@ -1015,6 +1694,14 @@ async function main() {
         console.log(`  ${pairId}: Insufficient data (${count} matched quarters, need >= ${MIN_SAMPLE_SIZE})`);
       }
     }
+
+    if (STOCK_BASKETS.length > 0) {
+      console.log(`\nBasket Echo (trigger earnings → average move of the echo legs):`);
+      for (const basket of STOCK_BASKETS) {
+        const stats = results[basket.id]?.basket?.stats || {};
+        console.log(`  ${basket.id}: Correlation=${stats.correlation}, Accuracy=${stats.accuracy}%, AvgEchoMove=${stats.avgEchoMove}%, Samples=${stats.sampleSize}, Legs=${stats.legCount}`);
+      }
+    }
   } catch (error) {
     console.error('Error writing output file:', error.message);
     process.exit(1);
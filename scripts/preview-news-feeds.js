@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * News Feed Preview
+ *
+ * Runs the news provider registry (src/data/news-providers.json) once and
+ * prints the normalized items the watchdog would receive, without touching
+ * KV or calling GPT. Useful for checking a new RSS/Atom feed entry.
+ *
+ * Usage:
+ *   node scripts/preview-news-feeds.js              # live providers
+ *   node scripts/preview-news-feeds.js --fixtures   # rss providers read api/_data/fixtures/rss/{name}.xml
+ *   node scripts/preview-news-feeds.js --file=feed.xml   # parse a single RSS/Atom file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'api', '_data', 'fixtures', 'rss');
+
+/**
+ * Read a --name=value flag (or bare --name) from argv
+ * @param {string} name
+ * @returns {string|boolean|null}
+ */
+function readFlag(name) {
+  const arg = process.argv.slice(2).find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+}
+
+/**
+ * Print one normalized item
+ * @param {object} item
+ */
+function printItem(item) {
+  console.log(`  [${item.provider}] ${item.publishedAt}  ${item.headline}`);
+  console.log(`      ${item.url || '(no url)'}`);
+}
+
+async function main() {
+  const file = readFlag('file');
+
+  if (typeof file === 'string') {
+    const { parseFeed } = await import('../api/_lib/feedParser.js');
+    const entries = parseFeed(fs.readFileSync(file, 'utf8'));
+    console.log(`${file}: ${entries.length} entries\n`);
+    for (const entry of entries) {
+      console.log(`  ${entry.publishedAt}  ${entry.title}`);
+      console.log(`      ${entry.link || '(no link)'}`);
+    }
+    return;
+  }
+
+  const fixtures = readFlag('fixtures');
+  if (fixtures) {
+    process.env.RSS_FIXTURE_DIR = typeof fixtures === 'string' ? fixtures : DEFAULT_FIXTURE_DIR;
+    console.log(`RSS providers reading fixtures from ${process.env.RSS_FIXTURE_DIR}\n`);
+  }
+
+  const { fetchNewsFromProviders } = await import('../api/_lib/newsProviders.js');
+  const result = await fetchNewsFromProviders();
+
+  console.log('Providers:');
+  for (const r of result.results) {
+    const state = r.used ? `${r.fetchedCount} fetched, ${r.addedCount} new` : (r.configured ? 'skipped' : 'not configured');
+    console.log(`  #${r.priority} ${r.provider} (${r.type}${r.always ? ', always' : ''}): ${state}${r.error ? ` - ${r.error}` : ''}`);
+  }
+
+  console.log(`\nItems (${result.items.length}, healthy=${result.healthy}, fallbackUsed=${result.fallbackUsed}):`);
+  result.items.forEach(printItem);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Confidence Model Replay
+ *
+ * Rescores logged signals (tslog:v1) under a candidate confidence model and
+ * prints how the issued and replayed decisions compare, joined with stored
+ * outcomes. Run it after editing api/_lib/confidenceEngine.js or adding a
+ * version to src/data/confidence-profiles.json, before switching
+ * CONFIDENCE_MODEL_VERSION. Same replay as GET /api/metrics/model-replay.
+ *
+ * Usage:
+ *   node scripts/replay-confidence-model.js                                  # current version and default profile, last 7 days
+ *   node scripts/replay-confidence-model.js --model-version=2 --profile=aggressive --days=30
+ *   node scripts/replay-confidence-model.js --date=2026-10-01 --issued-profile=conservative --json
+ *
+ * Reads storage through api/_lib/storage.js, so it follows STORAGE_BACKEND
+ * (KV credentials, or STORAGE_BACKEND=file with a local STORAGE_FILE).
+ */
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90; // Telemetry logs live 90 days
+const LISTED_CHANGES = 20;
+
+/**
+ * Read a --name=value flag (or bare --name) from argv
+ * @param {string} name
+ * @returns {string|boolean|null}
+ */
+function readFlag(name) {
+  const arg = process.argv.slice(2).find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+}
+
+/**
+ * Format a number or null for the table
+ * @param {number|null} value
+ * @param {string} [suffix]
+ * @returns {string}
+ */
+function fmt(value, suffix = '') {
+  return value === null || value === undefined ? '-' : `${value}${suffix}`;
+}
+
+/**
+ * Print the issued vs replayed comparison
+ * @param {object} replay - From runTelemetryReplay
+ */
+function printReplay(replay) {
+  const { issued, replayed, changed } = replay;
+
+  console.log(`Signals replayed: ${replay.signals}${replay.partial > 0 ? ` (${replay.partial} without echo stats, echo rules skipped)` : ''}`);
+  console.log(`Changed: signal ${changed.signal}, grade ${changed.grade}, avoidCode ${changed.avoidCode}, sizing ${changed.sizing}\n`);
+
+  console.log('                 issued      replayed');
+  for (const s of Object.keys(issued.countBySignal)) {
+    console.log(`  ${s.padEnd(14)} ${String(issued.countBySignal[s]).padEnd(11)} ${replayed.countBySignal[s]}`);
+  }
+  for (const g of Object.keys(issued.countByGrade)) {
+    console.log(`  grade ${g.padEnd(8)} ${String(issued.countByGrade[g]).padEnd(11)} ${replayed.countByGrade[g]}`);
+  }
+  console.log(`  avg overall    ${String(issued.avgOverall).padEnd(11)} ${replayed.avgOverall}\n`);
+
+  console.log('Trades (BUY/SELL with an outcome): count / hit rate / avg signed return / sized return');
+  for (const h of Object.keys(issued.trades)) {
+    const line = t => `${t.count} / ${fmt(t.hitRate)} / ${fmt(t.avgSignedReturnPct, '%')} / ${fmt(t.sizedReturnPct, '%')}`;
+    console.log(`  ${h}D  issued   ${line(issued.trades[h])}`);
+    console.log(`      replayed ${line(replayed.trades[h])}`);
+  }
+
+  if (replay.changes.length > 0) {
+    console.log(`\nChanged signals (first ${replay.changes.length}):`);
+    for (const change of replay.changes) {
+      const r3 = change.signedReturnPct?.['3'];
+      console.log(
+        `  ${change.signalId}  ${change.issued.signal} ${change.issued.grade} ${change.issued.suggestedPositionPct ?? '-'}%` +
+        ` -> ${change.candidate.signal} ${change.candidate.grade} ${change.candidate.suggestedPositionPct}%` +
+        `${change.candidate.avoidCode ? ` (${change.candidate.avoidCode})` : ''}, 3D ${fmt(r3, '%')}`
+      );
+    }
+  }
+}
+
+async function main() {
+  const { kv, isStorageConfigured, STORAGE_NOT_CONFIGURED_MESSAGE } = await import('../api/_lib/storage.js');
+  const { runTelemetryReplay } = await import('../api/_lib/telemetryReplay.js');
+  const { CONFIDENCE_MODEL_VERSION } = await import('../api/_lib/confidenceEngine.js');
+  const { getConfidenceModel, listConfidenceProfiles } = await import('../api/_lib/confidenceProfiles.js');
+
+  if (!isStorageConfigured()) {
+    throw new Error(STORAGE_NOT_CONFIGURED_MESSAGE);
+  }
+
+  const versionFlag = readFlag('model-version');
+  const modelVersion = typeof versionFlag === 'string' ? parseInt(versionFlag, 10) : CONFIDENCE_MODEL_VERSION;
+  const model = getConfidenceModel(modelVersion);
+  if (!model) {
+    throw new Error(`Unknown confidence model version "${versionFlag}"`);
+  }
+
+  const profileFlag = readFlag('profile');
+  const profileName = typeof profileFlag === 'string' ? profileFlag : model.defaultProfile;
+  const profile = model.profiles[profileName];
+  if (!profile) {
+    throw new Error(`Unknown confidence profile "${profileName}" (available: ${listConfidenceProfiles(modelVersion).join(', ')})`);
+  }
+
+  const dateFlag = readFlag('date');
+  let endDate = typeof dateFlag === 'string' ? dateFlag : null;
+  if (!endDate) {
+    const d = new Date();
+    d.setUTCDate(d.getUTCDate() - 1);
+    endDate = d.toISOString().split('T')[0];
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || isNaN(new Date(endDate).getTime())) {
+    throw new Error('Invalid --date. Use YYYY-MM-DD');
+  }
+
+  const daysFlag = readFlag('days');
+  let days = typeof daysFlag === 'string' ? parseInt(daysFlag, 10) : DEFAULT_DAYS;
+  if (isNaN(days) || days < 1) days = 1;
+  if (days > MAX_DAYS) days = MAX_DAYS;
+
+  const issuedProfile = readFlag('issued-profile');
+  const json = Boolean(readFlag('json'));
+
+  const replay = await runTelemetryReplay({
+    kv,
+    endDate,
+    days,
+    profile,
+    issuedProfile: typeof issuedProfile === 'string' ? issuedProfile : undefined,
+    maxChanges: json ? undefined : LISTED_CHANGES
+  });
+
+  if (json) {
+    console.log(JSON.stringify({ endDate, days, ...replay }, null, 2));
+    return;
+  }
+
+  console.log(`Candidate: ${profile.name}@v${modelVersion} (current: v${CONFIDENCE_MODEL_VERSION})`);
+  console.log(`Window: ${days} day(s) to ${endDate}\n`);
+  printReplay(replay);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Pipeline Runner
+ *
+ * Runs news items through the same model calls as the watchdog and the trade
+ * signal endpoint (analyzeNews, then generateLLMSignal for major events) and
+ * prints the results, without touching KV. With --replay it needs no API key
+ * or network: every response comes from the fixtures in api/_data/fixtures/llm.
+ *
+ * Usage:
+ *   node scripts/run-llm-pipeline.js --replay            # rss fixture items, replayed responses
+ *   node scripts/run-llm-pipeline.js --record            # rss fixture items, live model, write fixtures
+ *   node scripts/run-llm-pipeline.js --live              # live news providers
+ *   node scripts/run-llm-pipeline.js --replay --headline="..." [--body="..."]
+ *
+ * The model provider follows LLM_PROVIDER (see api/_lib/llmProviders.js);
+ * --replay forces LLM_PROVIDER=replay and --record sets LLM_RECORD=1.
+ * Exits non-zero if any call fails, so a replay run works as a regression check.
+ */
+
+const path = require('path');
+
+const DEFAULT_RSS_FIXTURE_DIR = path.join(__dirname, '..', 'api', '_data', 'fixtures', 'rss');
+const SIGNAL_MIN_SCORE = 50; // Same as the watchdog's normal importance threshold
+
+/**
+ * Read a --name=value flag (or bare --name) from argv
+ * @param {string} name
+ * @returns {string|boolean|null}
+ */
+function readFlag(name) {
+  const arg = process.argv.slice(2).find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : true;
+}
+
+/**
+ * Collect the news items to run
+ * @returns {Promise<Array<object>>}
+ */
+async function loadItems() {
+  const headline = readFlag('headline');
+  if (typeof headline === 'string') {
+    const body = readFlag('body');
+    return [{
+      id: 'cli-1',
+      headline,
+      body: typeof body === 'string' ? body : null,
+      publishedAt: '2024-01-01T00:00:00.000Z' // Fixed so replayed signal prompts hash the same
+    }];
+  }
+
+  if (!readFlag('live') && !process.env.RSS_FIXTURE_DIR) {
+    process.env.RSS_FIXTURE_DIR = DEFAULT_RSS_FIXTURE_DIR;
+  }
+
+  const { fetchNewsFromProviders } = await import('../api/_lib/newsProviders.js');
+  const { items } = await fetchNewsFromProviders();
+  return items;
+}
+
+async function main() {
+  if (readFlag('replay')) process.env.LLM_PROVIDER = 'replay';
+  if (readFlag('record')) process.env.LLM_RECORD = '1';
+
+  const { getLLMProvider, getLLMModel, getFixtureDir, isLLMConfigured, LLM_NOT_CONFIGURED_MESSAGE } = await import('../api/_lib/llmProviders.js');
+  const { analyzeNews } = await import('../api/_lib/newsIntel.js');
+  const { generateLLMSignal } = await import('../api/_lib/tradeSignal.js');
+
+  if (!isLLMConfigured()) {
+    throw new Error(LLM_NOT_CONFIGURED_MESSAGE);
+  }
+
+  const provider = getLLMProvider();
+  console.log(`LLM provider: ${provider.name}${provider.live ? ` (model ${getLLMModel()})` : ''}`);
+  if (!provider.live || process.env.LLM_RECORD === '1') {
+    console.log(`Fixtures: ${getFixtureDir()}${process.env.LLM_RECORD === '1' ? ' (recording)' : ''}`);
+  }
+
+  const items = await loadItems();
+  console.log(`Items: ${items.length}\n`);
+
+  let failures = 0;
+
+  for (const item of items) {
+    console.log(`- ${item.headline}`);
+
+    let analysis;
+    try {
+      analysis = await analyzeNews(item.headline, item.body, { endpoint: 'llm-pipeline' });
+    } catch (error) {
+      failures++;
+      console.log(`    analysis FAILED: ${error.message}`);
+      continue;
+    }
+
+    const tickers = [...new Set(analysis.sectors.flatMap(s => s.exampleTickers))];
+    console.log(`    analysis: ${analysis.importanceScore} ${analysis.importanceCategory}, ${analysis.impactHorizon}, ${tickers.join(' ') || 'no tickers'}`);
+    const { mapped, dropped } = analysis.tickerCheck;
+    if (mapped.length > 0 || dropped.length > 0) {
+      console.log(`    tickers:  ${[...mapped.map(m => `${m.from} -> ${m.to}`), ...dropped.map(d => `dropped ${d}`)].join(', ')}`);
+    }
+
+    if (analysis.importanceScore < SIGNAL_MIN_SCORE) {
+      continue;
+    }
+
+    const event = {
+      id: item.id,
+      headline: item.headline,
+      body: item.body || null,
+      publishedAt: item.publishedAt,
+      analysis
+    };
+
+    try {
+      const signal = await generateLLMSignal(event, { endpoint: 'llm-pipeline' });
+      console.log(`    signal:   ${signal.direction} ${signal.instrument} ${signal.timeHorizon}, ambiguity ${signal.ambiguity}${signal.hedged ? ', hedged' : ''}, ${signal.tickers.join(' ')}`);
+    } catch (error) {
+      failures++;
+      console.log(`    signal FAILED: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} call(s) failed`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -10,130 +10,56 @@ import RawFeedPanel from './components/RawFeedPanel'
 import TabNavigation, { useTabState } from './components/TabNavigation'
 import LanguageToggle from './components/LanguageToggle'
 import StrengthBadge from './components/StrengthBadge'
+import BasketCard from './components/BasketCard'
+import MarketAdjustedStats from './components/MarketAdjustedStats'
 import Tooltip, { InfoTooltip } from './components/Tooltip'
 import PATTERN_HISTORY from './data/pattern-history.json'
+import PAIR_REGISTRY from './data/pair-registry.json'
+
+// Signal card data built from the shared pair registry
+const SIGNAL_CARDS = PAIR_REGISTRY.pairs.map((pair, index) => ({
+  id: index + 1,
+  pairId: pair.id || `${pair.trigger}_${pair.echo}`,
+  trigger: pair.trigger,
+  echo: pair.echo,
+  sector: pair.sector,
+  pattern: pair.pattern || `${pair.trigger} earnings may signal ${pair.echo} direction`,
+  playbook: Boolean(pair.playbook),
+  correlation: null,
+  historicalAccuracy: null,
+  quarterlyHistory: []
+}))
+
+// Basket cards (one trigger → several echo legs) built from the shared pair registry
+const BASKET_CARDS = (PAIR_REGISTRY.baskets || []).map(basket => {
+  const patternData = PATTERN_HISTORY[basket.id]
+  const echoes = basket.echoes || []
 
-// Signal card data with sector information
-const SIGNAL_CARDS = [
-  {
-    id: 1,
-    trigger: 'AMD',
-    echo: 'NVDA',
-    sector: 'Technology',
-    pattern: 'When AMD beats earnings, NVDA typically rises 3-5% within 48 hours',
-    correlation: 0.87,
-    confidence: 'High',
-    historicalAccuracy: 82,
-    quarterlyHistory: [
-      { quarter: 'Q3 2024', triggerResult: 'Beat', echoMove: '+4.2%', accurate: true },
-      { quarter: 'Q2 2024', triggerResult: 'Beat', echoMove: '+3.8%', accurate: true },
-      { quarter: 'Q1 2024', triggerResult: 'Miss', echoMove: '-2.1%', accurate: true },
-      { quarter: 'Q4 2023', triggerResult: 'Beat', echoMove: '+5.1%', accurate: true },
-      { quarter: 'Q3 2023', triggerResult: 'Beat', echoMove: '+2.9%', accurate: true },
-      { quarter: 'Q2 2023', triggerResult: 'Beat', echoMove: '+1.2%', accurate: false },
-      { quarter: 'Q1 2023', triggerResult: 'Miss', echoMove: '-3.4%', accurate: true },
-      { quarter: 'Q4 2022', triggerResult: 'Beat', echoMove: '+4.7%', accurate: true },
-    ]
-  },
-  {
-    id: 2,
-    trigger: 'JPM',
-    echo: 'BAC',
-    sector: 'Finance',
-    pattern: 'JPMorgan earnings typically predict Bank of America movement within 24 hours',
-    correlation: 0.79,
-    confidence: 'High',
-    historicalAccuracy: 78,
-    quarterlyHistory: [
-      { quarter: 'Q3 2024', triggerResult: 'Beat', echoMove: '+2.8%', accurate: true },
-      { quarter: 'Q2 2024', triggerResult: 'Beat', echoMove: '+1.9%', accurate: true },
-      { quarter: 'Q1 2024', triggerResult: 'Beat', echoMove: '+3.2%', accurate: true },
-      { quarter: 'Q4 2023', triggerResult: 'Miss', echoMove: '-1.5%', accurate: true },
-      { quarter: 'Q3 2023', triggerResult: 'Beat', echoMove: '+0.8%', accurate: false },
-      { quarter: 'Q2 2023', triggerResult: 'Beat', echoMove: '+2.4%', accurate: true },
-      { quarter: 'Q1 2023', triggerResult: 'Beat', echoMove: '+1.7%', accurate: true },
-      { quarter: 'Q4 2022', triggerResult: 'Miss', echoMove: '-2.9%', accurate: true },
-    ]
-  },
-  {
-    id: 3,
-    trigger: 'TSLA',
-    echo: 'F',
-    sector: 'Automotive',
-    pattern: 'Tesla earnings create ripple effects across traditional automakers',
-    correlation: 0.65,
-    confidence: 'Medium',
-    historicalAccuracy: 71,
-    quarterlyHistory: [
-      { quarter: 'Q3 2024', triggerResult: 'Beat', echoMove: '+1.9%', accurate: true },
-      { quarter: 'Q2 2024', triggerResult: 'Miss', echoMove: '-2.3%', accurate: true },
-      { quarter: 'Q1 2024', triggerResult: 'Miss', echoMove: '+0.5%', accurate: false },
-      { quarter: 'Q4 2023', triggerResult: 'Beat', echoMove: '+1.2%', accurate: true },
-      { quarter: 'Q3 2023', triggerResult: 'Beat', echoMove: '+2.1%', accurate: true },
-      { quarter: 'Q2 2023', triggerResult: 'Beat', echoMove: '-0.3%', accurate: false },
-      { quarter: 'Q1 2023', triggerResult: 'Miss', echoMove: '-1.8%', accurate: true },
-      { quarter: 'Q4 2022', triggerResult: 'Miss', echoMove: '-2.5%', accurate: true },
-    ]
-  },
-  {
-    id: 4,
-    trigger: 'AAPL',
-    echo: 'MSFT',
-    sector: 'Technology',
-    pattern: 'Apple earnings influence Microsoft through tech sector sentiment',
-    correlation: 0.72,
-    confidence: 'Medium',
-    historicalAccuracy: 75,
-    quarterlyHistory: [
-      { quarter: 'Q3 2024', triggerResult: 'Beat', echoMove: '+2.1%', accurate: true },
-      { quarter: 'Q2 2024', triggerResult: 'Beat', echoMove: '+1.5%', accurate: true },
-      { quarter: 'Q1 2024', triggerResult: 'Beat', echoMove: '+2.8%', accurate: true },
-      { quarter: 'Q4 2023', triggerResult: 'Beat', echoMove: '+0.9%', accurate: false },
-      { quarter: 'Q3 2023', triggerResult: 'Beat', echoMove: '+1.8%', accurate: true },
-      { quarter: 'Q2 2023', triggerResult: 'Miss', echoMove: '-1.2%', accurate: true },
-      { quarter: 'Q1 2023', triggerResult: 'Beat', echoMove: '+2.3%', accurate: true },
-      { quarter: 'Q4 2022', triggerResult: 'Miss', echoMove: '-1.9%', accurate: true },
-    ]
-  },
-  {
-    id: 5,
-    trigger: 'XOM',
-    echo: 'CVX',
-    sector: 'Energy',
-    pattern: 'ExxonMobil earnings highly predictive of Chevron price action',
-    correlation: 0.91,
-    confidence: 'Very High',
-    historicalAccuracy: 88,
-    quarterlyHistory: [
-      { quarter: 'Q3 2024', triggerResult: 'Beat', echoMove: '+3.5%', accurate: true },
-      { quarter: 'Q2 2024', triggerResult: 'Beat', echoMove: '+2.9%', accurate: true },
-      { quarter: 'Q1 2024', triggerResult: 'Beat', echoMove: '+4.1%', accurate: true },
-      { quarter: 'Q4 2023', triggerResult: 'Miss', echoMove: '-2.7%', accurate: true },
-      { quarter: 'Q3 2023', triggerResult: 'Beat', echoMove: '+3.2%', accurate: true },
-      { quarter: 'Q2 2023', triggerResult: 'Beat', echoMove: '+2.1%', accurate: true },
-      { quarter: 'Q1 2023', triggerResult: 'Miss', echoMove: '+0.4%', accurate: false },
-      { quarter: 'Q4 2022', triggerResult: 'Beat', echoMove: '+3.8%', accurate: true },
-    ]
+  return {
+    id: basket.id,
+    trigger: basket.trigger,
+    echoes,
+    sector: basket.sector,
+    pattern: basket.pattern || `${basket.trigger} earnings may signal ${echoes.join('/')} direction`,
+    legs: echoes.map(echo => ({
+      echo,
+      stats: patternData?.legs?.[echo]?.priceEcho?.stats || null
+    })),
+    stats: patternData?.basket?.stats || null,
+    marketAdjusted: patternData?.basket?.marketAdjusted || null,
+    history: patternData?.basket?.history || []
   }
-]
+})
 
-// Sectors for filtering (keys for translation)
-const SECTOR_KEYS = ['all', 'technology', 'finance', 'automotive', 'energy']
-const SECTOR_VALUES = ['All', 'Technology', 'Finance', 'Automotive', 'Energy']
+// Sectors for filtering (keys for translation), derived from registered pairs and baskets
+const SECTOR_VALUES = [
+  'All',
+  ...new Set([...SIGNAL_CARDS, ...BASKET_CARDS].map(card => card.sector).filter(Boolean))
+]
+const SECTOR_KEYS = SECTOR_VALUES.map(value => value.toLowerCase())
 
 // Company information map for displaying full names
-const COMPANY_INFO = {
-  AMD:  { name: 'Advanced Micro Devices' },
-  NVDA: { name: 'NVIDIA Corporation' },
-  JPM:  { name: 'JPMorgan Chase & Co.' },
-  BAC:  { name: 'Bank of America' },
-  TSLA: { name: 'Tesla, Inc.' },
-  F:    { name: 'Ford Motor Company' },
-  AAPL: { name: 'Apple Inc.' },
-  MSFT: { name: 'Microsoft Corporation' },
-  XOM:  { name: 'Exxon Mobil Corporation' },
-  CVX:  { name: 'Chevron Corporation' }
-}
+const COMPANY_INFO = PAIR_REGISTRY.companies || {}
 
 // Helper function to format avgGapDays into readable text
 function formatGapDays(avgGapDays) {
@@ -160,8 +86,7 @@ function generatePatternDescription(trigger, echo, avgGapDays) {
 
 // Create enriched cards with real pattern history data
 const enrichedCards = SIGNAL_CARDS.map(card => {
-  const pairId = `${card.trigger}_${card.echo}`
-  const patternData = PATTERN_HISTORY[pairId]
+  const patternData = PATTERN_HISTORY[card.pairId]
 
   // Check for fundamentalEcho data with avgGapDays
   if (patternData && patternData.fundamentalEcho && patternData.fundamentalEcho.stats) {
@@ -172,8 +97,12 @@ const enrichedCards = SIGNAL_CARDS.map(card => {
       ...card,
       pattern: dynamicPattern || card.pattern,
       quarterlyHistory: patternData.priceEcho?.history || card.quarterlyHistory,
-      correlation: patternData.priceEcho?.stats?.correlation || card.correlation,
-      historicalAccuracy: patternData.priceEcho?.stats?.accuracy || card.historicalAccuracy
+      correlation: patternData.priceEcho?.stats?.correlation ?? card.correlation,
+      historicalAccuracy: patternData.priceEcho?.stats?.accuracy ?? card.historicalAccuracy,
+      accuracyCI: patternData.priceEcho?.stats?.accuracyCI || null,
+      edgeVsRandom: patternData.priceEcho?.stats?.edgeVsRandom || null,
+      likelyNoise: patternData.priceEcho?.stats?.likelyNoise ?? null,
+      marketAdjusted: patternData.priceEcho?.marketAdjusted || null
     }
   }
 
@@ -182,27 +111,27 @@ const enrichedCards = SIGNAL_CARDS.map(card => {
     return {
       ...card,
       quarterlyHistory: patternData.history,
-      correlation: patternData.stats.correlation || card.correlation,
-      historicalAccuracy: patternData.stats.accuracy || card.historicalAccuracy
+      correlation: patternData.stats.correlation ?? card.correlation,
+      historicalAccuracy: patternData.stats.accuracy ?? card.historicalAccuracy
     }
   }
 
-  // Fallback to mock data if pattern data not available
+  // No pattern history yet for this pair (run calculate:history)
   return card
 })
 
-// Helper function to get Trade Playbook data for a specific pair
-function getPlaybookForPair(pairId) {
-  // Only show playbook for AMD_NVDA for now
-  if (pairId !== 'AMD_NVDA') return null
+// Helper function to get Trade Playbook data for a specific card
+function getPlaybookForCard(card) {
+  // Only pairs flagged with "playbook" in the registry show a playbook
+  if (!card.playbook) return null
 
-  const patternData = PATTERN_HISTORY[pairId]
+  const patternData = PATTERN_HISTORY[card.pairId]
   if (!patternData?.fundamentalEcho?.stats) return null
 
   const stats = patternData.fundamentalEcho.stats
   return {
-    trigger: 'AMD',
-    echo: 'NVDA',
+    trigger: card.trigger,
+    echo: card.echo,
     beatFollowsBeat: stats.beatFollowsBeat,
     avgGapDays: stats.avgGapDays,
     sampleSize: stats.sampleSize,
@@ -519,10 +448,9 @@ function SignalCard({ card, onSetAlert }) {
       {/* Pattern Description */}
       <p className="text-sm text-gray-300 mb-4">{card.pattern}</p>
 
-      {/* Trade Playbook - Only for AMD_NVDA */}
+      {/* Trade Playbook - Only for pairs flagged in the registry */}
       {(() => {
-        const pairId = `${card.trigger}_${card.echo}`
-        const playbook = getPlaybookForPair(pairId)
+        const playbook = getPlaybookForCard(card)
         if (!playbook) return null
         return (
           <div className="bg-gray-700/40 border border-gray-600/50 rounded-lg p-3 mb-4">
@@ -571,17 +499,38 @@ function SignalCard({ card, onSetAlert }) {
             {t('correlation')}
             <InfoTooltip content={t('correlationExplain')} />
           </div>
-          <div className="text-lg font-semibold text-blue-400">{card.correlation}</div>
+          <div className="text-lg font-semibold text-blue-400">{card.correlation ?? 'N/A'}</div>
         </div>
         <div className="bg-gray-700/30 rounded-lg p-2 text-center">
           <div className="text-xs text-gray-400 flex items-center justify-center gap-1">
             {t('accuracy')}
             <InfoTooltip content={t('accuracyExplain')} />
           </div>
-          <div className="text-lg font-semibold text-green-400">{card.historicalAccuracy}%</div>
+          <div className="text-lg font-semibold text-green-400">
+            {card.historicalAccuracy != null ? `${card.historicalAccuracy}%` : 'N/A'}
+          </div>
+          {card.accuracyCI && (
+            <div className="text-[10px] text-gray-500">
+              {t('confidenceInterval')}: {card.accuracyCI.lower}–{card.accuracyCI.upper}%
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Small-sample warning from the permutation test */}
+      {card.likelyNoise && (
+        <div className="flex items-center gap-1 text-xs text-yellow-400 bg-yellow-500/10 border border-yellow-500/30 rounded-lg px-2 py-1 mb-4">
+          ⚠ {t('likelyNoise')}
+          <InfoTooltip content={t('likelyNoiseExplain', {
+            n: card.quarterlyHistory?.length || 0,
+            p: card.edgeVsRandom?.pValue ?? 'N/A'
+          })} />
+        </div>
+      )}
+
+      {/* Raw vs market-adjusted price echo */}
+      <MarketAdjustedStats marketAdjusted={card.marketAdjusted} />
+
       {/* Collapsible History */}
       <div className="mb-4">
         <button
@@ -758,6 +707,9 @@ function App() {
   const filteredCards = enrichedCards.filter(
     card => selectedSector === 'All' || card.sector === selectedSector
   )
+  const filteredBaskets = BASKET_CARDS.filter(
+    basket => selectedSector === 'All' || basket.sector === selectedSector
+  )
 
   const handleSetAlert = (card) => {
     setAlertModal({ isOpen: true, card })
@@ -829,7 +781,7 @@ function App() {
             {/* Stats Overview */}
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
               <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
-                <div className="text-2xl font-bold text-white">{SIGNAL_CARDS.length}</div>
+                <div className="text-2xl font-bold text-white">{enrichedCards.length + BASKET_CARDS.length}</div>
                 <div className="text-xs text-gray-400">{t('activePatterns')}</div>
               </div>
               <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
@@ -855,10 +807,17 @@ function App() {
                   onSetAlert={handleSetAlert}
                 />
               ))}
+              {filteredBaskets.map(basket => (
+                <BasketCard
+                  key={basket.id}
+                  basket={basket}
+                  companyInfo={COMPANY_INFO}
+                />
+              ))}
             </div>
 
             {/* Empty State */}
-            {filteredCards.length === 0 && (
+            {filteredCards.length === 0 && filteredBaskets.length === 0 && (
               <div className="text-center py-12">
                 <svg className="w-16 h-16 text-gray-600 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
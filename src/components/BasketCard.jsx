@@ -0,0 +1,177 @@
+import React, { useState } from 'react'
+import { useI18n } from '../i18n/I18nProvider'
+import StrengthBadge from './StrengthBadge'
+import MarketAdjustedStats from './MarketAdjustedStats'
+import { InfoTooltip } from './Tooltip'
+
+// Format a stat value, falling back to N/A when there is no history yet
+function formatStat(value, suffix = '') {
+  if (value === null || value === undefined) return 'N/A'
+  return `${value}${suffix}`
+}
+
+// Format a signed percentage move
+function formatMove(value) {
+  if (value === null || value === undefined) return '—'
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+}
+
+/**
+ * Basket Card Component
+ * One trigger fanning out to several echo legs, with per-leg and aggregate stats
+ */
+function BasketCard({ basket, companyInfo = {} }) {
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false)
+  const { t } = useI18n()
+
+  const hasHistory = (basket.stats?.sampleSize ?? 0) > 0
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-5 border border-purple-700/50 hover:border-purple-600/70 transition-all duration-300">
+      {/* Header */}
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <div className="flex flex-col">
+              <span className="text-2xl font-bold text-white">{basket.trigger}</span>
+              <span className="text-[11px] text-slate-400 leading-tight">
+                {companyInfo[basket.trigger]?.name || ''}
+              </span>
+            </div>
+            <svg className="w-5 h-5 text-purple-400 self-start mt-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
+            </svg>
+            <div className="flex flex-wrap gap-1">
+              {basket.echoes.map(echo => (
+                <span key={echo} className="text-sm font-bold text-white bg-gray-700 px-2 py-0.5 rounded">
+                  {echo}
+                </span>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-2 mt-1">
+            <span className="text-xs text-purple-300 bg-purple-900/40 px-2 py-1 rounded inline-block">{t('basketPattern')}</span>
+            <span className="text-xs text-gray-400 bg-gray-700 px-2 py-1 rounded inline-block">{basket.sector}</span>
+          </div>
+        </div>
+        <StrengthBadge correlation={basket.stats?.correlation} accuracy={basket.stats?.accuracy} />
+      </div>
+
+      {/* Pattern Description */}
+      <p className="text-sm text-gray-300 mb-4">{basket.pattern}</p>
+
+      {/* Aggregate Stats */}
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="bg-gray-700/30 rounded-lg p-2 text-center">
+          <div className="text-xs text-gray-400 flex items-center justify-center gap-1">
+            {t('correlation')}
+            <InfoTooltip content={t('correlationExplain')} />
+          </div>
+          <div className="text-lg font-bold text-blue-400">{formatStat(basket.stats?.correlation)}</div>
+        </div>
+        <div className="bg-gray-700/30 rounded-lg p-2 text-center">
+          <div className="text-xs text-gray-400 flex items-center justify-center gap-1">
+            {t('accuracy')}
+            <InfoTooltip content={t('basketAccuracyExplain')} />
+          </div>
+          <div className="text-lg font-bold text-green-400">{formatStat(basket.stats?.accuracy, '%')}</div>
+          {basket.stats?.accuracyCI && (
+            <div className="text-[10px] text-gray-500">
+              {t('confidenceInterval')}: {basket.stats.accuracyCI.lower}–{basket.stats.accuracyCI.upper}%
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Small-sample warning from the permutation test */}
+      {hasHistory && basket.stats?.likelyNoise && (
+        <div className="flex items-center gap-1 text-xs text-yellow-400 bg-yellow-500/10 border border-yellow-500/30 rounded-lg px-2 py-1 mb-4">
+          ⚠ {t('likelyNoise')}
+          <InfoTooltip content={t('likelyNoiseExplain', {
+            n: basket.stats.sampleSize,
+            p: basket.stats.edgeVsRandom?.pValue ?? 'N/A'
+          })} />
+        </div>
+      )}
+
+      {/* Raw vs market-adjusted basket move */}
+      <MarketAdjustedStats marketAdjusted={basket.marketAdjusted} />
+
+      {/* Per-leg Stats */}
+      <div className="bg-gray-700/30 rounded-lg p-3 mb-4">
+        <div className="text-xs font-semibold text-gray-300 mb-2">{t('basketLegs')}</div>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-normal pb-1"></th>
+              <th className="text-right font-normal pb-1">{t('accuracy')}</th>
+              <th className="text-right font-normal pb-1">{t('correlation')}</th>
+              <th className="text-right font-normal pb-1">{t('avgMove')}</th>
+              <th className="text-right font-normal pb-1">n</th>
+            </tr>
+          </thead>
+          <tbody>
+            {basket.legs.map(leg => (
+              <tr key={leg.echo} className="text-gray-300">
+                <td className="py-0.5">
+                  <span className="font-semibold text-white">{leg.echo}</span>
+                  <span className="text-gray-500 ml-1 hidden sm:inline">{companyInfo[leg.echo]?.name || ''}</span>
+                </td>
+                <td className="text-right">{formatStat(leg.stats?.accuracy, '%')}</td>
+                <td className="text-right">{formatStat(leg.stats?.correlation)}</td>
+                <td className="text-right">{formatStat(leg.stats?.avgEchoMove, '%')}</td>
+                <td className="text-right">{leg.stats?.sampleSize ?? 0}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Basket History */}
+      {hasHistory ? (
+        <div className="border-t border-gray-700 pt-3">
+          <button
+            onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+            className="flex items-center justify-between w-full text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            <span>{t('patternHistory')} ({basket.history.length} {t('quarters')})</span>
+            <svg
+              className={`w-4 h-4 transition-transform ${isHistoryOpen ? 'rotate-180' : ''}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+            </svg>
+          </button>
+
+          {isHistoryOpen && (
+            <div className="mt-3 space-y-1.5">
+              {basket.history.map(entry => (
+                <div key={entry.date} className="flex items-center justify-between text-xs bg-gray-700/30 rounded px-2 py-1.5">
+                  <span className="text-gray-400">{entry.quarter}</span>
+                  <span className="text-gray-300">
+                    {basket.trigger} {formatStat(entry.triggerSurprisePercent, '%')}
+                  </span>
+                  <span className={entry.echoMovePercent >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {formatMove(entry.echoMovePercent)}
+                  </span>
+                  <span className="text-gray-500">
+                    {entry.legsAgreeing ?? 0}/{entry.legsWithData ?? 0}
+                  </span>
+                  <span className={entry.accurate ? 'text-green-400' : 'text-gray-500'}>
+                    {entry.accurate ? '✓' : '✗'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-xs text-gray-500 border-t border-gray-700 pt-3">{t('basketNoHistory')}</div>
+      )}
+    </div>
+  )
+}
+
+export default BasketCard
@@ -78,11 +78,12 @@ function MajorEventsPanel() {
   const [signals, setSignals] = useState({}) // eventId -> signal
   const [loadingSignals, setLoadingSignals] = useState(new Set()) // eventIds currently loading
   const [expandedSignals, setExpandedSignals] = useState(new Set()) // eventIds with visible signals
+  const [selectedTickers, setSelectedTickers] = useState({}) // eventId -> symbol of the visible per-ticker signal
   // Beginner mode state
   const [beginnerMode, setBeginnerMode] = useState(false)
   const [explanationExpanded, setExplanationExpanded] = useState(false) // For collapsible "Ne demek?" block
 
-  const { t } = useI18n()
+  const { t, lang } = useI18n()
 
   // Check if admin mode is enabled via URL query param
   const isAdmin = useMemo(() => {
@@ -141,6 +142,14 @@ function MajorEventsPanel() {
     setBeginnerMode(getBeginnerModeState())
   }, [])
 
+  // Signal narratives are in the language they were requested in; drop them
+  // on a language switch so the next generate fetches the new one
+  useEffect(() => {
+    setSignals({})
+    setExpandedSignals(new Set())
+    setSelectedTickers({})
+  }, [lang])
+
   // Toggle beginner mode handler
   const handleToggleBeginnerMode = () => {
     const newState = !beginnerMode
@@ -195,7 +204,7 @@ function MajorEventsPanel() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ eventId })
+        body: JSON.stringify({ eventId, locale: lang })
       })
 
       if (!response.ok) {
@@ -205,9 +214,12 @@ function MajorEventsPanel() {
 
       const signal = await response.json()
 
-      // Inject fetchedAt timestamp (browser time) into meta
-      signal.meta = signal.meta || {}
-      signal.meta.fetchedAt = new Date().toISOString()
+      // Inject fetchedAt timestamp (browser time) into meta, per ticker too
+      const fetchedAt = new Date().toISOString()
+      for (const tickerSignal of [signal, ...(signal.signals || [])]) {
+        tickerSignal.meta = tickerSignal.meta || {}
+        tickerSignal.meta.fetchedAt = fetchedAt
+      }
 
       // Store signal and expand it
       setSignals(prev => ({ ...prev, [eventId]: signal }))
@@ -437,10 +449,62 @@ function MajorEventsPanel() {
               Gap: {stats.avgGapDays}d
             </span>
           )}
+          {stats.accuracyCI && (
+            <span className="text-gray-500">
+              CI: {stats.accuracyCI.lower}–{stats.accuracyCI.upper}%
+            </span>
+          )}
+          {stats.likelyNoise && (
+            <span className="text-yellow-400" title={`Permutation test p=${stats.edgeVsRandom?.pValue ?? 'N/A'}: hit rate not distinguishable from random pairings`}>
+              ⚠ likely noise
+            </span>
+          )}
+          {stats.basis === 'abnormal' && (
+            <span className="text-purple-300" title="Stats use SPY / sector ETF beta-adjusted (abnormal) returns">
+              mkt-adj
+            </span>
+          )}
         </div>
 
+        {/* Raw vs abnormal side by side */}
+        {stats.raw && stats.abnormal && (stats.raw.sampleSize > 0 || stats.abnormal.sampleSize > 0) && (
+          <div className="flex flex-wrap gap-x-3 text-xs text-gray-500 mb-1.5">
+            <span>Raw: {stats.raw.accuracy ?? 'N/A'}% / corr {stats.raw.correlation ?? 'N/A'}</span>
+            <span>Abnormal: {stats.abnormal.accuracy ?? 'N/A'}% / corr {stats.abnormal.correlation ?? 'N/A'}</span>
+          </div>
+        )}
+
         {/* Note */}
         <p className="text-xs text-gray-500 italic">{echoContext.note}</p>
+
+        {/* Basket legs (one trigger → several echoes) */}
+        {echoContext.basket && (
+          <div className="mt-2 pt-2 border-t border-purple-500/20">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs text-gray-400">
+                Basket: <span className="font-medium text-white">{echoContext.basket.trigger}</span>{' '}
+                <span className="text-purple-400">→</span>{' '}
+                <span className="font-medium text-white">{echoContext.basket.echoes.join(', ')}</span>
+              </span>
+              <span className={`text-xs px-1.5 py-0.5 rounded border font-medium ${alignmentColors[echoContext.basket.alignment]}`}>
+                {alignmentLabels[echoContext.basket.alignment]}
+              </span>
+            </div>
+            <div className="space-y-0.5 mb-1">
+              {echoContext.basket.legs.map(leg => (
+                <div key={leg.echo} className="flex items-center gap-3 text-xs text-gray-400">
+                  <span className="w-12 font-medium text-white">{leg.echo}</span>
+                  <span className={leg.alignment === 'tailwind' ? 'text-green-400' : leg.alignment === 'headwind' ? 'text-red-400' : 'text-gray-500'}>
+                    {alignmentLabels[leg.alignment]}
+                  </span>
+                  {leg.stats.accuracy !== undefined && <span>Acc: {leg.stats.accuracy}%</span>}
+                  {leg.stats.sampleSize !== undefined && <span>n={leg.stats.sampleSize}</span>}
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 italic">{echoContext.basket.note}</p>
+          </div>
+        )}
       </div>
     )
   }
@@ -468,6 +532,13 @@ function MajorEventsPanel() {
     )
   }
 
+  // Render a confidence note or explain bullet ({ code, params }); signals
+  // cached before message codes hold plain strings
+  const renderSignalMessage = (message) => {
+    if (typeof message === 'string') return message
+    return t(message.code, message.params)
+  }
+
   // Render trade signal display - Phase 3.3 format
   const renderTradeSignal = (signal) => {
     // Handle error responses
@@ -528,6 +599,9 @@ function MajorEventsPanel() {
         <div className="mb-2">
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-2">
+              {signal.symbol && (
+                <span className="text-xs font-mono font-bold text-white">{signal.symbol}</span>
+              )}
               <span className={`text-xs px-2 py-0.5 rounded border font-bold ${signalColors[signalType] || signalColors.AVOID}`}>
                 {signalType}
               </span>
@@ -540,6 +614,14 @@ function MajorEventsPanel() {
                 {overall}%
               </span>
               <InfoTooltip helperKey="confidence" />
+              {confidence.calibrated && (
+                <span
+                  className="text-xs text-blue-300"
+                  title={t('calibratedProbabilityHint', { horizon: confidence.calibrated.horizon, samples: confidence.calibrated.samples })}
+                >
+                  {t('calibratedProbability', { horizon: confidence.calibrated.horizon, pct: Math.round(confidence.calibrated.probability * 100) })}
+                </span>
+              )}
               <span className="text-xs text-gray-500">
                 {horizonLabels[timeHorizon] || timeHorizon}
               </span>
@@ -549,6 +631,13 @@ function MajorEventsPanel() {
               <span className="text-xs text-gray-600">(cached)</span>
             )}
           </div>
+          {signal.marketStats && (
+            <div className="flex gap-3 mt-1 text-xs text-gray-500">
+              {signal.marketStats.currentPrice && <span>${signal.marketStats.currentPrice.toFixed(2)}</span>}
+              {signal.marketStats.atrPct !== null && <span>ATR {signal.marketStats.atrPct}%</span>}
+              {signal.marketStats.gapPct !== null && <span>Gap {signal.marketStats.gapPct}%</span>}
+            </div>
+          )}
           {/* Beginner mode helpers for signal and confidence */}
           <BeginnerHelper helperKey={`signal${signalType.charAt(0) + signalType.slice(1).toLowerCase()}`} />
           <BeginnerHelper helperKey="confidence" />
@@ -560,7 +649,13 @@ function MajorEventsPanel() {
         {/* Thesis */}
         <div className="mb-2">
           <div className="flex items-start gap-1">
-            <p className="text-xs text-white font-medium flex-1">{thesis}</p>
+            {signal.setup?.narrativeSource === 'none' ? (
+              <p className="text-xs text-gray-500 italic flex-1">
+                {t('thesisOppositeDirection', { symbol: targets[0] || '' })}
+              </p>
+            ) : (
+              <p className="text-xs text-white font-medium flex-1">{thesis}</p>
+            )}
             <InfoTooltip helperKey="thesis" />
           </div>
           <BeginnerHelper helperKey="thesis" />
@@ -619,12 +714,21 @@ function MajorEventsPanel() {
                   <BeginnerHelper helperKey="freshness" className="ml-20 pl-2" />
                 </div>
               )}
+              {components.marketRegime !== undefined && (
+                <div>
+                  <div className="flex items-center gap-1">
+                    {renderComponentBar('Mkt Regime', components.marketRegime)}
+                    <InfoTooltip helperKey="marketRegime" />
+                  </div>
+                  <BeginnerHelper helperKey="marketRegime" className="ml-20 pl-2" />
+                </div>
+              )}
             </div>
             {/* Notes */}
             {confidence.notes && confidence.notes.length > 0 && (
               <div className="mt-2 pt-1.5 border-t border-gray-700/50">
                 {confidence.notes.slice(0, 3).map((note, idx) => (
-                  <p key={idx} className="text-xs text-gray-500 italic">• {note}</p>
+                  <p key={idx} className="text-xs text-gray-500 italic">• {renderSignalMessage(note)}</p>
                 ))}
               </div>
             )}
@@ -666,7 +770,7 @@ function MajorEventsPanel() {
           <div className="mb-2 p-2 bg-yellow-900/20 rounded border border-yellow-500/30">
             <div className="flex items-center gap-1 mb-1">
               <p className="text-xs text-yellow-300 font-medium">
-                {signalType === 'WAIT' ? 'Bekleme Koşulları' : 'Kaçınma Nedenleri'}
+                {signalType === 'WAIT' ? t('waitConditions') : t('avoidReasons')}
               </p>
               <InfoTooltip helperKey={signalType === 'WAIT' ? 'signalWait' : 'signalAvoid'} />
             </div>
@@ -674,7 +778,7 @@ function MajorEventsPanel() {
               {explain.map((reason, idx) => (
                 <li key={idx} className="text-xs text-gray-400 flex gap-1">
                   <span className="text-yellow-400">•</span>
-                  <span>{reason}</span>
+                  <span>{renderSignalMessage(reason)}</span>
                 </li>
               ))}
             </ul>
@@ -749,6 +853,7 @@ function MajorEventsPanel() {
               {signal.meta.echoUsed && <span>Echo ✓</span>}
               {signal.meta.marketStatsUsed && <span>Market ✓</span>}
               {signal.meta.modelVersion && <span>v{signal.meta.modelVersion}</span>}
+              {signal.meta.profile && <span>{signal.meta.profile}</span>}
             </div>
             {(signal.meta.generatedAt || signal.meta.fetchedAt) && (
               <div className="flex flex-wrap gap-x-3 gap-y-0.5 text-gray-500">
@@ -776,6 +881,9 @@ function MajorEventsPanel() {
     const themeKey = getThemeKey(event)
     const eventId = event.id
     const signal = signals[eventId]
+    // One signal per affected ticker; older responses carry a single signal
+    const tickerSignals = signal?.signals || (signal ? [signal] : [])
+    const activeSignal = tickerSignals.find(s => s.symbol === selectedTickers[eventId]) || signal
     const isSignalLoading = loadingSignals.has(eventId)
     const isSignalExpanded = expandedSignals.has(eventId)
 
@@ -816,6 +924,16 @@ function MajorEventsPanel() {
             {score}/100
           </span>
 
+          {/* Story updates (follow-ups attached server-side) */}
+          {event.timelineCount > 1 && (
+            <span
+              className="text-xs px-1.5 py-0.5 rounded bg-blue-500/10 border border-blue-500/30 text-blue-400"
+              title={t('storyLatest', { headline: event.latestHeadline })}
+            >
+              {t('storyUpdates', { n: event.timelineCount })}
+            </span>
+          )}
+
           {/* Source */}
           {event.source && (
             <span className="text-xs text-gray-500">
@@ -898,7 +1016,24 @@ function MajorEventsPanel() {
                   ▾ {t('hideSignal')}
                   {signal.cached && <span className="text-gray-600 ml-1">(cached)</span>}
                 </button>
-                {renderTradeSignal(signal)}
+                {tickerSignals.length > 1 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {tickerSignals.map(tickerSignal => (
+                      <button
+                        key={tickerSignal.symbol}
+                        onClick={() => setSelectedTickers(prev => ({ ...prev, [eventId]: tickerSignal.symbol }))}
+                        className={`text-xs px-1.5 py-0.5 rounded border font-mono transition-colors ${
+                          tickerSignal.symbol === activeSignal.symbol
+                            ? 'bg-purple-500/20 text-purple-300 border-purple-500/50'
+                            : 'bg-gray-700/50 text-gray-400 border-gray-600 hover:text-gray-300'
+                        }`}
+                      >
+                        {tickerSignal.symbol} <span className="font-sans">{tickerSignal.signal}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {renderTradeSignal(activeSignal)}
               </>
             )}
           </div>
@@ -0,0 +1,50 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nProvider'
+import { InfoTooltip } from './Tooltip'
+
+// Format a stat value, falling back to N/A when missing
+function formatStat(value, suffix = '') {
+  if (value === null || value === undefined) return 'N/A'
+  return `${value}${suffix}`
+}
+
+/**
+ * Raw vs market-adjusted (abnormal) echo stats, side by side
+ * Expects the `marketAdjusted` block written by calculate-pattern-history
+ */
+function MarketAdjustedStats({ marketAdjusted }) {
+  const { t } = useI18n()
+
+  if (!marketAdjusted || !marketAdjusted.raw || !marketAdjusted.abnormal) return null
+  if (!marketAdjusted.raw.sampleSize && !marketAdjusted.abnormal.sampleSize) return null
+
+  const benchmarks = [marketAdjusted.market, marketAdjusted.sector].filter(Boolean).join(' + ')
+
+  return (
+    <div className="bg-gray-700/30 rounded-lg p-2 mb-4 text-xs">
+      <div className="flex items-center gap-1 text-gray-400 mb-1">
+        {t('marketAdjusted')} ({marketAdjusted.horizon}D, {benchmarks})
+        <InfoTooltip content={t('marketAdjustedExplain')} />
+      </div>
+      <div className="grid grid-cols-3 gap-1 text-gray-300">
+        <span></span>
+        <span className="text-gray-500 text-right">{t('raw')}</span>
+        <span className="text-gray-500 text-right">{t('abnormal')}</span>
+
+        <span className="text-gray-400">{t('accuracy')}</span>
+        <span className="text-right">{formatStat(marketAdjusted.raw.accuracy, '%')}</span>
+        <span className="text-right text-green-400">{formatStat(marketAdjusted.abnormal.accuracy, '%')}</span>
+
+        <span className="text-gray-400">{t('correlation')}</span>
+        <span className="text-right">{formatStat(marketAdjusted.raw.correlation)}</span>
+        <span className="text-right text-blue-400">{formatStat(marketAdjusted.abnormal.correlation)}</span>
+
+        <span className="text-gray-400">{t('avgMove')}</span>
+        <span className="text-right">{formatStat(marketAdjusted.raw.avgEchoMove, '%')}</span>
+        <span className="text-right">{formatStat(marketAdjusted.abnormal.avgEchoMove, '%')}</span>
+      </div>
+    </div>
+  )
+}
+
+export default MarketAdjustedStats
@@ -7,6 +7,7 @@ import React, { useState, useEffect, useMemo, useCallback } from "react";
  * - Raw Ingest: Headlines fetched from providers
  * - Decisions: Why each headline was kept/rejected
  * - Metrics: Pipeline counters and timestamps
+ * - LLM Spend: Token usage and estimated cost by endpoint and model
  * - Report Missed Major: Manually analyze a headline
  */
 
@@ -15,6 +16,7 @@ const TABS = {
   RAW: "raw",
   DECISIONS: "decisions",
   METRICS: "metrics",
+  SPEND: "spend",
   REPORT: "report",
 };
 
@@ -23,7 +25,9 @@ const DECISION_COLORS = {
   ANALYZED: "bg-green-500/20 text-green-400 border-green-500/50",
   SKIPPED_LOW_PREFILTER: "bg-yellow-500/20 text-yellow-400 border-yellow-500/50",
   SKIPPED_ALREADY_PROCESSED: "bg-gray-500/20 text-gray-400 border-gray-500/50",
+  SKIPPED_NEAR_DUPLICATE: "bg-slate-500/20 text-slate-300 border-slate-500/50",
   SKIPPED_DAILY_CAP: "bg-orange-500/20 text-orange-400 border-orange-500/50",
+  SKIPPED_BUDGET: "bg-orange-500/20 text-orange-400 border-orange-500/50",
   SKIPPED_PROVIDER_MISSING: "bg-red-500/20 text-red-400 border-red-500/50",
   ERROR: "bg-red-500/20 text-red-400 border-red-500/50",
 };
@@ -38,16 +42,19 @@ function NewsDebugConsole() {
   const [rawItems, setRawItems] = useState([]);
   const [decisions, setDecisions] = useState([]);
   const [metrics, setMetrics] = useState(null);
+  const [spend, setSpend] = useState(null);
 
   // Loading states
   const [loadingRaw, setLoadingRaw] = useState(false);
   const [loadingDecisions, setLoadingDecisions] = useState(false);
   const [loadingMetrics, setLoadingMetrics] = useState(false);
+  const [loadingSpend, setLoadingSpend] = useState(false);
 
   // Error states
   const [errorRaw, setErrorRaw] = useState(null);
   const [errorDecisions, setErrorDecisions] = useState(null);
   const [errorMetrics, setErrorMetrics] = useState(null);
+  const [errorSpend, setErrorSpend] = useState(null);
 
   // Search filter
   const [searchQuery, setSearchQuery] = useState("");
@@ -144,6 +151,27 @@ function NewsDebugConsole() {
     }
   }, [adminSecret]);
 
+  // Fetch LLM spend
+  const fetchSpend = useCallback(async () => {
+    if (!adminSecret) return;
+    setLoadingSpend(true);
+    setErrorSpend(null);
+    try {
+      const res = await fetch(
+        `/api/admin/llm-spend?admin=1&secret=${encodeURIComponent(adminSecret)}&days=7&limit=20`
+      );
+      const data = await res.json();
+      if (!data.ok) {
+        throw new Error(data.error || "Unknown error");
+      }
+      setSpend(data);
+    } catch (err) {
+      setErrorSpend(err.message);
+    } finally {
+      setLoadingSpend(false);
+    }
+  }, [adminSecret]);
+
   // Load data when secret is available or tab changes
   useEffect(() => {
     if (!adminSecret) return;
@@ -153,8 +181,10 @@ function NewsDebugConsole() {
       fetchDecisions();
     } else if (activeTab === TABS.METRICS && !metrics) {
       fetchMetrics();
+    } else if (activeTab === TABS.SPEND && !spend) {
+      fetchSpend();
     }
-  }, [adminSecret, activeTab, rawItems.length, decisions.length, metrics, fetchRawItems, fetchDecisions, fetchMetrics]);
+  }, [adminSecret, activeTab, rawItems.length, decisions.length, metrics, spend, fetchRawItems, fetchDecisions, fetchMetrics, fetchSpend]);
 
   // Filtered raw items
   const filteredRawItems = useMemo(() => {
@@ -226,6 +256,12 @@ function NewsDebugConsole() {
     }
   };
 
+  // Format a dollar amount (small per-call costs need more digits)
+  const formatUsd = (value) => {
+    if (value === null || value === undefined) return "N/A";
+    return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+  };
+
   // Render secret prompt
   if (showSecretPrompt) {
     return (
@@ -291,6 +327,7 @@ function NewsDebugConsole() {
               { id: TABS.RAW, label: "Raw Ingest" },
               { id: TABS.DECISIONS, label: "Decisions" },
               { id: TABS.METRICS, label: "Metrics" },
+              { id: TABS.SPEND, label: "LLM Spend" },
               { id: TABS.REPORT, label: "Report Missed" },
             ].map((tab) => (
               <button
@@ -468,6 +505,54 @@ function NewsDebugConsole() {
                           )}
                         </div>
                       )}
+                      {/* Model output repairs and validation errors */}
+                      {item.modelOutput && (item.modelOutput.repairs?.length > 0 || item.modelOutput.errors?.length > 0) && (
+                        <div className="flex flex-wrap gap-1 pt-2 mb-2 border-t border-gray-700">
+                          {item.modelOutput.attempts > 1 && (
+                            <span className="px-2 py-0.5 text-xs bg-orange-500/20 text-orange-400 rounded">
+                              Re-prompted
+                            </span>
+                          )}
+                          {(item.modelOutput.errors || []).map((issue, iIdx) => (
+                            <span
+                              key={`error-${iIdx}`}
+                              className="px-2 py-0.5 text-xs bg-red-500/20 text-red-400 rounded"
+                            >
+                              {issue.path}: {issue.message}
+                            </span>
+                          ))}
+                          {(item.modelOutput.repairs || []).map((issue, iIdx) => (
+                            <span
+                              key={`repair-${iIdx}`}
+                              className="px-2 py-0.5 text-xs bg-yellow-500/20 text-yellow-400 rounded"
+                            >
+                              {issue.path}: {issue.message}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {/* Tickers mapped or dropped by the symbol master */}
+                      {item.tickerCheck && (item.tickerCheck.mapped?.length > 0 || item.tickerCheck.dropped?.length > 0) && (
+                        <div className="flex flex-wrap gap-1 pt-2 mb-2 border-t border-gray-700">
+                          {(item.tickerCheck.mapped || []).map((change, cIdx) => (
+                            <span
+                              key={`mapped-${cIdx}`}
+                              className="px-2 py-0.5 text-xs bg-blue-500/20 text-blue-400 rounded"
+                            >
+                              {change.from} → {change.to}
+                            </span>
+                          ))}
+                          {(item.tickerCheck.dropped || []).map((ticker, cIdx) => (
+                            <span
+                              key={`dropped-${cIdx}`}
+                              className="px-2 py-0.5 text-xs bg-gray-500/20 text-gray-400 rounded line-through"
+                              title="Not in the symbol master"
+                            >
+                              {ticker}
+                            </span>
+                          ))}
+                        </div>
+                      )}
                       {/* Error */}
                       {item.error && (
                         <div className="text-xs text-red-400 pt-2 border-t border-gray-700">
@@ -512,8 +597,14 @@ function NewsDebugConsole() {
                     { label: "Analyzed", value: metrics.analyzedCount, color: "green" },
                     { label: "Skipped (Low Prefilter)", value: metrics.skippedLowPrefilterCount, color: "yellow" },
                     { label: "Skipped (Daily Cap)", value: metrics.skippedDailyCapCount, color: "orange" },
+                    { label: "Skipped (LLM Budget)", value: metrics.skippedBudgetCount, color: "orange" },
                     { label: "Skipped (Already Processed)", value: metrics.skippedProcessedCount, color: "gray" },
+                    { label: "Skipped (Near-Duplicate)", value: metrics.skippedNearDuplicateCount, color: "gray" },
+                    { label: "Story Follow-ups", value: metrics.followUpsAttachedCount, color: "green" },
                     { label: "Errors", value: metrics.errorsCount, color: "red" },
+                    { label: "Model Output Repaired", value: metrics.modelOutputRepairedCount, color: "yellow" },
+                    { label: "Model Re-prompts", value: metrics.modelOutputRetriedCount, color: "orange" },
+                    { label: "Model Output Invalid", value: metrics.modelOutputInvalidCount, color: "red" },
                   ].map((metric) => (
                     <div
                       key={metric.label}
@@ -527,6 +618,21 @@ function NewsDebugConsole() {
                   ))}
                 </div>
               )}
+              {!loadingMetrics && !errorMetrics && metrics && Object.keys(metrics.modelFieldIssues || {}).length > 0 && (
+                <div className="bg-gray-900 border border-gray-700 rounded-lg p-3 mt-3">
+                  <div className="text-xs text-gray-400 mb-2">Model fields repaired or invalid</div>
+                  <div className="space-y-1">
+                    {Object.entries(metrics.modelFieldIssues)
+                      .sort(([, a], [, b]) => b - a)
+                      .map(([field, count]) => (
+                        <div key={field} className="flex justify-between text-xs">
+                          <span className="text-gray-300 font-mono">{field}</span>
+                          <span className="text-yellow-400">{count}</span>
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
               {!loadingMetrics && !errorMetrics && metrics && (
                 <div className="text-xs text-gray-500 pt-2 border-t border-gray-700 mt-4">
                   <div>Last Run: {formatTime(metrics.lastRunAt)}</div>
@@ -536,6 +642,129 @@ function NewsDebugConsole() {
             </div>
           )}
 
+          {/* LLM Spend Tab */}
+          {activeTab === TABS.SPEND && (
+            <div className="space-y-3">
+              <div className="flex justify-end">
+                <button
+                  onClick={fetchSpend}
+                  className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition-colors"
+                >
+                  Refresh
+                </button>
+              </div>
+              {loadingSpend && (
+                <div className="text-gray-400 text-sm py-4 text-center">Loading spend...</div>
+              )}
+              {errorSpend && (
+                <div className="text-red-400 text-sm py-4 text-center bg-red-500/10 rounded-lg">
+                  Error: {errorSpend}
+                </div>
+              )}
+              {!loadingSpend && !errorSpend && spend && (
+                <>
+                  {spend.budget.exceeded && (
+                    <div className="text-orange-400 text-sm p-3 bg-orange-500/10 border border-orange-500/30 rounded-lg">
+                      {spend.budget.reason}. Model calls are paused until the budget resets.
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {[
+                      { label: "Spent Today", value: formatUsd(spend.today.costUsd), color: "blue" },
+                      { label: "Daily Budget", value: spend.budget.daily.budgetUsd ? formatUsd(spend.budget.daily.budgetUsd) : "No limit", color: "purple" },
+                      { label: "Spent This Month", value: formatUsd(spend.month.costUsd), color: "blue" },
+                      { label: "Monthly Budget", value: spend.budget.monthly.budgetUsd ? formatUsd(spend.budget.monthly.budgetUsd) : "No limit", color: "purple" },
+                      { label: "Calls Today", value: spend.today.calls, color: "green" },
+                      { label: "Prompt Tokens Today", value: spend.today.promptTokens.toLocaleString(), color: "gray" },
+                      { label: "Completion Tokens Today", value: spend.today.completionTokens.toLocaleString(), color: "gray" },
+                      { label: "Calls This Month", value: spend.month.calls, color: "green" },
+                    ].map((metric) => (
+                      <div
+                        key={metric.label}
+                        className={`bg-${metric.color}-500/10 border border-${metric.color}-500/30 rounded-lg p-3`}
+                      >
+                        <div className={`text-2xl font-bold text-${metric.color}-400`}>{metric.value}</div>
+                        <div className="text-xs text-gray-400">{metric.label}</div>
+                      </div>
+                    ))}
+                  </div>
+                  {/* Spend by endpoint and model */}
+                  {[
+                    { title: "By endpoint (this month)", rows: spend.month.byEndpoint, today: spend.today.byEndpoint },
+                    { title: "By model (this month)", rows: spend.month.byModel, today: spend.today.byModel },
+                  ].map((table) => (
+                    <div key={table.title} className="bg-gray-900 border border-gray-700 rounded-lg p-3">
+                      <div className="text-xs text-gray-400 mb-2">{table.title}</div>
+                      {Object.keys(table.rows).length === 0 ? (
+                        <div className="text-xs text-gray-500">No calls yet</div>
+                      ) : (
+                        <table className="w-full text-xs">
+                          <thead>
+                            <tr className="text-gray-500 text-left">
+                              <th className="font-normal pb-1">Name</th>
+                              <th className="font-normal pb-1 text-right">Calls</th>
+                              <th className="font-normal pb-1 text-right">Tokens in / out</th>
+                              <th className="font-normal pb-1 text-right">Today</th>
+                              <th className="font-normal pb-1 text-right">Month</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {Object.entries(table.rows).map(([name, row]) => (
+                              <tr key={name} className="text-gray-300">
+                                <td className="font-mono py-0.5">{name}</td>
+                                <td className="text-right">{row.calls}</td>
+                                <td className="text-right">
+                                  {row.promptTokens.toLocaleString()} / {row.completionTokens.toLocaleString()}
+                                </td>
+                                <td className="text-right">{formatUsd(table.today[name]?.costUsd ?? 0)}</td>
+                                <td className="text-right text-yellow-400">{formatUsd(row.costUsd)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  ))}
+                  {/* Daily history */}
+                  <div className="bg-gray-900 border border-gray-700 rounded-lg p-3">
+                    <div className="text-xs text-gray-400 mb-2">Last {spend.days.length} days</div>
+                    <div className="space-y-1">
+                      {spend.days.map((day) => (
+                        <div key={day.date} className="flex justify-between text-xs">
+                          <span className="text-gray-300 font-mono">{day.date}</span>
+                          <span className="text-gray-400">
+                            {day.calls} calls · <span className="text-yellow-400">{formatUsd(day.costUsd)}</span>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  {/* Recent calls */}
+                  {spend.recentCalls.length > 0 && (
+                    <div className="bg-gray-900 border border-gray-700 rounded-lg p-3">
+                      <div className="text-xs text-gray-400 mb-2">Recent calls</div>
+                      <div className="space-y-1">
+                        {spend.recentCalls.map((call, idx) => (
+                          <div key={`${call.ts}-${idx}`} className="flex flex-wrap justify-between gap-2 text-xs">
+                            <span className="text-gray-500">{formatTime(call.ts)}</span>
+                            <span className="text-gray-300 font-mono">{call.endpoint}</span>
+                            <span className="text-gray-400">{call.model}</span>
+                            <span className="text-gray-400">
+                              {call.promptTokens} / {call.completionTokens} tok
+                            </span>
+                            <span className="text-yellow-400">
+                              {call.priced ? formatUsd(call.costUsd) : "unpriced"}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Report Missed Tab */}
           {activeTab === TABS.REPORT && (
             <div className="space-y-4">
@@ -233,7 +233,14 @@ function NewsIntelPanel() {
                           <span className="text-gray-500">{t('exampleTickers')}: </span>
                           <span className="text-gray-300">
                             {sector.exampleTickers && sector.exampleTickers.length > 0
-                              ? sector.exampleTickers.join(', ')
+                              ? sector.exampleTickers.map((ticker, tIdx) => {
+                                  const info = sector.tickerInfo?.find(item => item.symbol === ticker)
+                                  return (
+                                    <span key={ticker} title={info ? `${info.name} · ${info.sector}${info.etf ? ' · ETF' : ''}` : undefined}>
+                                      {tIdx > 0 && ', '}{ticker}
+                                    </span>
+                                  )
+                                })
                               : 'No specific tickers suggested'}
                           </span>
                         </div>
@@ -246,11 +246,32 @@ function RawFeedPanel() {
               {/* Fallback details if used */}
               {snapshot.fallback?.used && (
                 <div className="bg-orange-500/10 border border-orange-500/30 rounded-lg p-3 text-sm text-orange-400">
-                  NewsAPI fallback was triggered. Fetched {snapshot.fallback.fetchedCount} items.
+                  {snapshot.fallback.provider} fallback was triggered. Fetched {snapshot.fallback.fetchedCount} items.
                   {snapshot.fallback.error && ` Error: ${snapshot.fallback.error}`}
                 </div>
               )}
 
+              {/* Per-provider breakdown */}
+              {snapshot.providers?.length > 0 && (
+                <div className="flex flex-wrap gap-2 text-xs">
+                  {snapshot.providers.map(p => (
+                    <span
+                      key={p.provider}
+                      title={p.error || undefined}
+                      className={`px-2 py-1 rounded border ${
+                        !p.used
+                          ? "border-gray-700 text-gray-500"
+                          : p.healthy
+                          ? "border-green-500/30 text-green-400"
+                          : "border-orange-500/30 text-orange-400"
+                      }`}
+                    >
+                      #{p.priority} {p.provider}: {p.used ? `${p.fetchedCount} fetched / ${p.addedCount} new` : p.configured ? "skipped" : "not configured"}
+                    </span>
+                  ))}
+                </div>
+              )}
+
               {/* Timestamp */}
               <div className="text-xs text-gray-500">
                 Snapshot from: {formatTime(snapshot.ts)}
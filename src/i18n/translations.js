@@ -102,7 +102,69 @@ const translations = {
     newsIntelHelper: "Önemli makro haberleri yapıştırarak sektör etkisini analiz edin.",
     analyzeButton: "Haberi Analiz Et",
     headlineRequired: "Başlık gerekli",
-    networkError: "Ağ hatası: Sunucuya ulaşılamadı"
+    networkError: "Ağ hatası: Sunucuya ulaşılamadı",
+    basketPattern: "Sepet",
+    basketLegs: "Yankı bacakları",
+    basketAccuracyExplain: "Tetikleyici bilançosundan sonraki gün sepet ortalamasının beklenen yönde hareket etme oranı",
+    basketNoHistory: "Henüz fiyat geçmişi yok (calculate:history çalıştırın)",
+    avgMove: "Ort. Hareket",
+    marketAdjusted: "Piyasaya göre düzeltilmiş",
+    marketAdjustedExplain: "Anormal getiri: yankı hissesinin hareketinden SPY ve sektör ETF'i betalarıyla beklenen hareket çıkarılır, böylece genel piyasa yükselişi isabet sayılmaz",
+    raw: "Ham",
+    abnormal: "Anormal",
+    confidenceInterval: "%95 GA",
+    likelyNoise: "Muhtemelen gürültü",
+    likelyNoiseExplain: "{n} çeyreklik veriyle bu isabet oranı rastgele eşleşmelerden ayırt edilemiyor (permütasyon p={p})",
+    storyUpdates: "{n} güncelleme",
+    storyLatest: "Son gelişme: {headline}",
+
+    // Trade signal confidence notes and explain bullets (codes from api/_lib/confidenceEngine.js)
+    waitConditions: "Bekleme Koşulları",
+    avoidReasons: "Kaçınma Nedenleri",
+    noteEchoUnavailable: "Echo edge verisi mevcut değil",
+    noteEchoAccuracyLowerBound: "Echo isabet alt sınırı %{lower} (nokta %{accuracy})",
+    noteEchoLikelyNoise: "Echo isabeti rastgele eşleşmeden ayırt edilemiyor (p={p})",
+    noteEchoSmallSample: "Echo örneklemi={n} → -{penalty} ceza",
+    noteEchoTinySample: "Echo örneklemi={n} (çok küçük) → -{penalty} ceza",
+    noteHedgedLanguage: "LLM belirsiz dil kullandı → -{penalty} ceza",
+    noteHighAmbiguity: "Olay analizinde yüksek belirsizlik tespit edildi",
+    noteMarketStatsUnavailable: "Piyasa istatistikleri mevcut değil",
+    noteHighAtr: "ATR% yüksek ({atrPct}%) → pozisyon küçültüldü",
+    noteGapUnavailable: "Gap verisi mevcut değil",
+    noteLargeGap: "Büyük gap tespit edildi ({gapPct}%) → risk arttı",
+    noteMarketRegimeUnavailable: "Piyasa rejimi verisi (SPY/QQQ/TLT) mevcut değil",
+    noteMarketHighVol: "Piyasa oynaklığı yüksek (yıllık yüzdelik {percentile}) → risk arttı",
+    noteMarketDowntrendAgainstLong: "Piyasa düşüş trendinde → uzun pozisyona karşı",
+    noteMarketUptrendAgainstShort: "Piyasa yükseliş trendinde → kısa pozisyona karşı",
+    noteMarketRiskOffAgainstLong: "Piyasa risk-off modunda → uzun pozisyona karşı",
+    noteMarketRiskOnAgainstShort: "Piyasa risk-on modunda → kısa pozisyona karşı",
+    noteStaleNews: "Haber {hours} saat eski → -{penalty} tazelik cezası",
+    noteStopFromAtr: "Stop mesafesi ATR bazlı",
+    noteStopDefault: "Stop mesafesi varsayılan (fiyat seviyesi yok)",
+    notePositionDefault: "Pozisyon büyüklüğü varsayılan",
+    explainLowConfidence: "Genel güven ({overall}%) eşik altında",
+    explainWeakComponents: "Birden fazla zayıf bileşen puanı",
+    explainEchoSampleTooSmall: "Echo örneklem sayısı çok düşük (n={n})",
+    explainInsufficientHistory: "Güvenilir sinyal için yetersiz tarihsel veri",
+    explainEchoAccuracyLow: "Echo doğruluğu çok düşük ({accuracy}%)",
+    explainPatternUnreliable: "Tarihsel örüntü güvenilir değil",
+    explainEchoConflict: "Echo örüntüsü olay analiziyle çelişiyor",
+    explainConflictDirections: "Echo {echo}, analiz {llm} öneriyor",
+    explainStrongConviction: "Her iki tarafta güçlü kanaat - pozisyon kaçınılmalı",
+    explainTooVolatile: "Volatilite çok yüksek (rejim puanı: {score})",
+    explainMarketUnsuitable: "Piyasa koşulları pozisyon için uygun değil",
+    explainGapRiskHigh: "Gap riski çok yüksek (puan: {score})",
+    explainOvernightRisk: "Son fiyat gapleri aşırı gece riski gösteriyor",
+    explainMarginalConfidence: "Marjinal güven ({overall}%) - daha iyi giriş bekle",
+    explainTargetEntryLevel: "Hedef giriş seviyesi: {level}",
+    explainTargetEntryPullback: "Hedef giriş seviyesi: geri çekilme",
+    explainStrongThesisGapRisk: "Güçlü tez ama yüksek gap riski",
+    explainWaitForStability: "Giriş için fiyatın dengelenmesini bekle",
+    explainNoDirection: "Model bir yön belirlemedi (NONE)",
+    explainKeyRisk: "Temel risk: {risk}",
+    calibratedProbability: "{horizon}G pozitif: %{pct}",
+    calibratedProbabilityHint: "{samples} sinyalin sonucuna göre kalibre edilmiş {horizon} günlük pozitif getiri olasılığı",
+    thesisOppositeDirection: "Bu hisse için ayrı tez yok: sektörü, modelin ana hissesi {symbol} ile ters yönde"
   },
 
   en: {
@@ -208,7 +270,69 @@ const translations = {
     newsIntelHelper: "Paste a major news headline and summary to analyze sector impact.",
     analyzeButton: "Analyze News",
     headlineRequired: "Headline is required",
-    networkError: "Network error: Unable to reach the server"
+    networkError: "Network error: Unable to reach the server",
+    basketPattern: "Basket",
+    basketLegs: "Echo legs",
+    basketAccuracyExplain: "How often the basket's average next-day move followed the trigger's earnings surprise",
+    basketNoHistory: "No price history yet (run calculate:history)",
+    avgMove: "Avg Move",
+    marketAdjusted: "Market-adjusted",
+    marketAdjustedExplain: "Abnormal return: the echo move minus what its SPY and sector ETF betas predict, so a market-wide up day doesn't count as a hit",
+    raw: "Raw",
+    abnormal: "Abnormal",
+    confidenceInterval: "95% CI",
+    likelyNoise: "Likely noise",
+    likelyNoiseExplain: "With {n} quarters this hit rate is not distinguishable from random pairings (permutation p={p})",
+    storyUpdates: "{n} updates",
+    storyLatest: "Latest: {headline}",
+
+    // Trade signal confidence notes and explain bullets (codes from api/_lib/confidenceEngine.js)
+    waitConditions: "Wait Conditions",
+    avoidReasons: "Reasons to Avoid",
+    noteEchoUnavailable: "No echo edge data available",
+    noteEchoAccuracyLowerBound: "Echo accuracy lower bound {lower}% (point {accuracy}%)",
+    noteEchoLikelyNoise: "Echo accuracy not distinguishable from random pairings (p={p})",
+    noteEchoSmallSample: "Echo sample={n} → -{penalty} penalty",
+    noteEchoTinySample: "Echo sample={n} (very small) → -{penalty} penalty",
+    noteHedgedLanguage: "Model used hedged language → -{penalty} penalty",
+    noteHighAmbiguity: "High ambiguity detected in the event analysis",
+    noteMarketStatsUnavailable: "No market stats available",
+    noteHighAtr: "High ATR% ({atrPct}%) → position reduced",
+    noteGapUnavailable: "No gap data available",
+    noteLargeGap: "Large gap detected ({gapPct}%) → higher risk",
+    noteMarketRegimeUnavailable: "No market regime data (SPY/QQQ/TLT)",
+    noteMarketHighVol: "Market volatility elevated ({percentile}th percentile of the year) → risk increased",
+    noteMarketDowntrendAgainstLong: "Market in a downtrend → against the long",
+    noteMarketUptrendAgainstShort: "Market in an uptrend → against the short",
+    noteMarketRiskOffAgainstLong: "Market is risk-off → against the long",
+    noteMarketRiskOnAgainstShort: "Market is risk-on → against the short",
+    noteStaleNews: "News is {hours} hours old → -{penalty} freshness penalty",
+    noteStopFromAtr: "Stop distance based on ATR",
+    noteStopDefault: "Default stop distance (no price levels)",
+    notePositionDefault: "Default position size",
+    explainLowConfidence: "Overall confidence ({overall}%) below threshold",
+    explainWeakComponents: "Several weak component scores",
+    explainEchoSampleTooSmall: "Echo sample size too small (n={n})",
+    explainInsufficientHistory: "Not enough history for a reliable signal",
+    explainEchoAccuracyLow: "Echo accuracy too low ({accuracy}%)",
+    explainPatternUnreliable: "Historical pattern is not reliable",
+    explainEchoConflict: "Echo pattern contradicts the event analysis",
+    explainConflictDirections: "Echo suggests {echo}, analysis suggests {llm}",
+    explainStrongConviction: "Strong conviction on both sides - avoid the position",
+    explainTooVolatile: "Volatility too high (regime score: {score})",
+    explainMarketUnsuitable: "Market conditions are not suitable for a position",
+    explainGapRiskHigh: "Gap risk too high (score: {score})",
+    explainOvernightRisk: "Recent price gaps show excessive overnight risk",
+    explainMarginalConfidence: "Marginal confidence ({overall}%) - wait for a better entry",
+    explainTargetEntryLevel: "Target entry level: {level}",
+    explainTargetEntryPullback: "Target entry level: pullback",
+    explainStrongThesisGapRisk: "Strong thesis but high gap risk",
+    explainWaitForStability: "Wait for price to stabilize before entering",
+    explainNoDirection: "Model returned no direction (NONE)",
+    explainKeyRisk: "Key risk: {risk}",
+    calibratedProbability: "P(+{horizon}D): {pct}%",
+    calibratedProbabilityHint: "Calibrated probability of a positive {horizon}-day return, from {samples} signal outcomes",
+    thesisOppositeDirection: "No thesis of its own: its sector moves against the model's lead ticker {symbol}"
   }
 }
 
@@ -67,6 +67,10 @@ export const HELPER_STRINGS = {
     label: 'Freshness',
     helper: "Haber tazeliği ve çoklu kaynak desteği."
   },
+  marketRegime: {
+    label: 'Market Regime',
+    helper: "Genel piyasa: SPY oynaklığı, trend ve risk iştahı işlem yönüne uygun mu."
+  },
 
   // Sizing
   sizing: {
@@ -130,6 +134,7 @@ export const EXPLANATION_BLOCK_ITEMS = [
   { key: 'eventClarity', text: `Event Clarity: ${HELPER_STRINGS.eventClarity.helper}` },
   { key: 'regimeVol', text: `Regime/Vol: ${HELPER_STRINGS.regimeVol.helper}` },
   { key: 'gapRisk', text: `Gap Risk: ${HELPER_STRINGS.gapRisk.helper}` },
+  { key: 'marketRegime', text: `Market Regime: ${HELPER_STRINGS.marketRegime.helper}` },
   { key: 'invalidation', text: `Invalidation: ${HELPER_STRINGS.invalidation.helper}` },
   { key: 'sizing', text: `Sizing: ${HELPER_STRINGS.sizing.helper}` }
 ];